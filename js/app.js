@@ -13,6 +13,9 @@ class App {
     this.archivedNotes = [];
     this.trashedNotes = [];
     this.searchQuery = '';
+    // Full-text results for contentResultsQuery, keyed by note ID
+    this.contentResults = new Map();
+    this.contentResultsQuery = '';
     this.contextMenuNoteId = null;
     // Tab management
     this.openTabs = []; // Array of { noteId, name }
@@ -27,6 +30,17 @@ class App {
     this.aiSidebarOpen = false;
     this.aiSidebarWidth = 360;
     this.aiChatHistory = [];
+    // Backup waiting in the restore wizard
+    this.pendingImport = null;
+    // Version history panel
+    this.historySnapshots = [];
+    this.selectedSnapshot = null;
+    // Tasks view (to-dos from every note)
+    this.tasksOpen = false;
+    this.taskItems = [];
+    this.tasksLayout = 'list'; // 'list' or 'board'
+    this.boardGroupBy = 'status'; // 'status' or 'tag'
+    this.draggedTaskId = null;
   }
 
   /**
@@ -37,6 +51,15 @@ class App {
       // Initialize storage
       await Storage.init();
 
+      // Hash media stored without one, then move images and files saved inline on blocks
+      // into the media store (each runs once)
+      try {
+        await Storage.migrateMediaHashes();
+        await Storage.migrateInlineMedia();
+      } catch (error) {
+        console.error('Media migration failed:', error);
+      }
+
       // Initialize LLM service
       await LLM.init();
 
@@ -52,6 +75,8 @@ class App {
       // Setup UI
       this.setupPageSelector(this.notes);
       this.setupSettings();
+      this.setupHistory();
+      this.setupTasks();
       this.setupSidebar();
       await this.setupAI();
       this.setupWidthSelectorPill();
@@ -82,6 +107,19 @@ class App {
       this.updateEmptyState();
       this.updateBadgeCounts();
 
+      // Prune expired version history, then remove media nothing refers to any more, in the background
+      Snapshots.pruneAll()
+        .catch((error) => console.error('Snapshot pruning failed:', error))
+        .then(() => this.runScheduledMediaCleanup())
+        .catch((error) => console.error('Media cleanup failed:', error));
+
+      // Index notes that changed outside the editor (older versions, imports, restores)
+      Search.ensureIndex().catch((error) => console.error('Search indexing failed:', error));
+      this.syncReminders();
+
+      // Opened from a reminder notification: show its to-do
+      await this.openLinkedBlock();
+
       console.log('New Tab Note initialized successfully');
     } catch (error) {
       console.error('Failed to initialize app:', error);
@@ -89,6 +127,30 @@ class App {
     }
   }
 
+  /**
+   * Open the note and to-do named by ?note=…&block=… and drop them from the address
+   */
+  async openLinkedBlock() {
+    const params = new URLSearchParams(window.location.search);
+    const noteId = params.get('note');
+    if (!noteId) return;
+
+    history.replaceState(null, '', window.location.pathname);
+    if (!await Storage.getNote(noteId)) {
+      Utils.showToast('That note no longer exists', 'info');
+      return;
+    }
+    await this.openNoteInNewTab(noteId);
+    if (params.get('block')) this.editor.revealBlock(params.get('block'));
+  }
+
+  /**
+   * Reschedule to-do reminders after notes changed outside the editor
+   */
+  syncReminders() {
+    Tasks.syncAllReminders().catch((error) => console.error('Reminder sync failed:', error));
+  }
+
   /**
    * Setup empty state button
    */
@@ -165,18 +227,22 @@ class App {
       });
 
       noteImportInput.addEventListener('change', async (e) => {
-        const file = e.target.files[0];
-        if (file) {
-          await this.importNote(file);
-        }
+        const files = Array.from(e.target.files);
         e.target.value = '';
+        if (files.length === 1 && !files[0].name.toLowerCase().endsWith('.zip')) {
+          await this.importNote(files[0]);
+        } else if (files.length > 0) {
+          await this.importVault(files);
+        }
       });
     }
 
-    // Search input with fuzzy search
+    // Search input: fuzzy title matches show immediately, content matches once the index answers
+    const runContentSearch = Utils.debounce(() => this.runContentSearch(), 150);
     searchInput.addEventListener('input', (e) => {
       this.searchQuery = e.target.value;
       this.renderNotesList();
+      runContentSearch();
     });
 
     // Sidebar tabs
@@ -444,6 +510,7 @@ class App {
       }
 
       const blocks = await Storage.getElementsByNote(noteId);
+      const formulaValues = await Storage.getSetting('exportFormulaValues', false);
       
       // Build markdown content
       let markdown = `# ${note.name || 'Untitled'}\n\n`;
@@ -452,7 +519,7 @@ class App {
       const sortedBlocks = blocks.sort((a, b) => (a.order || 0) - (b.order || 0));
       
       for (const block of sortedBlocks) {
-        markdown += this.blockToMarkdown(block);
+        markdown += this.blockToMarkdown(await this.withInlineMedia(block), { formulaValues });
       }
 
       // Generate filename from note title
@@ -472,9 +539,20 @@ class App {
   /**
    * Convert a block to markdown format
    */
-  blockToMarkdown(block) {
-    const content = this.stripHtml(block.content || '');
-    
+  blockToMarkdown(block, options = {}) {
+    // Nested blocks are indented four spaces per level under their parent
+    if (block.depth > 0) {
+      const indent = '    '.repeat(block.depth);
+      return this.blockToMarkdown({ ...block, depth: 0 }, options)
+        .split('\n')
+        .map((line) => (line ? indent + line : line))
+        .join('\n');
+    }
+
+    const content = Utils.htmlToInlineMarkdown(block.content || '');
+    // Multi-line blocks put each line on its own prefixed markdown line
+    const prefixLines = (text, prefix) => text.split('<br>').map((line) => prefix + line).join('\n');
+
     switch (block.type) {
       case 'h1':
         return `# ${content}\n\n`;
@@ -483,47 +561,72 @@ class App {
       case 'h3':
         return `### ${content}\n\n`;
       case 'bullet':
-        return `- ${content}\n`;
+        return `- ${content.replace(/^\[([ xX])\]/, '\\[$1]')}\n`;
       case 'numbered':
-        return `1. ${content}\n`;
+        return `1. ${content.replace(/^\[([ xX])\]/, '\\[$1]')}\n`;
       case 'todo':
         const checked = block.checked ? 'x' : ' ';
         return `- [${checked}] ${content}\n`;
       case 'quote':
-        return `> ${content}\n\n`;
+        return `${prefixLines(content, '> ')}\n\n`;
       case 'code':
-        return `\`\`\`\n${content}\n\`\`\`\n\n`;
+        const code = this.stripHtml((block.content || '').replace(/<br\s*\/?>|<div>/gi, '\n'));
+        // The fence must be longer than any backtick run inside the code
+        const fence = '`'.repeat(Math.max(3, ...(code.match(/`+/g) || []).map((run) => run.length + 1)));
+        return `${fence}${block.language || ''}\n${code}\n${fence}\n\n`;
       case 'divider':
         return `---\n\n`;
       case 'callout':
-        return `> 💡 ${content}\n\n`;
+        return `${prefixLines(`${block.calloutIcon || '💡'} ${content}`, '> ')}\n\n`;
       case 'toggle':
-        const childContent = this.stripHtml(block.children || '');
-        return `<details>\n<summary>${content}</summary>\n\n${childContent}\n</details>\n\n`;
+        const open = block.collapsed === false ? ' open' : '';
+        const childContent = Utils.htmlToInlineMarkdown(block.children || '').split('<br>').join('\n');
+        return `<details${open}>\n<summary>${content}</summary>\n\n${childContent}\n</details>\n\n`;
       case 'table':
         if (block.tableData && Array.isArray(block.tableData)) {
-          let tableMarkdown = '';
-          block.tableData.forEach((row, index) => {
-            tableMarkdown += '| ' + row.join(' | ') + ' |\n';
-            if (index === 0) {
-              tableMarkdown += '| ' + row.map(() => '---').join(' | ') + ' |\n';
-            }
+          const columns = Tables.getColumns(block);
+          const toRow = (row) => '| ' + row.map((cell) => String(cell ?? '').replace(/\n/g, ' ').replace(/\|/g, '\\|')).join(' | ') + ' |\n';
+          // Formulas export as written unless formula results are chosen in settings
+          const tableData = options.formulaValues ? Tables.getDisplayData(block) : block.tableData;
+          // Markdown tables always start with a header, so tables without one get an empty header row
+          const header = block.tableHeader !== false ? tableData[0] : [];
+          const rows = tableData.slice(block.tableHeader !== false ? 1 : 0);
+          let tableMarkdown = toRow(columns.map((column, col) => header[col] ?? ''));
+          tableMarkdown += '| ' + columns.map((column) => (column.type === 'number' ? '---:' : '---')).join(' | ') + ' |\n';
+          rows.forEach((row) => {
+            tableMarkdown += toRow(columns.map((column, col) => Tables.formatForExport(row[col], column.type)));
           });
           return tableMarkdown + '\n';
         }
         return '';
       case 'bookmark':
-        return `[${block.title || block.url}](${block.url})\n\n`;
+        if (!block.url) return '';
+        // The quoted description distinguishes a bookmark from a plain link
+        const escapeLink = (text) => String(text || '').replace(/([\\[\]"])/g, '\\$1');
+        return `[${escapeLink(block.title || block.url)}](${block.url} "${escapeLink(block.description)}")\n\n`;
       case 'image':
-        if (block.src) {
-          return `![${block.caption || 'Image'}](${block.src})\n\n`;
+        if (block.imageUrl) {
+          const escapeImage = (text) => String(text || '').replace(/\s*\n\s*/g, ' ').replace(/([\\[\]"])/g, '\\$1');
+          const title = block.caption ? ` "${escapeImage(block.caption)}"` : '';
+          return `![${escapeImage(block.alt || 'Image')}](${block.imageUrl}${title})\n\n`;
         }
         return '';
-      case 'equation':
-        return `$$${block.equation || ''}$$\n\n`;
+      case 'equation': {
+        const equation = (block.equation || '').trim();
+        // Multi-line equations (aligned environments) go in a $$ block of their own
+        return equation.includes('\n') ? `$$\n${equation}\n$$\n\n` : `$$${equation}$$\n\n`;
+      }
+      case 'diagram': {
+        const diagram = (block.diagram || '').trim();
+        if (!diagram) return '';
+        const fence = '`'.repeat(Math.max(3, ...(diagram.match(/`+/g) || []).map((run) => run.length + 1)));
+        return `${fence}mermaid\n${diagram}\n${fence}\n\n`;
+      }
       case 'text':
       default:
-        return content ? `${content}\n\n` : '';
+        if (!this.stripHtml(block.content || '').trim()) return '';
+        // Escape text that would otherwise read back as block syntax
+        return `${content.replace(/^(#|[-+|]|\$\$|\d+(?=[.)] ))/, (marker) => (/^\d/.test(marker) ? `${marker}\\` : `\\${marker}`))}\n\n`;
     }
   }
 
@@ -822,6 +925,7 @@ class App {
     await this.closeTabForNote(noteId);
     await this.refreshNotesList();
     await this.handleNoteRemoved(noteId);
+    this.syncReminders();
     
     if (result && result.permanentlyDeleted) {
       Utils.showToast('Empty note deleted', 'success');
@@ -836,6 +940,7 @@ class App {
   async restoreNoteById(noteId) {
     await Storage.restoreNote(noteId);
     await this.refreshNotesList();
+    this.syncReminders();
     Utils.showToast('Note restored from trash', 'success');
   }
 
@@ -1025,9 +1130,14 @@ class App {
     const list = document.getElementById('sidebar-notes-list');
     list.innerHTML = '';
 
-    // Get notes based on current view
+    const query = Search.parseSearchQuery(this.searchQuery);
+
+    // Get notes based on current view; an is: operator searches every view
     let sourceNotes;
-    if (this.sidebarView === 'archive') {
+    if (Search.hasFilter(query, 'is')) {
+      sourceNotes = [...this.notes, ...this.archivedNotes, ...this.trashedNotes]
+        .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+    } else if (this.sidebarView === 'archive') {
       sourceNotes = this.archivedNotes;
     } else if (this.sidebarView === 'trash') {
       sourceNotes = this.trashedNotes;
@@ -1035,10 +1145,25 @@ class App {
       sourceNotes = this.notes;
     }
 
-    // Apply fuzzy search filter
-    const filteredNotes = this.searchQuery 
-      ? Utils.fuzzySearchNotes(sourceNotes, this.searchQuery)
-      : sourceNotes;
+    // Apply the query's note filters, then text: fuzzy title matches followed by notes whose content matches
+    let filteredNotes = sourceNotes.filter((note) => Search.matchesNote(note, query));
+    const contentResults = this.searchQuery && this.contentResultsQuery === this.searchQuery
+      ? this.contentResults
+      : new Map();
+    if (Search.hasContentConditions(query)) {
+      // Fuzzy title matching only applies to plain text queries
+      const plainText = query.phrases.length === 0 && query.excludedTerms.length === 0
+        && query.excludedPhrases.length === 0 && filteredNotes.length > 0
+        && query.filters.every((filter) => Search.noteFilterKeys.includes(filter.key));
+      const titleMatches = plainText ? Utils.fuzzySearchNotes(filteredNotes, query.terms.join(' ')) : [];
+      const titleMatchIds = new Set(titleMatches.map((note) => note.id));
+      const contentMatches = filteredNotes
+        .filter((note) => contentResults.has(note.id) && !titleMatchIds.has(note.id))
+        .sort((a, b) => contentResults.get(b.id).score - contentResults.get(a.id).score);
+      // Ranked text matches are cut to the best ones; operator-only queries list every match
+      const ranked = Search.getQueryTerms(query).length > 0;
+      filteredNotes = [...titleMatches, ...(ranked ? contentMatches.slice(0, Search.maxResults) : contentMatches)];
+    }
 
     if (filteredNotes.length === 0) {
       const empty = document.createElement('div');
@@ -1059,16 +1184,24 @@ class App {
     const retentionDays = 30; // Will be loaded from settings
 
     filteredNotes.forEach((note) => {
+      // Search results can come from any view, so go by the note's own state
+      let noteView = 'notes';
+      if (note.trashed) {
+        noteView = 'trash';
+      } else if (note.archived) {
+        noteView = 'archive';
+      }
+
       const item = document.createElement('div');
       item.className = 'sidebar-note-item';
       item.dataset.noteId = note.id;
       if (note.id === this.editor?.noteId) {
         item.classList.add('active');
       }
-      if (this.sidebarView === 'archive') {
+      if (noteView === 'archive') {
         item.classList.add('archived');
       }
-      if (this.sidebarView === 'trash') {
+      if (noteView === 'trash') {
         item.classList.add('trashed');
       }
 
@@ -1082,19 +1215,31 @@ class App {
       const date = document.createElement('div');
       date.className = 'sidebar-note-date';
       
-      if (this.sidebarView === 'trash' && note.trashedAt) {
+      if (noteView === 'trash' && note.trashedAt) {
         date.textContent = `Deleted ${Utils.formatDate(note.trashedAt)}`;
-      } else if (this.sidebarView === 'archive' && note.archivedAt) {
+      } else if (noteView === 'archive' && note.archivedAt) {
         date.textContent = `Archived ${Utils.formatDate(note.archivedAt)}`;
       } else {
         date.textContent = Utils.formatDate(note.updatedAt);
       }
+      if (note.folder) {
+        date.textContent = `${note.folder} · ${date.textContent}`;
+      }
 
       content.appendChild(name);
       content.appendChild(date);
+
+      // Highlighted snippet of the matching block
+      const searchResult = contentResults.get(note.id);
+      if (searchResult?.snippet) {
+        const snippet = document.createElement('div');
+        snippet.className = 'sidebar-note-snippet';
+        snippet.innerHTML = searchResult.snippet;
+        content.appendChild(snippet);
+      }
       
       // Show expiry info for trashed notes
-      if (this.sidebarView === 'trash' && note.trashedAt) {
+      if (noteView === 'trash' && note.trashedAt) {
         const expiryDate = new Date(note.trashedAt + (retentionDays * 24 * 60 * 60 * 1000));
         const daysLeft = Math.ceil((expiryDate - Date.now()) / (24 * 60 * 60 * 1000));
         if (daysLeft > 0) {
@@ -1116,15 +1261,18 @@ class App {
         <circle cx="12" cy="19" r="2"></circle>
       </svg>`;
       moreBtn.addEventListener('click', (e) => {
-        this.showNoteContextMenu(e, note.id, this.sidebarView);
+        this.showNoteContextMenu(e, note.id, noteView);
       });
       item.appendChild(moreBtn);
 
       // Click to open note (not for trashed notes)
-      if (this.sidebarView !== 'trash') {
+      if (noteView !== 'trash') {
         item.addEventListener('click', async (e) => {
           if (e.target.closest('.sidebar-note-more')) return;
           await this.openNoteWithModifier(note.id, e);
+          if (searchResult?.blockId) {
+            this.editor.revealBlock(searchResult.blockId);
+          }
         });
 
         // Double-click to open in new tab
@@ -1136,13 +1284,42 @@ class App {
 
       // Right-click context menu
       item.addEventListener('contextmenu', (e) => {
-        this.showNoteContextMenu(e, note.id, this.sidebarView);
+        this.showNoteContextMenu(e, note.id, noteView);
       });
 
       list.appendChild(item);
     });
   }
 
+  /**
+   * Search note content for the current query and re-render the list with the results
+   */
+  async runContentSearch() {
+    const query = this.searchQuery;
+    if (!query.trim()) {
+      this.contentResults = new Map();
+      this.contentResultsQuery = '';
+      return;
+    }
+
+    try {
+      // Only notes passing the query's note filters (tag:, is:, dates), so none are crowded out
+      const parsed = Search.parseSearchQuery(query);
+      const noteIds = new Set([...this.notes, ...this.archivedNotes, ...this.trashedNotes]
+        .filter((note) => Search.matchesNote(note, parsed))
+        .map((note) => note.id));
+      const results = await Search.search(parsed, noteIds);
+      // Ignore results for a query that has since changed
+      if (query !== this.searchQuery) return;
+
+      this.contentResults = new Map(results.map((result) => [result.noteId, result]));
+      this.contentResultsQuery = query;
+      this.renderNotesList();
+    } catch (error) {
+      console.error('Content search failed:', error);
+    }
+  }
+
   /**
    * Setup page selector (legacy - now using tabs)
    * Kept for backward compatibility but does nothing
@@ -1287,6 +1464,7 @@ class App {
    */
   async switchToTab(index) {
     if (index < 0 || index >= this.openTabs.length) return;
+    this.closeTasks();
 
     this.activeTabIndex = index;
     const tab = this.openTabs[index];
@@ -1303,6 +1481,7 @@ class App {
   async openNoteInNewTab(noteId) {
     const note = await Storage.getNote(noteId);
     if (!note) return;
+    this.closeTasks();
 
     // Check if already open
     const existingIndex = this.openTabs.findIndex(t => t.noteId === noteId);
@@ -1374,6 +1553,7 @@ class App {
       // Regular click opens in current tab
       const note = await Storage.getNote(noteId);
       if (!note) return;
+      this.closeTasks();
 
       this.openTabs[this.activeTabIndex] = { noteId: note.id, name: note.name || 'Untitled' };
       await this.editor.loadNote(noteId);
@@ -1452,6 +1632,55 @@ class App {
       e.target.value = '';
     });
 
+    // Import a folder or .zip of Markdown notes
+    document.getElementById('import-folder-btn').addEventListener('click', () => {
+      document.getElementById('folder-import-input').click();
+    });
+
+    document.getElementById('import-zip-btn').addEventListener('click', () => {
+      document.getElementById('zip-import-input').click();
+    });
+
+    ['folder-import-input', 'zip-import-input'].forEach((inputId) => {
+      document.getElementById(inputId).addEventListener('change', async (e) => {
+        const files = Array.from(e.target.files);
+        e.target.value = '';
+        if (files.length > 0) {
+          modal.classList.add('hidden');
+          await this.importVault(files);
+        }
+      });
+    });
+
+    // Restore wizard
+    const importWizardModal = document.getElementById('import-wizard-modal');
+    const closeImportWizard = () => {
+      importWizardModal.classList.add('hidden');
+      this.pendingImport = null;
+    };
+    importWizardModal.querySelector('.close-btn').addEventListener('click', closeImportWizard);
+    document.getElementById('import-wizard-cancel').addEventListener('click', closeImportWizard);
+    document.getElementById('import-wizard-confirm').addEventListener('click', () => this.confirmImportWizard());
+    document.getElementById('import-wizard-select-all').addEventListener('change', (e) => {
+      document.querySelectorAll('#import-wizard-list .import-wizard-check').forEach((check) => {
+        check.checked = e.target.checked;
+      });
+      this.updateImportWizardSelection();
+    });
+    document.getElementById('import-wizard-list').addEventListener('change', (e) => {
+      if (e.target.classList.contains('import-wizard-check')) {
+        this.updateImportWizardSelection();
+      }
+    });
+    document.getElementById('import-wizard-settings').addEventListener('change', () => {
+      this.updateImportWizardSelection();
+    });
+
+    const importReportModal = document.getElementById('import-report-modal');
+    importReportModal.querySelector('.close-btn').addEventListener('click', () => {
+      importReportModal.classList.add('hidden');
+    });
+
     // Delete note
     document.getElementById('delete-page-btn').addEventListener('click', async () => {
       await this.deleteCurrentNote();
@@ -1464,6 +1693,608 @@ class App {
         await Storage.setSetting('trashRetention', parseInt(e.target.value));
       });
     }
+
+    // Include API keys in backups
+    document.getElementById('backup-include-api-keys').addEventListener('change', async (e) => {
+      await Storage.setSetting('backupIncludeApiKeys', e.target.checked);
+    });
+
+    // Table formulas in exports
+    document.getElementById('export-formula-values').addEventListener('change', async (e) => {
+      await Storage.setSetting('exportFormulaValues', e.target.checked);
+    });
+
+    // Storage usage
+    document.getElementById('storage-refresh-btn').addEventListener('click', () => this.updateStorageUsage());
+    document.getElementById('storage-cleanup-btn').addEventListener('click', () => this.cleanUpMedia());
+  }
+
+  /**
+   * Setup version history panel
+   */
+  setupHistory() {
+    const modal = document.getElementById('history-modal');
+
+    document.getElementById('history-btn').addEventListener('click', () => this.openHistory());
+
+    modal.querySelector('.close-btn').addEventListener('click', () => {
+      modal.classList.add('hidden');
+      this.selectedSnapshot = null;
+    });
+
+    document.getElementById('history-snapshot-btn').addEventListener('click', async () => {
+      try {
+        const snapshot = await Snapshots.createSnapshot(this.editor.noteId, this.editor.noteData?.name, this.editor.blocks, 'manual');
+        await this.loadHistoryList(snapshot.id);
+        Utils.showToast('Snapshot saved', 'success');
+      } catch (error) {
+        console.error('Snapshot failed:', error);
+        Utils.showToast('Could not save snapshot', 'error');
+      }
+    });
+
+    document.getElementById('history-list').addEventListener('click', (e) => {
+      const item = e.target.closest('.history-item');
+      if (item) {
+        this.selectSnapshot(item.dataset.snapshotId);
+      }
+    });
+
+    document.getElementById('history-changes-only').addEventListener('change', () => {
+      this.renderSnapshotDiff();
+    });
+
+    document.getElementById('history-restore-btn').addEventListener('click', async () => {
+      if (!this.selectedSnapshot) return;
+      if (!confirm('Restore this version? The current note will be saved to history first.')) return;
+
+      try {
+        await this.editor.restoreSnapshot(this.selectedSnapshot);
+        modal.classList.add('hidden');
+        this.selectedSnapshot = null;
+        Utils.showToast('Version restored', 'success');
+      } catch (error) {
+        console.error('Restore version failed:', error);
+        Utils.showToast('Restore failed', 'error');
+      }
+    });
+
+    document.getElementById('history-diff').addEventListener('click', (e) => {
+      const btn = e.target.closest('.history-restore-block');
+      if (!btn || !this.selectedSnapshot) return;
+
+      this.editor.restoreSnapshotBlock(this.selectedSnapshot, btn.dataset.blockId);
+      this.renderSnapshotDiff();
+      Utils.showToast('Block restored', 'success');
+    });
+  }
+
+  /**
+   * Setup the tasks view (to-dos from every note, as a list grouped by note or a board)
+   */
+  setupTasks() {
+    document.getElementById('tasks-btn').addEventListener('click', () => {
+      if (this.tasksOpen) {
+        this.closeTasks();
+      } else {
+        this.openTasks();
+      }
+    });
+    document.getElementById('tasks-close-btn').addEventListener('click', () => this.closeTasks());
+
+    document.querySelectorAll('.tasks-layout-btn').forEach((btn) => {
+      btn.addEventListener('click', async () => {
+        this.tasksLayout = btn.dataset.layout;
+        this.renderTasks();
+        await Storage.setSetting('tasksLayout', this.tasksLayout);
+      });
+    });
+
+    ['tasks-status-filter', 'tasks-note-filter', 'tasks-tag-filter', 'tasks-due-filter', 'tasks-show-archived'].forEach((id) => {
+      document.getElementById(id).addEventListener('change', () => this.renderTasks());
+    });
+
+    const groupSelect = document.getElementById('board-group-select');
+    groupSelect.addEventListener('change', async () => {
+      this.boardGroupBy = groupSelect.value;
+      this.renderTasks();
+      await Storage.setSetting('boardGroupBy', this.boardGroupBy);
+    });
+
+    // List: the box checks a to-do off in place, the text opens its note at the to-do
+    const list = document.getElementById('tasks-list');
+    list.addEventListener('click', (e) => {
+      const check = e.target.closest('.task-item-check');
+      const item = e.target.closest('.task-item');
+      const heading = e.target.closest('.tasks-note-heading');
+      if (check) {
+        this.toggleTaskDone(item.dataset.taskId);
+      } else if (item) {
+        this.openTask(item.dataset.taskId, e);
+      } else if (heading) {
+        this.openNoteWithModifier(heading.dataset.noteId, e);
+      }
+    });
+    list.addEventListener('keydown', (e) => {
+      const item = e.target.closest('.task-item');
+      if (item && e.target === item && e.key === 'Enter') this.openTask(item.dataset.taskId, e);
+    });
+
+    const columns = document.getElementById('board-columns');
+
+    // Board: click or Enter opens the card's note at the to-do
+    columns.addEventListener('click', (e) => {
+      const card = e.target.closest('.board-card');
+      if (card) this.openTask(card.dataset.taskId, e);
+    });
+    columns.addEventListener('keydown', (e) => {
+      const card = e.target.closest('.board-card');
+      if (card && e.key === 'Enter') this.openTask(card.dataset.taskId, e);
+    });
+
+    // Drag cards between columns
+    columns.addEventListener('dragstart', (e) => {
+      const card = e.target.closest('.board-card');
+      if (!card) return;
+      this.draggedTaskId = card.dataset.taskId;
+      card.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', card.dataset.taskId);
+    });
+    columns.addEventListener('dragend', () => {
+      this.draggedTaskId = null;
+      columns.querySelectorAll('.dragging, .drag-over').forEach((el) => el.classList.remove('dragging', 'drag-over'));
+    });
+    columns.addEventListener('dragover', (e) => {
+      const column = e.target.closest('.board-column');
+      if (!column || !this.draggedTaskId) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      columns.querySelectorAll('.board-column').forEach((el) => el.classList.toggle('drag-over', el === column));
+    });
+    columns.addEventListener('dragleave', (e) => {
+      const column = e.target.closest('.board-column');
+      if (column && !column.contains(e.relatedTarget)) column.classList.remove('drag-over');
+    });
+    columns.addEventListener('drop', (e) => {
+      const column = e.target.closest('.board-column');
+      if (!column || !this.draggedTaskId) return;
+      e.preventDefault();
+      const taskId = this.draggedTaskId;
+      this.draggedTaskId = null;
+      column.classList.remove('drag-over');
+      this.moveBoardTask(taskId, column.dataset.column);
+    });
+  }
+
+  /**
+   * Show the tasks view in place of the editor
+   */
+  async openTasks() {
+    // Write pending edits so the open note's to-dos show as they are on screen
+    if (this.editor.saveTimeout) {
+      clearTimeout(this.editor.saveTimeout);
+      this.editor.saveTimeout = null;
+      await this.editor.save();
+    }
+
+    this.tasksOpen = true;
+    document.querySelector('.main-content').classList.add('tasks-open');
+    document.getElementById('tasks-view').classList.remove('hidden');
+    document.getElementById('tasks-btn').setAttribute('aria-pressed', 'true');
+
+    this.tasksLayout = await Storage.getSetting('tasksLayout', 'list');
+    this.boardGroupBy = await Storage.getSetting('boardGroupBy', 'status');
+    document.getElementById('board-group-select').value = this.boardGroupBy;
+    try {
+      this.taskItems = await Tasks.getTasks();
+    } catch (error) {
+      console.error('Loading tasks failed:', error);
+      Utils.showToast('Could not load to-dos', 'error');
+      this.taskItems = [];
+    }
+    this.renderTasks();
+  }
+
+  /**
+   * Hide the tasks view and show the editor again
+   */
+  closeTasks() {
+    if (!this.tasksOpen) return;
+    this.tasksOpen = false;
+    this.taskItems = [];
+    document.querySelector('.main-content').classList.remove('tasks-open');
+    document.getElementById('tasks-view').classList.add('hidden');
+    document.getElementById('tasks-btn').setAttribute('aria-pressed', 'false');
+  }
+
+  /**
+   * Render the filtered to-dos as a list or a board
+   */
+  renderTasks() {
+    const isBoard = this.tasksLayout === 'board';
+    document.querySelectorAll('.tasks-layout-btn').forEach((btn) => {
+      btn.setAttribute('aria-pressed', String(btn.dataset.layout === this.tasksLayout));
+    });
+    document.getElementById('board-group-option').classList.toggle('hidden', !isBoard);
+    document.getElementById('tasks-list').classList.toggle('hidden', isBoard);
+    document.getElementById('board-columns').classList.toggle('hidden', !isBoard);
+
+    const archived = document.getElementById('tasks-show-archived').checked;
+    this.updateTaskFilterOptions(this.taskItems.filter((task) => archived || !task.archived));
+    const tasks = Tasks.filterTasks(this.taskItems, {
+      status: document.getElementById('tasks-status-filter').value,
+      noteId: document.getElementById('tasks-note-filter').value,
+      tag: document.getElementById('tasks-tag-filter').value,
+      due: document.getElementById('tasks-due-filter').value,
+      archived,
+    });
+
+    const container = document.getElementById(isBoard ? 'board-columns' : 'tasks-list');
+    container.replaceChildren();
+    if (tasks.length === 0) {
+      const empty = document.createElement('p');
+      empty.className = 'tasks-empty';
+      empty.textContent = this.taskItems.length === 0
+        ? 'No to-dos yet. Type [] at the start of a line in any note to add one.'
+        : 'No to-dos match these filters.';
+      container.appendChild(empty);
+      return;
+    }
+
+    if (isBoard) {
+      this.renderBoard(container, tasks);
+    } else {
+      this.renderTaskList(container, tasks);
+    }
+  }
+
+  /**
+   * Note and tag filter choices for the to-dos shown, keeping the current selection
+   */
+  updateTaskFilterOptions(tasks) {
+    const fill = (select, options) => {
+      const value = select.value;
+      select.replaceChildren(...options.map(([optionValue, label]) => new Option(label, optionValue)));
+      select.value = options.some(([optionValue]) => optionValue === value) ? value : '';
+    };
+
+    const notes = Tasks.groupByNote(tasks).map((group) => [group.noteId, group.noteName]);
+    fill(document.getElementById('tasks-note-filter'), [['', 'All notes'], ...notes]);
+
+    const tags = [...new Set(tasks.flatMap((task) => task.tags))].sort().map((tag) => [tag, `#${tag}`]);
+    fill(document.getElementById('tasks-tag-filter'), [['', 'All tags'], [Tasks.noTagFilter, 'No tag'], ...tags]);
+  }
+
+  /**
+   * List layout: to-dos grouped under their note
+   */
+  renderTaskList(container, tasks) {
+    Tasks.groupByNote(tasks).forEach((group) => {
+      const section = document.createElement('section');
+      section.className = 'tasks-note-group';
+
+      const heading = document.createElement('button');
+      heading.className = 'tasks-note-heading';
+      heading.dataset.noteId = group.noteId;
+      heading.title = 'Open note (Ctrl/Cmd+click for a new tab)';
+      heading.textContent = `📄 ${group.noteName}`;
+      const count = document.createElement('span');
+      count.className = 'tasks-note-count';
+      count.textContent = group.tasks.filter((task) => task.status !== 'done').length || '';
+      heading.appendChild(count);
+      section.appendChild(heading);
+
+      group.tasks.forEach((task) => section.appendChild(this.createTaskItem(task)));
+      container.appendChild(section);
+    });
+  }
+
+  /**
+   * List row for one to-do: a checkbox, its text, and status, due date and tags
+   */
+  createTaskItem(task) {
+    const item = document.createElement('div');
+    item.className = 'task-item';
+    item.classList.toggle('done', task.status === 'done');
+    item.classList.toggle('overdue', Tasks.isOverdue(task));
+    item.dataset.taskId = task.id;
+    item.tabIndex = 0;
+    item.title = 'Open in note (Ctrl/Cmd+click for a new tab)';
+
+    const check = document.createElement('button');
+    check.className = 'task-item-check';
+    check.setAttribute('aria-pressed', String(task.status === 'done'));
+    check.title = task.status === 'done' ? 'Mark as not done' : 'Mark as done';
+    check.innerHTML = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+      <polyline points="20 6 9 17 4 12"></polyline>
+    </svg>`;
+    item.appendChild(check);
+
+    const body = document.createElement('div');
+    body.className = 'task-item-body';
+    const text = document.createElement('div');
+    text.className = 'task-item-text';
+    text.textContent = task.text.trim() || 'Empty to-do';
+    body.appendChild(text);
+    const meta = this.createTaskMeta(task, { status: task.status === 'doing', tags: true });
+    if (meta.childElementCount > 0) body.appendChild(meta);
+    item.appendChild(body);
+    return item;
+  }
+
+  /**
+   * Small labels under a to-do (note, status, due date, tags)
+   */
+  createTaskMeta(task, show) {
+    const meta = document.createElement('div');
+    meta.className = 'task-meta';
+    const add = (className, text) => {
+      const label = document.createElement('span');
+      label.className = className;
+      label.textContent = text;
+      meta.appendChild(label);
+    };
+
+    if (show.note) add('task-meta-note', `📄 ${task.noteName}`);
+    if (show.status) add('task-meta-status', Tasks.statuses.find((item) => item.id === task.status).name);
+    if (task.due) {
+      add(`task-meta-due${Tasks.isOverdue(task) ? ' overdue' : ''}`, `📅 ${Tasks.formatDue(task.due)}`);
+    }
+    if (show.tags) task.tags.forEach((tag) => add('task-meta-tag', `#${tag}`));
+    return meta;
+  }
+
+  /**
+   * Board layout: columns by status or tag
+   */
+  renderBoard(container, tasks) {
+    Tasks.groupTasks(tasks, this.boardGroupBy).forEach((column) => {
+      const columnEl = document.createElement('div');
+      columnEl.className = 'board-column';
+      columnEl.dataset.column = column.id;
+
+      const header = document.createElement('div');
+      header.className = 'board-column-header';
+      const title = document.createElement('span');
+      title.textContent = column.name;
+      const count = document.createElement('span');
+      count.className = 'board-column-count';
+      count.textContent = column.tasks.length;
+      header.append(title, count);
+      columnEl.appendChild(header);
+
+      const cards = document.createElement('div');
+      cards.className = 'board-column-cards';
+      column.tasks.forEach((task) => cards.appendChild(this.createBoardCard(task)));
+      if (column.tasks.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'board-column-empty';
+        empty.textContent = 'Drop to-dos here';
+        cards.appendChild(empty);
+      }
+      columnEl.appendChild(cards);
+      container.appendChild(columnEl);
+    });
+  }
+
+  /**
+   * Card for one to-do: its text, source note and tags (or status when grouped by tag)
+   */
+  createBoardCard(task) {
+    const card = document.createElement('div');
+    card.className = `board-card board-card-${task.status}`;
+    card.dataset.taskId = task.id;
+    card.draggable = true;
+    card.tabIndex = 0;
+    card.title = 'Open in note (Ctrl/Cmd+click for a new tab)';
+
+    const text = document.createElement('div');
+    text.className = 'board-card-text';
+    text.textContent = task.text.trim() || 'Empty to-do';
+    card.appendChild(text);
+
+    const byTag = this.boardGroupBy === 'tag';
+    card.appendChild(this.createTaskMeta(task, { note: true, status: byTag, tags: !byTag }));
+    return card;
+  }
+
+  /**
+   * Move a card to another column, updating its to-do block
+   */
+  async moveBoardTask(taskId, toColumn) {
+    const task = this.taskItems.find((item) => item.id === taskId);
+    if (!task) return;
+
+    const fromColumn = this.boardGroupBy === 'tag' ? task.tags[0] || Tasks.untagged : task.status;
+    if (fromColumn === toColumn) return;
+
+    await this.updateTaskItem(task, Tasks.getMoveChanges(task, this.boardGroupBy, fromColumn, toColumn), 'Move to-do');
+  }
+
+  /**
+   * Check a to-do off (or back on) from the list
+   */
+  async toggleTaskDone(taskId) {
+    const task = this.taskItems.find((item) => item.id === taskId);
+    if (!task) return;
+
+    await this.updateTaskItem(task, { checked: task.status !== 'done', status: null }, 'Toggle to-do');
+  }
+
+  /**
+   * Save a change to a to-do block and show it in the tasks view
+   */
+  async updateTaskItem(task, changes, label) {
+    try {
+      const index = this.taskItems.indexOf(task);
+      // The open note's blocks belong to the editor, which saves them (and can undo the change)
+      if (task.noteId === this.editor.noteId && this.editor.applyBlockChanges(task.id, changes, label)) {
+        this.taskItems[index] = Tasks.toTask({ ...task.element, ...changes }, { name: task.noteName, archived: task.archived });
+      } else {
+        this.taskItems[index] = await Tasks.updateTask(task, changes);
+        await this.refreshNotesList();
+      }
+      this.renderTasks();
+    } catch (error) {
+      console.error('Updating to-do failed:', error);
+      Utils.showToast('Failed to update to-do', 'error');
+    }
+  }
+
+  /**
+   * Open a to-do's note and scroll to the to-do
+   */
+  async openTask(taskId, event) {
+    const task = this.taskItems.find((item) => item.id === taskId);
+    if (!task) return;
+
+    await this.openNoteWithModifier(task.noteId, event);
+    this.editor.revealBlock(task.id);
+  }
+
+  /**
+   * Open the version history panel for the current note
+   */
+  async openHistory() {
+    if (!this.editor.noteId) return;
+
+    // Flush pending edits so the diff compares against what's on screen
+    if (this.editor.saveTimeout) {
+      clearTimeout(this.editor.saveTimeout);
+      await this.editor.save();
+    }
+
+    document.getElementById('history-modal').classList.remove('hidden');
+    await this.loadHistoryList();
+  }
+
+  /**
+   * Load and render the snapshot list, selecting one (newest by default)
+   */
+  async loadHistoryList(selectId = null) {
+    const list = document.getElementById('history-list');
+    this.historySnapshots = await Storage.getSnapshotsByNote(this.editor.noteId);
+    list.innerHTML = '';
+
+    if (this.historySnapshots.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'history-empty';
+      empty.textContent = 'No snapshots yet. Snapshots are saved automatically as you edit.';
+      list.appendChild(empty);
+      this.selectedSnapshot = null;
+      this.renderSnapshotDiff();
+      return;
+    }
+
+    const reasonLabels = { auto: 'Auto', manual: 'Manual', restore: 'Before restore' };
+    this.historySnapshots.forEach((snapshot) => {
+      const item = document.createElement('button');
+      item.className = 'history-item';
+      item.dataset.snapshotId = snapshot.id;
+
+      const time = document.createElement('div');
+      time.className = 'history-item-time';
+      time.textContent = Utils.formatTimestamp(snapshot.createdAt);
+
+      const meta = document.createElement('div');
+      meta.className = 'history-item-meta';
+      meta.textContent = `${reasonLabels[snapshot.reason] || snapshot.reason} · ${snapshot.blockCount} block${snapshot.blockCount !== 1 ? 's' : ''}`;
+
+      item.appendChild(time);
+      item.appendChild(meta);
+      list.appendChild(item);
+    });
+
+    this.selectSnapshot(selectId || this.historySnapshots[0].id);
+  }
+
+  /**
+   * Select a snapshot and show its diff against the current note
+   */
+  selectSnapshot(snapshotId) {
+    this.selectedSnapshot = this.historySnapshots.find((snapshot) => snapshot.id === snapshotId) || null;
+    document.querySelectorAll('#history-list .history-item').forEach((item) => {
+      item.classList.toggle('active', item.dataset.snapshotId === snapshotId);
+    });
+    this.renderSnapshotDiff();
+  }
+
+  /**
+   * Render the block-level diff between the selected snapshot and the current note
+   */
+  renderSnapshotDiff() {
+    const diffEl = document.getElementById('history-diff');
+    const titleEl = document.getElementById('history-title');
+    const restoreBtn = document.getElementById('history-restore-btn');
+    diffEl.innerHTML = '';
+
+    const snapshot = this.selectedSnapshot;
+    restoreBtn.disabled = !snapshot;
+    if (!snapshot) {
+      titleEl.textContent = '';
+      return;
+    }
+
+    const current = Snapshots.captureBlocks(this.editor.blocks);
+    const entries = Snapshots.diffBlocks(snapshot.blocks, current);
+    const changesOnly = document.getElementById('history-changes-only').checked;
+    const changeCount = entries.filter((entry) => entry.status !== 'unchanged').length;
+
+    titleEl.textContent = `${Utils.formatTimestamp(snapshot.createdAt)} · ${changeCount} change${changeCount !== 1 ? 's' : ''} since`;
+
+    if (snapshot.name && snapshot.name !== this.editor.noteData?.name) {
+      const titleChange = document.createElement('div');
+      titleChange.className = 'history-diff-title';
+      titleChange.textContent = `Title: "${snapshot.name}" → "${this.editor.noteData?.name || 'Untitled'}"`;
+      diffEl.appendChild(titleChange);
+    }
+
+    if (changeCount === 0) {
+      const same = document.createElement('div');
+      same.className = 'history-empty';
+      same.textContent = 'This version matches the current note.';
+      diffEl.appendChild(same);
+      if (changesOnly) return;
+    }
+
+    const statusLabels = { added: 'Added', removed: 'Removed', changed: 'Changed', unchanged: '' };
+    entries.forEach((entry) => {
+      if (changesOnly && entry.status === 'unchanged') return;
+
+      const row = document.createElement('div');
+      row.className = `history-diff-row diff-${entry.status}`;
+
+      const label = document.createElement('span');
+      label.className = 'history-diff-label';
+      label.textContent = statusLabels[entry.status];
+      row.appendChild(label);
+
+      const text = document.createElement('div');
+      text.className = 'history-diff-text';
+      if (entry.status === 'changed') {
+        const before = document.createElement('del');
+        before.textContent = Snapshots.blockText(entry.before) || '(empty)';
+        const after = document.createElement('ins');
+        after.textContent = Snapshots.blockText(entry.after) || '(empty)';
+        text.appendChild(before);
+        text.appendChild(after);
+      } else {
+        text.textContent = Snapshots.blockText(entry.after || entry.before) || '(empty)';
+      }
+      row.appendChild(text);
+
+      // Blocks that differ from the snapshot can be restored one at a time
+      if (entry.status === 'changed' || entry.status === 'removed') {
+        const restore = document.createElement('button');
+        restore.className = 'history-restore-block secondary-btn';
+        restore.dataset.blockId = entry.before.id;
+        restore.textContent = 'Restore';
+        row.appendChild(restore);
+      }
+
+      diffEl.appendChild(row);
+    });
   }
 
   /**
@@ -1547,8 +2378,15 @@ class App {
       trashRetentionSelect.value = trashRetention.toString();
     }
 
+    // Backups
+    document.getElementById('backup-include-api-keys').checked = await Storage.getSetting('backupIncludeApiKeys', false);
+    document.getElementById('export-formula-values').checked = await Storage.getSetting('exportFormulaValues', false);
+
     // Notes list
     await this.updateNotesList();
+
+    // Storage usage reads every store, so it fills in after the rest of the panel
+    this.updateStorageUsage();
   }
 
   /**
@@ -1582,6 +2420,184 @@ class App {
     });
   }
 
+  /**
+   * Render the storage usage panel in settings
+   */
+  async updateStorageUsage() {
+    const container = document.getElementById('storage-usage');
+    container.textContent = 'Calculating...';
+
+    try {
+      const usage = await Storage.getStorageUsage();
+      const noteNames = new Map(usage.notes.map((note) => [note.noteId, note.name || 'Untitled']));
+      container.innerHTML = '';
+
+      if (usage.estimate && usage.estimate.quota) {
+        const summary = document.createElement('div');
+        summary.className = 'storage-summary';
+        summary.textContent = `${Utils.formatFileSize(usage.estimate.usage)} used of ${Utils.formatFileSize(usage.estimate.quota)} available`;
+        container.appendChild(summary);
+
+        const bar = document.createElement('div');
+        bar.className = 'storage-bar';
+        const fill = document.createElement('div');
+        fill.className = 'storage-bar-fill';
+        fill.style.width = `${Math.min(100, (usage.estimate.usage / usage.estimate.quota) * 100)}%`;
+        bar.appendChild(fill);
+        container.appendChild(bar);
+      }
+
+      const rows = [
+        ['Notes', usage.stores.notes],
+        ['Blocks', usage.stores.blocks],
+        ['Images & files', usage.stores.media],
+        ['Version history', usage.stores.history],
+        ['Search index', usage.stores.searchIndex],
+      ];
+      if (usage.settingsBytes !== null) {
+        rows.push(['Settings & chat', { bytes: usage.settingsBytes }]);
+      }
+      if (usage.unusedMedia.count > 0) {
+        rows.push([`Unused media (${usage.unusedMedia.count})`, { bytes: usage.unusedMedia.bytes }]);
+      }
+      container.appendChild(this.createStorageList(rows.map(([label, store]) => ({
+        label,
+        detail: store.count !== undefined ? `${store.count}` : '',
+        bytes: store.bytes,
+      }))));
+
+      const largestNotes = usage.notes.filter((note) => note.total > 0).slice(0, 5);
+      if (largestNotes.length > 0) {
+        container.appendChild(this.createStorageHeading('Largest notes'));
+        container.appendChild(this.createStorageList(largestNotes.map((note) => ({
+          label: note.exists ? note.name || 'Untitled' : 'Deleted note',
+          detail: [
+            note.media ? `media ${Utils.formatFileSize(note.media)}` : '',
+            note.history ? `history ${Utils.formatFileSize(note.history)}` : '',
+          ].filter(Boolean).join(' · '),
+          bytes: note.total,
+          noteId: note.exists ? note.noteId : null,
+        }))));
+      }
+
+      const largestAttachments = usage.attachments.slice(0, 5);
+      if (largestAttachments.length > 0) {
+        container.appendChild(this.createStorageHeading('Largest attachments'));
+        container.appendChild(this.createStorageList(largestAttachments.map((attachment) => ({
+          label: attachment.name,
+          detail: attachment.referenced ? noteNames.get(attachment.noteId) || 'Deleted note' : 'Unused',
+          bytes: attachment.size,
+          noteId: attachment.referenced && noteNames.has(attachment.noteId) ? attachment.noteId : null,
+          blockId: attachment.blockId,
+        }))));
+      }
+    } catch (error) {
+      console.error('Storage usage failed:', error);
+      container.textContent = 'Could not calculate storage usage';
+    }
+  }
+
+  /**
+   * Create a heading for a storage usage list
+   */
+  createStorageHeading(text) {
+    const heading = document.createElement('div');
+    heading.className = 'storage-heading';
+    heading.textContent = text;
+    return heading;
+  }
+
+  /**
+   * Create a storage usage list; items with a noteId open that note (and block) when clicked
+   */
+  createStorageList(items) {
+    const list = document.createElement('div');
+    list.className = 'storage-list';
+
+    items.forEach((item) => {
+      const row = document.createElement('div');
+      row.className = 'storage-item';
+
+      const label = document.createElement('span');
+      label.className = 'storage-item-label';
+      label.textContent = item.label;
+      if (item.detail) {
+        const detail = document.createElement('span');
+        detail.className = 'storage-item-detail';
+        detail.textContent = item.detail;
+        label.appendChild(detail);
+      }
+      row.appendChild(label);
+
+      const size = document.createElement('span');
+      size.className = 'storage-item-size';
+      size.textContent = Utils.formatFileSize(item.bytes);
+      row.appendChild(size);
+
+      const trashed = item.noteId && this.trashedNotes.some((note) => note.id === item.noteId);
+      if (item.noteId && !trashed) {
+        row.classList.add('clickable');
+        row.addEventListener('click', async (e) => {
+          document.getElementById('settings-modal').classList.add('hidden');
+          await this.openNoteWithModifier(item.noteId, e);
+          if (item.blockId) {
+            this.editor.revealBlock(item.blockId);
+          }
+        });
+      }
+
+      list.appendChild(row);
+    });
+
+    return list;
+  }
+
+  /**
+   * Remove media that no block, snapshot or undo step uses
+   */
+  async cleanUpMedia() {
+    // Only this tab's undo history is known here; other tabs can't bring removed media back
+    if (!confirm('Remove images and files that no note uses any more? Other open New Tab Note tabs will no longer be able to undo back to blocks that used them.')) {
+      return;
+    }
+
+    try {
+      // Write pending edits so media just added to the note counts as used
+      if (this.editor.saveTimeout) {
+        clearTimeout(this.editor.saveTimeout);
+        this.editor.saveTimeout = null;
+        await this.editor.save();
+      }
+
+      const result = await Storage.collectMediaGarbage({
+        keepIds: this.editor.getMediaIds(),
+        gracePeriod: 0,
+      });
+      await Storage.setSetting('lastMediaCleanup', Date.now());
+
+      if (result.count > 0) {
+        Utils.showToast(`Removed ${result.count} unused file${result.count === 1 ? '' : 's'} (${Utils.formatFileSize(result.bytes)})`, 'success');
+      } else {
+        Utils.showToast('No unused media found', 'success');
+      }
+      await this.updateStorageUsage();
+    } catch (error) {
+      console.error('Media cleanup failed:', error);
+      Utils.showToast('Failed to remove unused media', 'error');
+    }
+  }
+
+  /**
+   * Remove unused media at most once a day (recent uploads are kept by the grace period)
+   */
+  async runScheduledMediaCleanup() {
+    const lastRun = await Storage.getSetting('lastMediaCleanup', 0);
+    if (Date.now() - lastRun < 24 * 60 * 60 * 1000) return;
+
+    await Storage.setSetting('lastMediaCleanup', Date.now());
+    await Storage.collectMediaGarbage({ keepIds: this.editor.getMediaIds() });
+  }
+
   /**
    * Setup AI chat sidebar functionality
    */
@@ -2580,6 +3596,7 @@ Be concise but helpful. If the user asks to generate a title, respond with ONLY
       };
       
       await Storage.saveElement(block);
+      await Search.indexStoredNote(this.editor.noteId);
       
       // Reload the note to show the new block
       await this.editor.loadNote(this.editor.noteId);
@@ -2611,6 +3628,7 @@ Be concise but helpful. If the user asks to generate a title, respond with ONLY
       };
       
       await Storage.saveElement(block);
+      await Search.indexStoredNote(note.id);
       
       // Refresh and open the new note
       await this.refreshNotesList();
@@ -3033,20 +4051,11 @@ Be concise but helpful. If the user asks to generate a title, respond with ONLY
    * Get text content from current note blocks
    */
   getNoteContent() {
-    const blocks = document.querySelectorAll('#blocks-container .block');
-    const contentParts = [];
-
-    blocks.forEach((block) => {
-      const content = block.querySelector('.block-content');
-      if (content) {
-        const text = content.textContent.trim();
-        if (text) {
-          contentParts.push(text);
-        }
-      }
-    });
-
-    return contentParts.join('\n\n');
+    // Read from the blocks rather than the DOM, which only holds the rendered part of long notes
+    return this.editor.blocks
+      .map((block) => this.editor.extractBlockTextContent(block).trim())
+      .filter(Boolean)
+      .join('\n\n');
   }
 
   /**
@@ -3197,6 +4206,7 @@ Be concise but helpful. If the user asks to generate a title, respond with ONLY
     await this.closeTabForNote(currentId);
     await this.refreshNotesList();
     await this.handleNoteRemoved(currentId);
+    this.syncReminders();
 
     // Close settings modal
     document.getElementById('settings-modal').classList.add('hidden');
@@ -3209,7 +4219,8 @@ Be concise but helpful. If the user asks to generate a title, respond with ONLY
    */
   async exportAll() {
     try {
-      const data = await Storage.exportAll();
+      const includeApiKeys = await Storage.getSetting('backupIncludeApiKeys', false);
+      const data = await Storage.exportAll({ includeApiKeys });
       const json = JSON.stringify(data, null, 2);
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       Utils.downloadFile(json, `new-tab-note-export-${timestamp}.json`);
@@ -3220,6 +4231,20 @@ Be concise but helpful. If the user asks to generate a title, respond with ONLY
     }
   }
 
+  /**
+   * Copy of a block with its uploaded image or file embedded as a data URL, so exports stand on their own
+   */
+  async withInlineMedia(block) {
+    if (!block.mediaId || (block.type === 'image' && block.imageUrl)) return block;
+
+    const media = await Storage.getMedia(block.mediaId);
+    if (!media) return block;
+    const dataUrl = await Utils.readFileAsDataURL(media.blob);
+    return block.type === 'file'
+      ? { ...block, fileData: dataUrl, mediaId: null }
+      : { ...block, imageUrl: dataUrl, mediaId: null };
+  }
+
   /**
    * Export current note only
    */
@@ -3231,7 +4256,8 @@ Be concise but helpful. If the user asks to generate a title, respond with ONLY
       }
 
       const note = await Storage.getNote(this.editor.noteId);
-      const blocks = await Storage.getElementsByNote(this.editor.noteId);
+      const elements = await Storage.getElementsByNote(this.editor.noteId);
+      const blocks = await Promise.all(elements.map((block) => this.withInlineMedia(block)));
 
       const data = {
         version: 1,
@@ -3257,12 +4283,13 @@ Be concise but helpful. If the user asks to generate a title, respond with ONLY
    */
   async createBackup() {
     try {
-      const data = await Storage.exportAll();
+      const includeApiKeys = await Storage.getSetting('backupIncludeApiKeys', false);
+      const data = await Storage.exportAll({ includeApiKeys });
 
       // Add backup metadata
       data.backupType = 'full-backup';
       data.backupCreatedAt = new Date().toISOString();
-      data.backupVersion = 1;
+      data.backupVersion = data.version;
 
       const json = JSON.stringify(data, null, 2);
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -3275,7 +4302,7 @@ Be concise but helpful. If the user asks to generate a title, respond with ONLY
   }
 
   /**
-   * Import from file
+   * Import from file - opens the restore wizard
    */
   async importFromFile(file) {
     try {
@@ -3286,18 +4313,151 @@ Be concise but helpful. If the user asks to generate a title, respond with ONLY
         throw new Error('Invalid backup file');
       }
 
-      const merge = confirm(
-        'Merge with existing data?\n\nOK = Merge\nCancel = Replace all'
-      );
+      const preview = await Storage.getImportPreview(data);
+      this.showImportWizard(data, preview);
+    } catch (error) {
+      console.error('Import failed:', error);
+      Utils.showToast('Import failed: ' + error.message, 'error');
+    }
+  }
 
-      await Storage.importData(data, merge);
+  /**
+   * Show the restore wizard with the backup's notes and any conflicts
+   */
+  showImportWizard(data, preview) {
+    const modal = document.getElementById('import-wizard-modal');
+    const list = document.getElementById('import-wizard-list');
+    const summary = document.getElementById('import-wizard-summary');
+    const settingsOption = document.getElementById('import-wizard-settings-option');
 
-      Utils.showToast('Import complete', 'success');
+    this.pendingImport = { data, preview };
+    list.innerHTML = '';
 
-      // Reload
-      const notes = await Storage.getAllNotes();
-      await this.editor.loadNote(notes[0].id);
+    const statusLabels = {
+      new: 'New',
+      unchanged: 'Already up to date',
+      'backup-newer': 'Backup is newer',
+      'local-newer': 'Local is newer',
+    };
+
+    preview.forEach(({ note, status, blockCount }) => {
+      const row = document.createElement('div');
+      row.className = 'import-wizard-row';
+      row.dataset.noteId = note.id;
+
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'import-wizard-check';
+      // Notes identical to the local copy have nothing to restore
+      checkbox.checked = status !== 'unchanged';
+      row.appendChild(checkbox);
+
+      const info = document.createElement('div');
+      info.className = 'import-wizard-info';
+      const name = document.createElement('div');
+      name.className = 'import-wizard-name';
+      name.textContent = note.name || 'Untitled';
+      const meta = document.createElement('div');
+      meta.className = 'import-wizard-meta';
+      const state = note.trashed ? 'In trash · ' : note.archived ? 'Archived · ' : '';
+      meta.textContent = `${state}${blockCount} block${blockCount !== 1 ? 's' : ''} · Updated ${Utils.formatDate(note.updatedAt)}`;
+      info.appendChild(name);
+      info.appendChild(meta);
+      row.appendChild(info);
+
+      const statusEl = document.createElement('span');
+      statusEl.className = `import-wizard-status status-${status}`;
+      statusEl.textContent = statusLabels[status];
+      row.appendChild(statusEl);
+
+      // Conflicts need a choice before anything is written
+      if (status !== 'new') {
+        const resolution = document.createElement('select');
+        resolution.className = 'import-wizard-resolution';
+        resolution.innerHTML = `
+          <option value="local">Keep local</option>
+          <option value="backup">Take backup</option>
+          <option value="both">Keep both</option>
+        `;
+        resolution.value = status === 'backup-newer' ? 'backup' : 'local';
+        row.appendChild(resolution);
+      }
+
+      list.appendChild(row);
+    });
+
+    const conflicts = preview.filter((item) => item.status !== 'new').length;
+    summary.textContent = `${preview.length} note${preview.length !== 1 ? 's' : ''} in backup` +
+      (conflicts > 0 ? ` · ${conflicts} already exist${conflicts === 1 ? 's' : ''} here` : '');
+
+    const hasSettings = !!(data.settings || data.chatHistory);
+    settingsOption.classList.toggle('hidden', !hasSettings);
+    document.getElementById('import-wizard-settings').checked = false;
+    this.updateImportWizardSelection();
+
+    document.getElementById('settings-modal').classList.add('hidden');
+    modal.classList.remove('hidden');
+  }
+
+  /**
+   * Sync the select-all checkbox and restore button with the selected rows
+   */
+  updateImportWizardSelection() {
+    const checks = Array.from(document.querySelectorAll('#import-wizard-list .import-wizard-check'));
+    const checkedCount = checks.filter((check) => check.checked).length;
+    const selectAll = document.getElementById('import-wizard-select-all');
+    selectAll.checked = checks.length > 0 && checkedCount === checks.length;
+    selectAll.indeterminate = checkedCount > 0 && checkedCount < checks.length;
+
+    const restoreSettings = document.getElementById('import-wizard-settings').checked;
+    document.getElementById('import-wizard-confirm').disabled = checkedCount === 0 && !restoreSettings;
+  }
+
+  /**
+   * Restore the notes selected in the wizard
+   */
+  async confirmImportWizard() {
+    if (!this.pendingImport) return;
+
+    const { data } = this.pendingImport;
+    const noteIds = [];
+    const resolutions = {};
+    document.querySelectorAll('#import-wizard-list .import-wizard-row').forEach((row) => {
+      if (!row.querySelector('.import-wizard-check').checked) return;
+      noteIds.push(row.dataset.noteId);
+      const resolution = row.querySelector('.import-wizard-resolution');
+      if (resolution) {
+        resolutions[row.dataset.noteId] = resolution.value;
+      }
+    });
+    const restoreSettings = document.getElementById('import-wizard-settings').checked;
+
+    document.getElementById('import-wizard-modal').classList.add('hidden');
+    this.pendingImport = null;
+
+    try {
+      const imported = await Storage.importData(data, { noteIds, resolutions, restoreSettings });
+      for (const note of imported) {
+        await Search.indexStoredNote(note.id);
+      }
+
+      // Restored settings may change the appearance
+      if (restoreSettings) {
+        await this.applyTheme();
+        await this.applyFont();
+        await this.applyWidth();
+      }
+
+      Utils.showToast(`Restored ${imported.length} note${imported.length !== 1 ? 's' : ''}`, 'success');
+      this.syncReminders();
+
+      // Reload the open note in case it was replaced
       await this.refreshNotesList();
+      if (this.editor.noteId && await Storage.getNote(this.editor.noteId)) {
+        await this.editor.loadNote(this.editor.noteId);
+      } else if (this.notes.length > 0) {
+        await this.editor.loadNote(this.notes[0].id);
+      }
     } catch (error) {
       console.error('Import failed:', error);
       Utils.showToast('Import failed: ' + error.message, 'error');
@@ -3333,8 +4493,11 @@ Be concise but helpful. If the user asks to generate a title, respond with ONLY
               createdAt: Date.now(),
               updatedAt: Date.now(),
             };
+            await Storage.moveInlineMedia(newBlock);
             await Storage.saveElement(newBlock);
           }
+          await Search.indexStoredNote(note.id);
+          this.syncReminders();
           
           await this.refreshNotesList();
           await this.openNoteInNewTab(note.id);
@@ -3346,21 +4509,33 @@ Be concise but helpful. If the user asks to generate a title, respond with ONLY
           throw new Error('Invalid JSON format');
         }
       } else {
-        // .md or .txt file - create note with content as text block
-        const note = await Storage.createNote(title);
-        
-        // Create a text block with the file content
-        const block = {
-          id: Utils.generateId(),
+        // .md files are parsed into typed blocks, .txt files become one paragraph per line
+        const blocksData = extension === 'txt'
+          ? text.split(/\r?\n/)
+            .filter((line) => line.trim())
+            .map((line) => ({ type: 'text', content: Utils.escapeHtml(line) }))
+          : Utils.markdownToBlocks(text);
+
+        // Exported notes start with the note title as a top-level heading
+        let noteTitle = title;
+        if (blocksData[0] && blocksData[0].type === 'h1' && !blocksData[0].depth) {
+          noteTitle = this.stripHtml(blocksData.shift().content).trim() || title;
+        }
+
+        const note = await Storage.createNote(noteTitle);
+        const elements = blocksData.map((data, index) => ({
+          ...new Block(data).serialize(),
           canvasId: note.id,
-          type: 'text',
-          content: text,
-          order: 0,
-          createdAt: Date.now(),
-          updatedAt: Date.now(),
-        };
-        
-        await Storage.saveElement(block);
+          order: index,
+        }));
+
+        // Images embedded as data URLs (e.g. from a markdown export) go to the media store
+        for (const el of elements) {
+          await Storage.moveInlineMedia(el);
+        }
+        await Storage.saveElements(elements);
+        await Search.indexStoredNote(note.id);
+        this.syncReminders();
         await this.refreshNotesList();
         await this.openNoteInNewTab(note.id);
         Utils.showToast('Note imported', 'success');
@@ -3371,6 +4546,89 @@ Be concise but helpful. If the user asks to generate a title, respond with ONLY
     }
   }
 
+  /**
+   * Import a folder, .zip archive, or several Markdown files as notes
+   */
+  async importVault(files) {
+    const modal = document.getElementById('import-report-modal');
+    const progress = modal.querySelector('.import-progress');
+    const progressFill = modal.querySelector('.import-progress-fill');
+    const progressText = modal.querySelector('.import-progress-text');
+    const reportBody = document.getElementById('import-report-body');
+
+    reportBody.innerHTML = '';
+    progress.classList.remove('hidden');
+    progressFill.style.width = '0%';
+    progressText.textContent = 'Reading files...';
+    modal.classList.remove('hidden');
+
+    try {
+      const report = await Importer.importFiles(files, ({ done, total, path }) => {
+        progressFill.style.width = `${total ? Math.round((done / total) * 100) : 100}%`;
+        progressText.textContent = path ? `Importing ${done + 1} of ${total}: ${path}` : `Imported ${done} of ${total}`;
+      });
+
+      progress.classList.add('hidden');
+      this.renderImportReport(report);
+      await Search.ensureIndex();
+      this.syncReminders();
+
+      await this.refreshNotesList();
+      if (report.imported.length > 0) {
+        await this.openNoteInNewTab(report.imported[0].noteId);
+      }
+    } catch (error) {
+      console.error('Vault import failed:', error);
+      modal.classList.add('hidden');
+      Utils.showToast('Import failed: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Render the summary of a folder/.zip import
+   */
+  renderImportReport(report) {
+    const reportBody = document.getElementById('import-report-body');
+    reportBody.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'import-report-summary';
+    const parts = [`Imported ${report.imported.length} note${report.imported.length !== 1 ? 's' : ''}`];
+    if (report.mediaCount > 0) parts.push(`${report.mediaCount} image${report.mediaCount !== 1 ? 's' : ''}`);
+    if (report.skipped.length > 0) parts.push(`${report.skipped.length} skipped`);
+    if (report.failed.length > 0) parts.push(`${report.failed.length} failed`);
+    summary.textContent = parts.join(' · ');
+    reportBody.appendChild(summary);
+
+    const sections = [
+      { title: 'Failed', items: report.failed.map((item) => [item.path, item.reason]) },
+      { title: 'Skipped', items: report.skipped.map((item) => [item.path, item.reason]) },
+      { title: 'Warnings', items: report.warnings.map((item) => [item.path, item.message]) },
+    ];
+
+    sections.forEach(({ title, items }) => {
+      if (items.length === 0) return;
+
+      const heading = document.createElement('h3');
+      heading.className = 'import-report-heading';
+      heading.textContent = `${title} (${items.length})`;
+      reportBody.appendChild(heading);
+
+      const list = document.createElement('ul');
+      list.className = 'import-report-list';
+      items.forEach(([path, message]) => {
+        const item = document.createElement('li');
+        const pathEl = document.createElement('span');
+        pathEl.className = 'import-report-path';
+        pathEl.textContent = path;
+        item.appendChild(pathEl);
+        item.appendChild(document.createTextNode(` — ${message}`));
+        list.appendChild(item);
+      });
+      reportBody.appendChild(list);
+    });
+  }
+
   /**
    * Show error state
    */
@@ -3639,6 +4897,9 @@ Be concise but helpful. If the user asks to generate a title, respond with ONLY
       case 'equation':
         return block.equation || '';
 
+      case 'diagram':
+        return block.diagram || '';
+
       default:
         return '';
     }
@@ -3651,6 +4912,7 @@ Be concise but helpful. If the user asks to generate a title, respond with ONLY
     if (!html) return '';
     const div = document.createElement('div');
     div.innerHTML = html;
+    Utils.expandInlineMath(div);
     return div.textContent || div.innerText || '';
   }
 
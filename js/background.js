@@ -114,3 +114,115 @@ async function handleApiRequest(request) {
     };
   }
 }
+
+// ============ To-do reminders ============
+// Pages send the upcoming reminders of a note's to-dos (or of all notes, noteId null)
+// whenever they change. They are kept in storage because alarms may not outlive a
+// browser restart, and shown as notifications when their alarm fires.
+
+const REMINDER_PREFIX = 'reminder:';
+let reminderQueue = Promise.resolve();
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  if (request.type !== 'SYNC_REMINDERS') return;
+
+  // One sync at a time so concurrent ones don't overwrite each other's changes
+  reminderQueue = reminderQueue
+    .then(() => syncReminders(request.noteId, request.reminders || []))
+    .then(() => sendResponse({ ok: true }))
+    .catch(error => {
+      console.error('Background: Reminder sync failed:', error);
+      sendResponse({ error: error.message });
+    });
+  return true;
+});
+
+async function getStoredReminders() {
+  const { reminders } = await chrome.storage.local.get('reminders');
+  return reminders || {};
+}
+
+async function syncReminders(noteId, reminders) {
+  const stored = await getStoredReminders();
+
+  for (const [id, reminder] of Object.entries(stored)) {
+    if (noteId === null || reminder.noteId === noteId) {
+      delete stored[id];
+      await chrome.alarms.clear(REMINDER_PREFIX + id);
+    }
+  }
+  for (const reminder of reminders) {
+    stored[reminder.id] = reminder;
+    await chrome.alarms.create(REMINDER_PREFIX + reminder.id, { when: reminder.at });
+  }
+
+  await chrome.storage.local.set({ reminders: stored });
+}
+
+async function showReminder(reminder) {
+  const options = reminder.due?.allDay
+    ? { dateStyle: 'medium' }
+    : { dateStyle: 'medium', timeStyle: 'short' };
+  const due = new Date(reminder.due?.at ?? reminder.at).toLocaleString(undefined, options);
+
+  await chrome.notifications.create(`${REMINDER_PREFIX}${reminder.noteId}/${reminder.id}`, {
+    type: 'basic',
+    iconUrl: 'icons/icon128.png',
+    title: reminder.text || 'To-do due',
+    message: `Due ${due} · ${reminder.noteName}`,
+    priority: 2
+  });
+}
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (!alarm.name.startsWith(REMINDER_PREFIX)) return;
+
+  const id = alarm.name.slice(REMINDER_PREFIX.length);
+  reminderQueue = reminderQueue
+    .then(async () => {
+      const stored = await getStoredReminders();
+      const reminder = stored[id];
+      if (!reminder) return;
+
+      delete stored[id];
+      await chrome.storage.local.set({ reminders: stored });
+      await showReminder(reminder);
+    })
+    .catch(error => console.error('Background: Reminder failed:', error));
+});
+
+// Open the to-do's note, scrolled to the to-do
+chrome.notifications.onClicked.addListener(async notificationId => {
+  if (!notificationId.startsWith(REMINDER_PREFIX)) return;
+
+  const [noteId, blockId] = notificationId.slice(REMINDER_PREFIX.length).split('/');
+  const url = chrome.runtime.getURL(`newtab.html?note=${encodeURIComponent(noteId)}&block=${encodeURIComponent(blockId)}`);
+  const tab = await chrome.tabs.create({ url });
+  await chrome.windows.update(tab.windowId, { focused: true });
+  chrome.notifications.clear(notificationId);
+});
+
+// Schedule stored reminders again; the ones missed while the browser was closed show now
+async function restoreReminders() {
+  const stored = await getStoredReminders();
+  const now = Date.now();
+
+  for (const [id, reminder] of Object.entries(stored)) {
+    if (reminder.at > now) {
+      await chrome.alarms.create(REMINDER_PREFIX + id, { when: reminder.at });
+    } else {
+      delete stored[id];
+      await showReminder(reminder);
+    }
+  }
+  await chrome.storage.local.set({ reminders: stored });
+}
+
+function queueRestoreReminders() {
+  reminderQueue = reminderQueue
+    .then(restoreReminders)
+    .catch(error => console.error('Background: Restoring reminders failed:', error));
+}
+
+chrome.runtime.onStartup.addListener(queueRestoreReminders);
+chrome.runtime.onInstalled.addListener(queueRestoreReminders);
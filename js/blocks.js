@@ -129,6 +129,13 @@ const BlockTypes = {
     placeholder: 'E = mc²',
     shortcut: null,
   },
+  diagram: {
+    name: 'Diagram',
+    description: 'Flowchart or sequence diagram (Mermaid)',
+    icon: '🔀',
+    placeholder: 'graph TD\n  A[Start] --> B[End]',
+    shortcut: null,
+  },
 };
 
 /**
@@ -140,8 +147,19 @@ class Block {
     this.type = options.type || 'text';
     this.content = options.content || '';
     this.checked = options.checked || false;
+    this.status = options.status || null; // 'doing' for an unchecked to-do that is in progress
+    this.due = options.due || null; // { at, allDay } when a to-do has a due date
     this.imageUrl = options.imageUrl || null;
+    this.mediaId = options.mediaId || null; // Uploaded image or file stored in the media store
     this.calloutIcon = options.calloutIcon || '💡';
+    // Image properties
+    this.caption = options.caption || '';
+    this.alt = options.alt || '';
+    this.imageWidth = options.imageWidth || null; // Resized width in px (null = natural size)
+    this.imageAlign = options.imageAlign || 'left'; // 'left', 'center' or 'full'
+    // Nesting properties (flat notes default to top-level blocks)
+    this.depth = options.depth || 0;
+    this.parentId = options.parentId || null;
     // Toggle properties
     this.collapsed = options.collapsed !== undefined ? options.collapsed : true;
     this.children = options.children || '';
@@ -149,6 +167,9 @@ class Block {
     this.rows = options.rows || 2;
     this.cols = options.cols || 2;
     this.tableData = options.tableData || null;
+    this.tableHeader = options.tableHeader !== undefined ? options.tableHeader : true; // First row holds column names
+    this.tableColumns = options.tableColumns || null; // Per-column { type, width }
+    this.tableView = options.tableView || null; // { sort, filters } applied on screen only
     // Bookmark properties
     this.url = options.url || '';
     this.title = options.title || '';
@@ -162,6 +183,10 @@ class Block {
     this.fileData = options.fileData || null;
     // Equation properties
     this.equation = options.equation || '';
+    // Code properties
+    this.language = options.language || '';
+    // Diagram properties (Mermaid source)
+    this.diagram = options.diagram || '';
     // Block metadata timestamps
     const now = Date.now();
     this.createdAt = options.createdAt || now;
@@ -210,6 +235,7 @@ class Block {
     block.dataset.id = this.id;
     block.dataset.type = this.type;
     block.draggable = true;
+    this.applyDepth(block);
 
     // Add drag handle
     const handle = document.createElement('div');
@@ -237,11 +263,8 @@ class Block {
         break;
 
       case 'image':
-        if (this.imageUrl) {
-          const img = document.createElement('img');
-          img.src = this.imageUrl;
-          img.alt = 'Image';
-          block.appendChild(img);
+        if (this.imageUrl || this.mediaId) {
+          block.appendChild(this.createImageFigure());
         } else {
           const placeholder = document.createElement('div');
           placeholder.className = 'image-placeholder';
@@ -310,6 +333,14 @@ class Block {
         this.createEquationElement(block);
         break;
 
+      case 'code':
+        this.createCodeElement(block);
+        break;
+
+      case 'diagram':
+        this.createDiagramElement(block);
+        break;
+
       case 'todo':
         const checkbox = document.createElement('div');
         checkbox.className = 'todo-checkbox';
@@ -319,6 +350,9 @@ class Block {
         block.appendChild(checkbox);
         if (this.checked) {
           block.classList.add('checked');
+        } else if (this.status === 'doing') {
+          block.classList.add('in-progress');
+          checkbox.title = 'In progress';
         }
         // Fall through to add content
 
@@ -339,6 +373,9 @@ class Block {
         content.dataset.placeholder = BlockTypes[this.type]?.placeholder || '';
         content.innerHTML = this.content;
         block.appendChild(content);
+        if (this.type === 'todo') {
+          block.appendChild(this.createDueChip());
+        }
     }
 
     // Add number for numbered lists
@@ -346,18 +383,56 @@ class Block {
       block.dataset.number = '1'; // Will be updated by editor
     }
 
+    // Typeset inline $…$ math in the text
+    TeX.renderAllInline(block);
+
     return block;
   }
 
   /**
-   * Create table element
+   * Due date button of a to-do (a calendar icon until a date is picked)
+   */
+  createDueChip() {
+    const chip = document.createElement('button');
+    chip.className = 'todo-due';
+    if (this.due?.at) {
+      chip.textContent = `📅 ${Tasks.formatDue(this.due)}`;
+      const date = new Date(this.due.at);
+      chip.title = `Due ${this.due.allDay ? date.toLocaleDateString() : date.toLocaleString()} - click to change`;
+      chip.classList.toggle('overdue', Tasks.isOverdue({ due: this.due, status: this.checked ? 'done' : 'todo' }));
+    } else {
+      chip.classList.add('empty');
+      chip.title = 'Add a due date';
+      chip.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <rect x="3" y="4" width="18" height="18" rx="2"></rect>
+        <line x1="16" y1="2" x2="16" y2="6"></line>
+        <line x1="8" y1="2" x2="8" y2="6"></line>
+        <line x1="3" y1="10" x2="21" y2="10"></line>
+      </svg>`;
+    }
+    return chip;
+  }
+
+  /**
+   * Apply nesting depth to a block element
+   */
+  applyDepth(block) {
+    if (this.depth > 0) {
+      block.dataset.depth = this.depth;
+      block.style.setProperty('--block-depth', this.depth);
+    } else {
+      delete block.dataset.depth;
+      block.style.removeProperty('--block-depth');
+    }
+  }
+
+  /**
+   * Create table element (view bar with sort and filters, typed columns, row/column and CSV controls)
    */
   createTableElement(block) {
     const tableWrapper = document.createElement('div');
     tableWrapper.className = 'table-wrapper';
 
-    const table = document.createElement('table');
-
     // Initialize table data if not present
     if (!this.tableData) {
       this.tableData = [];
@@ -370,21 +445,14 @@ class Block {
       }
     }
 
-    // Create table rows
-    this.tableData.forEach((rowData, rowIndex) => {
-      const tr = document.createElement('tr');
-      rowData.forEach((cellData, colIndex) => {
-        const cell = rowIndex === 0 ? document.createElement('th') : document.createElement('td');
-        cell.contentEditable = true;
-        cell.textContent = cellData;
-        cell.dataset.row = rowIndex;
-        cell.dataset.col = colIndex;
-        tr.appendChild(cell);
-      });
-      table.appendChild(tr);
-    });
+    const viewBar = document.createElement('div');
+    viewBar.className = 'table-view-bar';
+    this.renderTableViewBar(viewBar);
+    tableWrapper.appendChild(viewBar);
 
+    const table = document.createElement('table');
     tableWrapper.appendChild(table);
+    this.renderTable(table);
 
     // Add table controls
     const controls = document.createElement('div');
@@ -394,12 +462,294 @@ class Block {
       <button class="add-col-btn">+ Column</button>
       <button class="remove-row-btn">- Row</button>
       <button class="remove-col-btn">- Column</button>
+      <button class="table-header-btn" aria-pressed="${this.tableHeader !== false}">Header row</button>
+      <button class="table-import-btn" title="Replace the table with a .csv or .tsv file">Import CSV</button>
+      <button class="table-export-btn" title="Download the table as a .csv file">Export CSV</button>
     `;
     tableWrapper.appendChild(controls);
 
     block.appendChild(tableWrapper);
   }
 
+  /**
+   * Build the table: column widths, the column bar (type, sort, resize), the header row
+   * and the data rows that pass the filters, in sorted order
+   */
+  renderTable(table) {
+    const columns = Tables.getColumns(this);
+    const view = Tables.getView(this);
+    const hasHeader = this.tableHeader !== false;
+    table.replaceChildren();
+
+    const colgroup = document.createElement('colgroup');
+    columns.forEach((column) => {
+      const col = document.createElement('col');
+      if (column.width) col.style.width = `${column.width}px`;
+      colgroup.appendChild(col);
+    });
+    table.appendChild(colgroup);
+    table.classList.toggle('sized', columns.some((column) => column.width));
+
+    const columnRow = document.createElement('tr');
+    columnRow.className = 'table-column-row';
+    columns.forEach((column, colIndex) => {
+      columnRow.appendChild(this.createTableColumnHandle(column, colIndex, view.sort));
+    });
+    table.appendChild(columnRow);
+
+    if (hasHeader && this.tableData[0]) {
+      const tr = document.createElement('tr');
+      columns.forEach((column, colIndex) => {
+        const cell = document.createElement('th');
+        cell.contentEditable = true;
+        cell.textContent = this.tableData[0][colIndex] ?? '';
+        cell.dataset.row = 0;
+        cell.dataset.col = colIndex;
+        tr.appendChild(cell);
+      });
+      table.appendChild(tr);
+    }
+
+    const visibleRows = Tables.getVisibleRows(this);
+    const results = Tables.evaluate(this);
+    visibleRows.forEach((rowIndex) => {
+      const tr = document.createElement('tr');
+      columns.forEach((column, colIndex) => {
+        tr.appendChild(this.createTableCell(rowIndex, colIndex, column, results));
+      });
+      table.appendChild(tr);
+    });
+
+    const dataRowCount = this.tableData.length - (hasHeader ? 1 : 0);
+    if (visibleRows.length === 0 && dataRowCount > 0) {
+      const tr = document.createElement('tr');
+      tr.className = 'table-empty-row';
+      const cell = document.createElement('td');
+      cell.colSpan = columns.length;
+      cell.textContent = 'No rows match the filters';
+      tr.appendChild(cell);
+      table.appendChild(tr);
+    }
+
+    const count = table.closest('.table-wrapper')?.querySelector('.table-row-count');
+    if (count) {
+      count.textContent = view.filters.length > 0 ? `${visibleRows.length} of ${dataRowCount} rows` : '';
+    }
+  }
+
+  /**
+   * Column bar cell: type picker, sort toggle and resize handle
+   */
+  createTableColumnHandle(column, colIndex, sort) {
+    const handle = document.createElement('th');
+    handle.className = 'table-column-handle';
+    handle.dataset.col = colIndex;
+
+    const letter = document.createElement('span');
+    letter.className = 'table-column-letter';
+    letter.textContent = Tables.getColumnLetter(colIndex);
+    letter.title = `Column ${letter.textContent}: formulas refer to its cells as ${letter.textContent}1, ${letter.textContent}2, … counting every row from the top`;
+    handle.appendChild(letter);
+
+    const typeSelect = document.createElement('select');
+    typeSelect.className = 'table-column-type';
+    typeSelect.title = 'Column type';
+    Object.entries(Tables.columnTypes).forEach(([value, { name, icon }]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = `${icon} ${name}`;
+      typeSelect.appendChild(option);
+    });
+    typeSelect.value = column.type;
+    handle.appendChild(typeSelect);
+
+    const direction = sort && sort.col === colIndex ? sort.direction : null;
+    const sortBtn = document.createElement('button');
+    sortBtn.className = 'table-sort-btn';
+    sortBtn.type = 'button';
+    sortBtn.classList.toggle('active', !!direction);
+    sortBtn.textContent = direction === 'asc' ? '↑' : direction === 'desc' ? '↓' : '↕';
+    sortBtn.title = direction === 'asc' ? 'Sort descending' : direction === 'desc' ? 'Remove sort' : 'Sort ascending';
+    handle.appendChild(sortBtn);
+
+    // Suggestions for select columns: the values already used in the column
+    if (column.type === 'select') {
+      const datalist = document.createElement('datalist');
+      datalist.id = `table-options-${this.id}-${colIndex}`;
+      const first = this.tableHeader !== false ? 1 : 0;
+      const values = new Set(this.tableData.slice(first).map((row) => String(row[colIndex] ?? '').trim()).filter(Boolean));
+      [...values].sort((a, b) => a.localeCompare(b)).forEach((value) => {
+        const option = document.createElement('option');
+        option.value = value;
+        datalist.appendChild(option);
+      });
+      handle.appendChild(datalist);
+    }
+
+    const resizeHandle = document.createElement('span');
+    resizeHandle.className = 'table-resize-handle';
+    resizeHandle.title = 'Drag to resize';
+    handle.appendChild(resizeHandle);
+
+    return handle;
+  }
+
+  /**
+   * Data cell, edited as text or with an input matching its column type
+   */
+  createTableCell(rowIndex, colIndex, column, results) {
+    const value = this.tableData[rowIndex][colIndex] ?? '';
+    const cell = document.createElement('td');
+    cell.dataset.row = rowIndex;
+    cell.dataset.col = colIndex;
+
+    if (column.type === 'checkbox' || column.type === 'date' || column.type === 'select') {
+      cell.className = `table-cell-${column.type}`;
+      const input = document.createElement('input');
+      input.className = 'table-cell-input';
+      if (column.type === 'checkbox') {
+        input.type = 'checkbox';
+        input.checked = Tables.isChecked(value);
+      } else if (column.type === 'date') {
+        input.type = 'date';
+        input.value = Tables.toDateInputValue(value);
+        // Text that isn't a date is kept until the cell is edited
+        if (Tables.isInvalid(value, 'date')) {
+          cell.classList.add('invalid');
+          input.title = `Not a date: ${value}`;
+        }
+      } else {
+        input.type = 'text';
+        input.value = value;
+        input.setAttribute('list', `table-options-${this.id}-${colIndex}`);
+      }
+      cell.appendChild(input);
+      return cell;
+    }
+
+    cell.contentEditable = true;
+    if (column.type !== 'text') {
+      cell.classList.add(`table-cell-${column.type}`);
+    }
+    if (column.type === 'url') cell.title = 'Ctrl/Cmd+click to open';
+    this.renderTableCellValue(cell, column, results);
+    return cell;
+  }
+
+  /**
+   * Show a text cell's value: formulas show their result (or error) until the cell is focused
+   */
+  renderTableCellValue(cell, column, results, editing = false) {
+    const row = parseInt(cell.dataset.row);
+    const col = parseInt(cell.dataset.col);
+    const value = this.tableData[row]?.[col] ?? '';
+    const result = Tables.isFormula(value) ? results.get(`${row},${col}`) : null;
+
+    cell.classList.toggle('table-cell-formula', !!result);
+    cell.classList.toggle('table-cell-error', !!result?.error);
+    if (result) {
+      cell.title = result.error ? `${result.message}\n${value}` : value;
+    } else if (cell.classList.contains('table-cell-url')) {
+      cell.title = 'Ctrl/Cmd+click to open';
+    } else {
+      cell.removeAttribute('title');
+    }
+    if (!editing) cell.textContent = result ? result.display : value;
+
+    const shown = result && !editing ? result.display : value;
+    cell.classList.toggle('invalid', column.type !== 'text' && !result?.error && Tables.isInvalid(shown, column.type));
+  }
+
+  /**
+   * Recompute formulas and refresh the cells that show them (the cell being edited keeps its source)
+   */
+  updateTableFormulas(table, editingCell = null) {
+    const columns = Tables.getColumns(this);
+    const results = Tables.evaluate(this);
+    table.querySelectorAll('td[contenteditable="true"]').forEach((cell) => {
+      this.renderTableCellValue(cell, columns[parseInt(cell.dataset.col)], results, cell === editingCell);
+    });
+  }
+
+  /**
+   * View bar: current sort, filters and the matching row count
+   */
+  renderTableViewBar(bar) {
+    const columns = Tables.getColumns(this);
+    const view = Tables.getView(this);
+    bar.replaceChildren();
+    bar.classList.toggle('active', !!view.sort || view.filters.length > 0);
+
+    if (view.sort) {
+      const chip = document.createElement('span');
+      chip.className = 'table-sort-chip';
+      chip.textContent = `Sorted by ${Tables.getColumnName(this, view.sort.col)} ${view.sort.direction === 'desc' ? '↓' : '↑'}`;
+      const clear = document.createElement('button');
+      clear.className = 'table-sort-clear';
+      clear.type = 'button';
+      clear.title = 'Remove sort';
+      clear.textContent = '×';
+      chip.appendChild(clear);
+      bar.appendChild(chip);
+    }
+
+    view.filters.forEach((filter, index) => {
+      const type = columns[filter.col].type;
+      const row = document.createElement('div');
+      row.className = 'table-filter';
+      row.dataset.index = index;
+
+      const columnSelect = document.createElement('select');
+      columnSelect.className = 'table-filter-column';
+      columns.forEach((column, colIndex) => {
+        const option = document.createElement('option');
+        option.value = colIndex;
+        option.textContent = Tables.getColumnName(this, colIndex);
+        columnSelect.appendChild(option);
+      });
+      columnSelect.value = filter.col;
+      row.appendChild(columnSelect);
+
+      const opSelect = document.createElement('select');
+      opSelect.className = 'table-filter-op';
+      Tables.getOperators(type).forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        opSelect.appendChild(option);
+      });
+      opSelect.value = filter.op;
+      row.appendChild(opSelect);
+
+      if (Tables.operatorNeedsValue(type, filter.op)) {
+        const valueInput = document.createElement('input');
+        valueInput.className = 'table-filter-value';
+        valueInput.type = type === 'number' ? 'number' : type === 'date' ? 'date' : 'text';
+        valueInput.placeholder = 'Value';
+        valueInput.value = filter.value || '';
+        row.appendChild(valueInput);
+      }
+
+      const remove = document.createElement('button');
+      remove.className = 'table-filter-remove';
+      remove.type = 'button';
+      remove.title = 'Remove filter';
+      remove.textContent = '×';
+      row.appendChild(remove);
+      bar.appendChild(row);
+    });
+
+    const addFilter = document.createElement('button');
+    addFilter.className = 'table-add-filter';
+    addFilter.type = 'button';
+    addFilter.textContent = '+ Filter';
+    bar.appendChild(addFilter);
+
+    const count = document.createElement('span');
+    count.className = 'table-row-count';
+    bar.appendChild(count);
+  }
+
   /**
    * Create bookmark element
    */
@@ -533,7 +883,7 @@ class Block {
    * Create file element
    */
   createFileElement(block) {
-    if (this.fileName && this.fileData) {
+    if (this.fileName && (this.mediaId || this.fileData)) {
       const card = document.createElement('div');
       card.className = 'file-card';
 
@@ -579,6 +929,96 @@ class Block {
     }
   }
 
+  /**
+   * Create the figure of an image block: the resizable image, its toolbar and caption
+   */
+  createImageFigure() {
+    const figure = document.createElement('figure');
+    figure.className = 'image-figure';
+    figure.dataset.align = this.imageAlign;
+
+    const frame = document.createElement('div');
+    frame.className = 'image-frame';
+    if (this.imageWidth && this.imageAlign !== 'full') {
+      frame.classList.add('sized');
+      frame.style.width = `${this.imageWidth}px`;
+    }
+
+    const img = document.createElement('img');
+    img.alt = this.alt || this.caption || 'Image';
+    img.draggable = false;
+    if (this.imageUrl) {
+      img.src = this.imageUrl;
+    } else {
+      this.loadMediaImage(img);
+    }
+    frame.appendChild(img);
+
+    if (this.imageAlign !== 'full') {
+      ['left', 'right'].forEach((side) => {
+        const handle = document.createElement('div');
+        handle.className = `image-resize-handle ${side}`;
+        handle.dataset.side = side;
+        frame.appendChild(handle);
+      });
+    }
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'image-toolbar';
+    [
+      ['left', 'Align left', '⇤'],
+      ['center', 'Center', '↔'],
+      ['full', 'Full width', '⇔'],
+    ].forEach(([align, title, icon]) => {
+      const btn = document.createElement('button');
+      btn.className = 'image-align-btn';
+      btn.classList.toggle('active', this.imageAlign === align);
+      btn.dataset.align = align;
+      btn.title = title;
+      btn.textContent = icon;
+      toolbar.appendChild(btn);
+    });
+    const altBtn = document.createElement('button');
+    altBtn.className = 'image-alt-btn';
+    altBtn.classList.toggle('active', Boolean(this.alt));
+    altBtn.title = 'Alt text';
+    altBtn.textContent = 'Alt';
+    toolbar.appendChild(altBtn);
+    frame.appendChild(toolbar);
+
+    figure.appendChild(frame);
+
+    const altInput = document.createElement('input');
+    altInput.type = 'text';
+    altInput.className = 'image-alt-input hidden';
+    altInput.placeholder = 'Describe this image for screen readers';
+    altInput.value = this.alt;
+    figure.appendChild(altInput);
+
+    const caption = document.createElement('figcaption');
+    caption.className = 'image-caption';
+    caption.contentEditable = true;
+    caption.dataset.placeholder = 'Add a caption';
+    caption.textContent = this.caption;
+    figure.appendChild(caption);
+
+    return figure;
+  }
+
+  /**
+   * Load an image from the media store into an img element
+   */
+  async loadMediaImage(img) {
+    try {
+      const url = await Storage.getMediaUrl(this.mediaId);
+      if (url) {
+        img.src = url;
+      }
+    } catch (error) {
+      console.error('Load media failed:', error);
+    }
+  }
+
   /**
    * Format file size for display
    */
@@ -593,11 +1033,24 @@ class Block {
   /**
    * Download the attached file
    */
-  downloadFile() {
-    if (!this.fileData || !this.fileName) return;
+  async downloadFile() {
+    if (!this.fileName) return;
+
+    let href = this.fileData;
+    if (this.mediaId) {
+      try {
+        href = await Storage.getMediaUrl(this.mediaId);
+      } catch (error) {
+        console.error('Load media failed:', error);
+      }
+    }
+    if (!href) {
+      Utils.showToast('File data is missing', 'error');
+      return;
+    }
 
     const link = document.createElement('a');
-    link.href = this.fileData;
+    link.href = href;
     link.download = this.fileName;
     document.body.appendChild(link);
     link.click();
@@ -605,7 +1058,78 @@ class Block {
   }
 
   /**
-   * Create equation element
+   * Create code element (language picker, copy button, line numbers and highlighted source)
+   */
+  createCodeElement(block) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'code-toolbar';
+
+    const select = document.createElement('select');
+    select.className = 'code-language-select';
+    select.title = 'Language';
+    const options = [{ value: '', name: 'Plain text' }, ...Highlighter.getLanguageOptions()];
+    const language = Highlighter.resolveLanguage(this.language);
+    if (this.language && !language) {
+      // Keep languages the highlighter doesn't know (e.g. from imported fences)
+      options.push({ value: this.language, name: this.language });
+    }
+    options.forEach(({ value, name }) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    select.value = language || this.language;
+    toolbar.appendChild(select);
+
+    const copyBtn = document.createElement('button');
+    copyBtn.className = 'code-copy-btn';
+    copyBtn.type = 'button';
+    copyBtn.title = 'Copy code';
+    copyBtn.textContent = 'Copy';
+    toolbar.appendChild(copyBtn);
+    block.appendChild(toolbar);
+
+    const body = document.createElement('div');
+    body.className = 'code-body';
+
+    const lineNumbers = document.createElement('div');
+    lineNumbers.className = 'code-line-numbers';
+    lineNumbers.setAttribute('aria-hidden', 'true');
+    body.appendChild(lineNumbers);
+
+    const content = document.createElement('div');
+    content.className = 'block-content';
+    content.contentEditable = true;
+    content.spellcheck = false;
+    content.dataset.placeholder = BlockTypes.code.placeholder;
+    body.appendChild(content);
+    block.appendChild(body);
+
+    const text = this.getCodeText();
+    Highlighter.renderCode(content, text, this.language);
+    this.renderLineNumbers(lineNumbers, text);
+  }
+
+  /**
+   * Plain text of a code block (content is stored as escaped text; older blocks may contain <br>s)
+   */
+  getCodeText() {
+    const div = document.createElement('div');
+    div.innerHTML = this.content;
+    return Highlighter.getText(div);
+  }
+
+  /**
+   * Number the lines of a code block
+   */
+  renderLineNumbers(gutter, text) {
+    const count = text.split('\n').length;
+    gutter.textContent = Array.from({ length: count }, (_, index) => index + 1).join('\n');
+  }
+
+  /**
+   * Create equation element (typeset TeX; the source is edited in a textarea with a live preview)
    */
   createEquationElement(block) {
     const container = document.createElement('div');
@@ -613,43 +1137,55 @@ class Block {
 
     const display = document.createElement('div');
     display.className = 'equation-display';
-    display.textContent = this.equation || '';
-    if (!this.equation) {
-      display.classList.add('equation-placeholder');
-      display.textContent = 'Click to add equation';
-    }
+    this.renderEquation(display);
     container.appendChild(display);
 
-    const input = document.createElement('input');
-    input.type = 'text';
+    const editor = document.createElement('div');
+    editor.className = 'equation-editor';
+    editor.style.display = 'none';
+
+    const input = document.createElement('textarea');
     input.className = 'equation-input';
-    input.placeholder = 'Type equation (e.g., E = mc²)';
+    input.placeholder = 'Type a LaTeX equation (e.g., E = mc^2)';
     input.value = this.equation;
-    input.style.display = 'none';
-    container.appendChild(input);
+    input.rows = 1;
+    input.spellcheck = false;
+    editor.appendChild(input);
+
+    const preview = document.createElement('div');
+    preview.className = 'equation-preview';
+    editor.appendChild(preview);
+    container.appendChild(editor);
+
+    const resizeInput = () => {
+      input.style.height = 'auto';
+      input.style.height = `${input.scrollHeight}px`;
+    };
 
     // Toggle between display and input
     display.addEventListener('click', () => {
       display.style.display = 'none';
-      input.style.display = 'block';
+      editor.style.display = 'block';
+      this.renderEquation(preview);
       input.focus();
+      resizeInput();
+    });
+
+    input.addEventListener('input', () => {
+      this.renderEquation(preview, input.value);
+      resizeInput();
     });
 
     input.addEventListener('blur', () => {
-      this.equation = input.value;
-      display.textContent = this.equation || '';
-      if (!this.equation) {
-        display.classList.add('equation-placeholder');
-        display.textContent = 'Click to add equation';
-      } else {
-        display.classList.remove('equation-placeholder');
-      }
+      this.renderEquation(display);
       display.style.display = 'block';
-      input.style.display = 'none';
+      editor.style.display = 'none';
     });
 
     input.addEventListener('keydown', (e) => {
-      if (e.key === 'Enter') {
+      // Enter finishes editing; Shift+Enter adds a line for multi-line environments
+      if ((e.key === 'Enter' && !e.shiftKey) || e.key === 'Escape') {
+        e.preventDefault();
         input.blur();
       }
     });
@@ -657,6 +1193,113 @@ class Block {
     block.appendChild(container);
   }
 
+  /**
+   * Typeset an equation into a display or preview element
+   */
+  renderEquation(target, tex = this.equation) {
+    target.classList.toggle('equation-placeholder', !tex.trim());
+    if (!tex.trim()) {
+      target.textContent = target.classList.contains('equation-preview') ? '' : 'Click to add equation';
+      return;
+    }
+    target.replaceChildren(TeX.render(tex, { displayMode: true }));
+  }
+
+  /**
+   * Create diagram element (rendered SVG; Edit shows the Mermaid source next to a live preview)
+   */
+  createDiagramElement(block) {
+    const container = document.createElement('div');
+    container.className = 'diagram-container';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'diagram-toolbar';
+
+    const editBtn = document.createElement('button');
+    editBtn.className = 'diagram-edit-btn';
+    editBtn.type = 'button';
+    toolbar.appendChild(editBtn);
+
+    ['svg', 'png'].forEach((format) => {
+      const exportBtn = document.createElement('button');
+      exportBtn.className = 'diagram-export-btn';
+      exportBtn.type = 'button';
+      exportBtn.dataset.format = format;
+      exportBtn.title = `Download as ${format.toUpperCase()}`;
+      exportBtn.textContent = format.toUpperCase();
+      toolbar.appendChild(exportBtn);
+    });
+    container.appendChild(toolbar);
+
+    const body = document.createElement('div');
+    body.className = 'diagram-body';
+
+    const input = document.createElement('textarea');
+    input.className = 'diagram-input';
+    input.placeholder = BlockTypes.diagram.placeholder;
+    input.value = this.diagram;
+    input.spellcheck = false;
+    body.appendChild(input);
+
+    const preview = document.createElement('div');
+    preview.className = 'diagram-preview';
+    body.appendChild(preview);
+    container.appendChild(body);
+
+    const setEditing = (editing) => {
+      container.classList.toggle('editing', editing);
+      editBtn.textContent = editing ? 'Done' : 'Edit';
+      editBtn.title = editing ? 'Hide source' : 'Edit diagram source';
+      this.renderDiagram(preview, input.value);
+    };
+
+    editBtn.addEventListener('click', () => {
+      const editing = !container.classList.contains('editing');
+      setEditing(editing);
+      if (editing) input.focus();
+    });
+
+    // Clicking an empty diagram starts editing
+    preview.addEventListener('click', () => {
+      if (container.classList.contains('editing') || this.diagram.trim()) return;
+      setEditing(true);
+      input.focus();
+    });
+
+    input.addEventListener('input', () => {
+      this.renderDiagram(preview, input.value);
+    });
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        setEditing(false);
+        input.blur();
+      } else if (e.key === 'Tab' && !e.shiftKey) {
+        // Indent inside the source instead of moving focus
+        e.preventDefault();
+        input.setRangeText('  ', input.selectionStart, input.selectionEnd, 'end');
+        input.dispatchEvent(new Event('input', { bubbles: true }));
+      }
+    });
+
+    // New diagrams open with the source visible
+    setEditing(!this.diagram.trim());
+    block.appendChild(container);
+  }
+
+  /**
+   * Render Mermaid source into a diagram preview
+   */
+  renderDiagram(target, source = this.diagram) {
+    target.classList.toggle('diagram-placeholder', !source.trim());
+    if (!source.trim()) {
+      target.textContent = target.closest('.editing') ? 'Preview appears here' : 'Click to add a diagram';
+      return;
+    }
+    target.replaceChildren(Diagrams.render(source));
+  }
+
   /**
    * Serialize block for storage
    */
@@ -667,12 +1310,20 @@ class Block {
       content: this.content,
       checked: this.checked,
       imageUrl: this.imageUrl,
+      mediaId: this.mediaId,
       calloutIcon: this.calloutIcon,
+      depth: this.depth,
+      parentId: this.parentId,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
     };
 
     // Add type-specific properties
+    if (this.type === 'todo') {
+      data.status = this.status;
+      data.due = this.due;
+    }
+
     if (this.type === 'toggle') {
       data.collapsed = this.collapsed;
       data.children = this.children;
@@ -682,6 +1333,9 @@ class Block {
       data.rows = this.rows;
       data.cols = this.cols;
       data.tableData = this.tableData;
+      data.tableHeader = this.tableHeader;
+      data.tableColumns = this.tableColumns;
+      data.tableView = this.tableView;
     }
 
     if (this.type === 'bookmark') {
@@ -691,6 +1345,13 @@ class Block {
       data.favicon = this.favicon;
     }
 
+    if (this.type === 'image') {
+      data.caption = this.caption;
+      data.alt = this.alt;
+      data.imageWidth = this.imageWidth;
+      data.imageAlign = this.imageAlign;
+    }
+
     if (this.type === 'video') {
       data.videoUrl = this.videoUrl;
     }
@@ -705,6 +1366,14 @@ class Block {
       data.equation = this.equation;
     }
 
+    if (this.type === 'code') {
+      data.language = this.language;
+    }
+
+    if (this.type === 'diagram') {
+      data.diagram = this.diagram;
+    }
+
     return data;
   }
 
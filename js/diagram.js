@@ -0,0 +1,1266 @@
+/**
+ * Diagram Renderer - offline Mermaid-syntax diagrams to SVG for diagram blocks
+ *
+ * Supports flowcharts (graph / flowchart: node shapes, link styles and labels, chains,
+ * & groups and subgraphs) and sequence diagrams (participants and actors, message arrows,
+ * notes, autonumber and loop / alt / opt / par frames). Flowcharts use a layered layout:
+ * ranks by longest path, crossing reduction by barycenters, and long edges routed
+ * through placeholder points between ranks.
+ *
+ * Parse errors don't throw: render() returns an error element naming the line.
+ */
+
+class DiagramParseError extends Error {
+  constructor(message, line = null) {
+    super(line ? `Line ${line}: ${message}` : message);
+    this.name = 'DiagramParseError';
+    this.line = line;
+  }
+}
+
+class DiagramRenderer {
+  constructor() {
+    this.ns = 'http://www.w3.org/2000/svg';
+    this.fontSize = 14;
+    this.fontFamily = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+    this.lineHeight = 18;
+    this.nodeSep = 30; // Gap between nodes in the same rank
+    this.rankSep = 50; // Gap between ranks
+    this.padding = 16; // Space around the whole diagram
+    this.markerCount = 0; // Keeps marker ids unique across diagrams on the page
+    this.measureContext = null;
+
+    // Flowchart node shapes by opening bracket (longest first) -> [shape, closing bracket]
+    this.shapes = [
+      ['([', 'stadium', '])'], ['[[', 'subroutine', ']]'], ['[(', 'cylinder', ')]'],
+      ['((', 'circle', '))'], ['{{', 'hexagon', '}}'], ['[/', 'parallelogram', '/]'],
+      ['[\\', 'parallelogram-alt', '\\]'], ['[', 'rect', ']'], ['(', 'round', ')'],
+      ['{', 'diamond', '}'], ['>', 'asymmetric', ']'],
+    ];
+    // [/text\] and [\text/] are trapezoids
+    this.trapezoids = { '[/': ['\\]', 'trapezoid'], '[\\': ['/]', 'trapezoid-alt'] };
+
+    // Sequence message arrows (longest first) -> [line style, head]
+    this.messageArrows = [
+      ['-->>', 'dotted', 'arrow'], ['->>', 'solid', 'arrow'], ['--x', 'dotted', 'cross'],
+      ['-x', 'solid', 'cross'], ['--)', 'dotted', 'open'], ['-)', 'solid', 'open'],
+      ['-->', 'dotted', 'none'], ['->', 'solid', 'none'],
+    ];
+  }
+
+  // ============ Entry Points ============
+
+  /**
+   * Render Mermaid source to an <svg> element, or to an error element when it can't be parsed
+   */
+  render(source) {
+    try {
+      const lines = this.getLines(source);
+      if (lines.length === 0) throw new DiagramParseError('Empty diagram');
+
+      const header = lines[0].text;
+      if (/^(graph|flowchart)\b/i.test(header)) {
+        return this.renderFlowchart(this.parseFlowchart(lines));
+      }
+      if (/^sequenceDiagram\b/.test(header)) {
+        return this.renderSequence(this.parseSequence(lines));
+      }
+      const type = header.split(/\s/)[0];
+      throw new DiagramParseError(`Unsupported diagram type '${type}' (use flowchart or sequenceDiagram)`, lines[0].number);
+    } catch (error) {
+      if (!(error instanceof DiagramParseError)) throw error;
+      return this.createErrorElement(error);
+    }
+  }
+
+  createErrorElement(error) {
+    const el = document.createElement('div');
+    el.className = 'diagram-error';
+    el.textContent = error.message;
+    return el;
+  }
+
+  /**
+   * Non-empty source lines with their line numbers (comments and %%{…}%% directives removed)
+   */
+  getLines(source) {
+    return String(source || '').split('\n')
+      .map((text, index) => ({ text: text.trim(), number: index + 1 }))
+      .filter((line) => line.text && !line.text.startsWith('%%'));
+  }
+
+  /**
+   * Label text from Mermaid source (quotes removed, <br> as a line break)
+   */
+  cleanLabel(text) {
+    return String(text || '').trim()
+      .replace(/^"([\s\S]*)"$/, '$1')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/#quot;/g, '"')
+      .replace(/#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)));
+  }
+
+  // ============ Text Measurement ============
+
+  /**
+   * Size of (possibly multi-line) label text
+   */
+  measure(text) {
+    if (!this.measureContext && typeof OffscreenCanvas !== 'undefined') {
+      this.measureContext = new OffscreenCanvas(1, 1).getContext('2d');
+      this.measureContext.font = `${this.fontSize}px ${this.fontFamily}`;
+    }
+    const lines = String(text).split('\n');
+    const width = Math.max(0, ...lines.map((line) => (this.measureContext
+      ? this.measureContext.measureText(line).width
+      : line.length * this.fontSize * 0.6)));
+    return { width: Math.ceil(width), height: lines.length * this.lineHeight, lines };
+  }
+
+  // ============ SVG Helpers ============
+
+  svg(tag, attrs = {}, children = []) {
+    const node = document.createElementNS(this.ns, tag);
+    Object.entries(attrs).forEach(([name, value]) => {
+      if (value !== null && value !== undefined) node.setAttribute(name, value);
+    });
+    children.forEach((child) => child && node.appendChild(child));
+    return node;
+  }
+
+  /**
+   * Centered text with one <tspan> per line
+   */
+  text(label, x, y, className = 'diagram-label') {
+    const { lines } = this.measure(label);
+    const top = y - ((lines.length - 1) * this.lineHeight) / 2;
+    const text = this.svg('text', { class: className, x, y: top, 'text-anchor': 'middle', 'dominant-baseline': 'central' });
+    lines.forEach((line, index) => {
+      const tspan = this.svg('tspan', { x, y: top + index * this.lineHeight });
+      tspan.textContent = line;
+      text.appendChild(tspan);
+    });
+    return text;
+  }
+
+  /**
+   * Arrowhead, open arrow, circle and cross markers (ids are unique per diagram)
+   */
+  createMarkers() {
+    const id = `diagram-${++this.markerCount}`;
+    const marker = (name, path, attrs = {}) => this.svg('marker', {
+      id: `${id}-${name}`, viewBox: '0 0 10 10', refX: 9, refY: 5, markerWidth: 8, markerHeight: 8,
+      orient: 'auto-start-reverse', markerUnits: 'userSpaceOnUse', ...attrs,
+    }, [this.svg('path', { d: path, class: `diagram-marker diagram-marker-${name}` })]);
+
+    const defs = this.svg('defs', {}, [
+      marker('arrow', 'M0,0 L10,5 L0,10 z'),
+      marker('open', 'M0,0 L10,5 L0,10', { markerWidth: 10, markerHeight: 10 }),
+      marker('circle', 'M1,5 a4,4 0 1,0 8,0 a4,4 0 1,0 -8,0', { refX: 5 }),
+      marker('cross', 'M1,1 L9,9 M9,1 L1,9', { refX: 5 }),
+    ]);
+    return { defs, url: (name) => (name && name !== 'none' ? `url(#${id}-${name})` : null) };
+  }
+
+  createSvgRoot(width, height, label) {
+    return this.svg('svg', {
+      class: 'diagram-svg',
+      width: Math.ceil(width),
+      height: Math.ceil(height),
+      viewBox: `0 0 ${Math.ceil(width)} ${Math.ceil(height)}`,
+      role: 'img',
+      'aria-label': label,
+    });
+  }
+
+  // ============ Flowchart Parsing ============
+
+  parseFlowchart(lines) {
+    const header = lines[0].text.match(/^(?:graph|flowchart)(?:\s+(TD|TB|BT|LR|RL))?\s*;?\s*(.*)$/i);
+    if (!header) throw new DiagramParseError('Invalid flowchart header', lines[0].number);
+
+    const chart = {
+      direction: (header[1] || 'TB').toUpperCase().replace('TD', 'TB'),
+      nodes: new Map(),
+      edges: [],
+      subgraphs: [],
+    };
+    const openSubgraphs = [];
+
+    const statements = [];
+    if (header[2]) statements.push({ text: header[2], number: lines[0].number });
+    lines.slice(1).forEach((line) => statements.push(line));
+
+    statements.forEach(({ text, number }) => {
+      this.splitStatements(text).forEach((statement) => {
+        this.parseFlowchartStatement(statement, number, chart, openSubgraphs);
+      });
+    });
+
+    if (openSubgraphs.length > 0) {
+      throw new DiagramParseError(`Subgraph '${openSubgraphs[openSubgraphs.length - 1].title}' is missing 'end'`);
+    }
+    if (chart.nodes.size === 0) throw new DiagramParseError('Flowchart has no nodes');
+    return chart;
+  }
+
+  /**
+   * Split a line on semicolons outside quotes
+   */
+  splitStatements(text) {
+    const parts = [];
+    let current = '';
+    let quoted = false;
+    for (const char of text) {
+      if (char === '"') quoted = !quoted;
+      if (char === ';' && !quoted) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    parts.push(current);
+    return parts.map((part) => part.trim()).filter(Boolean);
+  }
+
+  parseFlowchartStatement(statement, number, chart, openSubgraphs) {
+    const subgraph = statement.match(/^subgraph(?:\s+(.*))?$/);
+    if (subgraph) {
+      const spec = (subgraph[1] || '').trim();
+      const titled = spec.match(/^([\p{L}\p{N}_-]+)\s*\[(.*)\]$/u);
+      const entry = {
+        id: titled ? titled[1] : spec || `subgraph-${chart.subgraphs.length + 1}`,
+        title: this.cleanLabel(titled ? titled[2] : spec),
+        nodes: new Set(),
+        parent: openSubgraphs[openSubgraphs.length - 1] || null,
+      };
+      chart.subgraphs.push(entry);
+      openSubgraphs.push(entry);
+      return;
+    }
+    if (statement === 'end') {
+      if (openSubgraphs.length === 0) throw new DiagramParseError("'end' without 'subgraph'", number);
+      openSubgraphs.pop();
+      return;
+    }
+    // Styling and interaction statements don't affect the drawing
+    if (/^(classDef|class|style|linkStyle|click|direction)\b/.test(statement)) return;
+
+    const reader = { text: statement, pos: 0, number };
+    let previous = this.parseNodeGroup(reader, chart, openSubgraphs);
+
+    for (;;) {
+      this.skipSpaces(reader);
+      if (reader.pos >= reader.text.length) break;
+
+      const link = this.parseLink(reader);
+      if (!link) {
+        throw new DiagramParseError(`Unexpected '${reader.text.slice(reader.pos, reader.pos + 12)}'`, number);
+      }
+      const next = this.parseNodeGroup(reader, chart, openSubgraphs);
+      previous.forEach((from) => {
+        next.forEach((to) => chart.edges.push({ from, to, ...link }));
+      });
+      previous = next;
+    }
+  }
+
+  skipSpaces(reader) {
+    while (reader.pos < reader.text.length && /\s/.test(reader.text[reader.pos])) reader.pos++;
+  }
+
+  /**
+   * Parse `A` or `A & B & C`
+   */
+  parseNodeGroup(reader, chart, openSubgraphs) {
+    const ids = [this.parseNode(reader, chart, openSubgraphs)];
+    for (;;) {
+      this.skipSpaces(reader);
+      if (reader.text[reader.pos] !== '&') break;
+      reader.pos++;
+      this.skipSpaces(reader);
+      ids.push(this.parseNode(reader, chart, openSubgraphs));
+    }
+    return ids;
+  }
+
+  /**
+   * Parse a node reference with an optional shape and label, e.g. A, A[Label], B{"Yes?"}
+   */
+  parseNode(reader, chart, openSubgraphs) {
+    this.skipSpaces(reader);
+    const rest = reader.text.slice(reader.pos);
+    const idMatch = rest.match(/^[\p{L}\p{N}_]+/u);
+    if (!idMatch) {
+      throw new DiagramParseError(rest ? `Expected a node id at '${rest.slice(0, 12)}'` : 'Expected a node id', reader.number);
+    }
+    const id = idMatch[0];
+    reader.pos += id.length;
+
+    let shape = null;
+    let label = null;
+    const after = reader.text.slice(reader.pos);
+    const opening = this.shapes.find(([open]) => after.startsWith(open));
+    if (opening) {
+      let [open, name, close] = opening;
+      const body = after.slice(open.length);
+      let end;
+
+      if (body.startsWith('"')) {
+        // Quoted labels may contain brackets
+        const quoteEnd = body.indexOf('"', 1);
+        if (quoteEnd === -1) throw new DiagramParseError(`Missing closing quote in node '${id}'`, reader.number);
+        end = body.startsWith(close, quoteEnd + 1) ? quoteEnd + 1 : -1;
+        if (end === -1 && this.trapezoids[open] && body.startsWith(this.trapezoids[open][0], quoteEnd + 1)) {
+          [close, name] = this.trapezoids[open];
+          end = quoteEnd + 1;
+        }
+      } else {
+        end = body.indexOf(close);
+        const trapezoid = this.trapezoids[open];
+        const trapezoidEnd = trapezoid ? body.indexOf(trapezoid[0]) : -1;
+        if (trapezoidEnd !== -1 && (end === -1 || trapezoidEnd < end)) {
+          [close, name] = trapezoid;
+          end = trapezoidEnd;
+        }
+      }
+      if (end === -1) throw new DiagramParseError(`Missing '${close}' after node '${id}'`, reader.number);
+
+      shape = name;
+      label = this.cleanLabel(body.slice(0, end));
+      reader.pos += open.length + end + close.length;
+    }
+
+    // :::className shorthand is styling only
+    const className = reader.text.slice(reader.pos).match(/^:::[\w-]+/);
+    if (className) reader.pos += className[0].length;
+
+    if (!chart.nodes.has(id)) {
+      chart.nodes.set(id, { id, label: id, shape: 'rect' });
+    }
+    const node = chart.nodes.get(id);
+    if (shape) {
+      node.shape = shape;
+      node.label = label;
+    }
+    openSubgraphs.forEach((subgraph) => subgraph.nodes.add(id));
+    return id;
+  }
+
+  /**
+   * Parse a link such as -->, ---, -.->, ==>, --o, <-->, -->|label| or -- label -->
+   */
+  parseLink(reader) {
+    const rest = reader.text.slice(reader.pos);
+
+    // Text between the link halves: A-- text -->B, A-. text .->B, A== text ==>B
+    const inline = rest.match(/^([<ox]?)(--|==|-\.)\s+(?![-=.>])(.+?)\s*(-{2,}|={2,}|\.-+)([>ox]?)(?=\s|[\p{L}\p{N}_]|$)/u);
+    if (inline) {
+      reader.pos += inline[0].length;
+      const body = inline[2] + inline[4];
+      return this.describeLink(inline[1], body, inline[5], this.cleanLabel(inline[3]));
+    }
+
+    const match = rest.match(/^([<ox]?)(-{2,}|={2,}|-\.+-)([>ox]?)(?=[\s|\p{L}\p{N}_]|$)/u)
+      || rest.match(/^([<ox]?)(-{2,}|={2,}|-\.+-)([>])/u);
+    if (!match) return null;
+    reader.pos += match[0].length;
+
+    let label = '';
+    const labelMatch = reader.text.slice(reader.pos).match(/^\s*\|([^|]*)\|/);
+    if (labelMatch) {
+      label = this.cleanLabel(labelMatch[1]);
+      reader.pos += labelMatch[0].length;
+    }
+    return this.describeLink(match[1], match[2], match[3], label);
+  }
+
+  describeLink(startHead, body, endHead, label) {
+    const heads = { '<': 'arrow', '>': 'arrow', o: 'circle', x: 'cross', '': 'none' };
+    let style = 'solid';
+    if (body.includes('=')) style = 'thick';
+    if (body.includes('.')) style = 'dotted';
+
+    // Extra dashes, equals or dots make the link span more ranks
+    const strokes = style === 'dotted' ? body.replace(/[^.]/g, '').length : body.length - 1;
+    const base = endHead ? 1 : 2;
+    return {
+      label,
+      style,
+      startHead: heads[startHead],
+      endHead: heads[endHead],
+      minLength: Math.max(1, strokes - base + 1),
+    };
+  }
+
+  // ============ Flowchart Layout ============
+
+  /**
+   * Node size from its label and shape
+   */
+  sizeNode(node) {
+    const text = this.measure(node.label);
+    const width = text.width + 30;
+    const height = text.height + 20;
+    switch (node.shape) {
+      case 'circle': {
+        const diameter = Math.max(width, height) + 4;
+        return { width: diameter, height: diameter };
+      }
+      case 'diamond': {
+        // The rhombus must contain the text box: a / halfWidth + b / halfHeight <= 1
+        const halfHeight = text.height + 12;
+        const halfWidth = (text.width / 2 + 10) / (1 - (text.height / 2) / halfHeight);
+        return { width: Math.max(halfWidth * 2, 60), height: Math.max(halfHeight * 2, 50) };
+      }
+      case 'hexagon':
+        return { width: width + height / 2, height };
+      case 'stadium':
+        return { width: width + height / 2, height };
+      case 'cylinder':
+        return { width, height: height + 16 };
+      case 'parallelogram':
+      case 'parallelogram-alt':
+      case 'trapezoid':
+      case 'trapezoid-alt':
+      case 'asymmetric':
+        return { width: width + height / 2, height };
+      default:
+        return { width, height };
+    }
+  }
+
+  /**
+   * Layered layout. Returns node boxes (cx, cy, width, height) and edge point lists.
+   */
+  layoutFlowchart(chart) {
+    const horizontal = chart.direction === 'LR' || chart.direction === 'RL';
+    const nodes = new Map();
+    chart.nodes.forEach((node) => {
+      const size = this.sizeNode(node);
+      // Layout runs top-to-bottom; "cross" runs along a rank and "main" across ranks
+      nodes.set(node.id, {
+        ...node,
+        ...size,
+        cross: horizontal ? size.height : size.width,
+        main: horizontal ? size.width : size.height,
+        rank: 0,
+        dummy: false,
+      });
+    });
+
+    const edges = chart.edges.filter((edge) => edge.from !== edge.to);
+    const reversed = this.findBackEdges([...nodes.keys()], edges);
+
+    // Ranks by longest path over the acyclic orientation
+    const layoutEdges = edges.map((edge, index) => (reversed.has(index)
+      ? { from: edge.to, to: edge.from, minLength: edge.minLength, index }
+      : { from: edge.from, to: edge.to, minLength: edge.minLength, index }));
+    const order = this.topologicalOrder([...nodes.keys()], layoutEdges);
+    order.forEach((id) => {
+      layoutEdges.filter((edge) => edge.from === id).forEach((edge) => {
+        const target = nodes.get(edge.to);
+        target.rank = Math.max(target.rank, nodes.get(id).rank + edge.minLength);
+      });
+    });
+
+    // Long edges pass through placeholder points, one per rank they cross
+    const chains = layoutEdges.map((edge) => {
+      const chain = [edge.from];
+      for (let rank = nodes.get(edge.from).rank + 1; rank < nodes.get(edge.to).rank; rank++) {
+        const id = `\u0000dummy${edge.index}-${rank}`;
+        nodes.set(id, { id, cross: 0, main: 0, rank, dummy: true });
+        chain.push(id);
+      }
+      chain.push(edge.to);
+      return chain;
+    });
+
+    const rankCount = Math.max(...[...nodes.values()].map((node) => node.rank)) + 1;
+    const ranks = Array.from({ length: rankCount }, () => []);
+    // Initial order: first appearance, which follows the source text
+    [...nodes.values()].forEach((node) => ranks[node.rank].push(node.id));
+
+    const up = new Map([...nodes.keys()].map((id) => [id, []]));
+    const down = new Map([...nodes.keys()].map((id) => [id, []]));
+    chains.forEach((chain) => {
+      for (let i = 0; i < chain.length - 1; i++) {
+        down.get(chain[i]).push(chain[i + 1]);
+        up.get(chain[i + 1]).push(chain[i]);
+      }
+    });
+
+    this.orderRanks(ranks, up, down);
+    this.positionRanks(ranks, nodes, up, down);
+
+    // Main-axis positions: each rank as deep as its tallest node, with room for edge labels
+    const labelGaps = new Array(rankCount).fill(0);
+    edges.forEach((edge, index) => {
+      if (!edge.label) return;
+      const layoutEdge = layoutEdges[index];
+      const fromRank = nodes.get(layoutEdge.from).rank;
+      const span = nodes.get(layoutEdge.to).rank - fromRank;
+      const gap = fromRank + Math.floor((span - 1) / 2);
+      const size = this.measure(edge.label);
+      labelGaps[gap] = Math.max(labelGaps[gap], (horizontal ? size.width : size.height) + 16);
+    });
+
+    let offset = 0;
+    const rankMain = ranks.map((ids, rank) => {
+      const depth = Math.max(0, ...ids.map((id) => nodes.get(id).main));
+      const center = offset + depth / 2;
+      offset += depth + Math.max(this.rankSep, labelGaps[rank] + 20);
+      return center;
+    });
+    nodes.forEach((node) => {
+      node.mainPos = rankMain[node.rank];
+    });
+    const mainExtent = offset - Math.max(this.rankSep, labelGaps[rankCount - 1] + 20);
+
+    // Convert to x/y for the chart direction
+    const flip = chart.direction === 'BT' || chart.direction === 'RL';
+    nodes.forEach((node) => {
+      const main = flip ? mainExtent - node.mainPos : node.mainPos;
+      node.cx = horizontal ? main : node.crossPos;
+      node.cy = horizontal ? node.crossPos : main;
+    });
+
+    const edgePaths = chart.edges.map((edge) => {
+      if (edge.from === edge.to) {
+        return { ...edge, points: this.selfLoop(nodes.get(edge.from)) };
+      }
+      const index = edges.indexOf(edge);
+      let chain = chains[index];
+      if (reversed.has(index)) chain = [...chain].reverse();
+      const points = chain.map((id) => ({ x: nodes.get(id).cx, y: nodes.get(id).cy }));
+      points[0] = this.clipToNode(nodes.get(chain[0]), points[1]);
+      points[points.length - 1] = this.clipToNode(nodes.get(chain[chain.length - 1]), points[points.length - 2]);
+      return { ...edge, points };
+    });
+
+    return { nodes: [...nodes.values()].filter((node) => !node.dummy), edges: edgePaths };
+  }
+
+  /**
+   * Edges that close cycles (found by depth-first search); reversed for ranking
+   */
+  findBackEdges(ids, edges) {
+    const state = new Map();
+    const reversed = new Set();
+    const visit = (id) => {
+      state.set(id, 'active');
+      edges.forEach((edge, index) => {
+        if (edge.from !== id) return;
+        if (state.get(edge.to) === 'active') {
+          reversed.add(index);
+        } else if (!state.has(edge.to)) {
+          visit(edge.to);
+        }
+      });
+      state.set(id, 'done');
+    };
+    ids.forEach((id) => {
+      if (!state.has(id)) visit(id);
+    });
+    return reversed;
+  }
+
+  topologicalOrder(ids, edges) {
+    const incoming = new Map(ids.map((id) => [id, 0]));
+    edges.forEach((edge) => incoming.set(edge.to, incoming.get(edge.to) + 1));
+    const queue = ids.filter((id) => incoming.get(id) === 0);
+    const order = [];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      order.push(id);
+      edges.forEach((edge) => {
+        if (edge.from !== id) return;
+        incoming.set(edge.to, incoming.get(edge.to) - 1);
+        if (incoming.get(edge.to) === 0) queue.push(edge.to);
+      });
+    }
+    return order;
+  }
+
+  /**
+   * Reduce edge crossings with alternating barycenter sweeps, keeping the best order found
+   */
+  orderRanks(ranks, up, down) {
+    const countCrossings = () => {
+      let crossings = 0;
+      for (let r = 0; r < ranks.length - 1; r++) {
+        const position = new Map(ranks[r + 1].map((id, index) => [id, index]));
+        const pairs = [];
+        ranks[r].forEach((id, index) => down.get(id).forEach((to) => pairs.push([index, position.get(to)])));
+        for (let i = 0; i < pairs.length; i++) {
+          for (let j = i + 1; j < pairs.length; j++) {
+            if ((pairs[i][0] - pairs[j][0]) * (pairs[i][1] - pairs[j][1]) < 0) crossings++;
+          }
+        }
+      }
+      return crossings;
+    };
+
+    let best = ranks.map((ids) => [...ids]);
+    let bestCrossings = countCrossings();
+
+    for (let iteration = 0; iteration < 8 && bestCrossings > 0; iteration++) {
+      const downward = iteration % 2 === 0;
+      const sequence = downward ? ranks.map((_, r) => r).slice(1) : ranks.map((_, r) => r).slice(0, -1).reverse();
+      sequence.forEach((r) => {
+        const neighbors = downward ? up : down;
+        const fixed = new Map(ranks[downward ? r - 1 : r + 1].map((id, index) => [id, index]));
+        const weight = new Map(ranks[r].map((id, index) => {
+          const linked = neighbors.get(id).filter((other) => fixed.has(other));
+          const center = linked.length > 0
+            ? linked.reduce((sum, other) => sum + fixed.get(other), 0) / linked.length
+            : index;
+          return [id, center];
+        }));
+        ranks[r].sort((a, b) => weight.get(a) - weight.get(b));
+      });
+
+      const crossings = countCrossings();
+      if (crossings < bestCrossings) {
+        best = ranks.map((ids) => [...ids]);
+        bestCrossings = crossings;
+      }
+    }
+
+    best.forEach((ids, r) => {
+      ranks[r] = ids;
+    });
+  }
+
+  /**
+   * Cross-axis positions: nodes move toward their neighbors while keeping order and spacing
+   */
+  positionRanks(ranks, nodes, up, down) {
+    const gap = (a, b) => {
+      const first = nodes.get(a);
+      const second = nodes.get(b);
+      const space = first.dummy || second.dummy ? this.nodeSep / 2 : this.nodeSep;
+      return first.cross / 2 + space + second.cross / 2;
+    };
+
+    // Start packed left to right
+    ranks.forEach((ids) => {
+      let position = 0;
+      ids.forEach((id, index) => {
+        if (index > 0) position += gap(ids[index - 1], id);
+        nodes.get(id).crossPos = position;
+      });
+    });
+
+    const place = (ids, desired) => {
+      // Closest positions to the desired ones that keep the spacing: average a left-to-right
+      // and a right-to-left pass, both of which satisfy it
+      const forward = [];
+      const backward = [];
+      ids.forEach((id, i) => {
+        forward[i] = i === 0 ? desired[i] : Math.max(desired[i], forward[i - 1] + gap(ids[i - 1], id));
+      });
+      for (let i = ids.length - 1; i >= 0; i--) {
+        backward[i] = i === ids.length - 1 ? desired[i] : Math.min(desired[i], backward[i + 1] - gap(ids[i], ids[i + 1]));
+      }
+      ids.forEach((id, i) => {
+        nodes.get(id).crossPos = (forward[i] + backward[i]) / 2;
+      });
+    };
+
+    for (let iteration = 0; iteration < 6; iteration++) {
+      const downward = iteration % 2 === 0;
+      const sequence = downward ? ranks.map((_, r) => r) : ranks.map((_, r) => r).reverse();
+      sequence.forEach((r) => {
+        const ids = ranks[r];
+        const desired = ids.map((id) => {
+          const linked = [...(downward ? up : down).get(id)];
+          if (linked.length === 0) return nodes.get(id).crossPos;
+          return linked.reduce((sum, other) => sum + nodes.get(other).crossPos, 0) / linked.length;
+        });
+        place(ids, desired);
+      });
+    }
+
+    // Shift so the diagram starts at zero
+    const min = Math.min(...[...nodes.values()].map((node) => node.crossPos - node.cross / 2));
+    nodes.forEach((node) => {
+      node.crossPos -= min;
+    });
+  }
+
+  /**
+   * Point where the line from a node's center toward another point leaves the node
+   */
+  clipToNode(node, toward) {
+    const dx = toward.x - node.cx;
+    const dy = toward.y - node.cy;
+    if (dx === 0 && dy === 0) return { x: node.cx, y: node.cy };
+
+    const halfWidth = node.width / 2;
+    const halfHeight = node.height / 2;
+    let scale;
+    if (node.shape === 'circle') {
+      scale = halfWidth / Math.hypot(dx, dy);
+    } else if (node.shape === 'diamond') {
+      scale = 1 / (Math.abs(dx) / halfWidth + Math.abs(dy) / halfHeight);
+    } else {
+      scale = Math.min(
+        dx === 0 ? Infinity : halfWidth / Math.abs(dx),
+        dy === 0 ? Infinity : halfHeight / Math.abs(dy)
+      );
+    }
+    return { x: node.cx + dx * scale, y: node.cy + dy * scale };
+  }
+
+  selfLoop(node) {
+    const right = node.cx + node.width / 2;
+    const top = node.cy - node.height / 4;
+    const bottom = node.cy + node.height / 4;
+    return [
+      { x: right, y: top },
+      { x: right + 30, y: top },
+      { x: right + 30, y: bottom },
+      { x: right, y: bottom },
+    ];
+  }
+
+  // ============ Flowchart Rendering ============
+
+  renderFlowchart(chart) {
+    const layout = this.layoutFlowchart(chart);
+    const byId = new Map(layout.nodes.map((node) => [node.id, node]));
+
+    // Subgraph boxes, innermost first so parents can include their children
+    const clusterBoxes = new Map();
+    [...chart.subgraphs].reverse().forEach((subgraph) => {
+      const boxes = [...subgraph.nodes].map((id) => {
+        const node = byId.get(id);
+        return { left: node.cx - node.width / 2, right: node.cx + node.width / 2, top: node.cy - node.height / 2, bottom: node.cy + node.height / 2 };
+      });
+      chart.subgraphs.filter((child) => child.parent === subgraph && clusterBoxes.has(child))
+        .forEach((child) => boxes.push(clusterBoxes.get(child)));
+      if (boxes.length === 0) return;
+
+      const title = subgraph.title ? this.measure(subgraph.title) : { width: 0, height: 0 };
+      const box = {
+        left: Math.min(...boxes.map((b) => b.left)) - 16,
+        right: Math.max(...boxes.map((b) => b.right)) + 16,
+        top: Math.min(...boxes.map((b) => b.top)) - 16 - (title.height ? title.height + 4 : 0),
+        bottom: Math.max(...boxes.map((b) => b.bottom)) + 16,
+      };
+      const missing = title.width + 24 - (box.right - box.left);
+      if (missing > 0) {
+        box.left -= missing / 2;
+        box.right += missing / 2;
+      }
+      clusterBoxes.set(subgraph, box);
+    });
+
+    // Bounds over nodes, edges, edge labels and clusters
+    const labelBoxes = layout.edges.filter((edge) => edge.label).map((edge) => {
+      const point = this.pathMidpoint(edge.points);
+      const size = this.measure(edge.label);
+      return { edge, point, size };
+    });
+    const xs = [];
+    const ys = [];
+    layout.nodes.forEach((node) => {
+      xs.push(node.cx - node.width / 2, node.cx + node.width / 2);
+      ys.push(node.cy - node.height / 2, node.cy + node.height / 2);
+    });
+    layout.edges.forEach((edge) => edge.points.forEach((point) => {
+      xs.push(point.x);
+      ys.push(point.y);
+    }));
+    labelBoxes.forEach(({ point, size }) => {
+      xs.push(point.x - size.width / 2 - 4, point.x + size.width / 2 + 4);
+      ys.push(point.y - size.height / 2 - 2, point.y + size.height / 2 + 2);
+    });
+    clusterBoxes.forEach((box) => {
+      xs.push(box.left, box.right);
+      ys.push(box.top, box.bottom);
+    });
+
+    const offsetX = this.padding - Math.min(...xs);
+    const offsetY = this.padding - Math.min(...ys);
+    const width = Math.max(...xs) - Math.min(...xs) + this.padding * 2;
+    const height = Math.max(...ys) - Math.min(...ys) + this.padding * 2;
+
+    const root = this.createSvgRoot(width, height, 'Flowchart');
+    const markers = this.createMarkers();
+    root.appendChild(markers.defs);
+    const scene = this.svg('g', { transform: `translate(${offsetX.toFixed(1)} ${offsetY.toFixed(1)})` });
+    root.appendChild(scene);
+
+    clusterBoxes.forEach((box, subgraph) => {
+      const group = this.svg('g', { class: 'diagram-cluster' }, [
+        this.svg('rect', { x: box.left, y: box.top, width: box.right - box.left, height: box.bottom - box.top, rx: 4 }),
+      ]);
+      if (subgraph.title) {
+        group.appendChild(this.text(subgraph.title, (box.left + box.right) / 2, box.top + 6 + this.measure(subgraph.title).height / 2, 'diagram-cluster-label'));
+      }
+      scene.appendChild(group);
+    });
+
+    layout.edges.forEach((edge) => {
+      const d = edge.points.map((point, index) => `${index === 0 ? 'M' : 'L'}${point.x.toFixed(1)},${point.y.toFixed(1)}`).join(' ');
+      scene.appendChild(this.svg('path', {
+        d,
+        class: `diagram-edge diagram-edge-${edge.style}`,
+        'marker-start': markers.url(edge.startHead),
+        'marker-end': markers.url(edge.endHead),
+      }));
+    });
+
+    labelBoxes.forEach(({ edge, point, size }) => {
+      scene.appendChild(this.svg('g', { class: 'diagram-edge-label' }, [
+        this.svg('rect', {
+          x: point.x - size.width / 2 - 4, y: point.y - size.height / 2 - 2,
+          width: size.width + 8, height: size.height + 4, rx: 3,
+        }),
+        this.text(edge.label, point.x, point.y),
+      ]));
+    });
+
+    layout.nodes.forEach((node) => {
+      const group = this.svg('g', { class: 'diagram-node', 'data-id': node.id }, this.createNodeShape(node));
+      group.appendChild(this.text(node.label, node.cx, node.cy));
+      scene.appendChild(group);
+    });
+
+    return root;
+  }
+
+  /**
+   * Midpoint along a polyline (where an edge label goes)
+   */
+  pathMidpoint(points) {
+    const lengths = points.slice(1).map((point, i) => Math.hypot(point.x - points[i].x, point.y - points[i].y));
+    let remaining = lengths.reduce((sum, length) => sum + length, 0) / 2;
+    for (let i = 0; i < lengths.length; i++) {
+      if (remaining <= lengths[i] && lengths[i] > 0) {
+        const t = remaining / lengths[i];
+        return { x: points[i].x + (points[i + 1].x - points[i].x) * t, y: points[i].y + (points[i + 1].y - points[i].y) * t };
+      }
+      remaining -= lengths[i];
+    }
+    return points[0];
+  }
+
+  createNodeShape(node) {
+    const { cx, cy, width: w, height: h } = node;
+    const left = cx - w / 2;
+    const top = cy - h / 2;
+    const polygon = (points) => this.svg('polygon', {
+      points: points.map(([x, y]) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' '),
+    });
+    const slant = h / 4;
+
+    switch (node.shape) {
+      case 'round':
+        return [this.svg('rect', { x: left, y: top, width: w, height: h, rx: 8 })];
+      case 'stadium':
+        return [this.svg('rect', { x: left, y: top, width: w, height: h, rx: h / 2 })];
+      case 'subroutine':
+        return [
+          this.svg('rect', { x: left, y: top, width: w, height: h }),
+          this.svg('path', { d: `M${left + 8},${top} V${top + h} M${left + w - 8},${top} V${top + h}`, class: 'diagram-node-detail' }),
+        ];
+      case 'cylinder': {
+        const ry = 8;
+        return [
+          this.svg('path', {
+            d: `M${left},${top + ry} A${w / 2},${ry} 0 0,1 ${left + w},${top + ry} V${top + h - ry} `
+              + `A${w / 2},${ry} 0 0,1 ${left},${top + h - ry} Z`,
+          }),
+          this.svg('path', { d: `M${left},${top + ry} A${w / 2},${ry} 0 0,0 ${left + w},${top + ry}`, class: 'diagram-node-detail' }),
+        ];
+      }
+      case 'circle':
+        return [this.svg('circle', { cx, cy, r: w / 2 })];
+      case 'diamond':
+        return [polygon([[cx, top], [left + w, cy], [cx, top + h], [left, cy]])];
+      case 'hexagon':
+        return [polygon([[left + slant, top], [left + w - slant, top], [left + w, cy], [left + w - slant, top + h], [left + slant, top + h], [left, cy]])];
+      case 'parallelogram':
+        return [polygon([[left + slant * 2, top], [left + w, top], [left + w - slant * 2, top + h], [left, top + h]])];
+      case 'parallelogram-alt':
+        return [polygon([[left, top], [left + w - slant * 2, top], [left + w, top + h], [left + slant * 2, top + h]])];
+      case 'trapezoid':
+        return [polygon([[left + slant * 2, top], [left + w - slant * 2, top], [left + w, top + h], [left, top + h]])];
+      case 'trapezoid-alt':
+        return [polygon([[left, top], [left + w, top], [left + w - slant * 2, top + h], [left + slant * 2, top + h]])];
+      case 'asymmetric':
+        return [polygon([[left, top], [left + w, top], [left + w, top + h], [left, top + h], [left + slant * 2, cy]])];
+      default:
+        return [this.svg('rect', { x: left, y: top, width: w, height: h })];
+    }
+  }
+
+  // ============ Sequence Diagrams ============
+
+  parseSequence(lines) {
+    const diagram = { participants: new Map(), events: [], autonumber: false };
+    const frames = [];
+
+    const participant = (name, number) => {
+      if (!name) throw new DiagramParseError('Missing participant name', number);
+      if (!diagram.participants.has(name)) {
+        diagram.participants.set(name, { name, label: name, kind: 'participant' });
+      }
+      return diagram.participants.get(name);
+    };
+
+    lines.slice(1).forEach(({ text, number }) => {
+      let match;
+
+      if ((match = text.match(/^(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/))) {
+        const entry = participant(match[2], number);
+        entry.kind = match[1];
+        if (match[3]) entry.label = this.cleanLabel(match[3]);
+        return;
+      }
+      if (text === 'autonumber') {
+        diagram.autonumber = true;
+        return;
+      }
+      if (/^(activate|deactivate|create|destroy|box|title|accTitle|accDescr|link|links)\b/.test(text)) return;
+
+      if ((match = text.match(/^note\s+(left of|right of|over)\s+([^:,]+?)(?:\s*,\s*([^:]+?))?\s*:\s*(.*)$/i))) {
+        const from = participant(match[2], number);
+        const to = match[3] ? participant(match[3], number) : from;
+        diagram.events.push({ type: 'note', placement: match[1].toLowerCase(), from: from.name, to: to.name, text: this.cleanLabel(match[4]) });
+        return;
+      }
+
+      if ((match = text.match(/^(loop|alt|opt|par|critical|break|rect)\b\s*(.*)$/))) {
+        const frame = { type: 'frame-start', kind: match[1], label: this.cleanLabel(match[2]) };
+        frames.push(frame);
+        diagram.events.push(frame);
+        return;
+      }
+      if ((match = text.match(/^(else|and|option)\b\s*(.*)$/))) {
+        if (frames.length === 0) throw new DiagramParseError(`'${match[1]}' outside of a block`, number);
+        diagram.events.push({ type: 'frame-section', label: this.cleanLabel(match[2]) });
+        return;
+      }
+      if (text === 'end') {
+        if (frames.length === 0) throw new DiagramParseError("'end' without a block to close", number);
+        frames.pop();
+        diagram.events.push({ type: 'frame-end' });
+        return;
+      }
+
+      // Arrows are looked for before the first colon so message text can contain them
+      const colon = text.indexOf(':');
+      const arrow = colon === -1 ? null : this.messageArrows.find(([token]) => text.slice(0, colon).indexOf(token) > 0);
+      if (arrow) {
+        const [token, style, head] = arrow;
+        const index = text.indexOf(token);
+        const from = text.slice(0, index).trim();
+        // +/- after the arrow activates or deactivates the target (not drawn)
+        const to = text.slice(index + token.length, colon).trim().replace(/^[+-]\s*/, '');
+        diagram.events.push({
+          type: 'message',
+          from: participant(from, number).name,
+          to: participant(to, number).name,
+          style,
+          head,
+          text: this.cleanLabel(text.slice(colon + 1)),
+        });
+        return;
+      }
+
+      throw new DiagramParseError(`Unrecognized statement '${text.slice(0, 30)}'`, number);
+    });
+
+    if (frames.length > 0) throw new DiagramParseError(`'${frames[frames.length - 1].kind}' block is missing 'end'`);
+    if (diagram.participants.size === 0) throw new DiagramParseError('Sequence diagram has no participants');
+    return diagram;
+  }
+
+  renderSequence(diagram) {
+    const names = [...diagram.participants.keys()];
+    const participants = names.map((name) => {
+      const entry = diagram.participants.get(name);
+      const size = this.measure(entry.label);
+      return { ...entry, width: Math.max(size.width + 24, 80), boxHeight: entry.kind === 'actor' ? 36 + size.height + 4 : size.height + 18 };
+    });
+    const columnOf = new Map(names.map((name, index) => [name, index]));
+
+    // Column centers: wide enough for the boxes and the message labels between them
+    const centers = [];
+    participants.forEach((entry, index) => {
+      centers[index] = index === 0 ? entry.width / 2 : centers[index - 1] + participants[index - 1].width / 2 + 40 + entry.width / 2;
+    });
+    const widen = (from, to, needed) => {
+      const current = centers[to] - centers[from];
+      if (current >= needed) return;
+      for (let i = to; i < centers.length; i++) centers[i] += needed - current;
+    };
+    let selfMessageRoom = 0;
+    diagram.events.forEach((event) => {
+      if (event.type !== 'message') return;
+      const from = columnOf.get(event.from);
+      const to = columnOf.get(event.to);
+      const labelWidth = this.measure(event.text).width + (diagram.autonumber ? 24 : 0);
+      if (from === to) {
+        if (from < centers.length - 1) widen(from, from + 1, labelWidth + 50);
+        else selfMessageRoom = Math.max(selfMessageRoom, labelWidth + 50);
+      } else {
+        widen(Math.min(from, to), Math.max(from, to), labelWidth + 30);
+      }
+    });
+    diagram.events.forEach((event) => {
+      if (event.type === 'note' && event.from !== event.to) {
+        const from = columnOf.get(event.from);
+        const to = columnOf.get(event.to);
+        widen(Math.min(from, to), Math.max(from, to), this.measure(event.text).width - 20);
+      }
+    });
+
+    const headerHeight = Math.max(...participants.map((entry) => entry.boxHeight));
+    let y = headerHeight + 20;
+    const shapes = [];
+    const frameStack = [];
+    const xs = [0, centers[centers.length - 1] + participants[participants.length - 1].width / 2 + selfMessageRoom];
+    let counter = 0;
+
+    const involve = (...columns) => {
+      frameStack.forEach((frame) => columns.forEach((column) => frame.columns.add(column)));
+    };
+
+    diagram.events.forEach((event) => {
+      if (event.type === 'message') {
+        const from = columnOf.get(event.from);
+        const to = columnOf.get(event.to);
+        const label = this.measure(event.text);
+        const number = diagram.autonumber ? ++counter : null;
+        involve(from, to);
+
+        if (from === to) {
+          const x = centers[from];
+          const top = y + label.height + 4;
+          shapes.push({ type: 'self-message', x, top, event, number, labelY: y + label.height / 2, labelX: x + 40 + label.width / 2 });
+          xs.push(x + 40 + label.width + 10);
+          y = top + 30 + 16;
+        } else {
+          const lineY = y + label.height + 6;
+          shapes.push({ type: 'message', x1: centers[from], x2: centers[to], y: lineY, event, number, labelY: y + label.height / 2 });
+          y = lineY + 18;
+        }
+      } else if (event.type === 'note') {
+        const from = columnOf.get(event.from);
+        const to = columnOf.get(event.to);
+        const size = this.measure(event.text);
+        const width = Math.max(size.width + 20, 80);
+        let left;
+        let right;
+        if (event.placement === 'left of') {
+          right = centers[from] - 10;
+          left = right - width;
+        } else if (event.placement === 'right of') {
+          left = centers[from] + 10;
+          right = left + width;
+        } else {
+          const low = Math.min(centers[from], centers[to]);
+          const high = Math.max(centers[from], centers[to]);
+          const span = Math.max(high - low + 40, width);
+          left = (low + high) / 2 - span / 2;
+          right = left + span;
+        }
+        involve(from, to);
+        xs.push(left, right);
+        shapes.push({ type: 'note', left, right, top: y, height: size.height + 14, text: event.text });
+        y += size.height + 14 + 12;
+      } else if (event.type === 'frame-start') {
+        const frame = { event, top: y, columns: new Set(), sections: [], depth: frameStack.length };
+        frameStack.push(frame);
+        y += this.lineHeight + 14;
+      } else if (event.type === 'frame-section') {
+        frameStack[frameStack.length - 1].sections.push({ y: y, label: event.label });
+        y += this.lineHeight + 10;
+      } else if (event.type === 'frame-end') {
+        const frame = frameStack.pop();
+        const columns = frame.columns.size > 0 ? [...frame.columns] : [0];
+        const pad = Math.max(12, 30 - frame.depth * 8);
+        const label = this.measure(`${frame.event.kind} ${frame.event.label}`);
+        const left = Math.min(...columns.map((c) => centers[c])) - pad - 40;
+        const right = Math.max(Math.max(...columns.map((c) => centers[c])) + pad + 40, left + label.width + 70);
+        xs.push(left, right);
+        shapes.push({ type: 'frame', left, right, top: frame.top, bottom: y, frame });
+        // Enclosing frames grow around this one
+        frameStack.forEach((outer) => columns.forEach((column) => outer.columns.add(column)));
+        y += 12;
+      }
+    });
+
+    const lifelineEnd = y + 8;
+    const footerTop = lifelineEnd;
+    participants.forEach((entry, index) => xs.push(centers[index] - entry.width / 2, centers[index] + entry.width / 2));
+
+    const offsetX = this.padding - Math.min(...xs);
+    const width = Math.max(...xs) - Math.min(...xs) + this.padding * 2;
+    const height = footerTop + headerHeight + this.padding * 2;
+
+    const root = this.createSvgRoot(width, height, 'Sequence diagram');
+    const markers = this.createMarkers();
+    root.appendChild(markers.defs);
+    const scene = this.svg('g', { transform: `translate(${offsetX.toFixed(1)} ${this.padding})` });
+    root.appendChild(scene);
+
+    // Frames behind everything else
+    shapes.filter((shape) => shape.type === 'frame').forEach(({ left, right, top, bottom, frame }) => {
+      const title = frame.event.kind;
+      const titleSize = this.measure(title);
+      const group = this.svg('g', { class: `diagram-frame diagram-frame-${title}` }, [
+        this.svg('rect', { x: left, y: top, width: right - left, height: bottom - top, class: 'diagram-frame-box' }),
+        this.svg('path', {
+          d: `M${left},${top} h${titleSize.width + 16} v${this.lineHeight - 4} l-6,6 H${left} Z`,
+          class: 'diagram-frame-tab',
+        }),
+        this.text(title, left + titleSize.width / 2 + 8, top + this.lineHeight / 2 + 1, 'diagram-frame-title'),
+      ]);
+      if (frame.event.label) {
+        group.appendChild(this.text(`[${frame.event.label}]`, (left + right) / 2 + titleSize.width / 2, top + this.lineHeight / 2 + 1, 'diagram-frame-label'));
+      }
+      frame.sections.forEach((section) => {
+        group.appendChild(this.svg('path', { d: `M${left},${section.y} H${right}`, class: 'diagram-frame-divider' }));
+        if (section.label) {
+          group.appendChild(this.text(`[${section.label}]`, (left + right) / 2, section.y + this.lineHeight / 2 + 3, 'diagram-frame-label'));
+        }
+      });
+      scene.appendChild(group);
+    });
+
+    // Lifelines and participant boxes at the top and bottom
+    participants.forEach((entry, index) => {
+      const x = centers[index];
+      scene.appendChild(this.svg('path', { d: `M${x},${headerHeight} V${footerTop}`, class: 'diagram-lifeline' }));
+      scene.appendChild(this.createParticipant(entry, x, headerHeight - entry.boxHeight, true));
+      scene.appendChild(this.createParticipant(entry, x, footerTop, false));
+    });
+
+    shapes.forEach((shape) => {
+      if (shape.type === 'message') {
+        const { x1, x2, y: lineY, event, number } = shape;
+        scene.appendChild(this.svg('path', {
+          d: `M${x1},${lineY} H${x2}`,
+          class: `diagram-message diagram-edge-${event.style}`,
+          'marker-end': markers.url(event.head),
+        }));
+        scene.appendChild(this.text(event.text, (x1 + x2) / 2, shape.labelY, 'diagram-message-label'));
+        if (number) scene.appendChild(this.createSequenceNumber(number, x1, lineY));
+      } else if (shape.type === 'self-message') {
+        const { x, top, event, number } = shape;
+        scene.appendChild(this.svg('path', {
+          d: `M${x},${top} H${x + 30} V${top + 30} H${x}`,
+          class: `diagram-message diagram-edge-${event.style}`,
+          'marker-end': markers.url(event.head),
+        }));
+        scene.appendChild(this.text(event.text, shape.labelX, shape.labelY, 'diagram-message-label'));
+        if (number) scene.appendChild(this.createSequenceNumber(number, x, top));
+      } else if (shape.type === 'note') {
+        scene.appendChild(this.svg('g', { class: 'diagram-note' }, [
+          this.svg('rect', { x: shape.left, y: shape.top, width: shape.right - shape.left, height: shape.height }),
+          this.text(shape.text, (shape.left + shape.right) / 2, shape.top + shape.height / 2),
+        ]));
+      }
+    });
+
+    return root;
+  }
+
+  /**
+   * Participant box (or stick figure for actors)
+   */
+  createParticipant(entry, x, top, isHeader) {
+    const group = this.svg('g', { class: `diagram-participant diagram-${entry.kind}` });
+    if (entry.kind === 'actor') {
+      const figureTop = isHeader ? top : top + 4;
+      group.appendChild(this.svg('circle', { cx: x, cy: figureTop + 7, r: 6, class: 'diagram-actor-figure' }));
+      group.appendChild(this.svg('path', {
+        d: `M${x},${figureTop + 13} V${figureTop + 24} M${x - 9},${figureTop + 17} H${x + 9} `
+          + `M${x},${figureTop + 24} L${x - 8},${figureTop + 33} M${x},${figureTop + 24} L${x + 8},${figureTop + 33}`,
+        class: 'diagram-actor-figure',
+      }));
+      const labelHeight = this.measure(entry.label).height;
+      group.appendChild(this.text(entry.label, x, figureTop + 36 + labelHeight / 2));
+      return group;
+    }
+
+    group.appendChild(this.svg('rect', { x: x - entry.width / 2, y: top, width: entry.width, height: entry.boxHeight, rx: 3 }));
+    group.appendChild(this.text(entry.label, x, top + entry.boxHeight / 2));
+    return group;
+  }
+
+  createSequenceNumber(number, x, y) {
+    return this.svg('g', { class: 'diagram-sequence-number' }, [
+      this.svg('circle', { cx: x, cy: y, r: 9 }),
+      this.text(String(number), x, y, 'diagram-sequence-number-label'),
+    ]);
+  }
+
+  // ============ Export ============
+
+  /**
+   * Standalone SVG markup for a rendered diagram, with its computed styles inlined
+   * so it looks the same outside the page
+   */
+  toSvgString(svgEl) {
+    const clone = svgEl.cloneNode(true);
+    const properties = ['fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-linecap',
+      'font-family', 'font-size', 'font-weight', 'font-style', 'opacity'];
+    const originals = [svgEl, ...svgEl.querySelectorAll('*')];
+    const copies = [clone, ...clone.querySelectorAll('*')];
+    originals.forEach((original, index) => {
+      const computed = getComputedStyle(original);
+      const style = properties
+        .map((property) => [property, computed.getPropertyValue(property)])
+        .filter(([, value]) => value)
+        .map(([property, value]) => `${property}: ${value}`)
+        .join('; ');
+      if (style) copies[index].setAttribute('style', style);
+    });
+    clone.removeAttribute('class');
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`;
+  }
+
+  /**
+   * PNG of a rendered diagram at the given scale, on the given background color
+   */
+  async toPngBlob(svgEl, background, scale = 2) {
+    const markup = this.toSvgString(svgEl);
+    const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+    try {
+      const image = new Image();
+      await new Promise((resolve, reject) => {
+        image.onload = resolve;
+        image.onerror = () => reject(new Error('Could not load the diagram image'));
+        image.src = url;
+      });
+
+      const width = Number(svgEl.getAttribute('width'));
+      const height = Number(svgEl.getAttribute('height'));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.ceil(width * scale);
+      canvas.height = Math.ceil(height * scale);
+      const context = canvas.getContext('2d');
+      context.fillStyle = background;
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      return await new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not create the PNG'))), 'image/png');
+      });
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+}
+
+// Global diagram renderer instance
+const Diagrams = new DiagramRenderer();
+window.Diagrams = Diagrams;
@@ -16,12 +16,31 @@ class BlockEditor {
     this.slashMenuIndex = 0;
     this.slashFilter = '';
     this.saveTimeout = null;
+    this.savedElements = new Map(); // Last saved JSON per block ID, so saves only write changed blocks
+    this.blocksNoteId = null; // Note that this.blocks belongs to (differs from noteId while a note loads)
     this.isDragging = false;
     this.draggedBlock = null;
     this.isAutoTitleUpdate = false; // Flag to track programmatic title updates
     this.hasReceivedFirstContent = false; // Track if note has received content
     this.pendingAutoTitle = false; // Prevent duplicate auto-title calls
     this.insightsPollingId = null; // Polling interval for insights extraction completion
+    this.undoManager = new UndoManager();
+    this.transactionDepth = 0; // Nested transactions record a single undo step
+    this.typingTimeout = null;
+    this.typingBlockIds = new Set(); // Blocks changed by the current typing burst
+    this.typingFocusId = null;
+    this.plainTextPaste = false; // Set by Ctrl/Cmd+Shift+V for the following paste
+    this.codeIndent = '  '; // Inserted by Tab in code blocks
+    this.duePicker = null; // Open to-do due date popover
+    this.duePickerOutside = null;
+    // Long notes render only the blocks near the viewport
+    this.virtualizeThreshold = 150; // Notes with more blocks than this are virtualized
+    this.initialRenderCount = 60; // Blocks rendered right away before the viewport is known
+    this.renderMargin = 1000; // Pixels beyond the viewport that get rendered
+    this.blockHeights = new Map(); // Measured heights of blocks that left the rendered window
+    this.renderKeys = new WeakMap(); // Block state each element was rendered from
+    this.placeholderObserver = null;
+    this.blockObserver = null;
 
     this.setupEventListeners();
     this.buildSlashMenu();
@@ -41,13 +60,24 @@ class BlockEditor {
     this.container.addEventListener('focus', (e) => this.onBlockFocus(e), true);
     this.container.addEventListener('blur', (e) => this.onBlockBlur(e), true);
     this.container.addEventListener('click', (e) => this.onBlockClick(e));
+    this.container.addEventListener('paste', (e) => this.onPaste(e));
+    this.container.addEventListener('pointerdown', (e) => this.onImageResizeStart(e));
+    this.container.addEventListener('pointerdown', (e) => this.onTableResizeStart(e));
 
     // Drag and drop
     this.container.addEventListener('dragstart', (e) => this.onDragStart(e));
     this.container.addEventListener('dragend', (e) => this.onDragEnd(e));
     this.container.addEventListener('dragover', (e) => this.onDragOver(e));
+    this.container.addEventListener('dragleave', (e) => this.onDragLeave(e));
     this.container.addEventListener('drop', (e) => this.onDrop(e));
 
+    // Files dropped outside the blocks would otherwise replace the page
+    ['dragover', 'drop'].forEach((type) => {
+      document.addEventListener(type, (e) => {
+        if (this.isFileDrag(e)) e.preventDefault();
+      });
+    });
+
     // Add block hint
     document.getElementById('add-block-hint').addEventListener('click', () => {
       this.addBlockAtEnd();
@@ -73,9 +103,24 @@ class BlockEditor {
       this.handleFileUpload(e);
     });
 
+    // Table CSV import
+    document.getElementById('table-csv-input').addEventListener('change', (e) => {
+      this.handleTableCsvUpload(e);
+    });
+
     // Global keyboard shortcuts
     document.addEventListener('keydown', (e) => this.onGlobalKeyDown(e));
 
+    // Typeset inline math that arrives through paste, merges or undo
+    this.mathObserver = new MutationObserver((mutations) => {
+      mutations.forEach((mutation) => {
+        mutation.addedNodes.forEach((node) => {
+          if (node.nodeType === Node.ELEMENT_NODE) TeX.renderAllInline(node);
+        });
+      });
+    });
+    this.mathObserver.observe(this.container, { childList: true, subtree: true });
+
     // Window resize - update wide content centering
     window.addEventListener('resize', Utils.debounce(() => {
       this.updateWideContentCentering();
@@ -92,6 +137,18 @@ class BlockEditor {
       this.insightsPollingId = null;
     }
 
+    // Drop any pending typing history from the previous note
+    clearTimeout(this.typingTimeout);
+    this.typingBlockIds = new Set();
+    this.closeDuePicker();
+
+    // Write pending edits of the previous note before switching
+    if (this.saveTimeout) {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+      await this.save();
+    }
+
     this.noteId = noteId;
     this.noteData = await Storage.getNote(noteId);
 
@@ -117,6 +174,9 @@ class BlockEditor {
     this.blocks = blocksData
       .sort((a, b) => (a.order || 0) - (b.order || 0))
       .map((data) => Block.deserialize(data));
+    this.savedElements = new Map(this.serializeForSave().map((data) => [data.id, JSON.stringify(data)]));
+    this.blocksNoteId = noteId;
+    this.blockHeights.clear();
 
     // Check if note already has content (for first-content detection)
     const existingContent = this.blocks.some(block => {
@@ -136,6 +196,11 @@ class BlockEditor {
       this.renderBlocks();
     }
 
+    // Start a fresh undo history for this note
+    this.undoManager.reset(this.blocks);
+    // Object URLs of the previous note's images are no longer needed
+    Storage.releaseMediaUrls(this.getMediaIds());
+
     // Scroll to top of editor
     const editorContainer = document.getElementById('editor-container');
     
@@ -553,19 +618,43 @@ class BlockEditor {
   }
 
   /**
-   * Render all blocks
+   * Render all blocks, reusing the elements of unchanged blocks (keyed by block ID).
+   * Notes longer than virtualizeThreshold keep blocks away from the viewport as
+   * fixed-height placeholders that are rendered when they scroll into view.
    */
   renderBlocks() {
-    this.container.innerHTML = '';
+    this.updateBlockTree();
+    const virtualized = this.blocks.length > this.virtualizeThreshold;
+    this.setupVirtualization(virtualized);
+
+    const existing = new Map();
+    Array.from(this.container.children).forEach((el) => {
+      const id = el.dataset.id || el.dataset.placeholderId;
+      if (id) existing.set(id, el);
+    });
 
-    this.blocks.forEach((block, index) => {
-      const el = block.createElement();
-      if (block.type === 'numbered') {
-        el.dataset.number = this.getNumberedListNumber(index);
+    const elements = this.blocks.map((block, index) => {
+      const old = existing.get(block.id);
+      const isRendered = old && old.classList.contains('block');
+
+      if (isRendered && this.renderKeys.get(old) === this.getRenderKey(block)) {
+        if (block.type === 'numbered') {
+          old.dataset.number = this.getNumberedListNumber(index);
+        }
+        this.blockObserver?.observe(old);
+        return old;
       }
-      this.container.appendChild(el);
+      if (old && !isRendered && virtualized) {
+        return old;
+      }
+      // Changed blocks stay rendered; new ones are placeholders unless near the top
+      if (!virtualized || isRendered || (!old && index < this.initialRenderCount)) {
+        return this.createBlockElement(block, index);
+      }
+      return this.createPlaceholder(block);
     });
 
+    this.patchChildren(elements);
     this.updateAddBlockHint();
     
     // Update wide content centering after render
@@ -575,6 +664,202 @@ class BlockEditor {
     this.setupImageLoadHandlers();
   }
 
+  /**
+   * Put the container's children in the given order, moving as few elements as possible
+   */
+  patchChildren(elements) {
+    const wanted = new Set(elements);
+    Array.from(this.container.children).forEach((el) => {
+      if (!wanted.has(el)) el.remove();
+    });
+
+    // Elements already in increasing position form the longest run that can stay put
+    const positions = new Map(Array.from(this.container.children).map((el, index) => [el, index]));
+    const stable = this.getLongestIncreasingRun(elements.map((el) => (positions.has(el) ? positions.get(el) : -1)));
+
+    let next = null;
+    for (let i = elements.length - 1; i >= 0; i--) {
+      if (!stable.has(i)) {
+        this.container.insertBefore(elements[i], next);
+      }
+      next = elements[i];
+    }
+  }
+
+  /**
+   * Indices of a longest strictly increasing subsequence (negative values are skipped)
+   */
+  getLongestIncreasingRun(values) {
+    const tails = []; // tails[k] = index ending the best run of length k + 1
+    const previous = new Array(values.length);
+    values.forEach((value, index) => {
+      if (value < 0) return;
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (values[tails[mid]] < value) {
+          low = mid + 1;
+        } else {
+          high = mid;
+        }
+      }
+      previous[index] = low > 0 ? tails[low - 1] : -1;
+      tails[low] = index;
+    });
+
+    const run = new Set();
+    for (let index = tails[tails.length - 1]; index !== undefined && index !== -1; index = previous[index]) {
+      run.add(index);
+    }
+    return run;
+  }
+
+  /**
+   * Create the element for a block
+   */
+  createBlockElement(block, index = this.blocks.indexOf(block)) {
+    const el = block.createElement();
+    if (block.type === 'numbered') {
+      el.dataset.number = this.getNumberedListNumber(index);
+    }
+    this.renderKeys.set(el, this.getRenderKey(block));
+    this.blockObserver?.observe(el);
+    return el;
+  }
+
+  /**
+   * Comparable state of a block as rendered (edits update updatedAt without changing the element)
+   */
+  getRenderKey(block) {
+    const { updatedAt, ...data } = block.serialize();
+    return JSON.stringify(data);
+  }
+
+  // ============ Virtualization ============
+
+  /**
+   * Start or stop windowed rendering
+   */
+  setupVirtualization(enabled) {
+    if (!enabled) {
+      this.placeholderObserver?.disconnect();
+      this.blockObserver?.disconnect();
+      this.placeholderObserver = null;
+      this.blockObserver = null;
+      return;
+    }
+    if (this.placeholderObserver) return;
+
+    const root = document.getElementById('editor-container');
+    this.placeholderObserver = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (!entry.target.isConnected) {
+          this.placeholderObserver.unobserve(entry.target);
+        } else if (entry.isIntersecting) {
+          this.materializeBlock(entry.target);
+        }
+      });
+    }, { root, rootMargin: `${this.renderMargin}px 0px` });
+
+    // Rendered blocks are released once well outside the window, so scrolling back doesn't thrash
+    this.blockObserver = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        // Elements replaced by a re-render stop being observed here
+        if (!entry.target.isConnected) {
+          this.blockObserver.unobserve(entry.target);
+        } else if (!entry.isIntersecting) {
+          this.releaseBlock(entry.target, entry.boundingClientRect.height);
+        }
+      });
+    }, { root, rootMargin: `${this.renderMargin * 3}px 0px` });
+  }
+
+  /**
+   * Create a placeholder with the block's last measured (or estimated) height
+   */
+  createPlaceholder(block) {
+    const el = document.createElement('div');
+    el.className = 'block-placeholder';
+    el.dataset.placeholderId = block.id;
+    el.style.height = `${this.blockHeights.get(block.id) || this.estimateBlockHeight(block)}px`;
+    this.placeholderObserver?.observe(el);
+    return el;
+  }
+
+  /**
+   * Rough height of a block that hasn't been rendered yet
+   */
+  estimateBlockHeight(block) {
+    const lineHeight = 26;
+    switch (block.type) {
+      case 'h1':
+        return 48;
+      case 'h2':
+        return 40;
+      case 'h3':
+        return 34;
+      case 'divider':
+        return 24;
+      case 'image':
+        return 300;
+      case 'video':
+        return 360;
+      case 'bookmark':
+        return 90;
+      case 'file':
+        return 56;
+      case 'equation':
+        return 64;
+      case 'diagram':
+        return 300;
+      case 'table':
+        return 36 * ((block.tableData || []).length || 3) + 16;
+      case 'code':
+        return lineHeight * (this.stripHtmlTags(block.content).split('\n').length) + 32;
+      default:
+        // About 90 characters per line at the default editor width
+        return lineHeight * Math.max(1, Math.ceil(this.stripHtmlTags(block.content).length / 90));
+    }
+  }
+
+  /**
+   * Replace a placeholder with the rendered block
+   */
+  materializeBlock(placeholder) {
+    this.placeholderObserver?.unobserve(placeholder);
+    const block = this.getBlockById(placeholder.dataset.placeholderId);
+    if (!block) {
+      placeholder.remove();
+      return null;
+    }
+
+    const el = this.createBlockElement(block);
+    placeholder.replaceWith(el);
+    if (['table', 'image', 'video'].includes(block.type)) {
+      requestAnimationFrame(() => this.updateWideContentCentering());
+    }
+    return el;
+  }
+
+  /**
+   * Swap a rendered block that left the window for a placeholder of the same height
+   */
+  releaseBlock(el, height) {
+    // Keep the block being edited or dragged
+    if (el.contains(document.activeElement) || el.dataset.id === this.activeBlock || el.classList.contains('dragging')) {
+      return;
+    }
+    const block = this.getBlockById(el.dataset.id);
+    if (!block) return;
+
+    if (height > 0) {
+      this.blockHeights.set(block.id, height);
+    }
+    this.blockObserver?.unobserve(el);
+    el.replaceWith(this.createPlaceholder(block));
+  }
+
   /**
    * Setup load handlers for images to update centering once they're fully loaded
    */
@@ -614,7 +899,11 @@ class BlockEditor {
         if (type === 'table') {
           contentEl = blockEl.querySelector('table');
         } else if (type === 'image') {
-          contentEl = blockEl.querySelector('img');
+          contentEl = blockEl.querySelector('.image-figure');
+          if (contentEl && contentEl.dataset.align === 'full') {
+            // Full-width images span the editor area, not just the text column
+            contentEl.style.width = `${this.getFullImageWidth(editorWidth)}px`;
+          }
         } else if (type === 'video') {
           contentEl = blockEl.querySelector('.video-container');
         }
@@ -647,13 +936,28 @@ class BlockEditor {
     });
   }
 
+  /**
+   * Width of a full-width image: the editor area minus a margin on each side, never narrower than the text column
+   */
+  getFullImageWidth(editorWidth) {
+    const editorContainer = document.getElementById('editor-container');
+    if (!editorContainer) return editorWidth;
+    return Math.max(editorWidth, editorContainer.clientWidth - 2 * 48);
+  }
+
   /**
    * Get number for numbered list item
    */
   getNumberedListNumber(index) {
+    const depth = this.blocks[index].depth;
     let num = 1;
     for (let i = index - 1; i >= 0; i--) {
-      if (this.blocks[i].type === 'numbered') {
+      const prev = this.blocks[i];
+      // Skip over nested children of previous siblings
+      if (prev.depth > depth) {
+        continue;
+      }
+      if (prev.depth === depth && prev.type === 'numbered') {
         num++;
       } else {
         break;
@@ -676,6 +980,86 @@ class BlockEditor {
     });
   }
 
+  // ============ Block Tree ============
+
+  /**
+   * Clamp block depths to a valid tree and recompute parent IDs
+   */
+  updateBlockTree() {
+    const ancestors = [];
+    this.blocks.forEach((block, index) => {
+      const maxDepth = index === 0 ? 0 : this.blocks[index - 1].depth + 1;
+      block.depth = Math.max(0, Math.min(block.depth || 0, maxDepth));
+      ancestors.length = block.depth;
+      block.parentId = block.depth > 0 ? ancestors[block.depth - 1] : null;
+      ancestors[block.depth] = block.id;
+    });
+  }
+
+  /**
+   * Get the index just past a block's last descendant
+   */
+  getSubtreeEnd(index) {
+    const depth = this.blocks[index].depth;
+    let end = index + 1;
+    while (end < this.blocks.length && this.blocks[end].depth > depth) {
+      end++;
+    }
+    return end;
+  }
+
+  /**
+   * Shift a block and its descendants by the given number of levels
+   */
+  shiftBlockDepth(block, delta) {
+    return this.transaction(delta > 0 ? 'Indent block' : 'Outdent block', () => {
+      const index = this.blocks.indexOf(block);
+      if (index === -1) return false;
+
+      if (delta > 0) {
+        // A block can only nest one level deeper than the block above it
+        if (index === 0 || block.depth > this.blocks[index - 1].depth) {
+          return false;
+        }
+      } else if (block.depth === 0) {
+        return false;
+      }
+
+      const end = this.getSubtreeEnd(index);
+      for (let i = index; i < end; i++) {
+        this.blocks[i].depth += delta;
+        this.blocks[i].markUpdated();
+      }
+      this.updateBlockTree();
+
+      // Update elements in place so the caret stays where it is
+      for (let i = index; i < end; i++) {
+        const el = this.getBlockElement(this.blocks[i].id);
+        if (el) {
+          this.blocks[i].applyDepth(el);
+        }
+      }
+
+      this.updateNumberedLists();
+      this.scheduleSave();
+      return true;
+    });
+  }
+
+  /**
+   * Indent a block under its previous sibling
+   */
+  indentBlock(block) {
+    return this.shiftBlockDepth(block, 1);
+  }
+
+  /**
+   * Outdent a block one level
+   */
+  outdentBlock(block) {
+    return this.shiftBlockDepth(block, -1);
+  }
+
   /**
    * Create a new block
    */
@@ -690,13 +1074,15 @@ class BlockEditor {
    * Add block at end
    */
   addBlockAtEnd() {
-    const block = this.createBlock('text');
-    this.blocks.push(block);
-    const el = block.createElement();
-    this.container.appendChild(el);
-    this.focusBlock(block.id);
-    this.scheduleSave();
-    this.updateAddBlockHint();
+    this.transaction('Add block', () => {
+      const block = this.createBlock('text');
+      this.blocks.push(block);
+      const el = this.createBlockElement(block);
+      this.container.appendChild(el);
+      this.focusBlock(block.id);
+      this.scheduleSave();
+      this.updateAddBlockHint();
+    });
   }
 
   /**
@@ -714,73 +1100,87 @@ class BlockEditor {
    * Insert block after another
    */
   insertBlockAfter(afterId, type = 'text', content = '') {
-    const index = this.blocks.findIndex((b) => b.id === afterId);
-    const block = this.createBlock(type, content);
+    return this.transaction('Insert block', () => {
+      const index = this.blocks.findIndex((b) => b.id === afterId);
+      const block = this.createBlock(type, content);
 
-    if (index === -1) {
-      this.blocks.push(block);
-    } else {
-      this.blocks.splice(index + 1, 0, block);
-    }
+      if (index === -1) {
+        this.blocks.push(block);
+      } else {
+        // New block becomes the first child if the block already has children
+        const afterBlock = this.blocks[index];
+        const nextBlock = this.blocks[index + 1];
+        block.depth = nextBlock && nextBlock.depth > afterBlock.depth
+          ? afterBlock.depth + 1
+          : afterBlock.depth;
+        this.blocks.splice(index + 1, 0, block);
+      }
 
-    // Re-render and focus
-    this.renderBlocks();
-    this.focusBlock(block.id);
-    this.scheduleSave();
+      // Re-render and focus
+      this.renderBlocks();
+      this.focusBlock(block.id);
+      this.scheduleSave();
 
-    return block;
+      return block;
+    });
   }
 
   /**
    * Delete a block
    */
   deleteBlock(blockId) {
-    const index = this.blocks.findIndex((b) => b.id === blockId);
-    if (index === -1) return;
-
-    // Don't delete if it's the only block
-    if (this.blocks.length === 1) {
-      // Just clear it
-      this.blocks[0].content = '';
-      this.blocks[0].type = 'text';
-      this.renderBlocks();
-      this.focusBlock(this.blocks[0].id);
-      return;
-    }
+    this.transaction('Delete block', () => {
+      const index = this.blocks.findIndex((b) => b.id === blockId);
+      if (index === -1) return;
+
+      // Don't delete if it's the only block
+      if (this.blocks.length === 1) {
+        // Just clear it
+        this.blocks[0].content = '';
+        this.blocks[0].type = 'text';
+        this.renderBlocks();
+        this.focusBlock(this.blocks[0].id);
+        return;
+      }
 
-    this.blocks.splice(index, 1);
-    Storage.deleteElement(blockId);
+      this.blocks.splice(index, 1);
 
-    // Focus previous or next block
-    const focusIndex = Math.max(0, index - 1);
-    this.renderBlocks();
-    this.focusBlock(this.blocks[focusIndex].id, true);
-    this.scheduleSave();
+      // Focus previous or next block
+      const focusIndex = Math.max(0, index - 1);
+      this.renderBlocks();
+      this.focusBlock(this.blocks[focusIndex].id, true);
+      this.scheduleSave();
+    });
   }
 
   /**
    * Change block type
    */
   changeBlockType(blockId, newType) {
-    const block = this.getBlockById(blockId);
-    if (!block) return;
+    this.transaction('Change block type', () => {
+      const block = this.getBlockById(blockId);
+      if (!block) return;
+
+      // Code is stored as plain text with newlines, other blocks as inline HTML
+      if (newType === 'code' && block.type !== 'code') {
+        block.content = Utils.escapeHtml(block.getCodeText());
+      } else if (block.type === 'code' && newType !== 'code') {
+        block.content = Utils.escapeHtml(block.getCodeText()).replace(/\n/g, '<br>');
+      }
 
-    block.type = newType;
+      block.type = newType;
 
-    // Re-render this block
-    const oldEl = this.container.querySelector(`[data-id="${blockId}"]`);
-    if (oldEl) {
-      const newEl = block.createElement();
-      if (newType === 'numbered') {
-        const index = this.blocks.indexOf(block);
-        newEl.dataset.number = this.getNumberedListNumber(index);
+      // Re-render this block
+      const oldEl = this.getBlockElement(blockId);
+      if (oldEl) {
+        const newEl = this.createBlockElement(block);
+        oldEl.replaceWith(newEl);
+        this.focusBlock(blockId);
       }
-      oldEl.replaceWith(newEl);
-      this.focusBlock(blockId);
-    }
 
-    this.updateNumberedLists();
-    this.scheduleSave();
+      this.updateNumberedLists();
+      this.scheduleSave();
+    });
   }
 
   /**
@@ -791,10 +1191,14 @@ class BlockEditor {
   }
 
   /**
-   * Get block element
+   * Get block element, rendering the block first if it's outside the rendered window
    */
   getBlockElement(id) {
-    return this.container.querySelector(`[data-id="${id}"]`);
+    const el = this.container.querySelector(`[data-id="${id}"]`);
+    if (el) return el;
+
+    const placeholder = this.container.querySelector(`[data-placeholder-id="${id}"]`);
+    return placeholder ? this.materializeBlock(placeholder) : null;
   }
 
   /**
@@ -813,6 +1217,35 @@ class BlockEditor {
     }
   }
 
+  /**
+   * Apply a change made outside the editor (e.g. on the task board) to a block of the open note
+   */
+  applyBlockChanges(blockId, changes, label) {
+    const block = this.getBlockById(blockId);
+    if (!block) return false;
+
+    this.transaction(label, () => {
+      Object.assign(block, changes);
+      block.markUpdated();
+      this.rerenderBlock(block);
+    });
+    this.scheduleSave();
+    return true;
+  }
+
+  /**
+   * Scroll a block into view and briefly highlight it (e.g. when opened from search)
+   */
+  revealBlock(blockId) {
+    const el = this.getBlockElement(blockId);
+    if (!el) return;
+
+    el.scrollIntoView({ block: 'center' });
+    el.classList.add('search-hit');
+    setTimeout(() => el.classList.remove('search-hit'), 2000);
+    this.focusBlock(blockId);
+  }
+
   /**
    * Place caret at end of element
    */
@@ -924,11 +1357,44 @@ class BlockEditor {
     if (!block) return;
 
     const content = blockEl.querySelector('.block-content');
-    if (content && e.target === content) {
+
+    // Code language picker
+    if (block.type === 'code' && e.target.classList.contains('code-language-select')) {
+      this.transaction('Change code language', () => {
+        block.language = e.target.value;
+        block.markUpdated();
+      });
+      this.updateCodeBlock(block, blockEl, Highlighter.getText(content));
+      this.scheduleSave();
+      return;
+    }
+
+    // Table column types and filters
+    if (block.type === 'table' && e.target.matches('.table-column-type, .table-filter-column, .table-filter-op, .table-filter-value')) {
+      this.onTableViewInput(e, block, blockEl);
+      return;
+    }
+
+    if (content && e.target === content && block.type === 'code') {
+      // Re-highlight as the code changes (not mid-composition, which would cancel it)
+      const text = Highlighter.getText(content);
+      if (!e.isComposing) {
+        this.updateCodeBlock(block, blockEl, text);
+      }
+      block.content = Utils.escapeHtml(text);
+      block.markUpdated();
+    } else if (content && e.target === content) {
+      // A closed $…$ turns into inline math once the character after it shows it isn't a price
+      if (e.inputType === 'insertText' && e.data) {
+        this.convertInlineMathAtCaret();
+      }
       block.content = content.innerHTML;
       block.markUpdated();
     }
 
+    // Every change below belongs to the current typing burst
+    this.queueTypingHistory(block.id);
+
     // Handle toggle children content
     if (block.type === 'toggle') {
       const childContent = blockEl.querySelector('.toggle-children-content, .toggle-children-placeholder');
@@ -945,6 +1411,23 @@ class BlockEditor {
       if (block.tableData && block.tableData[row]) {
         block.tableData[row][col] = e.target.textContent;
         block.markUpdated();
+        // Formulas that use this cell recompute as you type
+        block.updateTableFormulas(e.target.closest('table'), e.target);
+      }
+    }
+
+    // Checkbox, date and select cells
+    if (block.type === 'table' && e.target.classList.contains('table-cell-input')) {
+      const cell = e.target.closest('td');
+      const row = parseInt(cell.dataset.row);
+      const col = parseInt(cell.dataset.col);
+      if (block.tableData && block.tableData[row]) {
+        block.tableData[row][col] = e.target.type === 'checkbox' ? String(e.target.checked) : e.target.value;
+        block.markUpdated();
+        cell.classList.remove('invalid');
+        block.updateTableFormulas(cell.closest('table'));
+        // A checked box may now be sorted or filtered elsewhere (other cells wait for blur)
+        if (e.target.type === 'checkbox') this.refreshTableView(block, blockEl);
       }
     }
 
@@ -960,6 +1443,31 @@ class BlockEditor {
       block.markUpdated();
     }
 
+    // Handle image caption and alt text
+    if (block.type === 'image' && e.target.classList.contains('image-caption')) {
+      block.caption = e.target.textContent;
+      block.markUpdated();
+    }
+
+    if (block.type === 'image' && e.target.classList.contains('image-alt-input')) {
+      block.alt = e.target.value;
+      block.markUpdated();
+      const img = blockEl.querySelector('.image-frame img');
+      if (img) img.alt = block.alt || block.caption || 'Image';
+    }
+
+    // Handle equation source
+    if (block.type === 'equation' && e.target.classList.contains('equation-input')) {
+      block.equation = e.target.value;
+      block.markUpdated();
+    }
+
+    // Handle diagram source
+    if (block.type === 'diagram' && e.target.classList.contains('diagram-input')) {
+      block.diagram = e.target.value;
+      block.markUpdated();
+    }
+
     // Check for markdown shortcuts
     this.checkMarkdownShortcuts(block, content);
 
@@ -1053,6 +1561,17 @@ class BlockEditor {
 
     const text = contentEl.textContent;
 
+    // ```lang followed by a space starts a code block in that language
+    const fence = text.match(/^```([\w+#.-]+)\s/);
+    if (fence) {
+      this.transaction('Change block type', () => {
+        block.content = Utils.escapeHtml(text.slice(fence[0].length));
+        block.language = fence[1].toLowerCase();
+        this.changeBlockType(block.id, 'code');
+      });
+      return;
+    }
+
     // Check shortcuts
     const shortcuts = {
       '# ': 'h1',
@@ -1070,10 +1589,12 @@ class BlockEditor {
 
     for (const [shortcut, type] of Object.entries(shortcuts)) {
       if (text.startsWith(shortcut)) {
-        // Remove the shortcut text
-        const newContent = text.slice(shortcut.length);
-        block.content = newContent;
-        this.changeBlockType(block.id, type);
+        this.transaction('Change block type', () => {
+          // Remove the shortcut text
+          const newContent = text.slice(shortcut.length);
+          block.content = newContent;
+          this.changeBlockType(block.id, type);
+        });
         return;
       }
     }
@@ -1091,6 +1612,35 @@ class BlockEditor {
 
     const content = blockEl.querySelector('.block-content');
 
+    // Ctrl/Cmd+Shift+V - paste the next clipboard contents as plain text
+    this.plainTextPaste = (e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === 'v';
+
+    // Undo / redo across blocks (URL and equation inputs keep native undo)
+    if (this.isUndoShortcut(e) && !e.target.matches('input, textarea')) {
+      e.preventDefault();
+      if (e.key.toLowerCase() === 'y' || e.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+      return;
+    }
+
+    // Code toolbar (language picker, copy button) keeps its native keys
+    if (block.type === 'code' && e.target.closest('.code-toolbar')) {
+      return;
+    }
+
+    // To-do due date button keeps its native keys
+    if (e.target.closest('.todo-due')) {
+      return;
+    }
+
+    // Code editing keys (Enter, Tab, Ctrl/Cmd+Enter)
+    if (block.type === 'code' && e.target === content && this.onCodeKeyDown(e, block, blockEl, content)) {
+      return;
+    }
+
     // Handle bookmark URL input Enter
     if (block.type === 'bookmark' && e.target.classList.contains('bookmark-input')) {
       if (e.key === 'Enter') {
@@ -1109,18 +1659,48 @@ class BlockEditor {
         e.preventDefault();
         const url = e.target.value.trim();
         if (url) {
-          block.videoUrl = url;
-          this.rerenderBlock(block);
+          this.transaction('Embed video', () => {
+            block.videoUrl = url;
+            this.rerenderBlock(block);
+          });
           this.scheduleSave();
         }
       }
       return;
     }
 
-    // Slash command
-    if (e.key === '/' && content && content.textContent === '') {
-      e.preventDefault();
-      this.showSlashMenu(blockEl);
+    // Image caption and alt text: Enter finishes editing
+    if (block.type === 'image' && e.target.matches('.image-caption, .image-alt-input')) {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        if (e.target.classList.contains('image-alt-input')) {
+          e.target.classList.add('hidden');
+        } else {
+          this.insertBlockAfter(block.id);
+        }
+      }
+      return;
+    }
+
+    // Equation source handles its own Enter and Escape
+    if (block.type === 'equation' && e.target.classList.contains('equation-input')) {
+      return;
+    }
+
+    // Table inputs (typed cells, column bar, filters) keep their native keys
+    if (block.type === 'table' && e.target.matches('input, select, button')) {
+      return;
+    }
+
+    // Diagram source and toolbar keep their native keys
+    if (block.type === 'diagram' && e.target.closest('.diagram-body, .diagram-toolbar')) {
+      return;
+    }
+
+    // Slash command
+    if (e.key === '/' && content && content.textContent === '') {
+      e.preventDefault();
+      this.showSlashMenu(blockEl);
       return;
     }
 
@@ -1152,31 +1732,40 @@ class BlockEditor {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
 
-      // Get content after cursor
-      const sel = window.getSelection();
-      const range = sel.getRangeAt(0);
-      const afterRange = range.cloneRange();
-      afterRange.selectNodeContents(content);
-      afterRange.setStart(range.endContainer, range.endOffset);
-      const afterContent = afterRange.cloneContents();
-      const afterText = this.getTextFromFragment(afterContent);
-
-      // Remove content after cursor
-      afterRange.deleteContents();
-      block.content = content.innerHTML;
+      // Enter on an empty nested list item moves it out one level
+      const isListType = block.type === 'bullet' || block.type === 'numbered' || block.type === 'todo';
+      if (isListType && block.depth > 0 && !this.hasContent(content)) {
+        this.outdentBlock(block);
+        return;
+      }
 
-      // Determine new block type
-      let newType = 'text';
-      if (block.type === 'bullet' || block.type === 'numbered' || block.type === 'todo') {
-        // Continue list if current block has content
-        if (content.textContent.trim()) {
-          newType = block.type;
+      this.transaction('Split block', () => {
+        // Get content after cursor
+        const sel = window.getSelection();
+        const range = sel.getRangeAt(0);
+        const afterRange = range.cloneRange();
+        afterRange.selectNodeContents(content);
+        afterRange.setStart(range.endContainer, range.endOffset);
+        const afterContent = afterRange.cloneContents();
+        const afterText = this.getTextFromFragment(afterContent);
+
+        // Remove content after cursor
+        afterRange.deleteContents();
+        block.content = content.innerHTML;
+
+        // Determine new block type
+        let newType = 'text';
+        if (block.type === 'bullet' || block.type === 'numbered' || block.type === 'todo') {
+          // Continue list if current block has content
+          if (this.hasContent(content)) {
+            newType = block.type;
+          }
         }
-      }
 
-      // Create new block
-      this.insertBlockAfter(block.id, newType, afterText);
-      this.scheduleSave();
+        // Create new block
+        this.insertBlockAfter(block.id, newType, afterText);
+        this.scheduleSave();
+      });
       return;
     }
 
@@ -1192,6 +1781,12 @@ class BlockEditor {
           return;
         }
 
+        // Nested blocks outdent before merging
+        if (block.depth > 0) {
+          this.outdentBlock(block);
+          return;
+        }
+
         // Merge with previous block
         const index = this.blocks.indexOf(block);
         if (index > 0) {
@@ -1201,8 +1796,10 @@ class BlockEditor {
 
           if (prevContent && prevBlock.type !== 'divider' && prevBlock.type !== 'image') {
             const prevLength = prevContent.textContent.length;
-            prevBlock.content = prevContent.innerHTML + block.content;
-            this.deleteBlock(block.id);
+            this.transaction('Merge blocks', () => {
+              prevBlock.content = prevContent.innerHTML + block.content;
+              this.deleteBlock(block.id);
+            });
 
             // Place cursor at merge point
             setTimeout(() => {
@@ -1230,9 +1827,11 @@ class BlockEditor {
           const nextContent = nextEl?.querySelector('.block-content');
 
           if (nextContent && nextBlock.type !== 'divider' && nextBlock.type !== 'image') {
-            block.content = content.innerHTML + nextBlock.content;
-            content.innerHTML = block.content;
-            this.deleteBlock(nextBlock.id);
+            this.transaction('Merge blocks', () => {
+              block.content = content.innerHTML + nextBlock.content;
+              content.innerHTML = block.content;
+              this.deleteBlock(nextBlock.id);
+            });
             this.placeCaretAtEnd(content);
           }
         }
@@ -1240,6 +1839,14 @@ class BlockEditor {
       }
     }
 
+    // Ctrl/Cmd+Home and Ctrl/Cmd+End - jump to the first or last block (rendering it if needed)
+    if ((e.ctrlKey || e.metaKey) && (e.key === 'Home' || e.key === 'End')) {
+      e.preventDefault();
+      const target = e.key === 'Home' ? this.blocks[0] : this.blocks[this.blocks.length - 1];
+      this.focusBlock(target.id, e.key === 'End');
+      return;
+    }
+
     // Arrow up - move to previous block
     if (e.key === 'ArrowUp') {
       if (this.isCaretAtStart(content)) {
@@ -1264,11 +1871,13 @@ class BlockEditor {
       }
     }
 
-    // Tab - indent (for lists)
-    if (e.key === 'Tab') {
-      if (block.type === 'bullet' || block.type === 'numbered' || block.type === 'todo') {
-        e.preventDefault();
-        // TODO: Implement indentation
+    // Tab / Shift+Tab - indent or outdent
+    if (e.key === 'Tab' && content && e.target === content && block.type !== 'code') {
+      e.preventDefault();
+      if (e.shiftKey) {
+        this.outdentBlock(block);
+      } else {
+        this.indentBlock(block);
       }
     }
   }
@@ -1281,12 +1890,46 @@ class BlockEditor {
     if (blockEl) {
       this.activeBlock = blockEl.dataset.id;
     }
+
+    // Formula cells show their source while being edited
+    if (e.target.classList?.contains('table-cell-formula')) {
+      const block = this.getBlockById(blockEl.dataset.id);
+      const source = block?.tableData?.[parseInt(e.target.dataset.row)]?.[parseInt(e.target.dataset.col)];
+      if (source !== undefined && e.target.textContent !== source) {
+        e.target.textContent = source;
+        this.placeCaretAtEnd(e.target);
+      }
+    }
   }
 
   /**
    * Handle block blur
    */
   onBlockBlur(e) {
+    // $…$ left as text after editing a formula becomes inline math again
+    if (e.target.classList?.contains('block-content')) {
+      const block = this.getBlockById(e.target.closest('.block')?.dataset.id);
+      if (block && block.type !== 'code' && this.convertInlineMath(e.target)) {
+        this.queueTypingHistory(block.id);
+        block.content = e.target.innerHTML;
+        block.markUpdated();
+        this.scheduleSave();
+      }
+    }
+
+    // Formula cells go back to showing results, and edited rows move into their
+    // sorted / filtered place once focus leaves the table
+    if (e.target.matches?.('.table-wrapper td, .table-wrapper th, .table-cell-input')) {
+      const blockEl = e.target.closest('.block');
+      const block = this.getBlockById(blockEl?.dataset.id);
+      if (block) {
+        block.updateTableFormulas(e.target.closest('table'));
+        if (!e.target.closest('.table-wrapper').contains(e.relatedTarget)) {
+          this.refreshTableView(block, blockEl);
+        }
+      }
+    }
+
     // Delay to allow click events to fire
     setTimeout(() => {
       if (!this.container.contains(document.activeElement)) {
@@ -1299,13 +1942,58 @@ class BlockEditor {
    * Handle block click
    */
   onBlockClick(e) {
+    // Internal note links (e.g. imported wikilinks)
+    const noteLink = e.target.closest('a.note-link');
+    if (noteLink && window.app) {
+      e.preventDefault();
+      window.app.openNoteWithModifier(noteLink.dataset.noteId, e);
+      return;
+    }
+
+    // Code block copy button
+    const copyBtn = e.target.closest('.code-copy-btn');
+    if (copyBtn) {
+      this.copyCodeBlock(copyBtn);
+      return;
+    }
+
+    // Diagram SVG / PNG download
+    const exportBtn = e.target.closest('.diagram-export-btn');
+    if (exportBtn) {
+      this.exportDiagram(exportBtn);
+      return;
+    }
+
+    // Inline math opens as $…$ source for editing
+    const inlineMath = e.target.closest('.inline-math');
+    if (inlineMath && inlineMath.closest('.block-content')) {
+      this.editInlineMath(inlineMath);
+      return;
+    }
+
+    // To-do due date picker
+    const dueChip = e.target.closest('.todo-due');
+    if (dueChip) {
+      const block = this.getBlockById(dueChip.closest('.block').dataset.id);
+      if (block) this.openDuePicker(block, dueChip);
+      return;
+    }
+
     // Todo checkbox
     if (e.target.closest('.todo-checkbox')) {
       const blockEl = e.target.closest('.block');
       const block = this.getBlockById(blockEl.dataset.id);
       if (block) {
-        block.checked = !block.checked;
-        blockEl.classList.toggle('checked', block.checked);
+        this.transaction('Toggle to-do', () => {
+          block.checked = !block.checked;
+          // Unchecking a finished to-do puts it back to Todo rather than In progress
+          block.status = null;
+          blockEl.classList.toggle('checked', block.checked);
+          blockEl.classList.remove('in-progress');
+          blockEl.querySelector('.todo-checkbox').removeAttribute('title');
+          // A finished to-do is no longer overdue
+          blockEl.querySelector('.todo-due')?.replaceWith(block.createDueChip());
+        });
         this.scheduleSave();
       }
       return;
@@ -1316,13 +2004,21 @@ class BlockEditor {
       const blockEl = e.target.closest('.block');
       const block = this.getBlockById(blockEl.dataset.id);
       if (block) {
-        block.collapsed = !block.collapsed;
-        blockEl.classList.toggle('expanded', !block.collapsed);
+        this.transaction('Toggle block', () => {
+          block.collapsed = !block.collapsed;
+          blockEl.classList.toggle('expanded', !block.collapsed);
+        });
         this.scheduleSave();
       }
       return;
     }
 
+    // Sorting, filters and links in tables
+    if (e.target.closest('.table-sort-btn, .table-sort-clear, .table-add-filter, .table-filter-remove, td.table-cell-url')) {
+      this.onTableViewClick(e);
+      return;
+    }
+
     // Table controls
     if (e.target.closest('.table-controls button')) {
       const btn = e.target.closest('button');
@@ -1337,11 +2033,48 @@ class BlockEditor {
           this.removeTableRow(block, blockEl);
         } else if (btn.classList.contains('remove-col-btn')) {
           this.removeTableColumn(block, blockEl);
+        } else if (btn.classList.contains('table-header-btn')) {
+          this.toggleTableHeader(block);
+        } else if (btn.classList.contains('table-import-btn')) {
+          const input = document.getElementById('table-csv-input');
+          input.dataset.blockId = block.id;
+          input.click();
+        } else if (btn.classList.contains('table-export-btn')) {
+          this.exportTableCsv(block);
         }
       }
       return;
     }
 
+    // Image toolbar
+    if (e.target.closest('.image-toolbar button')) {
+      const btn = e.target.closest('button');
+      const blockEl = e.target.closest('.block');
+      const block = this.getBlockById(blockEl.dataset.id);
+      if (!block) return;
+
+      if (btn.classList.contains('image-alt-btn')) {
+        const altInput = blockEl.querySelector('.image-alt-input');
+        altInput.classList.toggle('hidden');
+        if (!altInput.classList.contains('hidden')) altInput.focus();
+      } else if (btn.dataset.align !== block.imageAlign) {
+        this.transaction('Align image', () => {
+          block.imageAlign = btn.dataset.align;
+          block.markUpdated();
+          this.rerenderBlock(block);
+        });
+        this.scheduleSave();
+      }
+      return;
+    }
+
+    // Click an image to zoom
+    if (e.target.matches('.image-frame img')) {
+      const block = this.getBlockById(e.target.closest('.block').dataset.id);
+      this.openImageLightbox(e.target, block);
+      return;
+    }
+
     // Image placeholder
     if (e.target.closest('.image-placeholder')) {
       // Handled by block creation
@@ -1359,49 +2092,313 @@ class BlockEditor {
    * Add row to table
    */
   addTableRow(block, blockEl) {
-    if (!block.tableData) return;
-    const newRow = new Array(block.cols).fill('');
-    block.tableData.push(newRow);
-    block.rows++;
-    this.rerenderBlock(block);
-    this.scheduleSave();
+    this.transaction('Add table row', () => {
+      if (!block.tableData) return;
+      const newRow = new Array(block.cols).fill('');
+      block.tableData.push(newRow);
+      block.rows++;
+      this.rerenderBlock(block);
+      this.scheduleSave();
+    });
   }
 
   /**
    * Add column to table
    */
   addTableColumn(block, blockEl) {
-    if (!block.tableData) return;
-    block.tableData.forEach((row, index) => {
-      row.push(index === 0 ? `Header ${block.cols + 1}` : '');
+    this.transaction('Add table column', () => {
+      if (!block.tableData) return;
+      block.tableData.forEach((row, index) => {
+        row.push(index === 0 && block.tableHeader !== false ? `Header ${block.cols + 1}` : '');
+      });
+      block.cols++;
+      this.rerenderBlock(block);
+      this.scheduleSave();
     });
-    block.cols++;
-    this.rerenderBlock(block);
-    this.scheduleSave();
   }
 
   /**
    * Remove row from table
    */
   removeTableRow(block, blockEl) {
-    if (!block.tableData || block.rows <= 1) return;
-    block.tableData.pop();
-    block.rows--;
-    this.rerenderBlock(block);
-    this.scheduleSave();
+    this.transaction('Remove table row', () => {
+      if (!block.tableData || block.rows <= 1) return;
+      block.tableData.pop();
+      block.rows--;
+      this.rerenderBlock(block);
+      this.scheduleSave();
+    });
   }
 
   /**
    * Remove column from table
    */
   removeTableColumn(block, blockEl) {
-    if (!block.tableData || block.cols <= 1) return;
-    block.tableData.forEach((row) => {
-      row.pop();
+    this.transaction('Remove table column', () => {
+      if (!block.tableData || block.cols <= 1) return;
+      block.tableData.forEach((row) => {
+        row.pop();
+      });
+      block.cols--;
+      // Drop the removed column's settings, sort and filters
+      if (block.tableColumns) block.tableColumns = Tables.getColumns(block);
+      if (block.tableView) block.tableView = Tables.getView(block);
+      this.rerenderBlock(block);
+      this.scheduleSave();
+    });
+  }
+
+  /**
+   * Toggle whether a table's first row is a header row
+   */
+  toggleTableHeader(block) {
+    this.transaction('Toggle table header', () => {
+      block.tableHeader = block.tableHeader === false;
+      block.markUpdated();
+      this.rerenderBlock(block);
+    });
+    this.scheduleSave();
+  }
+
+  /**
+   * Write pasted rows into a table starting at a cell, adding rows and columns as needed
+   */
+  pasteTableCells(block, cell, rows) {
+    const startRow = parseInt(cell.dataset.row);
+    const startCol = parseInt(cell.dataset.col);
+    const oldCols = Tables.getColumnCount(block);
+    const cols = Math.max(oldCols, startCol + Math.max(...rows.map((row) => row.length)));
+
+    this.transaction('Paste cells', () => {
+      rows.forEach((values, offset) => {
+        const row = block.tableData[startRow + offset] || (block.tableData[startRow + offset] = []);
+        values.forEach((value, index) => {
+          row[startCol + index] = value;
+        });
+      });
+      block.tableData.forEach((row, index) => {
+        for (let col = 0; col < cols; col++) {
+          if (row[col] !== undefined) continue;
+          row[col] = index === 0 && col >= oldCols && block.tableHeader !== false ? `Header ${col + 1}` : '';
+        }
+      });
+      block.rows = block.tableData.length;
+      block.cols = cols;
+      block.markUpdated();
+      this.rerenderBlock(block);
+    });
+    this.scheduleSave();
+  }
+
+  /**
+   * Replace a table's contents with a chosen .csv / .tsv file (first row as the header)
+   */
+  async handleTableCsvUpload(e) {
+    const file = e.target.files[0];
+    const block = this.getBlockById(e.target.dataset.blockId);
+    e.target.value = '';
+    if (!file || !block) return;
+
+    try {
+      const text = await Utils.readFileAsText(file);
+      const rows = Tables.parseDelimited(text, /\.tsv$/i.test(file.name) ? '\t' : undefined);
+      if (rows.length === 0) {
+        Utils.showToast('The file has no rows to import', 'error');
+        return;
+      }
+
+      const cols = Math.max(...rows.map((row) => row.length));
+      this.transaction('Import CSV', () => {
+        block.tableData = rows.map((row) => Array.from({ length: cols }, (_, col) => row[col] ?? ''));
+        block.rows = rows.length;
+        block.cols = cols;
+        block.tableHeader = true;
+        block.tableColumns = null;
+        block.tableView = null;
+        block.markUpdated();
+        this.rerenderBlock(block);
+      });
+      this.scheduleSave();
+      Utils.showToast(`Imported ${rows.length} rows`, 'success');
+    } catch (error) {
+      console.error('CSV import failed:', error);
+      Utils.showToast('Failed to import CSV', 'error');
+    }
+  }
+
+  /**
+   * Download a table as CSV (formulas as written, or their results per the export setting)
+   */
+  async exportTableCsv(block) {
+    try {
+      const formulaValues = await Storage.getSetting('exportFormulaValues', false);
+      const rows = formulaValues ? Tables.getDisplayData(block) : block.tableData || [];
+      // The BOM lets spreadsheet apps read the file as UTF-8
+      Utils.downloadFile('\ufeff' + Tables.toDelimited(rows), `${this.getExportBaseName('table')}-table.csv`, 'text/csv');
+    } catch (error) {
+      console.error('CSV export failed:', error);
+      Utils.showToast('Failed to export CSV', 'error');
+    }
+  }
+
+  /**
+   * Column type and filter changes from a table's column bar and view bar
+   */
+  onTableViewInput(e, block, blockEl) {
+    const target = e.target;
+
+    // Typing a filter value narrows the rows as you type
+    if (target.classList.contains('table-filter-value')) {
+      const view = Tables.getView(block);
+      view.filters[parseInt(target.closest('.table-filter').dataset.index)].value = target.value;
+      block.tableView = view;
+      block.markUpdated();
+      this.queueTypingHistory(block.id);
+      block.renderTable(blockEl.querySelector('table'));
+      this.scheduleSave();
+      return;
+    }
+
+    this.transaction(target.classList.contains('table-column-type') ? 'Change column type' : 'Change table filter', () => {
+      if (target.classList.contains('table-column-type')) {
+        const col = parseInt(target.closest('.table-column-handle').dataset.col);
+        const columns = Tables.getColumns(block);
+        columns[col].type = target.value;
+        block.tableColumns = columns;
+        // Filters on the column start over with operators for the new type
+        block.tableView = Tables.getView(block);
+        block.tableView.filters = block.tableView.filters.map((filter) => (filter.col === col ? Tables.createFilter(block, col) : filter));
+      } else {
+        const index = parseInt(target.closest('.table-filter').dataset.index);
+        const view = Tables.getView(block);
+        if (target.classList.contains('table-filter-column')) {
+          view.filters[index] = Tables.createFilter(block, parseInt(target.value));
+        } else {
+          view.filters[index].op = target.value;
+        }
+        block.tableView = view;
+      }
+      block.markUpdated();
+      this.rerenderBlock(block);
+    });
+    this.scheduleSave();
+  }
+
+  /**
+   * Sort buttons, filter add / remove, and opening links from URL cells
+   */
+  onTableViewClick(e) {
+    const blockEl = e.target.closest('.block');
+    const block = this.getBlockById(blockEl.dataset.id);
+    if (!block) return;
+
+    const urlCell = e.target.closest('td.table-cell-url');
+    if (urlCell) {
+      const url = Tables.toUrl(urlCell.textContent);
+      if ((e.ctrlKey || e.metaKey) && url) {
+        e.preventDefault();
+        window.open(url, '_blank', 'noopener');
+      }
+      return;
+    }
+
+    const view = Tables.getView(block);
+    let label;
+    if (e.target.closest('.table-sort-btn')) {
+      // Each click cycles ascending -> descending -> unsorted
+      const col = parseInt(e.target.closest('.table-column-handle').dataset.col);
+      const direction = view.sort && view.sort.col === col ? view.sort.direction : null;
+      view.sort = direction === 'asc' ? { col, direction: 'desc' } : direction === 'desc' ? null : { col, direction: 'asc' };
+      label = 'Sort table';
+    } else if (e.target.closest('.table-sort-clear')) {
+      view.sort = null;
+      label = 'Sort table';
+    } else if (e.target.closest('.table-add-filter')) {
+      view.filters.push(Tables.createFilter(block, view.sort ? view.sort.col : 0));
+      label = 'Add table filter';
+    } else {
+      view.filters.splice(parseInt(e.target.closest('.table-filter').dataset.index), 1);
+      label = 'Remove table filter';
+    }
+
+    this.transaction(label, () => {
+      block.tableView = view;
+      block.markUpdated();
+      this.rerenderBlock(block);
     });
-    block.cols--;
-    this.rerenderBlock(block);
     this.scheduleSave();
+
+    if (label === 'Add table filter') {
+      const filter = [...(this.getBlockElement(block.id)?.querySelectorAll('.table-filter') || [])].pop();
+      (filter?.querySelector('.table-filter-value') || filter?.querySelector('.table-filter-op'))?.focus();
+    }
+  }
+
+  /**
+   * Re-sort and re-filter a table's rows after its values change
+   */
+  refreshTableView(block, blockEl) {
+    const view = Tables.getView(block);
+    if (!view.sort && view.filters.length === 0) return;
+    block.renderTable(blockEl.querySelector('table'));
+  }
+
+  /**
+   * Start resizing a table column from the handle on its right edge
+   */
+  onTableResizeStart(e) {
+    const handle = e.target.closest('.table-resize-handle');
+    if (!handle || e.button !== 0) return;
+
+    const blockEl = handle.closest('.block');
+    const block = this.getBlockById(blockEl.dataset.id);
+    if (!block) return;
+
+    e.preventDefault();
+    const table = handle.closest('table');
+    const colIndex = parseInt(handle.closest('.table-column-handle').dataset.col);
+    const colEl = table.querySelectorAll('col')[colIndex];
+    const startX = e.clientX;
+    const startWidth = handle.closest('.table-column-handle').offsetWidth;
+    let width = startWidth;
+
+    // Pin the other columns at their current widths so only this one moves
+    const handles = table.querySelectorAll('.table-column-handle');
+    const cols = table.querySelectorAll('col');
+    handles.forEach((columnHandle, index) => {
+      if (!cols[index].style.width) cols[index].style.width = `${columnHandle.offsetWidth}px`;
+    });
+    table.classList.add('sized');
+
+    const onMove = (moveEvent) => {
+      width = Math.round(Math.max(Tables.minColumnWidth, startWidth + moveEvent.clientX - startX));
+      colEl.style.width = `${width}px`;
+    };
+
+    const onEnd = () => {
+      handle.removeEventListener('pointermove', onMove);
+      handle.removeEventListener('pointerup', onEnd);
+      handle.removeEventListener('pointercancel', onEnd);
+      blockEl.classList.remove('resizing');
+      if (width === startWidth) return;
+
+      this.transaction('Resize table column', () => {
+        const columns = Tables.getColumns(block);
+        handles.forEach((columnHandle, index) => {
+          columns[index].width = index === colIndex ? width : columns[index].width || columnHandle.offsetWidth;
+        });
+        block.tableColumns = columns;
+        block.markUpdated();
+      });
+      this.scheduleSave();
+      requestAnimationFrame(() => this.updateWideContentCentering());
+    };
+
+    handle.setPointerCapture(e.pointerId);
+    blockEl.classList.add('resizing');
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onEnd);
+    handle.addEventListener('pointercancel', onEnd);
   }
 
   /**
@@ -1410,7 +2407,7 @@ class BlockEditor {
   rerenderBlock(block) {
     const oldEl = this.getBlockElement(block.id);
     if (oldEl) {
-      const newEl = block.createElement();
+      const newEl = this.createBlockElement(block);
       oldEl.replaceWith(newEl);
       
       // Update wide content centering if this is a wide block type
@@ -1424,6 +2421,17 @@ class BlockEditor {
    * Handle global keydown
    */
   onGlobalKeyDown(e) {
+    // Undo / redo when nothing editable has focus (e.g. after deleting a block)
+    if (this.noteId && e.target === document.body && this.isUndoShortcut(e)) {
+      e.preventDefault();
+      if (e.key.toLowerCase() === 'y' || e.shiftKey) {
+        this.redo();
+      } else {
+        this.undo();
+      }
+      return;
+    }
+
     // Start typing anywhere to create/focus block
     if (
       !e.target.closest('#editor') &&
@@ -1446,51 +2454,195 @@ class BlockEditor {
     }
   }
 
-  // ============ Slash Menu ============
+  // ============ Paste ============
 
   /**
-   * Build slash menu items
+   * Handle paste - markdown and HTML become typed blocks after the caret
    */
-  buildSlashMenu() {
-    this.slashMenuItems.innerHTML = '';
+  onPaste(e) {
+    const blockEl = e.target.closest('.block');
+    if (!blockEl || e.target.matches('input')) return;
 
-    const types = [
-      'text', 'h1', 'h2', 'h3', 'bullet', 'numbered', 'todo', 'toggle',
-      'quote', 'code', 'divider', 'callout', 'image', 'table', 'bookmark',
-      'video', 'file', 'equation'
-    ];
+    const block = this.getBlockById(blockEl.dataset.id);
+    if (!block) return;
 
-    types.forEach((type, index) => {
-      const info = BlockTypes[type];
-      const item = document.createElement('div');
-      item.className = 'slash-menu-item';
-      item.dataset.type = type;
-      item.dataset.index = index;
+    const clipboard = e.clipboardData;
+    const text = clipboard.getData('text/plain');
+    const html = clipboard.getData('text/html');
+    const markdown = clipboard.getData('text/markdown');
 
-      item.innerHTML = `
-        <div class="slash-menu-item-icon">${info.icon}</div>
-        <div class="slash-menu-item-text">
-          <div class="slash-menu-item-title">${info.name}</div>
-          <div class="slash-menu-item-desc">${info.description}</div>
-        </div>
-      `;
+    // Screenshots and copied files (text wins when an app offers both, e.g. a rendered copy of a document)
+    const files = Array.from(clipboard.files || []);
+    if (files.length > 0 && !text) {
+      e.preventDefault();
+      this.plainTextPaste = false;
+      this.insertFileBlocks(files, block.id);
+      return;
+    }
+    const editable = e.target.closest('[contenteditable="true"]');
+    const content = blockEl.querySelector('.block-content');
+    const plainText = this.plainTextPaste;
+    this.plainTextPaste = false;
 
-      this.slashMenuItems.appendChild(item);
-    });
-  }
+    if (!editable || (!text && !html)) return;
+    e.preventDefault();
 
-  /**
-   * Show slash menu
-   */
-  showSlashMenu(blockEl) {
-    const rect = blockEl.getBoundingClientRect();
-    this.slashMenu.style.left = rect.left + 'px';
-    this.slashMenu.style.top = rect.bottom + 4 + 'px';
-    this.slashMenu.classList.remove('hidden');
-    this.slashMenuVisible = true;
-    this.slashMenuIndex = 0;
-    this.updateSlashMenuSelection();
-  }
+    // A grid copied from a spreadsheet (TSV text) fills the cells from this one on
+    if (!plainText && editable.matches('th, td') && (text.includes('\t') || /<table[\s>]/i.test(html))) {
+      const rows = Tables.parseDelimited(text, '\t');
+      if (rows.length > 1 || rows[0]?.length > 1) {
+        this.pasteTableCells(block, editable, rows);
+        return;
+      }
+    }
+
+    // Table cells, toggle children, code and Ctrl+Shift+V keep the text as-is
+    if (plainText || editable !== content || block.type === 'code') {
+      let pasted = text;
+      if (editable.matches('th, td')) {
+        pasted = text.replace(/\s*\n\s*/g, ' ');
+      }
+      const escaped = Utils.escapeHtml(pasted);
+      this.insertHtmlAtCaret(block.type === 'code' ? escaped : escaped.replace(/\n/g, '<br>'));
+      editable.dispatchEvent(new Event('input', { bubbles: true }));
+      return;
+    }
+
+    let blocksData;
+    if (markdown) {
+      blocksData = Utils.markdownToBlocks(markdown);
+    } else if (html && !Utils.looksLikeMarkdown(text)) {
+      blocksData = Utils.htmlToBlocks(html);
+    } else {
+      blocksData = Utils.markdownToBlocks(text);
+    }
+
+    if (blocksData.length === 0) return;
+
+    // A single paragraph is pasted inline at the caret
+    if (blocksData.length === 1 && blocksData[0].type === 'text' && !blocksData[0].depth) {
+      this.insertHtmlAtCaret(blocksData[0].content);
+      content.dispatchEvent(new Event('input', { bubbles: true }));
+      return;
+    }
+
+    this.insertPastedBlocks(block, content, blocksData);
+  }
+
+  /**
+   * Split the block at the caret and insert pasted blocks in between
+   */
+  insertPastedBlocks(block, content, blocksData) {
+    this.transaction('Paste', () => {
+      // Cut everything after the caret (and any selected text)
+      const sel = window.getSelection();
+      const range = sel.getRangeAt(0);
+      range.deleteContents();
+      const afterRange = range.cloneRange();
+      afterRange.selectNodeContents(content);
+      afterRange.setStart(range.endContainer, range.endOffset);
+      const afterHtml = this.getTextFromFragment(afterRange.cloneContents());
+      afterRange.deleteContents();
+      block.content = content.innerHTML;
+      block.markUpdated();
+
+      const newBlocks = blocksData.map((data) => new Block({
+        ...data,
+        depth: block.depth + (data.depth || 0),
+      }));
+
+      let index = this.blocks.indexOf(block);
+      if (!this.hasContent(content) && block.type === 'text') {
+        // Pasting into an empty paragraph replaces it
+        this.blocks.splice(index, 1);
+        index--;
+      } else if (newBlocks[0].type === 'text' && !blocksData[0].depth) {
+        // Leading paragraph joins the text before the caret
+        block.content += newBlocks.shift().content;
+      }
+
+      // Text after the caret continues in its own block
+      const tempEl = document.createElement('div');
+      tempEl.innerHTML = afterHtml;
+      if (this.hasContent(tempEl)) {
+        newBlocks.push(new Block({ type: 'text', content: afterHtml, depth: block.depth }));
+      }
+
+      this.blocks.splice(index + 1, 0, ...newBlocks);
+      this.renderBlocks();
+
+      const lastBlock = newBlocks[newBlocks.length - 1] || block;
+      this.focusBlock(lastBlock.id, true);
+      this.scheduleSave();
+    });
+  }
+
+  /**
+   * Insert HTML at the caret, replacing any selection
+   */
+  insertHtmlAtCaret(html) {
+    const sel = window.getSelection();
+    if (!sel.rangeCount) return;
+
+    const range = sel.getRangeAt(0);
+    range.deleteContents();
+    const fragment = range.createContextualFragment(html);
+    const lastNode = fragment.lastChild;
+    range.insertNode(fragment);
+
+    if (lastNode) {
+      range.setStartAfter(lastNode);
+      range.collapse(true);
+      sel.removeAllRanges();
+      sel.addRange(range);
+    }
+  }
+
+  // ============ Slash Menu ============
+
+  /**
+   * Build slash menu items
+   */
+  buildSlashMenu() {
+    this.slashMenuItems.innerHTML = '';
+
+    const types = [
+      'text', 'h1', 'h2', 'h3', 'bullet', 'numbered', 'todo', 'toggle',
+      'quote', 'code', 'divider', 'callout', 'image', 'table', 'bookmark',
+      'video', 'file', 'equation', 'diagram'
+    ];
+
+    types.forEach((type, index) => {
+      const info = BlockTypes[type];
+      const item = document.createElement('div');
+      item.className = 'slash-menu-item';
+      item.dataset.type = type;
+      item.dataset.index = index;
+
+      item.innerHTML = `
+        <div class="slash-menu-item-icon">${info.icon}</div>
+        <div class="slash-menu-item-text">
+          <div class="slash-menu-item-title">${info.name}</div>
+          <div class="slash-menu-item-desc">${info.description}</div>
+        </div>
+      `;
+
+      this.slashMenuItems.appendChild(item);
+    });
+  }
+
+  /**
+   * Show slash menu
+   */
+  showSlashMenu(blockEl) {
+    const rect = blockEl.getBoundingClientRect();
+    this.slashMenu.style.left = rect.left + 'px';
+    this.slashMenu.style.top = rect.bottom + 4 + 'px';
+    this.slashMenu.classList.remove('hidden');
+    this.slashMenuVisible = true;
+    this.slashMenuIndex = 0;
+    this.updateSlashMenuSelection();
+  }
 
   /**
    * Hide slash menu
@@ -1575,54 +2727,242 @@ class BlockEditor {
     this.draggedBlock = null;
 
     this.container.querySelectorAll('.block').forEach((el) => {
-      el.classList.remove('dragging', 'drag-over');
+      el.classList.remove('dragging', 'drag-over', 'drag-over-after');
     });
   }
 
+  /**
+   * Check if a drag carries files from outside the page (rather than a block being reordered)
+   */
+  isFileDrag(e) {
+    return !this.draggedBlock && Array.from(e.dataTransfer?.types || []).includes('Files');
+  }
+
+  /**
+   * Whether a file drop on a block lands after it (lower half) or before it (upper half)
+   */
+  isDropAfter(e, blockEl) {
+    const rect = blockEl.getBoundingClientRect();
+    return e.clientY > rect.top + rect.height / 2;
+  }
+
   /**
    * Handle drag over
    */
   onDragOver(e) {
     e.preventDefault();
-    e.dataTransfer.dropEffect = 'move';
+    const fileDrag = this.isFileDrag(e);
+    e.dataTransfer.dropEffect = fileDrag ? 'copy' : 'move';
 
     const blockEl = e.target.closest('.block');
     if (blockEl && blockEl.dataset.id !== this.draggedBlock) {
       // Remove drag-over from all
       this.container.querySelectorAll('.block').forEach((el) => {
-        el.classList.remove('drag-over');
+        el.classList.remove('drag-over', 'drag-over-after');
       });
-      blockEl.classList.add('drag-over');
+      const after = fileDrag && this.isDropAfter(e, blockEl);
+      blockEl.classList.add(after ? 'drag-over-after' : 'drag-over');
     }
   }
 
+  /**
+   * Handle drag leaving the blocks (files dragged from outside never fire dragend here)
+   */
+  onDragLeave(e) {
+    if (this.container.contains(e.relatedTarget)) return;
+    this.container.querySelectorAll('.block').forEach((el) => {
+      el.classList.remove('drag-over', 'drag-over-after');
+    });
+  }
+
   /**
    * Handle drop
    */
   onDrop(e) {
     e.preventDefault();
 
-    const targetEl = e.target.closest('.block');
-    if (!targetEl || targetEl.dataset.id === this.draggedBlock) return;
+    if (this.isFileDrag(e)) {
+      const files = Array.from(e.dataTransfer.files);
+      const targetEl = e.target.closest('.block');
+      this.onDragLeave(e);
+      if (files.length > 0) {
+        // Dropping below the last block appends
+        const anchorId = targetEl ? targetEl.dataset.id : null;
+        this.insertFileBlocks(files, anchorId, targetEl ? !this.isDropAfter(e, targetEl) : false);
+      }
+      return;
+    }
 
-    const draggedId = this.draggedBlock;
-    const targetId = targetEl.dataset.id;
+    this.transaction('Move block', () => {
+      const targetEl = e.target.closest('.block');
+      if (!targetEl || targetEl.dataset.id === this.draggedBlock) return;
 
-    // Reorder blocks
-    const draggedIndex = this.blocks.findIndex((b) => b.id === draggedId);
-    const targetIndex = this.blocks.findIndex((b) => b.id === targetId);
+      const draggedId = this.draggedBlock;
+      const targetId = targetEl.dataset.id;
 
-    if (draggedIndex === -1 || targetIndex === -1) return;
+      // Reorder blocks
+      const draggedIndex = this.blocks.findIndex((b) => b.id === draggedId);
+      const targetIndex = this.blocks.findIndex((b) => b.id === targetId);
 
-    const [draggedBlock] = this.blocks.splice(draggedIndex, 1);
-    this.blocks.splice(targetIndex, 0, draggedBlock);
+      if (draggedIndex === -1 || targetIndex === -1) return;
 
-    this.renderBlocks();
-    this.scheduleSave();
+      // Children move with their parent; a block can't be dropped into its own subtree
+      const subtreeEnd = this.getSubtreeEnd(draggedIndex);
+      if (targetIndex > draggedIndex && targetIndex < subtreeEnd) return;
+
+      const targetBlock = this.blocks[targetIndex];
+      const movedBlocks = this.blocks.splice(draggedIndex, subtreeEnd - draggedIndex);
+      let insertIndex = this.blocks.indexOf(targetBlock);
+      if (draggedIndex < targetIndex) {
+        // Moving down - place after the target and its children
+        insertIndex = this.getSubtreeEnd(insertIndex);
+      }
+
+      // Re-root the moved subtree at the target's level
+      const depthDelta = targetBlock.depth - movedBlocks[0].depth;
+      movedBlocks.forEach((block) => {
+        block.depth += depthDelta;
+      });
+      this.blocks.splice(insertIndex, 0, ...movedBlocks);
+
+      this.renderBlocks();
+      this.scheduleSave();
+    });
   }
 
   // ============ Image Handling ============
 
+  /**
+   * Start resizing an image from one of its side handles
+   */
+  onImageResizeStart(e) {
+    const handle = e.target.closest('.image-resize-handle');
+    if (!handle || e.button !== 0) return;
+
+    const blockEl = handle.closest('.block');
+    const block = this.getBlockById(blockEl.dataset.id);
+    const frame = blockEl.querySelector('.image-frame');
+    if (!block || !frame) return;
+
+    e.preventDefault();
+    const startX = e.clientX;
+    const startWidth = frame.offsetWidth;
+    const maxWidth = frame.parentElement.clientWidth;
+    // Dragging the left handle right shrinks the image; centered images grow on both sides
+    const direction = handle.dataset.side === 'left' ? -1 : 1;
+    const factor = block.imageAlign === 'center' ? 2 : 1;
+    let width = startWidth;
+
+    const onMove = (moveEvent) => {
+      const delta = (moveEvent.clientX - startX) * direction * factor;
+      width = Math.round(Math.min(maxWidth, Math.max(80, startWidth + delta)));
+      frame.classList.add('sized');
+      frame.style.width = `${width}px`;
+    };
+
+    const onEnd = () => {
+      handle.removeEventListener('pointermove', onMove);
+      handle.removeEventListener('pointerup', onEnd);
+      handle.removeEventListener('pointercancel', onEnd);
+      blockEl.classList.remove('resizing');
+      if (width === startWidth) return;
+
+      this.transaction('Resize image', () => {
+        block.imageWidth = width;
+        block.markUpdated();
+      });
+      this.scheduleSave();
+    };
+
+    handle.setPointerCapture(e.pointerId);
+    blockEl.classList.add('resizing');
+    handle.addEventListener('pointermove', onMove);
+    handle.addEventListener('pointerup', onEnd);
+    handle.addEventListener('pointercancel', onEnd);
+  }
+
+  /**
+   * Show an image full size over the page (click or Escape closes it)
+   */
+  openImageLightbox(img, block) {
+    const lightbox = document.createElement('div');
+    lightbox.className = 'image-lightbox';
+
+    const fullImg = document.createElement('img');
+    fullImg.src = img.src;
+    fullImg.alt = img.alt;
+    lightbox.appendChild(fullImg);
+
+    if (block && block.caption) {
+      const caption = document.createElement('div');
+      caption.className = 'image-lightbox-caption';
+      caption.textContent = block.caption;
+      lightbox.appendChild(caption);
+    }
+
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        close();
+      }
+    };
+    const close = () => {
+      lightbox.remove();
+      document.removeEventListener('keydown', onKeyDown, true);
+    };
+
+    lightbox.addEventListener('click', close);
+    document.addEventListener('keydown', onKeyDown, true);
+    document.body.appendChild(lightbox);
+  }
+
+  /**
+   * Store pasted or dropped files in the media store and insert an image block
+   * (for images) or file block (for anything else) per file. The blocks go after
+   * the anchor block, or before it; an empty paragraph anchor is replaced.
+   */
+  async insertFileBlocks(files, anchorId, before = false) {
+    const noteId = this.noteId;
+    const blocksData = [];
+
+    try {
+      for (const file of files) {
+        const mediaId = await Storage.saveMediaBlob(noteId, file);
+        blocksData.push(file.type.startsWith('image/')
+          ? { type: 'image', mediaId }
+          : { type: 'file', fileName: file.name || 'Untitled file', fileSize: file.size, mediaId });
+      }
+    } catch (error) {
+      console.error('Failed to add files:', error);
+      Utils.showToast('Failed to add files', 'error');
+      return;
+    }
+
+    // The note was switched while the files were being stored
+    if (this.noteId !== noteId || blocksData.length === 0) return;
+
+    const label = blocksData.every((data) => data.type === 'image') ? 'Add image' : 'Attach file';
+    this.transaction(label, () => {
+      let index = this.blocks.findIndex((b) => b.id === anchorId);
+      const anchor = this.blocks[index];
+      const newBlocks = blocksData.map((data) => new Block({ ...data, depth: anchor ? anchor.depth : 0 }));
+
+      if (!anchor) {
+        index = this.blocks.length;
+      } else if (anchor.type === 'text' && !this.stripHtmlTags(anchor.content).trim()
+        && this.getSubtreeEnd(index) === index + 1) {
+        this.blocks.splice(index, 1);
+      } else if (!before) {
+        index = this.getSubtreeEnd(index);
+      }
+
+      this.blocks.splice(index, 0, ...newBlocks);
+      this.renderBlocks();
+      this.updateAddBlockHint();
+      this.scheduleSave();
+    });
+  }
+
   /**
    * Handle image upload
    */
@@ -1635,15 +2975,18 @@ class BlockEditor {
     if (!block) return;
 
     try {
-      const dataUrl = await Utils.readFileAsDataURL(file);
-      block.imageUrl = dataUrl;
-
-      // Re-render block
-      const oldEl = this.getBlockElement(blockId);
-      if (oldEl) {
-        const newEl = block.createElement();
-        oldEl.replaceWith(newEl);
-      }
+      const mediaId = await Storage.saveMediaBlob(this.noteId, file);
+      this.transaction('Add image', () => {
+        block.mediaId = mediaId;
+        block.imageUrl = null;
+
+        // Re-render block
+        const oldEl = this.getBlockElement(blockId);
+        if (oldEl) {
+          const newEl = this.createBlockElement(block);
+          oldEl.replaceWith(newEl);
+        }
+      });
 
       this.scheduleSave();
     } catch (error) {
@@ -1666,13 +3009,16 @@ class BlockEditor {
     if (!block) return;
 
     try {
-      const dataUrl = await Utils.readFileAsDataURL(file);
-      block.fileName = file.name;
-      block.fileSize = file.size;
-      block.fileData = dataUrl;
-
-      // Re-render block
-      this.rerenderBlock(block);
+      const mediaId = await Storage.saveMediaBlob(this.noteId, file);
+      this.transaction('Attach file', () => {
+        block.fileName = file.name;
+        block.fileSize = file.size;
+        block.mediaId = mediaId;
+        block.fileData = null;
+
+        // Re-render block
+        this.rerenderBlock(block);
+      });
       this.scheduleSave();
     } catch (error) {
       console.error('Failed to upload file:', error);
@@ -1692,15 +3038,17 @@ class BlockEditor {
         url = 'https://' + url;
       }
 
-      block.url = url;
-
       // Try to extract basic info from URL
       const urlObj = new URL(url);
-      block.title = urlObj.hostname;
-      block.favicon = `https://www.google.com/s2/favicons?domain=${urlObj.hostname}&sz=32`;
 
-      // Re-render block
-      this.rerenderBlock(block);
+      this.transaction('Add bookmark', () => {
+        block.url = url;
+        block.title = urlObj.hostname;
+        block.favicon = `https://www.google.com/s2/favicons?domain=${urlObj.hostname}&sz=32`;
+
+        // Re-render block
+        this.rerenderBlock(block);
+      });
       this.scheduleSave();
     } catch (error) {
       console.error('Failed to process bookmark URL:', error);
@@ -1710,6 +3058,314 @@ class BlockEditor {
 
   // ============ Utilities ============
 
+  // ============ Code Blocks ============
+
+  /**
+   * Handle editing keys inside a code block. Returns true if the key was handled.
+   */
+  onCodeKeyDown(e, block, blockEl, content) {
+    if (e.isComposing) return false;
+
+    // Ctrl/Cmd+Enter - continue with a new block after the code
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      this.insertBlockAfter(block.id);
+      return true;
+    }
+
+    const text = Highlighter.getText(content);
+    const selection = this.getCodeSelection(content);
+    if (!selection) return false;
+    const { start, end } = selection;
+
+    // Enter - new line with the current line's indentation, one level deeper after an opening bracket or colon
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+      const before = text.slice(lineStart, start);
+      const indent = before.match(/^[ \t]*/)[0] + (/[{[(:]\s*$/.test(before) ? this.codeIndent : '');
+      const insert = `\n${indent}`;
+      const caret = start + insert.length;
+      this.setCodeText(block, blockEl, text.slice(0, start) + insert + text.slice(end), { start: caret, end: caret });
+      return true;
+    }
+
+    // Tab / Shift+Tab - indent or outdent (every selected line when the selection spans lines)
+    if (e.key === 'Tab' && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+      if (start === end && !e.shiftKey) {
+        const caret = start + this.codeIndent.length;
+        this.setCodeText(block, blockEl, text.slice(0, start) + this.codeIndent + text.slice(end), { start: caret, end: caret });
+        return true;
+      }
+
+      const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+      // A selection ending at the start of a line doesn't include that line
+      const lineEnd = end > start && text[end - 1] === '\n' ? end - 1 : end;
+      const lines = text.slice(lineStart, lineEnd).split('\n');
+      let firstDelta = 0;
+      let totalDelta = 0;
+
+      const changed = lines.map((line, index) => {
+        let next;
+        if (e.shiftKey) {
+          const removable = line.match(new RegExp(`^(?:\t| {1,${this.codeIndent.length}})`));
+          next = removable ? line.slice(removable[0].length) : line;
+        } else {
+          next = this.codeIndent + line;
+        }
+        const delta = next.length - line.length;
+        if (index === 0) firstDelta = delta;
+        totalDelta += delta;
+        return next;
+      });
+
+      const newText = text.slice(0, lineStart) + changed.join('\n') + text.slice(lineEnd);
+      this.setCodeText(block, blockEl, newText, {
+        start: Math.max(lineStart, start + firstDelta),
+        end: Math.max(lineStart, end + totalDelta),
+      });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Replace a code block's text as a typing change, keeping the given selection
+   */
+  setCodeText(block, blockEl, text, selection) {
+    this.updateCodeBlock(block, blockEl, text, selection);
+    block.content = Utils.escapeHtml(text);
+    block.markUpdated();
+    this.queueTypingHistory(block.id);
+    this.scheduleSave();
+  }
+
+  /**
+   * Re-highlight a code block and refresh its line numbers without moving the caret
+   */
+  updateCodeBlock(block, blockEl, text, selection = null) {
+    const content = blockEl.querySelector('.block-content');
+    const restore = selection || this.getCodeSelection(content);
+    Highlighter.renderCode(content, text, block.language);
+    if (restore) {
+      this.setCodeSelection(content, restore.start, restore.end);
+    }
+    block.renderLineNumbers(blockEl.querySelector('.code-line-numbers'), text);
+  }
+
+  /**
+   * Selection inside a code element as text offsets, or null if the selection is elsewhere
+   */
+  getCodeSelection(content) {
+    const sel = window.getSelection();
+    if (!sel.rangeCount) return null;
+
+    const range = sel.getRangeAt(0);
+    if (!content.contains(range.startContainer) || !content.contains(range.endContainer)) return null;
+
+    const offsetOf = (node, offset) => {
+      const before = document.createRange();
+      before.selectNodeContents(content);
+      before.setEnd(node, offset);
+      const div = document.createElement('div');
+      div.appendChild(before.cloneContents());
+      return Highlighter.getText(div).length;
+    };
+    return { start: offsetOf(range.startContainer, range.startOffset), end: offsetOf(range.endContainer, range.endOffset) };
+  }
+
+  /**
+   * Select a range of text offsets inside a rendered code element
+   */
+  setCodeSelection(content, start, end = start) {
+    const textNodes = [];
+    const walker = document.createTreeWalker(content, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    const locate = (position) => {
+      let offset = position;
+      for (const node of textNodes) {
+        if (offset <= node.length) return [node, offset];
+        offset -= node.length;
+      }
+      const last = textNodes[textNodes.length - 1];
+      return last ? [last, last.length] : [content, 0];
+    };
+
+    const range = document.createRange();
+    range.setStart(...locate(start));
+    range.setEnd(...locate(end));
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+  }
+
+  /**
+   * Copy a code block's text from its copy button
+   */
+  async copyCodeBlock(button) {
+    const content = button.closest('.block').querySelector('.block-content');
+    try {
+      await navigator.clipboard.writeText(Highlighter.getText(content));
+      button.textContent = 'Copied';
+      button.classList.add('copied');
+      setTimeout(() => {
+        button.textContent = 'Copy';
+        button.classList.remove('copied');
+      }, 2000);
+    } catch (error) {
+      console.error('Failed to copy:', error);
+      Utils.showToast('Failed to copy', 'error');
+    }
+  }
+
+  /**
+   * Open the due date picker of a to-do below its due button: typed text such as
+   * "tomorrow 3pm" fills in the date and time fields, Enter saves, Escape cancels
+   */
+  openDuePicker(block, chip) {
+    this.closeDuePicker();
+
+    const picker = document.createElement('div');
+    picker.className = 'due-picker';
+    picker.innerHTML = `
+      <input type="text" class="due-picker-text" placeholder="e.g. tomorrow 3pm, fri, nov 14" aria-label="Due date">
+      <div class="due-picker-preview"></div>
+      <div class="due-picker-fields">
+        <input type="date" class="due-picker-date" aria-label="Due day">
+        <input type="time" class="due-picker-time" aria-label="Due time (optional)">
+      </div>
+      <div class="due-picker-actions">
+        <button class="due-picker-clear">Remove</button>
+        <button class="due-picker-save">Save</button>
+      </div>
+    `;
+    const textInput = picker.querySelector('.due-picker-text');
+    const preview = picker.querySelector('.due-picker-preview');
+    const dateInput = picker.querySelector('.due-picker-date');
+    const timeInput = picker.querySelector('.due-picker-time');
+
+    const values = Tasks.toInputValues(block.due);
+    dateInput.value = values.date;
+    timeInput.value = values.time;
+    const showPreview = () => {
+      const due = Tasks.fromInputValues(dateInput.value, timeInput.value);
+      preview.classList.remove('invalid');
+      preview.textContent = due ? `Due ${Tasks.formatDue(due)}` : 'No due date';
+    };
+    showPreview();
+
+    textInput.addEventListener('input', () => {
+      const due = Tasks.parseDue(textInput.value);
+      if (due) {
+        const parsed = Tasks.toInputValues(due);
+        dateInput.value = parsed.date;
+        timeInput.value = parsed.time;
+        showPreview();
+      } else if (textInput.value.trim()) {
+        preview.classList.add('invalid');
+        preview.textContent = 'Try "tomorrow 3pm", "fri", "in 2 days" or "nov 14"';
+      } else {
+        showPreview();
+      }
+    });
+    [dateInput, timeInput].forEach((input) => input.addEventListener('input', () => {
+      textInput.value = '';
+      showPreview();
+    }));
+
+    const save = () => {
+      if (preview.classList.contains('invalid')) return;
+      this.closeDuePicker();
+      this.setTodoDue(block, Tasks.fromInputValues(dateInput.value, timeInput.value));
+    };
+    picker.querySelector('.due-picker-save').addEventListener('click', save);
+    picker.querySelector('.due-picker-clear').addEventListener('click', () => {
+      this.closeDuePicker();
+      this.setTodoDue(block, null);
+    });
+    picker.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.target.matches('input')) {
+        e.preventDefault();
+        save();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.closeDuePicker();
+        this.focusBlock(block.id);
+      }
+    });
+
+    // Below the button, kept inside the window
+    document.body.appendChild(picker);
+    const rect = chip.getBoundingClientRect();
+    picker.style.top = `${Math.min(rect.bottom + 4, window.innerHeight - picker.offsetHeight - 8)}px`;
+    picker.style.left = `${Math.max(8, Math.min(rect.right - picker.offsetWidth, window.innerWidth - picker.offsetWidth - 8))}px`;
+
+    this.duePicker = picker;
+    this.duePickerOutside = (e) => {
+      if (!picker.contains(e.target) && !e.target.closest('.todo-due')) this.closeDuePicker();
+    };
+    document.addEventListener('mousedown', this.duePickerOutside);
+    textInput.focus();
+  }
+
+  closeDuePicker() {
+    if (!this.duePicker) return;
+    this.duePicker.remove();
+    this.duePicker = null;
+    document.removeEventListener('mousedown', this.duePickerOutside);
+  }
+
+  /**
+   * Set or remove (null) a to-do's due date
+   */
+  setTodoDue(block, due) {
+    if (JSON.stringify(block.due) === JSON.stringify(due)) return;
+
+    this.transaction(due ? 'Set due date' : 'Remove due date', () => {
+      block.due = due;
+      block.markUpdated();
+      this.rerenderBlock(block);
+    });
+    this.scheduleSave();
+  }
+
+  /**
+   * Download a diagram block's rendered SVG as an .svg or .png file
+   */
+  async exportDiagram(button) {
+    const svg = button.closest('.diagram-container').querySelector('.diagram-preview svg');
+    if (!svg) {
+      Utils.showToast('Fix the diagram before exporting', 'error');
+      return;
+    }
+
+    const name = this.getExportBaseName('diagram');
+    try {
+      if (button.dataset.format === 'png') {
+        const background = getComputedStyle(document.body).getPropertyValue('--bg-primary').trim() || '#ffffff';
+        Utils.downloadFile(await Diagrams.toPngBlob(svg, background), `${name}-diagram.png`, 'image/png');
+      } else {
+        Utils.downloadFile(Diagrams.toSvgString(svg), `${name}-diagram.svg`, 'image/svg+xml');
+      }
+    } catch (error) {
+      console.error('Diagram export failed:', error);
+      Utils.showToast('Failed to export diagram', 'error');
+    }
+  }
+
+  /**
+   * File name stem for block exports, from the note name
+   */
+  getExportBaseName(fallback) {
+    return (this.noteData?.name || fallback)
+      .replace(/[^a-z0-9\s-]/gi, '')
+      .replace(/\s+/g, '-')
+      .toLowerCase() || fallback;
+  }
+
   /**
    * Check if caret is at start of element
    */
@@ -1722,7 +3378,7 @@ class BlockEditor {
     preRange.selectNodeContents(el);
     preRange.setEnd(range.startContainer, range.startOffset);
 
-    return preRange.toString().length === 0;
+    return preRange.toString().length === 0 && !preRange.cloneContents().querySelector('.inline-math');
   }
 
   /**
@@ -1737,7 +3393,109 @@ class BlockEditor {
     postRange.selectNodeContents(el);
     postRange.setStart(range.endContainer, range.endOffset);
 
-    return postRange.toString().length === 0;
+    return postRange.toString().length === 0 && !postRange.cloneContents().querySelector('.inline-math');
+  }
+
+  /**
+   * Check if an element or fragment has text or inline math
+   * (math is typeset in a shadow root, so it adds no textContent)
+   */
+  hasContent(node) {
+    return node.textContent.trim().length > 0 || !!node.querySelector('.inline-math');
+  }
+
+  /**
+   * Turn a $…$ closed at the caret into inline math. Like Utils.inlineMathPattern, a closing $
+   * followed by a digit or $ isn't math ("$5-$10"), so the $…$ converts once the character
+   * after it is known: already there when the $ is typed, or typed next. Math left at the
+   * end of the text converts on blur.
+   */
+  convertInlineMathAtCaret() {
+    const sel = window.getSelection();
+    if (!sel.rangeCount || !sel.isCollapsed) return;
+
+    const { startContainer: node, startOffset: offset } = sel.getRangeAt(0);
+    if (node.nodeType !== Node.TEXT_NODE || node.parentElement.closest('code')) return;
+
+    const before = node.textContent.slice(0, offset);
+    const next = node.textContent.charAt(offset);
+    let end = offset;
+    let match = next && before.match(/(?<![\\$])\$([^\s$](?:[^$\n]*[^\s$\\])?)\$$/);
+    if (match) {
+      // $…$ just closed in front of existing text
+      if (/[\d$]/.test(next)) return;
+    } else {
+      // $…$ followed by the character just typed
+      match = before.match(/(?<![\\$])\$([^\s$](?:[^$\n]*[^\s$\\])?)\$[^\d$]$/);
+      if (!match) return;
+      end = offset - 1;
+    }
+
+    const range = document.createRange();
+    range.setStart(node, offset - match[0].length);
+    range.setEnd(node, end);
+    range.deleteContents();
+    const span = TeX.createInlineMath(match[1]);
+    range.insertNode(span);
+
+    // Caret back where it was: after the math and the character typed after it
+    if (end === offset) {
+      range.setStartAfter(span);
+    } else {
+      range.setStart(span.nextSibling, offset - end);
+    }
+    range.collapse(true);
+    sel.removeAllRanges();
+    sel.addRange(range);
+  }
+
+  /**
+   * Turn every complete $…$ in an element's text into inline math. Returns whether anything changed.
+   */
+  convertInlineMath(el) {
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+      if (!walker.currentNode.parentElement.closest('code')) textNodes.push(walker.currentNode);
+    }
+
+    let changed = false;
+    textNodes.forEach((node) => {
+      const text = node.textContent;
+      const parts = [];
+      let last = 0;
+      text.replace(Utils.inlineMathPattern, (match, tex, index) => {
+        parts.push(text.slice(last, index), TeX.createInlineMath(tex));
+        last = index + match.length;
+        return match;
+      });
+      if (parts.length === 0) return;
+
+      parts.push(text.slice(last));
+      node.replaceWith(...parts.filter((part) => part !== ''));
+      changed = true;
+    });
+    return changed;
+  }
+
+  /**
+   * Replace an inline math span with its $…$ source and select the TeX for editing
+   */
+  editInlineMath(span) {
+    const content = span.closest('.block-content');
+    const tex = span.dataset.tex || '';
+    const text = document.createTextNode(`$${tex}$`);
+    span.replaceWith(text);
+
+    const range = document.createRange();
+    range.setStart(text, 1);
+    range.setEnd(text, 1 + tex.length);
+    content.focus();
+    const sel = window.getSelection();
+    sel.removeAllRanges();
+    sel.addRange(range);
+
+    content.dispatchEvent(new Event('input', { bubbles: true }));
   }
 
   /**
@@ -1778,6 +3536,173 @@ class BlockEditor {
     return div.innerHTML;
   }
 
+  // ============ Undo / Redo ============
+
+  /**
+   * Check for Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y
+   */
+  isUndoShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return false;
+    const key = e.key.toLowerCase();
+    return key === 'z' || key === 'y';
+  }
+
+  /**
+   * Run a set of changes as a single undo step
+   */
+  transaction(label, fn) {
+    this.commitTyping();
+    const focusBefore = this.activeBlock;
+
+    this.transactionDepth++;
+    let result;
+    try {
+      result = fn();
+    } finally {
+      this.transactionDepth--;
+    }
+
+    this.recordHistory(label, { focusBefore });
+    return result;
+  }
+
+  /**
+   * Record changes since the last undo step (skipped inside a transaction)
+   */
+  recordHistory(label, options = {}) {
+    if (this.transactionDepth > 0) return;
+
+    this.undoManager.record(this.blocks, label, {
+      blockIds: options.blockIds,
+      focusBefore: options.focusBefore || this.activeBlock,
+      focusAfter: this.activeBlock,
+    });
+  }
+
+  /**
+   * Track a typing change, coalescing bursts in one block into one undo step
+   */
+  queueTypingHistory(blockId) {
+    if (this.typingBlockIds.size > 0 && !this.typingBlockIds.has(blockId)) {
+      this.commitTyping();
+    }
+    if (this.typingBlockIds.size === 0) {
+      this.typingFocusId = blockId;
+    }
+    this.typingBlockIds.add(blockId);
+
+    clearTimeout(this.typingTimeout);
+    this.typingTimeout = setTimeout(() => this.commitTyping(), 1000);
+  }
+
+  /**
+   * Commit the pending typing burst as its own undo step
+   */
+  commitTyping() {
+    if (this.transactionDepth > 0) return;
+
+    clearTimeout(this.typingTimeout);
+    this.typingTimeout = null;
+    if (this.typingBlockIds.size === 0) return;
+
+    const blockIds = this.typingBlockIds;
+    this.typingBlockIds = new Set();
+    this.recordHistory('Typing', { blockIds, focusBefore: this.typingFocusId });
+  }
+
+  /**
+   * Undo the last change
+   */
+  undo() {
+    this.commitTyping();
+    this.applyHistory(this.undoManager.undo(this.blocks));
+  }
+
+  /**
+   * Redo the last undone change
+   */
+  redo() {
+    this.commitTyping();
+    this.applyHistory(this.undoManager.redo(this.blocks));
+  }
+
+  /**
+   * Render restored blocks and persist them so storage matches the undo cursor
+   */
+  applyHistory(result) {
+    if (!result) return;
+
+    this.blocks = result.blocks;
+    // Restored blocks may match the state their element was rendered from while the
+    // element itself was edited in place since (typing, table views), so rebuild them
+    result.changedIds.forEach((id) => {
+      const el = this.getBlockElement(id);
+      if (el) this.renderKeys.delete(el);
+    });
+    this.renderBlocks();
+
+    if (result.focusId) {
+      this.focusBlock(result.focusId, true);
+    }
+    this.scheduleSave();
+  }
+
+  // ============ Version History ============
+
+  /**
+   * Replace the note with a snapshot (the current state is snapshotted first)
+   */
+  async restoreSnapshot(snapshot) {
+    await Snapshots.createSnapshot(this.noteId, this.noteData?.name, this.blocks, 'restore');
+
+    this.transaction('Restore version', () => {
+      this.blocks = snapshot.blocks.map((data) => Block.deserialize(data));
+      this.renderBlocks();
+    });
+
+    if (this.noteData && snapshot.name && snapshot.name !== this.noteData.name) {
+      this.noteData.name = snapshot.name;
+      this.titleEl.textContent = snapshot.name;
+      if (window.app && window.app.updateCurrentTabName) {
+        window.app.updateCurrentTabName(snapshot.name);
+      }
+    }
+
+    this.scheduleSave();
+  }
+
+  /**
+   * Restore a single block from a snapshot, re-inserting it if it was deleted
+   */
+  restoreSnapshotBlock(snapshot, blockId) {
+    const snapshotIndex = snapshot.blocks.findIndex((data) => data.id === blockId);
+    if (snapshotIndex === -1) return;
+
+    this.transaction('Restore block', () => {
+      const restored = Block.deserialize(snapshot.blocks[snapshotIndex]);
+      const index = this.blocks.findIndex((block) => block.id === blockId);
+
+      if (index !== -1) {
+        this.blocks[index] = restored;
+      } else {
+        // Put it back after the nearest earlier snapshot block that still exists
+        let insertAt = 0;
+        for (let i = snapshotIndex - 1; i >= 0; i--) {
+          const at = this.blocks.findIndex((block) => block.id === snapshot.blocks[i].id);
+          if (at !== -1) {
+            insertAt = at + 1;
+            break;
+          }
+        }
+        this.blocks.splice(insertAt, 0, restored);
+      }
+
+      this.renderBlocks();
+    });
+
+    this.scheduleSave();
+  }
+
   // ============ Saving ============
 
   /**
@@ -1787,30 +3712,85 @@ class BlockEditor {
     this.updateSaveStatus('Saving...');
 
     clearTimeout(this.saveTimeout);
-    this.saveTimeout = setTimeout(() => this.save(), 500);
+    this.saveTimeout = setTimeout(() => {
+      this.saveTimeout = null;
+      this.save();
+    }, 500);
+  }
+
+  /**
+   * Media ids used by the open note, including block states still reachable through undo and redo
+   */
+  getMediaIds() {
+    const ids = new Set(this.blocks.map((block) => block.mediaId).filter(Boolean));
+    const { undoStack, redoStack } = this.undoManager;
+    [...undoStack, ...redoStack].forEach((entry) => {
+      [...Object.values(entry.before), ...Object.values(entry.after)].forEach((json) => {
+        const mediaId = json && JSON.parse(json).mediaId;
+        if (mediaId) ids.add(mediaId);
+      });
+    });
+    return [...ids];
+  }
+
+  /**
+   * Serialize blocks as stored elements
+   */
+  serializeForSave() {
+    return this.blocks.map((block, index) => ({
+      ...block.serialize(),
+      // Field name 'canvasId' kept for backward compatibility
+      canvasId: this.noteId,
+      order: index,
+    }));
   }
 
   /**
-   * Save note and blocks
+   * Save note and the blocks that changed since the last save
    */
   async save() {
+    // Nothing to save until a note's blocks are loaded
+    const noteId = this.noteId;
+    if (!noteId || this.blocksNoteId !== noteId) return;
+
+    // Capture the note before any await, in case another note is opened meanwhile
+    const noteData = this.noteData;
+    const blocks = this.blocks;
+    const elements = this.serializeForSave();
     try {
       // Save note
-      if (this.noteData) {
-        await Storage.updateNote(this.noteData);
+      if (noteData) {
+        await Storage.updateNote(noteData);
+      }
+
+      // Write changed blocks and remove the ones this editor loaded or saved that are gone
+      // (deleted, merged, undone) in one transaction. Blocks another tab added to the same
+      // note were never seen here, so they are left alone.
+      const saved = new Map(elements.map((data) => [data.id, JSON.stringify(data)]));
+      const dirty = elements.filter((data) => this.savedElements.get(data.id) !== saved.get(data.id));
+      const removedIds = [...this.savedElements.keys()].filter((id) => !saved.has(id));
+      if (dirty.length > 0 || removedIds.length > 0) {
+        await Storage.saveElements(dirty, removedIds);
       }
 
-      // Save blocks
-      for (let i = 0; i < this.blocks.length; i++) {
-        const block = this.blocks[i];
-        const data = block.serialize();
-        // Field name 'canvasId' kept for backward compatibility
-        data.canvasId = this.noteId;
-        data.order = i;
-        await Storage.saveElement(data);
+      // Another note may have been loaded while saving
+      if (this.noteId === noteId) {
+        this.savedElements = saved;
       }
 
       this.updateSaveStatus('Saved');
+
+      // Periodic version history snapshot
+      Snapshots.maybeAutoSnapshot(noteId, noteData?.name, blocks)
+        .catch((error) => console.error('Snapshot failed:', error));
+
+      // Keep the full-text index in step with the note
+      Search.indexNote(noteId, noteData?.name, elements, noteData?.updatedAt)
+        .catch((error) => console.error('Search indexing failed:', error));
+
+      // Reminders for to-do due dates are scheduled by the background worker
+      Tasks.syncReminders(noteId, noteData?.name, elements)
+        .catch((error) => console.error('Reminder sync failed:', error));
     } catch (error) {
       console.error('Failed to save:', error);
       this.updateSaveStatus('Error saving');
@@ -0,0 +1,444 @@
+/**
+ * Syntax Highlighter - offline tokenizer for code blocks
+ *
+ * A language is a list of rules tried in order at each position. Identifiers are matched
+ * as whole words and then classified as keywords, literals, built-ins or function calls,
+ * so keywords never light up inside longer names. Rules with `inside` re-tokenize their
+ * match with another rule list (used for HTML tags).
+ */
+
+class SyntaxHighlighter {
+  constructor() {
+    const words = (list) => new Set(list.split(/\s+/).filter(Boolean));
+
+    // Shared rules
+    const doubleQuoted = ['string', /"(?:\\[\s\S]|[^"\\\n])*"?/y];
+    const singleQuoted = ['string', /'(?:\\[\s\S]|[^'\\\n])*'?/y];
+    const backtick = ['string', /`(?:\\[\s\S]|[^`\\])*`?/y];
+    const slashComments = ['comment', /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y];
+    const hashComments = ['comment', /#[^\n]*/y];
+    const number = ['number', /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)[a-zA-Z]*/y];
+    const word = ['word', /[A-Za-z_$][\w$]*/y];
+    const annotation = ['meta', /@[A-Za-z_][\w.]*/y];
+
+    const cLike = (keywords, extra = {}) => ({
+      rules: [slashComments, ...(extra.rules || []), doubleQuoted, singleQuoted, number, word],
+      keywords: words(keywords),
+      literals: words(extra.literals || 'true false null'),
+      builtins: words(extra.builtins || ''),
+    });
+
+    const jsKeywords = `async await break case catch class const continue debugger default delete do else
+      export extends finally for from function get if import in instanceof let new of return set static
+      super switch this throw try typeof var void while with yield`;
+    const jsBuiltins = `Array Boolean Date Error JSON Map Math Number Object Promise Proxy Reflect RegExp
+      Set String Symbol WeakMap WeakSet console document window globalThis`;
+
+    this.languages = {
+      javascript: {
+        name: 'JavaScript',
+        ...cLike(jsKeywords, {
+          rules: [backtick, ['string', /\/(?![/*\s])(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+\/[dgimsuyv]*(?=\s*(?:[.,;)\]}]|$))/y]],
+          literals: 'true false null undefined NaN Infinity',
+          builtins: jsBuiltins,
+        }),
+      },
+      typescript: {
+        name: 'TypeScript',
+        ...cLike(`${jsKeywords} abstract as declare enum implements interface keyof namespace private
+          protected public readonly type satisfies infer is asserts`, {
+          rules: [backtick, annotation],
+          literals: 'true false null undefined NaN Infinity',
+          builtins: `${jsBuiltins} any boolean never number object string symbol unknown void bigint
+            Partial Readonly Record Pick Omit`,
+        }),
+      },
+      python: {
+        name: 'Python',
+        rules: [
+          hashComments,
+          ['string', /(?:[rRbBfFuU]{1,2})?(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^"\\\n])*"?|'(?:\\.|[^'\\\n])*'?)/y],
+          annotation,
+          number,
+          word,
+        ],
+        keywords: words(`and as assert async await break class continue def del elif else except finally
+          for from global if import in is lambda match case nonlocal not or pass raise return try while
+          with yield`),
+        literals: words('True False None'),
+        builtins: words(`abs all any bool dict enumerate filter float format int isinstance len list map
+          max min open print range repr reversed round set sorted str sum super tuple type zip self cls`),
+      },
+      java: {
+        name: 'Java',
+        ...cLike(`abstract assert break case catch class continue default do else enum extends final
+          finally for if implements import instanceof interface native new package private protected
+          public return static super switch synchronized this throw throws transient try var void
+          volatile while record yield`, {
+          rules: [annotation],
+          builtins: 'boolean byte char double float int long short String Object Integer List Map System',
+        }),
+      },
+      c: {
+        name: 'C',
+        ...cLike(`auto break case const continue default do else enum extern for goto if inline
+          register restrict return sizeof static struct switch typedef union volatile while`, {
+          rules: [['meta', /#\s*[a-z]+[^\n]*/y]],
+          literals: 'true false NULL',
+          builtins: 'char double float int long short signed unsigned void size_t bool printf malloc free',
+        }),
+      },
+      cpp: {
+        name: 'C++',
+        ...cLike(`auto break case catch class const constexpr continue default delete do else enum
+          explicit extern for friend goto if inline mutable namespace new noexcept operator private
+          protected public return sizeof static struct switch template this throw try typedef typename
+          union using virtual volatile while override final`, {
+          rules: [['meta', /#\s*[a-z]+[^\n]*/y]],
+          literals: 'true false nullptr NULL',
+          builtins: 'bool char double float int long short signed unsigned void size_t std string vector cout endl',
+        }),
+      },
+      csharp: {
+        name: 'C#',
+        ...cLike(`abstract as async await base break case catch class const continue default delegate
+          do else enum event explicit extern finally fixed for foreach get goto if implicit in interface
+          internal is lock namespace new operator out override params private protected public readonly
+          record ref return sealed set sizeof static struct switch this throw try typeof using var
+          virtual void volatile while yield`, {
+          rules: [['string', /@"(?:""|[^"])*"?|\$"(?:\\.|[^"\\\n])*"?/y], ['meta', /#[a-z]+[^\n]*/y]],
+          builtins: 'bool byte char decimal double float int long object sbyte short string uint ulong ushort Console Task List',
+        }),
+      },
+      go: {
+        name: 'Go',
+        ...cLike(`break case chan const continue default defer else fallthrough for func go goto if
+          import interface map package range return select struct switch type var`, {
+          rules: [backtick],
+          literals: 'true false nil iota',
+          builtins: `append bool byte cap close complex copy delete error float32 float64 int int8 int16
+            int32 int64 len make new panic print println recover rune string uint uint8 uint16 uint32 uint64 fmt`,
+        }),
+      },
+      rust: {
+        name: 'Rust',
+        ...cLike(`as async await break const continue crate dyn else enum extern fn for if impl in let
+          loop match mod move mut pub ref return self Self static struct super trait type unsafe use
+          where while`, {
+          rules: [['meta', /#!?\[[^\]\n]*\]?/y], ['builtin', /[a-z_]\w*!/y], ['variable', /'[a-z_]\w*(?!')/y]],
+          literals: 'true false None Some Ok Err',
+          builtins: 'bool char f32 f64 i8 i16 i32 i64 i128 isize str u8 u16 u32 u64 u128 usize String Vec Option Result Box',
+        }),
+      },
+      kotlin: {
+        name: 'Kotlin',
+        ...cLike(`as break class continue do else for fun if import in interface is object package
+          return super this throw try typealias val var when while by companion data enum init
+          internal lateinit open override private protected public sealed suspend`, {
+          rules: [annotation],
+          builtins: 'Any Boolean Char Double Float Int List Long Map Set String Unit println',
+        }),
+      },
+      swift: {
+        name: 'Swift',
+        ...cLike(`as associatedtype break case catch class continue default defer deinit do else enum
+          extension fallthrough for func guard if import in init inout internal is let operator private
+          protocol public repeat rethrows return self Self static struct subscript super switch throw
+          throws try typealias var where while async await`, {
+          rules: [annotation],
+          literals: 'true false nil',
+          builtins: 'Any Array Bool Character Dictionary Double Float Int Optional Set String print',
+        }),
+      },
+      php: {
+        name: 'PHP',
+        ...cLike(`abstract and as break case catch class clone const continue declare default do echo
+          else elseif empty enum extends final finally fn for foreach function global if implements
+          include interface isset list match namespace new or print private protected public readonly
+          require require_once return static switch throw trait try unset use var while yield`, {
+          rules: [hashComments, ['variable', /\$[A-Za-z_]\w*/y], ['meta', /<\?php|\?>/y]],
+          literals: 'true false null TRUE FALSE NULL',
+          builtins: 'array count explode implode in_array json_encode json_decode strlen str_replace',
+        }),
+      },
+      ruby: {
+        name: 'Ruby',
+        rules: [
+          hashComments,
+          doubleQuoted,
+          singleQuoted,
+          ['variable', /@@?[A-Za-z_]\w*|\$[A-Za-z_]\w*/y],
+          ['literal', /:[A-Za-z_]\w*[?!]?/y],
+          number,
+          ['word', /[A-Za-z_]\w*[?!]?/y],
+        ],
+        keywords: words(`alias and begin break case class def defined? do else elsif end ensure for if
+          in module next not or redo rescue retry return self super then undef unless until when while
+          yield require attr_accessor attr_reader private protected public`),
+        literals: words('true false nil'),
+        builtins: words('puts print p raise lambda proc new each map select Array Hash String Integer'),
+      },
+      bash: {
+        name: 'Bash',
+        rules: [
+          ['comment', /(?<![^\s;|&(])#[^\n]*/y],
+          doubleQuoted,
+          ['string', /'[^']*'?/y],
+          ['variable', /\$(?:\{[^}\n]*\}?|[A-Za-z_]\w*|[@*#?$!0-9-])/y],
+          number,
+          ['word', /[A-Za-z_][\w-]*/y],
+        ],
+        keywords: words(`if then else elif fi for while until do done case esac function in select
+          return break continue local export readonly declare unset shift exit`),
+        literals: words('true false'),
+        builtins: words(`alias cat cd chmod chown cp curl echo eval exec find git grep kill ls mkdir mv npm
+          printf pwd read rm sed set sort source sudo tail test touch tr wc xargs`),
+      },
+      sql: {
+        name: 'SQL',
+        rules: [
+          ['comment', /--[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+          ['string', /'(?:''|[^'])*'?/y],
+          ['property', /"(?:""|[^"])*"?|`[^`]*`?/y],
+          number,
+          word,
+        ],
+        ignoreCase: true,
+        keywords: words(`add all alter and as asc begin between by case check column commit constraint
+          create cross database default delete desc distinct drop else end exists foreign from full group
+          having if in index inner insert into is join key left like limit not null offset on or order
+          outer primary references returning right rollback select set table then transaction union
+          unique update using values view when where with`),
+        literals: words('true false null'),
+        builtins: words(`avg cast coalesce count date int integer max min now sum text varchar boolean
+          serial timestamp bigint real numeric`),
+      },
+      json: {
+        name: 'JSON',
+        rules: [
+          ['property', /"(?:\\.|[^"\\\n])*"(?=\s*:)/y],
+          doubleQuoted,
+          ['number', /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+          word,
+        ],
+        keywords: words(''),
+        literals: words('true false null'),
+        builtins: words(''),
+      },
+      yaml: {
+        name: 'YAML',
+        rules: [
+          ['comment', /(?<![^\s])#[^\n]*/y],
+          ['meta', /^(?:---|\.\.\.)(?=\s|$)/my],
+          ['property', /[\w.-]+(?=[ \t]*:(?:\s|$))/y],
+          doubleQuoted,
+          singleQuoted,
+          ['variable', /[&*][\w-]+/y],
+          number,
+          word,
+        ],
+        keywords: words(''),
+        literals: words('true false null yes no on off'),
+        builtins: words(''),
+      },
+      html: {
+        name: 'HTML',
+        rules: [
+          ['comment', /<!--[\s\S]*?(?:-->|$)/y],
+          ['meta', /<![^>]*>?/y],
+          {
+            pattern: /<\/?[A-Za-z][\w:.-]*(?:\s+[^\s=>/"']+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>"']+))?)*\s*\/?>?/y,
+            inside: [
+              ['tag', /<\/?[A-Za-z][\w:.-]*|\/?>/y],
+              ['string', /"[^"]*"|'[^']*'|(?<==\s*)[^\s>"']+/y],
+              ['attr', /[^\s=>/"']+/y],
+            ],
+          },
+          ['literal', /&(?:#\d+|#x[\da-fA-F]+|[A-Za-z]+);/y],
+        ],
+      },
+      css: {
+        name: 'CSS',
+        rules: [
+          ['comment', /\/\*[\s\S]*?(?:\*\/|$)/y],
+          doubleQuoted,
+          singleQuoted,
+          ['keyword', /@[\w-]+|!important/y],
+          ['property', /--[\w-]+|-?[A-Za-z][\w-]*(?=\s*:[^;{}]*(?:[;}]|$))/y],
+          ['number', /#[\da-fA-F]{3,8}\b|-?(?:\d*\.)?\d+(?:%|[a-zA-Z]+)?/y],
+          ['attr', /[.#][A-Za-z_-][\w-]*/y],
+          ['word', /[A-Za-z_-][\w-]*/y],
+        ],
+        keywords: words(''),
+        literals: words('inherit initial unset none auto'),
+        builtins: words(''),
+      },
+      markdown: {
+        name: 'Markdown',
+        rules: [
+          ['keyword', /^#{1,6}[ \t][^\n]*/my],
+          ['string', /^```[^\n]*|`[^`\n]+`/my],
+          ['meta', /^[ \t]*(?:[-*+]|\d+\.)(?=[ \t])|^>/my],
+          ['literal', /\*\*[^*\n]+\*\*|__[^_\n]+__/y],
+          ['function', /!?\[[^\]\n]*\]\([^)\n]*\)/y],
+        ],
+      },
+    };
+
+    this.aliases = {
+      js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+      ts: 'typescript', tsx: 'typescript', py: 'python', python3: 'python', rb: 'ruby',
+      sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash', 'c++': 'cpp', cc: 'cpp', h: 'c',
+      hpp: 'cpp', cs: 'csharp', 'c#': 'csharp', golang: 'go', rs: 'rust', kt: 'kotlin',
+      yml: 'yaml', md: 'markdown', xml: 'html', svg: 'html', htm: 'html', vue: 'html',
+      scss: 'css', less: 'css', postgres: 'sql', postgresql: 'sql', mysql: 'sql', sqlite: 'sql',
+      jsonc: 'json', json5: 'json',
+    };
+  }
+
+  /**
+   * Languages for the code block picker, sorted by name
+   */
+  getLanguageOptions() {
+    return Object.entries(this.languages)
+      .map(([value, language]) => ({ value, name: language.name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Resolve a fence or class name (e.g. "js", "language-python") to a supported language key
+   */
+  resolveLanguage(name) {
+    const key = String(name || '').trim().toLowerCase().replace(/^(language|lang)-/, '');
+    if (this.languages[key]) return key;
+    return this.aliases[key] || '';
+  }
+
+  /**
+   * Display name of a language key or alias
+   */
+  getLanguageName(name) {
+    return this.languages[this.resolveLanguage(name)]?.name || 'Plain text';
+  }
+
+  /**
+   * Split code into tokens ({ type, text }); type is null for plain text
+   */
+  tokenize(code, language) {
+    const definition = this.languages[this.resolveLanguage(language)];
+    if (!definition) return [{ type: null, text: code }];
+    return this.tokenizeWith(code, definition.rules, definition);
+  }
+
+  tokenizeWith(code, rules, definition) {
+    const tokens = [];
+    let plain = '';
+    let pos = 0;
+
+    const push = (type, text) => {
+      if (plain) {
+        tokens.push({ type: null, text: plain });
+        plain = '';
+      }
+      tokens.push({ type, text });
+    };
+
+    while (pos < code.length) {
+      let matched = false;
+
+      for (const rule of rules) {
+        const pattern = Array.isArray(rule) ? rule[1] : rule.pattern;
+        pattern.lastIndex = pos;
+        const match = pattern.exec(code);
+        if (!match || match[0].length === 0) continue;
+
+        const text = match[0];
+        if (rule.inside) {
+          if (plain) {
+            tokens.push({ type: null, text: plain });
+            plain = '';
+          }
+          tokens.push(...this.tokenizeWith(text, rule.inside, definition));
+        } else if (rule[0] === 'word') {
+          const type = this.classifyWord(text, code, pos + text.length, definition);
+          if (type) {
+            push(type, text);
+          } else {
+            plain += text;
+          }
+        } else {
+          push(rule[0], text);
+        }
+        pos += text.length;
+        matched = true;
+        break;
+      }
+
+      if (!matched) {
+        plain += code[pos];
+        pos++;
+      }
+    }
+
+    if (plain) tokens.push({ type: null, text: plain });
+    return tokens;
+  }
+
+  /**
+   * Token type of an identifier
+   */
+  classifyWord(text, code, end, definition) {
+    const key = definition.ignoreCase ? text.toLowerCase() : text;
+    if (definition.keywords?.has(key)) return 'keyword';
+    if (definition.literals?.has(key)) return 'literal';
+    if (definition.builtins?.has(key)) return 'builtin';
+    if (/^\s*\(/.test(code.slice(end, end + 20))) return 'function';
+    return null;
+  }
+
+  /**
+   * Highlight code as HTML (escaped text with <span class="tok-…"> tokens)
+   */
+  highlight(code, language) {
+    return this.tokenize(code, language).map(({ type, text }) => {
+      const escaped = Utils.escapeHtml(text);
+      return type ? `<span class="tok-${type}">${escaped}</span>` : escaped;
+    }).join('');
+  }
+
+  /**
+   * Render code into an editable element with highlighting
+   */
+  renderCode(el, text, language) {
+    // A trailing newline only shows up as an empty line when something follows it
+    el.innerHTML = this.highlight(text, language) + (text.endsWith('\n') ? '<br class="code-end">' : '');
+  }
+
+  /**
+   * Plain text of rendered or edited code (token spans, plus the <br>s and line <div>s
+   * contenteditable may insert)
+   */
+  getText(el) {
+    let text = '';
+    const walk = (node) => {
+      node.childNodes.forEach((child) => {
+        if (child.nodeType === Node.TEXT_NODE) {
+          text += child.data;
+        } else if (child.nodeName === 'BR') {
+          // A line's own closing <br> and the trailing-newline marker add no text
+          const closesLine = !child.nextSibling && ['DIV', 'P'].includes(child.parentNode.nodeName) && child.parentNode !== el;
+          if (!child.classList.contains('code-end') && !closesLine) text += '\n';
+        } else if (child.nodeType === Node.ELEMENT_NODE) {
+          if (['DIV', 'P'].includes(child.nodeName) && text && !text.endsWith('\n')) text += '\n';
+          walk(child);
+        }
+      });
+    };
+    walk(el);
+    return text;
+  }
+}
+
+// Global syntax highlighter instance
+const Highlighter = new SyntaxHighlighter();
+window.Highlighter = Highlighter;
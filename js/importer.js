@@ -0,0 +1,402 @@
+/**
+ * Vault Importer - imports folders or .zip archives of Markdown notes (Obsidian/Logseq style)
+ */
+
+class VaultImporter {
+  constructor() {
+    this.noteExtensions = ['md', 'markdown', 'txt'];
+    this.imageTypes = {
+      png: 'image/png',
+      jpg: 'image/jpeg',
+      jpeg: 'image/jpeg',
+      gif: 'image/gif',
+      webp: 'image/webp',
+      svg: 'image/svg+xml',
+      bmp: 'image/bmp',
+      avif: 'image/avif',
+    };
+  }
+
+  /**
+   * Import files from a folder picker, multi-select, or .zip archives
+   */
+  async importFiles(files, onProgress) {
+    const entries = [];
+    const report = { imported: [], skipped: [], failed: [], warnings: [], mediaCount: 0 };
+
+    for (const file of Array.from(files)) {
+      if (this.getExtension(file.name) === 'zip') {
+        try {
+          entries.push(...(await this.readZip(file)));
+        } catch (error) {
+          console.error('Read zip failed:', error);
+          report.failed.push({ path: file.name, reason: error.message });
+        }
+      } else {
+        entries.push({ path: file.webkitRelativePath || file.name, blob: file });
+      }
+    }
+
+    return this.importEntries(entries, report, onProgress);
+  }
+
+  /**
+   * Import a list of { path, blob } entries as notes
+   */
+  async importEntries(entries, report, onProgress) {
+    const files = new Map();
+    this.stripCommonRoot(entries.map((entry) => ({ ...entry, path: this.normalizePath(entry.path) })))
+      .forEach((entry) => {
+        // Skip vault config and OS metadata (.obsidian, .trash, __MACOSX, .DS_Store)
+        if (entry.path.split('/').some((part) => part.startsWith('.') || part === '__MACOSX')) return;
+        files.set(entry.path, entry);
+      });
+
+    const noteEntries = [];
+    files.forEach((entry, path) => {
+      const extension = this.getExtension(path);
+      if (entry.error) {
+        report.failed.push({ path, reason: entry.error });
+      } else if (this.noteExtensions.includes(extension)) {
+        noteEntries.push(entry);
+      } else if (!this.imageTypes[extension]) {
+        report.skipped.push({ path, reason: 'Unsupported file type' });
+      }
+    });
+
+    // First pass: create every note so wikilinks can resolve to note ids
+    const notes = [];
+    const noteIndex = new Map();
+    for (const entry of noteEntries) {
+      try {
+        const text = await entry.blob.text();
+        const { body, data } = this.parseFrontmatter(text);
+        const folder = entry.path.includes('/') ? entry.path.slice(0, entry.path.lastIndexOf('/')) : '';
+        const baseName = this.getBaseName(entry.path);
+
+        const note = await Storage.createNote(data.title || baseName);
+        note.folder = folder;
+        note.tags = this.getTags(folder, data.tags);
+        await Storage.updateNote(note);
+
+        notes.push({ entry, note, body });
+        const pathKey = entry.path.replace(/\.[^/.]+$/, '').toLowerCase();
+        noteIndex.set(pathKey, note.id);
+        if (!noteIndex.has(baseName.toLowerCase())) {
+          noteIndex.set(baseName.toLowerCase(), note.id);
+        }
+        [].concat(data.aliases || []).forEach((alias) => {
+          if (!noteIndex.has(alias.toLowerCase())) {
+            noteIndex.set(alias.toLowerCase(), note.id);
+          }
+        });
+      } catch (error) {
+        console.error('Import file failed:', entry.path, error);
+        report.failed.push({ path: entry.path, reason: error.message });
+      }
+    }
+
+    // Second pass: convert content, resolve links and media, then save blocks
+    for (let i = 0; i < notes.length; i++) {
+      const { entry, note, body } = notes[i];
+      if (onProgress) {
+        onProgress({ done: i, total: notes.length, path: entry.path });
+      }
+
+      try {
+        const elements = await this.buildElements(entry.path, body, note.id, files, noteIndex, report);
+        await Storage.saveElements(elements);
+        report.imported.push({ path: entry.path, noteId: note.id, name: note.name });
+      } catch (error) {
+        console.error('Import file failed:', entry.path, error);
+        report.failed.push({ path: entry.path, reason: error.message });
+        await Storage.permanentlyDeleteNote(note.id);
+      }
+    }
+
+    if (onProgress) {
+      onProgress({ done: notes.length, total: notes.length, path: null });
+    }
+    return report;
+  }
+
+  /**
+   * Convert one note's text into serialized blocks
+   */
+  async buildElements(path, body, noteId, files, noteIndex, report) {
+    const folder = path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+    const markdown = this.replaceWikilinks(body, path, noteIndex, report);
+
+    const blocksData = this.getExtension(path) === 'txt'
+      ? markdown.split(/\r?\n/)
+        .filter((line) => line.trim())
+        .map((line) => ({ type: 'text', content: Utils.escapeHtml(line) }))
+      : Utils.markdownToBlocks(markdown);
+
+    const savedMedia = new Map();
+    for (const data of blocksData) {
+      // Internal links produced from wikilinks
+      ['content', 'children'].forEach((key) => {
+        if (data[key]) {
+          data[key] = data[key].replace(
+            /<a href="#note=([^"]+)" target="_blank" rel="noopener noreferrer">/g,
+            '<a class="note-link" data-note-id="$1" href="#note=$1">'
+          );
+        }
+      });
+
+      if (data.type !== 'image' || !data.imageUrl || /^(https?:|data:)/i.test(data.imageUrl)) continue;
+
+      const mediaPath = this.resolvePath(folder, data.imageUrl, files);
+      if (!mediaPath) {
+        report.warnings.push({ path, message: `Image not found: ${data.imageUrl}` });
+        data.imageUrl = null;
+        continue;
+      }
+
+      if (!savedMedia.has(mediaPath)) {
+        const type = this.imageTypes[this.getExtension(mediaPath)];
+        savedMedia.set(mediaPath, await Storage.saveMediaBlob(noteId, files.get(mediaPath).blob, type));
+        report.mediaCount++;
+      }
+      data.mediaId = savedMedia.get(mediaPath);
+      data.imageUrl = null;
+    }
+
+    const elements = blocksData.map((data, index) => ({
+      ...new Block(data).serialize(),
+      canvasId: noteId,
+      order: index,
+    }));
+    // Images embedded as data URLs
+    for (const el of elements) {
+      await Storage.moveInlineMedia(el);
+    }
+    return elements;
+  }
+
+  /**
+   * Turn [[wikilinks]] into note links and ![[embeds]] into images
+   */
+  replaceWikilinks(text, path, noteIndex, report) {
+    return text.replace(/(!?)\[\[([^\]|#]*)(#[^\]|]*)?(?:\|([^\]]*))?\]\]/g, (match, embed, target, heading, alias) => {
+      const name = target.trim();
+      if (embed && this.imageTypes[this.getExtension(name)]) {
+        return `![${alias || ''}](${encodeURI(name)})`;
+      }
+
+      const noteId = noteIndex.get(name.toLowerCase()) || noteIndex.get(name.split('/').pop().toLowerCase());
+      if (!noteId) {
+        report.warnings.push({ path, message: `Unresolved link: [[${name}]]` });
+        return match;
+      }
+
+      const label = (alias || name + (heading || '')).replace(/([\\[\]])/g, '\\$1');
+      return `[${label}](#note=${noteId})`;
+    });
+  }
+
+  /**
+   * Resolve a relative media link against the note's folder, falling back to a vault-wide name match
+   */
+  resolvePath(folder, link, files) {
+    let target = link.replace(/^<|>$/g, '').split(/[?#]/)[0];
+    try {
+      target = decodeURIComponent(target);
+    } catch (error) {
+      // Keep the raw link when it isn't valid URI encoding
+    }
+
+    const parts = (target.startsWith('/') ? [] : folder.split('/')).filter(Boolean);
+    target.split('/').forEach((part) => {
+      if (part === '..') {
+        parts.pop();
+      } else if (part && part !== '.') {
+        parts.push(part);
+      }
+    });
+
+    const resolved = parts.join('/');
+    if (files.has(resolved)) return resolved;
+
+    // Obsidian resolves attachments by file name anywhere in the vault
+    const fileName = resolved.split('/').pop().toLowerCase();
+    for (const path of files.keys()) {
+      if (path.split('/').pop().toLowerCase() === fileName) return path;
+    }
+    return null;
+  }
+
+  /**
+   * Parse YAML frontmatter or Logseq "key:: value" properties at the top of a note
+   */
+  parseFrontmatter(text) {
+    const data = {};
+    const unquote = (value) => value.trim().replace(/^["']|["']$/g, '');
+    const parseList = (value) => (value.startsWith('[') ? value.slice(1, -1) : value)
+      .split(',')
+      .map(unquote)
+      .filter(Boolean);
+
+    const yaml = text.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+    if (yaml) {
+      let listKey = null;
+      yaml[1].split(/\r?\n/).forEach((line) => {
+        const item = line.match(/^\s*-\s+(.*)$/);
+        if (item && listKey) {
+          data[listKey].push(unquote(item[1]));
+          return;
+        }
+
+        const pair = line.match(/^([\w-]+):\s*(.*)$/);
+        if (!pair) return;
+        const key = pair[1].toLowerCase();
+        listKey = pair[2] ? null : key;
+        if (!pair[2]) {
+          data[key] = [];
+        } else if (key === 'tags' || key === 'aliases' || pair[2].startsWith('[')) {
+          data[key] = parseList(pair[2]);
+        } else {
+          data[key] = unquote(pair[2]);
+        }
+      });
+      return { body: text.slice(yaml[0].length), data };
+    }
+
+    const lines = text.split(/\r?\n/);
+    let count = 0;
+    let match;
+    while (count < lines.length && (match = lines[count].match(/^([\w-]+):: (.*)$/))) {
+      const key = match[1].toLowerCase();
+      data[key] = key === 'tags' || key === 'alias' ? parseList(match[2]) : unquote(match[2]);
+      count++;
+    }
+    if (data.alias) {
+      data.aliases = data.alias;
+    }
+    return { body: lines.slice(count).join('\n'), data };
+  }
+
+  /**
+   * Tags from folder names plus any frontmatter tags
+   */
+  getTags(folder, frontmatterTags) {
+    const tags = folder.split('/').filter(Boolean)
+      .concat([].concat(frontmatterTags || []))
+      .map((tag) => String(tag).replace(/^#/, '').trim().toLowerCase().replace(/\s+/g, '-'))
+      .filter(Boolean);
+    return [...new Set(tags)];
+  }
+
+  /**
+   * Read the file entries of a .zip archive
+   */
+  async readZip(file) {
+    const buffer = await file.arrayBuffer();
+    const view = new DataView(buffer);
+
+    // The end of central directory record sits before an optional trailing comment
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        end = i;
+        break;
+      }
+    }
+    if (end === -1) {
+      throw new Error('Not a valid .zip file');
+    }
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if (count === 0xffff || offset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let n = 0; n < count; n++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error('Corrupt .zip file');
+      }
+
+      const flags = view.getUint16(offset + 8, true);
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (path.endsWith('/')) continue;
+
+      // Local headers repeat the name and may carry a different extra field
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+      try {
+        if (flags & 0x1) {
+          throw new Error('Encrypted files are not supported');
+        }
+        entries.push({ path, blob: await this.inflate(data, method) });
+      } catch (error) {
+        entries.push({ path, error: error.message });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Decompress a zip entry (stored or deflated)
+   */
+  async inflate(data, method) {
+    if (method === 0) {
+      return new Blob([data]);
+    }
+    if (method === 8) {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Response(stream).blob();
+    }
+    throw new Error(`Unsupported compression method ${method}`);
+  }
+
+  /**
+   * Use forward slashes and drop leading "./" or "/"
+   */
+  normalizePath(path) {
+    return path.replace(/\\/g, '/').replace(/^(\.?\/)+/, '');
+  }
+
+  /**
+   * Drop a top-level folder shared by every entry (the vault folder itself)
+   */
+  stripCommonRoot(entries) {
+    const roots = new Set(entries.map((entry) => (entry.path.includes('/') ? entry.path.split('/')[0] : '')));
+    if (roots.size !== 1 || roots.has('')) return entries;
+
+    const root = [...roots][0];
+    return entries.map((entry) => ({ ...entry, path: entry.path.slice(root.length + 1) }));
+  }
+
+  /**
+   * Lowercase file extension without the dot
+   */
+  getExtension(path) {
+    const name = path.split('/').pop();
+    return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  }
+
+  /**
+   * File name without folder or extension
+   */
+  getBaseName(path) {
+    return path.split('/').pop().replace(/\.[^/.]+$/, '');
+  }
+}
+
+// Global importer instance
+const Importer = new VaultImporter();
+window.Importer = Importer;
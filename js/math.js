@@ -0,0 +1,890 @@
+/**
+ * TeX Renderer - offline LaTeX math to MathML for equation blocks and inline $…$ math
+ *
+ * Covers the commonly used subset of LaTeX math: fractions, roots, scripts and limits,
+ * big operators, \left…\right fences, accents, font commands (\mathbb, \mathbf, …),
+ * \text, spacing, colors and the matrix, cases and aligned environments. The browser
+ * lays out the resulting MathML natively, so no fonts or external libraries are needed.
+ *
+ * Parse errors don't throw: render() returns the source with the failing token marked.
+ */
+
+class TexParseError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'TexParseError';
+    this.position = position;
+  }
+}
+
+/**
+ * Recursive-descent parser producing MathML nodes (one instance per formula)
+ */
+class TexParser {
+  constructor(renderer, tex) {
+    this.renderer = renderer;
+    this.tex = tex;
+    this.pos = 0;
+  }
+
+  error(message, position = this.pos) {
+    throw new TexParseError(message, position);
+  }
+
+  peek() {
+    return this.tex[this.pos];
+  }
+
+  skipSpace() {
+    while (this.pos < this.tex.length) {
+      const ch = this.tex[this.pos];
+      if (ch === '%') {
+        // Comments run to the end of the line
+        while (this.pos < this.tex.length && this.tex[this.pos] !== '\n') this.pos++;
+      } else if (/\s/.test(ch)) {
+        this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  expect(ch) {
+    this.skipSpace();
+    if (this.peek() !== ch) {
+      this.error(this.peek() === undefined ? `Missing '${ch}'` : `Expected '${ch}'`);
+    }
+    this.pos++;
+  }
+
+  /**
+   * Name of the command at the current position without consuming it
+   */
+  peekCommand() {
+    this.skipSpace();
+    if (this.peek() !== '\\') return null;
+    const match = this.tex.slice(this.pos + 1).match(/^([a-zA-Z]+|[^a-zA-Z])/);
+    return match ? match[1] : null;
+  }
+
+  readCommandName() {
+    const start = this.pos;
+    this.pos++; // Backslash
+    const match = this.tex.slice(this.pos).match(/^([a-zA-Z]+|[^a-zA-Z])/);
+    if (!match) this.error('Missing command name after \\', start);
+    this.pos += match[1].length;
+    return match[1];
+  }
+
+  /**
+   * Read a {…} group as raw text (for \text, \begin, colors and lengths)
+   */
+  readRawGroup() {
+    this.skipSpace();
+    if (this.peek() !== '{') this.error("Expected '{'");
+    const start = ++this.pos;
+    let depth = 1;
+    while (this.pos < this.tex.length) {
+      const ch = this.tex[this.pos];
+      if (ch === '\\') {
+        this.pos += 2;
+        continue;
+      }
+      if (ch === '{') depth++;
+      if (ch === '}' && --depth === 0) {
+        return this.tex.slice(start, this.pos++);
+      }
+      this.pos++;
+    }
+    return this.error("Missing '}'", start - 1);
+  }
+
+  /**
+   * Parse the whole formula; top-level & and \\ lay it out like an aligned environment
+   */
+  parseMath() {
+    const rows = this.parseRows(null);
+    if (rows.length === 1 && rows[0].length === 1) {
+      return rows[0][0];
+    }
+    return [this.renderer.createTable(rows, this.renderer.environments.aligned)];
+  }
+
+  /**
+   * Parse table rows (cells separated by & and rows by \\) until \end{envName} or the end of input
+   */
+  parseRows(envName) {
+    const rows = [[]];
+    let cells = rows[0];
+
+    for (;;) {
+      cells.push(this.parseExpression());
+      const command = this.peekCommand();
+      const ch = this.peek();
+
+      if (ch === '&') {
+        this.pos++;
+      } else if (command === '\\' || command === 'cr') {
+        this.readCommandName();
+        this.skipSpace();
+        if (this.peek() === '[') {
+          // Row spacing such as \\[4pt] is ignored
+          while (this.pos < this.tex.length && this.tex[this.pos] !== ']') this.pos++;
+          this.pos++;
+        }
+        cells = [];
+        rows.push(cells);
+      } else if (command === 'end') {
+        if (!envName) this.error('\\end without \\begin');
+        const start = this.pos;
+        this.readCommandName();
+        const name = this.readRawGroup();
+        if (name !== envName) this.error(`\\begin{${envName}} ended by \\end{${name}}`, start);
+        break;
+      } else if (ch === undefined) {
+        if (envName) this.error(`Missing \\end{${envName}}`);
+        break;
+      } else if (command === 'right') {
+        this.error('\\right without \\left');
+      } else {
+        this.error(`Unexpected '${ch}'`);
+      }
+    }
+
+    // A trailing \\ doesn't start a new row
+    const last = rows[rows.length - 1];
+    if (rows.length > 1 && last.length === 1 && last[0].length === 0) {
+      rows.pop();
+    }
+    return rows;
+  }
+
+  /**
+   * Parse atoms until the end of the current group (}, ], &, \\, \end or \right)
+   */
+  parseExpression(stopChar = null) {
+    const nodes = [];
+    for (;;) {
+      this.skipSpace();
+      const ch = this.peek();
+      if (ch === undefined || ch === '}' || ch === '&' || ch === stopChar) break;
+
+      const command = this.peekCommand();
+      if (['\\', 'cr', 'end', 'right'].includes(command)) break;
+
+      if (command === 'displaystyle' || command === 'textstyle') {
+        // Style switches apply to the rest of the group
+        this.readCommandName();
+        const rest = this.parseExpression(stopChar);
+        nodes.push(this.renderer.el('mrow', rest, { displaystyle: String(command === 'displaystyle') }));
+        break;
+      }
+
+      if (command === 'color') {
+        this.readCommandName();
+        const color = this.readColor();
+        const rest = this.parseExpression(stopChar);
+        nodes.push(this.renderer.el('mrow', rest, { mathcolor: color }));
+        break;
+      }
+
+      nodes.push(this.parseAtom());
+    }
+    return nodes;
+  }
+
+  /**
+   * Parse a primary term with its sub/superscripts and primes
+   */
+  parseAtom() {
+    const { el } = this.renderer;
+    const base = this.parsePrimary();
+    let limits = base.limits;
+    let sub = null;
+    let sup = null;
+    const primes = [];
+
+    for (;;) {
+      this.skipSpace();
+      const ch = this.peek();
+      const command = this.peekCommand();
+
+      if (ch === '^') {
+        if (sup) this.error('Double superscript');
+        this.pos++;
+        sup = this.parseScript('superscript');
+      } else if (ch === '_') {
+        if (sub) this.error('Double subscript');
+        this.pos++;
+        sub = this.parseScript('subscript');
+      } else if (ch === "'") {
+        this.pos++;
+        primes.push(el('mo', '′'));
+      } else if (command === 'limits' || command === 'nolimits') {
+        if (limits === null) this.error(`\\${command} must follow an operator`);
+        this.readCommandName();
+        limits = command === 'limits';
+      } else {
+        break;
+      }
+    }
+
+    if (primes.length > 0) {
+      sup = sup ? el('mrow', [...primes, sup]) : (primes.length === 1 ? primes[0] : el('mrow', primes));
+    }
+    if (!sub && !sup) return base.node;
+
+    if (limits) {
+      if (sub && sup) return el('munderover', [base.node, sub, sup]);
+      return sub ? el('munder', [base.node, sub]) : el('mover', [base.node, sup]);
+    }
+    if (sub && sup) return el('msubsup', [base.node, sub, sup]);
+    return sub ? el('msub', [base.node, sub]) : el('msup', [base.node, sup]);
+  }
+
+  parseScript(kind) {
+    this.skipSpace();
+    if (this.peek() === undefined) this.error(`Missing ${kind}`);
+    if ('^_&}'.includes(this.peek())) this.error(`Missing ${kind}`);
+    return this.parseArgument();
+  }
+
+  /**
+   * Parse a command or macro argument: a {group} or a single token
+   */
+  parseArgument() {
+    this.skipSpace();
+    const ch = this.peek();
+    if (ch === undefined) this.error('Missing argument');
+    if (ch === '{') {
+      const open = this.pos++;
+      const nodes = this.parseExpression();
+      this.skipSpace();
+      if (this.peek() === undefined) this.error("Missing '}'", open);
+      this.expect('}');
+      return this.renderer.row(nodes);
+    }
+    return this.parsePrimary(true).node;
+  }
+
+  /**
+   * Parse a single term. Returns { node, limits } where limits is null for anything that isn't an operator
+   */
+  parsePrimary(single = false) {
+    const { el, symbols } = this.renderer;
+    this.skipSpace();
+    const start = this.pos;
+    const ch = this.peek();
+
+    if (ch === undefined) this.error('Unexpected end of formula');
+    if (ch === '{') {
+      return { node: this.parseArgument(), limits: null };
+    }
+    if (ch === '}') this.error("Unexpected '}'");
+    if (ch === '&') this.error("Unexpected '&'");
+    if (ch === '^' || ch === '_') {
+      // Scripts without a base attach to an empty row
+      return { node: el('mrow'), limits: null };
+    }
+    if (ch === '\\') {
+      return this.parseCommand();
+    }
+
+    if (/[0-9.]/.test(ch)) {
+      const match = single ? [ch] : this.tex.slice(this.pos).match(/^(?:\d+(?:\.\d+)?|\.\d+|\.)/);
+      this.pos += match[0].length;
+      return { node: match[0] === '.' ? el('mo', '.') : el('mn', match[0]), limits: null };
+    }
+
+    const codePoint = this.tex.codePointAt(this.pos);
+    const char = String.fromCodePoint(codePoint);
+    this.pos += char.length;
+
+    if (/[a-zA-Z]/.test(char) || /\p{L}/u.test(char)) {
+      return { node: el('mi', char), limits: null };
+    }
+    if (char === '~') {
+      return { node: el('mspace', [], { width: '0.333em' }), limits: null };
+    }
+    if (char === '$' || char === '#') {
+      this.error(`Unexpected '${char}'`, start);
+    }
+
+    const operators = { '-': '−', '*': '∗', '<': '<', '>': '>' };
+    const node = el('mo', operators[char] || symbols[char]?.[0] || char);
+    if ('([|'.includes(char) || ')]'.includes(char)) {
+      // Plain parentheses don't stretch
+      node.setAttribute('stretchy', 'false');
+    }
+    return { node, limits: null };
+  }
+
+  /**
+   * Parse a backslash command
+   */
+  parseCommand() {
+    const r = this.renderer;
+    const { el } = r;
+    const start = this.pos;
+    const name = this.readCommandName();
+
+    if (r.symbols[name]) {
+      const [char, kind] = r.symbols[name];
+      const node = kind === 'mi-normal'
+        ? el('mi', char, { mathvariant: 'normal' })
+        : el(kind, char);
+      if (kind === 'mo' && r.fences.has(name)) node.setAttribute('stretchy', 'false');
+      return { node, limits: null };
+    }
+
+    if (r.functions.has(name)) {
+      // An operator rather than an identifier, so there is a thin space before the argument
+      return { node: el('mo', name, { lspace: '0.1667em', rspace: '0.1667em' }), limits: false };
+    }
+
+    if (r.limitOperators[name]) {
+      return {
+        node: el('mo', r.limitOperators[name], { movablelimits: 'true', form: 'prefix' }),
+        limits: true,
+      };
+    }
+
+    if (r.bigOperators[name]) {
+      const integral = /int$/.test(name);
+      const attrs = integral ? {} : { movablelimits: 'true' };
+      return { node: el('mo', r.bigOperators[name], attrs), limits: !integral };
+    }
+
+    if (r.spaces[name] !== undefined) {
+      return { node: el('mspace', [], { width: r.spaces[name] }), limits: null };
+    }
+
+    if (r.accents[name]) {
+      const [char, stretchy] = r.accents[name];
+      const base = this.parseArgument();
+      return { node: el('mover', [base, el('mo', char, { stretchy: String(stretchy) })], { accent: 'true' }), limits: null };
+    }
+
+    if (r.fonts[name]) {
+      const arg = this.parseArgument();
+      r.applyVariant(arg, r.fonts[name]);
+      return { node: arg, limits: null };
+    }
+
+    if (r.textCommands[name] !== undefined) {
+      const text = this.readRawGroup().replace(/\\([{}$%#&_ ])/g, '$1');
+      const style = r.textCommands[name];
+      return { node: el('mtext', text, style ? { style } : {}), limits: null };
+    }
+
+    if (r.delimiterSizes[name]) {
+      const delim = this.readDelimiter();
+      const size = r.delimiterSizes[name];
+      return {
+        node: el('mo', delim, { stretchy: 'true', symmetric: 'true', minsize: size, maxsize: size }),
+        limits: null,
+      };
+    }
+
+    switch (name) {
+      case 'frac':
+      case 'dfrac':
+      case 'tfrac':
+      case 'cfrac': {
+        const fraction = el('mfrac', [this.parseArgument(), this.parseArgument()]);
+        if (name === 'frac') return { node: fraction, limits: null };
+        return { node: el('mrow', [fraction], { displaystyle: String(name !== 'tfrac') }), limits: null };
+      }
+
+      case 'binom':
+      case 'dbinom':
+      case 'tbinom': {
+        const fraction = el('mfrac', [this.parseArgument(), this.parseArgument()], { linethickness: '0' });
+        const attrs = name === 'binom' ? {} : { displaystyle: String(name === 'dbinom') };
+        return { node: el('mrow', [el('mo', '('), fraction, el('mo', ')')], attrs), limits: null };
+      }
+
+      case 'sqrt': {
+        this.skipSpace();
+        let index = null;
+        if (this.peek() === '[') {
+          this.pos++;
+          index = r.row(this.parseExpression(']'));
+          this.expect(']');
+        }
+        const base = this.parseArgument();
+        return { node: index ? el('mroot', [base, index]) : el('msqrt', [base]), limits: null };
+      }
+
+      case 'left': {
+        const open = this.readDelimiter();
+        const nodes = this.parseExpression();
+        if (this.peekCommand() !== 'right') this.error('Missing \\right', start);
+        this.readCommandName();
+        const close = this.readDelimiter();
+        const fence = (char) => el('mo', char, { fence: 'true', stretchy: 'true', symmetric: 'true' });
+        return {
+          node: el('mrow', [open && fence(open), ...nodes, close && fence(close)].filter(Boolean)),
+          limits: null,
+        };
+      }
+
+      case 'middle':
+        return { node: el('mo', this.readDelimiter() || '', { stretchy: 'true', symmetric: 'true' }), limits: null };
+
+      case 'operatorname':
+      case 'operatorname*': {
+        const text = this.readRawGroup();
+        const limits = this.peek() === '*';
+        if (limits) this.pos++;
+        return { node: el('mi', text, { mathvariant: 'normal' }), limits: limits || null };
+      }
+
+      case 'overline':
+        return { node: el('mover', [this.parseArgument(), el('mo', '‾', { stretchy: 'true' })], { accent: 'true' }), limits: null };
+
+      case 'underline':
+        return { node: el('munder', [this.parseArgument(), el('mo', '_', { stretchy: 'true' })], { accentunder: 'true' }), limits: null };
+
+      case 'overbrace':
+        return { node: el('mover', [this.parseArgument(), el('mo', '⏞', { stretchy: 'true' })]), limits: true };
+
+      case 'underbrace':
+        return { node: el('munder', [this.parseArgument(), el('mo', '⏟', { stretchy: 'true' })]), limits: true };
+
+      case 'overset':
+      case 'stackrel': {
+        const over = this.parseArgument();
+        return { node: el('mover', [this.parseArgument(), over]), limits: null };
+      }
+
+      case 'underset': {
+        const under = this.parseArgument();
+        return { node: el('munder', [this.parseArgument(), under]), limits: null };
+      }
+
+      case 'not': {
+        const next = this.parsePrimary(true).node;
+        if (next.childElementCount === 0 && next.textContent.length > 0) {
+          next.textContent = r.negations[next.textContent] || `${next.textContent}̸`;
+        }
+        return { node: next, limits: null };
+      }
+
+      case 'textcolor': {
+        const color = this.readColor();
+        return { node: el('mrow', [this.parseArgument()], { mathcolor: color }), limits: null };
+      }
+
+      case 'boxed':
+      case 'fbox':
+        return {
+          node: el('mrow', [this.parseArgument()], { style: 'border: 1px solid; padding: 0.15em 0.3em;' }),
+          limits: null,
+        };
+
+      case 'phantom':
+        return { node: el('mphantom', [this.parseArgument()]), limits: null };
+
+      case 'hspace': {
+        const width = this.readRawGroup().trim();
+        if (!/^-?(\d+\.?\d*|\.\d+)(em|ex|pt|px|mu)$/.test(width)) this.error(`Invalid length '${width}'`, start);
+        const value = width.endsWith('mu') ? `${parseFloat(width) / 18}em` : width;
+        return { node: el('mspace', [], { width: value }), limits: null };
+      }
+
+      case 'pmod':
+        return {
+          node: el('mrow', [
+            el('mspace', [], { width: '1em' }),
+            el('mo', '('),
+            el('mi', 'mod'),
+            el('mspace', [], { width: '0.333em' }),
+            this.parseArgument(),
+            el('mo', ')'),
+          ]),
+          limits: null,
+        };
+
+      case 'bmod':
+      case 'mod':
+        return { node: el('mo', 'mod', { lspace: '0.5em', rspace: '0.5em' }), limits: null };
+
+      case 'begin':
+        return { node: this.parseEnvironment(this.readRawGroup().trim(), start), limits: null };
+
+      default:
+        return this.error(`Unknown command \\${name}`, start);
+    }
+  }
+
+  /**
+   * Read the delimiter after \left, \right, \middle or \big (returns '' for the empty delimiter '.')
+   */
+  readDelimiter() {
+    this.skipSpace();
+    const start = this.pos;
+    const ch = this.peek();
+    if (ch === undefined) this.error('Missing delimiter');
+
+    if (ch === '\\') {
+      const name = this.readCommandName();
+      const delim = this.renderer.delimiters[name];
+      if (delim === undefined) this.error(`Invalid delimiter \\${name}`, start);
+      return delim;
+    }
+
+    this.pos++;
+    if (ch === '.') return '';
+    if (ch === '<') return '⟨';
+    if (ch === '>') return '⟩';
+    if ('()[]|/'.includes(ch)) return ch;
+    return this.error(`Invalid delimiter '${ch}'`, start);
+  }
+
+  readColor() {
+    const start = this.pos;
+    const color = this.readRawGroup().trim();
+    if (!/^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+)$/.test(color)) this.error(`Invalid color '${color}'`, start);
+    return color;
+  }
+
+  /**
+   * Parse \begin{name} … \end{name}
+   */
+  parseEnvironment(name, start) {
+    const env = this.renderer.environments[name.replace(/\*$/, '')];
+    if (!env) this.error(`Unknown environment '${name}'`, start);
+
+    let config = env;
+    if (env.columnSpec) {
+      // array takes a column spec such as {lcr}
+      const spec = this.readRawGroup().replace(/[^lcr]/g, '');
+      const names = { l: 'left', c: 'center', r: 'right' };
+      config = { ...env, align: spec.split('').map((letter) => names[letter]) };
+    }
+
+    const rows = this.parseRows(name);
+    return this.renderer.createTable(rows, config);
+  }
+}
+
+class TexRenderer {
+  constructor() {
+    this.ns = 'http://www.w3.org/1998/Math/MathML';
+    this.el = this.el.bind(this);
+
+    // Command -> [character, element]; 'mi-normal' is an upright identifier
+    const group = (kind, entries) => Object.fromEntries(
+      Object.entries(entries).map(([name, char]) => [name, [char, kind]])
+    );
+    this.symbols = {
+      ...group('mi', {
+        alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ',
+        eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν',
+        xi: 'ξ', omicron: 'ο', pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς',
+        tau: 'τ', upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+        ell: 'ℓ', imath: 'ı', jmath: 'ȷ', wp: '℘',
+      }),
+      ...group('mi-normal', {
+        Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ',
+        Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω',
+        infty: '∞', partial: '∂', nabla: '∇', hbar: 'ℏ', hslash: 'ℏ', aleph: 'ℵ', beth: 'ℶ',
+        Re: 'ℜ', Im: 'ℑ', emptyset: '∅', varnothing: '∅', top: '⊤', bot: '⊥', angle: '∠',
+        triangle: '△', square: '□', Box: '□', Diamond: '◇', clubsuit: '♣', diamondsuit: '♢',
+        heartsuit: '♡', spadesuit: '♠', flat: '♭', natural: '♮', sharp: '♯', checkmark: '✓',
+        degree: '°', prime: '′', backslash: '\\', '$': '$', '%': '%', '#': '#', '&': '&', '_': '_',
+      }),
+      ...group('mo', {
+        // Binary operators
+        pm: '±', mp: '∓', times: '×', div: '÷', cdot: '⋅', cdotp: '⋅', ast: '∗', star: '⋆',
+        circ: '∘', bullet: '∙', oplus: '⊕', ominus: '⊖', otimes: '⊗', oslash: '⊘', odot: '⊙',
+        cup: '∪', cap: '∩', sqcup: '⊔', sqcap: '⊓', vee: '∨', wedge: '∧', land: '∧', lor: '∨',
+        setminus: '∖', wr: '≀', amalg: '⨿', uplus: '⊎', triangleleft: '◁', triangleright: '▷',
+        bigtriangleup: '△', bigtriangledown: '▽', dagger: '†', ddagger: '‡',
+        // Relations
+        leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', equiv: '≡', approx: '≈',
+        approxeq: '≊', cong: '≅', sim: '∼', simeq: '≃', propto: '∝', ll: '≪', gg: '≫', lll: '⋘',
+        ggg: '⋙', subset: '⊂', supset: '⊃', subseteq: '⊆', supseteq: '⊇', subsetneq: '⊊',
+        supsetneq: '⊋', nsubseteq: '⊈', nsupseteq: '⊉', in: '∈', ni: '∋', owns: '∋', notin: '∉',
+        perp: '⊥', parallel: '∥', nparallel: '∦', mid: '∣', nmid: '∤', vdash: '⊢', dashv: '⊣',
+        models: '⊨', prec: '≺', succ: '≻', preceq: '⪯', succeq: '⪰', asymp: '≍', doteq: '≐',
+        bowtie: '⋈', smile: '⌣', frown: '⌢', leqslant: '⩽', geqslant: '⩾', lesssim: '≲',
+        gtrsim: '≳', coloneqq: '≔', triangleq: '≜', nless: '≮', ngtr: '≯', nleq: '≰', ngeq: '≱',
+        sqsubseteq: '⊑', sqsupseteq: '⊒', forall: '∀', exists: '∃', nexists: '∄', neg: '¬', lnot: '¬',
+        // Arrows
+        to: '→', rightarrow: '→', leftarrow: '←', gets: '←', leftrightarrow: '↔', Rightarrow: '⇒',
+        Leftarrow: '⇐', Leftrightarrow: '⇔', implies: '⟹', impliedby: '⟸', iff: '⟺',
+        longrightarrow: '⟶', longleftarrow: '⟵', longleftrightarrow: '⟷', Longrightarrow: '⟹',
+        Longleftarrow: '⟸', Longleftrightarrow: '⟺', mapsto: '↦', longmapsto: '⟼', uparrow: '↑',
+        downarrow: '↓', updownarrow: '↕', Uparrow: '⇑', Downarrow: '⇓', Updownarrow: '⇕',
+        nearrow: '↗', searrow: '↘', swarrow: '↙', nwarrow: '↖', hookrightarrow: '↪',
+        hookleftarrow: '↩', rightharpoonup: '⇀', leftharpoonup: '↼', rightleftharpoons: '⇌',
+        leadsto: '⇝', circlearrowleft: '↺', circlearrowright: '↻',
+        // Fences
+        langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', lbrace: '{',
+        rbrace: '}', '{': '{', '}': '}', vert: '|', Vert: '‖', '|': '‖', lvert: '|', rvert: '|',
+        lVert: '‖', rVert: '‖', lbrack: '[', rbrack: ']',
+        // Dots and punctuation
+        ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱', colon: ':',
+      }),
+    };
+    // Fence symbols keep their size unless used with \left, \right or \big
+    this.fences = new Set(['langle', 'rangle', 'lfloor', 'rfloor', 'lceil', 'rceil', 'lbrace', 'rbrace',
+      '{', '}', 'vert', 'Vert', '|', 'lvert', 'rvert', 'lVert', 'rVert', 'lbrack', 'rbrack']);
+
+    this.delimiters = {
+      '{': '{', '}': '}', '|': '‖', lbrace: '{', rbrace: '}', langle: '⟨', rangle: '⟩',
+      lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖', lvert: '|',
+      rvert: '|', lVert: '‖', rVert: '‖', lbrack: '[', rbrack: ']', backslash: '\\',
+      uparrow: '↑', downarrow: '↓', updownarrow: '↕', Uparrow: '⇑', Downarrow: '⇓',
+    };
+    this.delimiterSizes = {};
+    [['big', '1.2em'], ['Big', '1.8em'], ['bigg', '2.4em'], ['Bigg', '3em']].forEach(([name, size]) => {
+      ['', 'l', 'r', 'm'].forEach((suffix) => {
+        this.delimiterSizes[name + suffix] = size;
+      });
+    });
+
+    // Upright multi-letter function names
+    this.functions = new Set([
+      'arcsin', 'arccos', 'arctan', 'arg', 'cos', 'cosh', 'cot', 'coth', 'csc', 'deg', 'dim',
+      'exp', 'hom', 'ker', 'lg', 'ln', 'log', 'sec', 'sin', 'sinh', 'tan', 'tanh', 'sgn',
+    ]);
+    // Function-like operators whose limits go underneath in display mode
+    this.limitOperators = {
+      lim: 'lim', liminf: 'lim inf', limsup: 'lim sup', max: 'max', min: 'min', sup: 'sup',
+      inf: 'inf', det: 'det', gcd: 'gcd', Pr: 'Pr', argmax: 'arg max', argmin: 'arg min',
+    };
+    this.bigOperators = {
+      sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+      bigcup: '⋃', bigcap: '⋂', bigvee: '⋁', bigwedge: '⋀', bigoplus: '⨁', bigotimes: '⨂',
+      bigodot: '⨀', biguplus: '⨄', bigsqcup: '⨆',
+    };
+    this.spaces = {
+      ',': '0.1667em', thinspace: '0.1667em', ':': '0.2222em', '>': '0.2222em', medspace: '0.2222em',
+      ';': '0.2778em', thickspace: '0.2778em', '!': '-0.1667em', negthinspace: '-0.1667em',
+      ' ': '0.25em', enspace: '0.5em', quad: '1em', qquad: '2em',
+    };
+    // Accent -> [character, stretches with its base]
+    this.accents = {
+      hat: ['^', false], widehat: ['^', true], check: ['ˇ', false], tilde: ['~', false],
+      widetilde: ['~', true], bar: ['¯', false], vec: ['→', false], dot: ['˙', false],
+      ddot: ['¨', false], acute: ['´', false], grave: ['`', false], breve: ['˘', false],
+      mathring: ['˚', false], overrightarrow: ['→', true], overleftarrow: ['←', true],
+      overleftrightarrow: ['↔', true],
+    };
+    this.fonts = {
+      mathrm: 'normal', mathup: 'normal', mathit: 'italic', mathbf: 'bold', boldsymbol: 'bold-italic',
+      bm: 'bold-italic', mathbb: 'double-struck', mathcal: 'script', mathscr: 'script',
+      mathfrak: 'fraktur', mathsf: 'sans-serif', mathtt: 'monospace',
+    };
+    // Text command -> CSS for the text
+    this.textCommands = {
+      text: '', textrm: '', textnormal: '', mbox: '', textup: '',
+      textit: 'font-style: italic;', textbf: 'font-weight: bold;', textsf: 'font-family: sans-serif;',
+      texttt: 'font-family: monospace;', emph: 'font-style: italic;',
+    };
+    this.negations = { '=': '≠', '<': '≮', '>': '≯', '∈': '∉', '≤': '≰', '≥': '≱', '⊂': '⊄', '⊆': '⊈', '∃': '∄' };
+
+    // Column alignment per environment (cycled across columns) and surrounding fences
+    this.environments = {
+      matrix: { align: ['center'], spacing: '0.5em' },
+      smallmatrix: { align: ['center'], spacing: '0.3em', small: true },
+      pmatrix: { align: ['center'], spacing: '0.5em', open: '(', close: ')' },
+      bmatrix: { align: ['center'], spacing: '0.5em', open: '[', close: ']' },
+      Bmatrix: { align: ['center'], spacing: '0.5em', open: '{', close: '}' },
+      vmatrix: { align: ['center'], spacing: '0.5em', open: '|', close: '|' },
+      Vmatrix: { align: ['center'], spacing: '0.5em', open: '‖', close: '‖' },
+      cases: { align: ['left'], spacing: '0.5em', open: '{' },
+      aligned: { align: ['right', 'left'], spacing: '0', pairSpacing: '1em', display: true },
+      align: { align: ['right', 'left'], spacing: '0', pairSpacing: '1em', display: true },
+      split: { align: ['right', 'left'], spacing: '0', pairSpacing: '1em', display: true },
+      gathered: { align: ['center'], spacing: '0', display: true },
+      gather: { align: ['center'], spacing: '0', display: true },
+      array: { align: ['center'], spacing: '0.5em', columnSpec: true },
+    };
+
+    // Math alphanumeric blocks: [capital A, small a, digit 0] code points per variant
+    this.variantOffsets = {
+      bold: [0x1D400, 0x1D41A, 0x1D7CE],
+      italic: [0x1D434, 0x1D44E, null],
+      'bold-italic': [0x1D468, 0x1D482, 0x1D7CE],
+      script: [0x1D49C, 0x1D4B6, null],
+      fraktur: [0x1D504, 0x1D51E, null],
+      'double-struck': [0x1D538, 0x1D552, 0x1D7D8],
+      'sans-serif': [0x1D5A0, 0x1D5BA, 0x1D7E2],
+      monospace: [0x1D670, 0x1D68A, 0x1D7F6],
+    };
+    // Letters that live in the Letterlike Symbols block instead
+    this.variantExceptions = {
+      italic: { h: 'ℎ' },
+      script: { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' },
+      fraktur: { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' },
+      'double-struck': { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' },
+    };
+  }
+
+  /**
+   * Create a MathML element from text or child nodes
+   */
+  el(tag, content = [], attrs = {}) {
+    const node = document.createElementNS(this.ns, tag);
+    if (typeof content === 'string') {
+      node.textContent = content;
+    } else {
+      content.forEach((child) => node.appendChild(child));
+    }
+    Object.entries(attrs).forEach(([name, value]) => node.setAttribute(name, value));
+    return node;
+  }
+
+  /**
+   * Wrap nodes in an mrow unless there is exactly one
+   */
+  row(nodes) {
+    return nodes.length === 1 ? nodes[0] : this.el('mrow', nodes);
+  }
+
+  /**
+   * Restyle letters and digits for \mathbf, \mathbb and friends
+   */
+  applyVariant(node, variant) {
+    if (node.localName === 'mi' || node.localName === 'mn') {
+      if (variant === 'normal') {
+        if (node.localName === 'mi') node.setAttribute('mathvariant', 'normal');
+        return;
+      }
+      node.textContent = Array.from(node.textContent).map((char) => this.styleChar(char, variant)).join('');
+      // Styled characters are already slanted or upright as needed
+      if (node.localName === 'mi') node.setAttribute('mathvariant', 'normal');
+      return;
+    }
+    Array.from(node.children).forEach((child) => this.applyVariant(child, variant));
+  }
+
+  styleChar(char, variant) {
+    const exception = this.variantExceptions[variant]?.[char];
+    if (exception) return exception;
+    const offsets = this.variantOffsets[variant];
+    if (!offsets) return char;
+
+    const code = char.charCodeAt(0);
+    if (char >= 'A' && char <= 'Z') return String.fromCodePoint(offsets[0] + code - 65);
+    if (char >= 'a' && char <= 'z') return String.fromCodePoint(offsets[1] + code - 97);
+    if (char >= '0' && char <= '9' && offsets[2]) return String.fromCodePoint(offsets[2] + code - 48);
+    return char;
+  }
+
+  /**
+   * Lay out parsed rows as an mtable (matrices, cases, aligned equations)
+   */
+  createTable(rows, config) {
+    const { el } = this;
+    const table = el('mtable', rows.map((cells) => el('mtr', cells.map((nodes, column) => {
+      const align = config.align[column % config.align.length];
+      // Aligned equations pair right- and left-aligned columns with a gap between pairs
+      const left = column === 0 ? '0' : (config.pairSpacing && column % 2 === 0 ? config.pairSpacing : config.spacing);
+      const attrs = { style: `text-align: ${align}; padding: 0.15em 0 0.15em ${left};` };
+      if (config.display) attrs.displaystyle = 'true';
+      if (config.small) attrs.scriptlevel = '1';
+      return el('mtd', [this.row(nodes)], attrs);
+    }))));
+
+    if (!config.open && !config.close) return table;
+    const fence = (char) => el('mo', char, { fence: 'true', stretchy: 'true', symmetric: 'true' });
+    return el('mrow', [config.open && fence(config.open), table, config.close && fence(config.close)].filter(Boolean));
+  }
+
+  /**
+   * Render TeX source to a <math> element, or to an error span showing where parsing failed
+   */
+  render(tex, options = {}) {
+    const source = tex || '';
+    try {
+      const nodes = new TexParser(this, source).parseMath();
+      const math = this.el('math', [
+        this.el('semantics', [
+          this.row(nodes.length > 0 ? nodes : [this.el('mrow')]),
+          this.el('annotation', source, { encoding: 'application/x-tex' }),
+        ]),
+      ]);
+      if (options.displayMode) math.setAttribute('display', 'block');
+      return math;
+    } catch (error) {
+      if (!(error instanceof TexParseError)) throw error;
+      return this.createErrorElement(source, error);
+    }
+  }
+
+  /**
+   * Source with the failing token highlighted; styled inline so it also works inside shadow roots
+   */
+  createErrorElement(tex, error) {
+    const wrapper = document.createElement('span');
+    wrapper.className = 'math-error';
+    wrapper.title = error.message;
+    wrapper.setAttribute('style', 'color: var(--danger-color, #e03e3e); font-family: var(--font-mono, monospace); white-space: pre-wrap;');
+
+    const position = Math.min(error.position, tex.length);
+    const token = tex.slice(position).match(/^(\\[a-zA-Z]+|\S)/);
+    const end = position + (token ? token[0].length : 0);
+
+    const mark = document.createElement('span');
+    mark.setAttribute('style', 'text-decoration: underline wavy; font-weight: bold;');
+    mark.textContent = tex.slice(position, end) || ' ';
+
+    wrapper.append(tex.slice(0, position), mark, tex.slice(end));
+    return wrapper;
+  }
+
+  /**
+   * Error message for TeX source, or null if it parses
+   */
+  validate(tex) {
+    try {
+      new TexParser(this, tex || '').parseMath();
+      return null;
+    } catch (error) {
+      if (!(error instanceof TexParseError)) throw error;
+      return error.message;
+    }
+  }
+
+  /**
+   * Render an inline math span (<span class="inline-math" data-tex="…">) into its shadow root,
+   * so the rendered MathML never ends up in the block's stored HTML
+   */
+  renderInline(span) {
+    const root = span.shadowRoot || span.attachShadow({ mode: 'open' });
+    root.replaceChildren(this.render(span.dataset.tex));
+  }
+
+  /**
+   * Render every inline math span inside an element that hasn't been rendered yet
+   */
+  renderAllInline(root) {
+    if (root.matches?.('.inline-math') && !root.shadowRoot) {
+      this.renderInline(root);
+    }
+    root.querySelectorAll?.('.inline-math').forEach((span) => {
+      if (!span.shadowRoot) this.renderInline(span);
+    });
+  }
+
+  /**
+   * Create a rendered inline math span
+   */
+  createInlineMath(tex) {
+    const span = document.createElement('span');
+    span.className = 'inline-math';
+    span.contentEditable = 'false';
+    span.dataset.tex = tex;
+    this.renderInline(span);
+    return span;
+  }
+}
+
+// Global TeX renderer instance
+const TeX = new TexRenderer();
+window.TeX = TeX;
@@ -4,8 +4,9 @@
 
 class PopupStorage {
   constructor() {
-    this.dbName = 'CanvasTabDB';
-    this.dbVersion = 2;
+    // Same name and version as the new tab page (schema.js)
+    this.dbName = DatabaseSchema.name;
+    this.dbVersion = DatabaseSchema.version;
     this.db = null;
   }
 
@@ -17,26 +18,7 @@ class PopupStorage {
         this.db = request.result;
         resolve();
       };
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains('canvases')) {
-          const store = db.createObjectStore('canvases', { keyPath: 'id' });
-          store.createIndex('name', 'name', { unique: false });
-          store.createIndex('updatedAt', 'updatedAt', { unique: false });
-        }
-        if (!db.objectStoreNames.contains('elements')) {
-          const store = db.createObjectStore('elements', { keyPath: 'id' });
-          store.createIndex('canvasId', 'canvasId', { unique: false });
-          store.createIndex('type', 'type', { unique: false });
-        }
-        if (!db.objectStoreNames.contains('settings')) {
-          db.createObjectStore('settings', { keyPath: 'key' });
-        }
-        if (!db.objectStoreNames.contains('media')) {
-          const store = db.createObjectStore('media', { keyPath: 'id' });
-          store.createIndex('canvasId', 'canvasId', { unique: false });
-        }
-      };
+      request.onupgradeneeded = (event) => DatabaseSchema.upgrade(event);
     });
   }
 
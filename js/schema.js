@@ -0,0 +1,65 @@
+/**
+ * IndexedDB schema shared by the new tab page (Storage) and the popup (PopupStorage),
+ * so both open the database at the same version and create the same stores
+ *
+ * Note: store names remain 'canvases' and index names 'canvasId' for backward
+ * compatibility with existing user data.
+ */
+
+const DatabaseSchema = {
+  name: 'CanvasTabDB',
+  version: 5, // Bumped for the media hash index
+
+  /**
+   * Create missing stores and indexes (onupgradeneeded handler)
+   */
+  upgrade(event) {
+    const db = event.target.result;
+
+    // Canvases store
+    if (!db.objectStoreNames.contains('canvases')) {
+      const canvasStore = db.createObjectStore('canvases', { keyPath: 'id' });
+      canvasStore.createIndex('name', 'name', { unique: false });
+      canvasStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+    }
+
+    // Elements store
+    if (!db.objectStoreNames.contains('elements')) {
+      const elementStore = db.createObjectStore('elements', { keyPath: 'id' });
+      elementStore.createIndex('canvasId', 'canvasId', { unique: false });
+      elementStore.createIndex('type', 'type', { unique: false });
+    }
+
+    // Settings store
+    if (!db.objectStoreNames.contains('settings')) {
+      db.createObjectStore('settings', { keyPath: 'key' });
+    }
+
+    // Media blobs store (for images/videos); 'hash' finds identical content across notes
+    if (!db.objectStoreNames.contains('media')) {
+      const mediaStore = db.createObjectStore('media', { keyPath: 'id' });
+      mediaStore.createIndex('canvasId', 'canvasId', { unique: false });
+      mediaStore.createIndex('hash', 'hash', { unique: false });
+    } else {
+      const mediaStore = event.target.transaction.objectStore('media');
+      if (!mediaStore.indexNames.contains('hash')) {
+        mediaStore.createIndex('hash', 'hash', { unique: false });
+      }
+    }
+
+    // Note version history snapshots
+    if (!db.objectStoreNames.contains('snapshots')) {
+      const snapshotStore = db.createObjectStore('snapshots', { keyPath: 'id' });
+      snapshotStore.createIndex('noteId', 'noteId', { unique: false });
+      snapshotStore.createIndex('createdAt', 'createdAt', { unique: false });
+    }
+
+    // Full-text search index, one entry per note (multiEntry 'terms' index is the inverted index)
+    if (!db.objectStoreNames.contains('searchIndex')) {
+      const searchStore = db.createObjectStore('searchIndex', { keyPath: 'noteId' });
+      searchStore.createIndex('terms', 'terms', { unique: false, multiEntry: true });
+    }
+  },
+};
+
+window.DatabaseSchema = DatabaseSchema;
@@ -0,0 +1,599 @@
+/**
+ * Search Index - full-text search over note content
+ *
+ * Each note has one entry in the 'searchIndex' store holding its terms, term counts
+ * and the plain text of its blocks. The store's multiEntry 'terms' index is the
+ * inverted index: looking up a term returns every note that contains it.
+ *
+ * Queries may mix free text with operators, parsed by parseSearchQuery():
+ *   "exact phrase"  -word  -"phrase"
+ *   tag:work  is:archived|trash|active  has:todo|image|...  type:code
+ *   created:>2026-01-01  updated:<7d  (any operator can be negated with a leading -)
+ */
+
+class SearchIndex {
+  constructor() {
+    this.indexVersion = 5; // Bump when tokenizing or block text extraction changes
+    this.titleWeight = 3; // Title terms count as much as three occurrences in the body
+    this.maxResults = 50; // Ranked content matches listed in the sidebar
+    this.snippetLength = 160;
+    // Operators understood by parseSearchQuery; other "key:value" words are searched as text
+    this.filterKeys = ['tag', 'is', 'has', 'type', 'created', 'updated'];
+    // Filters on note metadata (the others need the index)
+    this.noteFilterKeys = ['tag', 'is', 'created', 'updated'];
+    // Extra names for block types in has: and type:
+    this.typeAliases = {
+      heading: ['h1', 'h2', 'h3'],
+      list: ['bullet', 'numbered'],
+      task: ['todo'],
+      math: ['equation'],
+      mermaid: ['diagram'],
+      flowchart: ['diagram'],
+      link: ['bookmark'],
+    };
+    this.isAliases = {
+      archived: 'archived',
+      archive: 'archived',
+      trash: 'trash',
+      trashed: 'trash',
+      deleted: 'trash',
+      active: 'active',
+    };
+    // Text last indexed per note, so unchanged saves skip the database
+    this.indexedText = new Map();
+  }
+
+  /**
+   * Normalize a word for indexing (lowercase, accents removed)
+   */
+  normalize(word) {
+    return word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  /**
+   * Split text into normalized terms
+   */
+  tokenize(text) {
+    return (text.match(/[\p{L}\p{N}]+/gu) || [])
+      .map((word) => this.normalize(word))
+      .filter((term) => term.length <= 64);
+  }
+
+  /**
+   * Convert block HTML to plain text
+   */
+  stripHtml(html) {
+    if (!html) return '';
+    const withBreaks = html.replace(/<br\s*\/?>|<\/(div|p|li|h[1-6])>/gi, ' ');
+    const body = new DOMParser().parseFromString(withBreaks, 'text/html').body;
+    return Utils.expandInlineMath(body).textContent || '';
+  }
+
+  /**
+   * Searchable text of a serialized block
+   */
+  blockText(data) {
+    let text;
+    switch (data.type) {
+      case 'toggle':
+        text = `${this.stripHtml(data.content)} ${this.stripHtml(data.children)}`;
+        break;
+      case 'table':
+        text = (data.tableData || []).map((row) => row.map((cell) => this.stripHtml(cell)).join(' ')).join(' ');
+        break;
+      case 'equation':
+        text = data.equation || '';
+        break;
+      case 'diagram':
+        text = data.diagram || '';
+        break;
+      case 'bookmark':
+        text = [data.title, data.description, data.url].filter(Boolean).join(' ');
+        break;
+      case 'file':
+        text = data.fileName || '';
+        break;
+      case 'image':
+        text = [data.caption, data.alt].filter(Boolean).join('\n');
+        break;
+      case 'video':
+      case 'divider':
+        text = '';
+        break;
+      default:
+        text = this.stripHtml(data.content);
+    }
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Build the index entry of a note
+   */
+  buildEntry(noteId, name, blocks, noteUpdatedAt) {
+    const termCounts = {};
+    let length = 0;
+    const addTerms = (text, weight) => {
+      this.tokenize(text).forEach((term) => {
+        termCounts[term] = (Object.hasOwn(termCounts, term) ? termCounts[term] : 0) + weight;
+        length++;
+      });
+    };
+
+    addTerms(name || '', this.titleWeight);
+    const blockTexts = [];
+    const blockTypes = new Set();
+    blocks.forEach((data) => {
+      blockTypes.add(data.type);
+      const text = this.blockText(data);
+      if (text) {
+        blockTexts.push({ id: data.id, type: data.type, text });
+        addTerms(text, 1);
+      }
+    });
+
+    return {
+      noteId,
+      name: name || '',
+      version: this.indexVersion,
+      noteUpdatedAt: noteUpdatedAt || Date.now(),
+      terms: Object.keys(termCounts),
+      termCounts,
+      length,
+      blocks: blockTexts,
+      blockTypes: [...blockTypes],
+    };
+  }
+
+  /**
+   * Index a note from its serialized blocks (called on every editor save)
+   */
+  async indexNote(noteId, name, blocks, noteUpdatedAt) {
+    const entry = this.buildEntry(noteId, name, blocks, noteUpdatedAt);
+    const text = [name || '', ...entry.blocks.map((block) => `${block.type}:${block.text}`), ...entry.blockTypes].join('\n');
+    if (this.indexedText.get(noteId) === text) return;
+
+    await Storage.saveSearchEntry(entry);
+    this.indexedText.set(noteId, text);
+  }
+
+  /**
+   * Index a note as it is stored (for notes written outside the editor)
+   */
+  async indexStoredNote(noteId) {
+    const note = await Storage.getNote(noteId);
+    if (!note) return;
+    const elements = await Storage.getElementsByNote(noteId);
+    elements.sort((a, b) => (a.order || 0) - (b.order || 0));
+    await this.indexNote(note.id, note.name, elements, note.updatedAt);
+  }
+
+  /**
+   * Index notes that are missing or changed since they were indexed, and drop deleted ones.
+   * Runs at startup, so notes from older versions, imports and restores become searchable.
+   */
+  async ensureIndex() {
+    const entries = new Map((await Storage.getAllSearchEntries()).map((entry) => [entry.noteId, entry]));
+    const notes = [...await Storage.getAllNotes(true), ...await Storage.getTrashedNotes()];
+    let indexed = 0;
+
+    for (const note of notes) {
+      const entry = entries.get(note.id);
+      entries.delete(note.id);
+      if (entry && entry.version === this.indexVersion && entry.noteUpdatedAt === note.updatedAt) continue;
+
+      this.indexedText.delete(note.id);
+      await this.indexStoredNote(note.id);
+      indexed++;
+    }
+
+    // Whatever is left belongs to notes that no longer exist
+    for (const noteId of entries.keys()) {
+      await Storage.deleteSearchEntry(noteId);
+    }
+
+    return indexed;
+  }
+
+  /**
+   * Parse a search string into a reusable query object:
+   * {
+   *   raw,                            // the input string
+   *   terms: ['word'],                // free text, every term must match
+   *   phrases: ['exact phrase'],
+   *   excludedTerms: [], excludedPhrases: [],
+   *   filters: [{ key, value, negate, types?, min?, max? }],
+   *   prefixLast,                     // last term is still being typed and matches as a prefix
+   * }
+   */
+  parseSearchQuery(input) {
+    const query = {
+      raw: input || '',
+      terms: [],
+      phrases: [],
+      excludedTerms: [],
+      excludedPhrases: [],
+      filters: [],
+      prefixLast: false,
+    };
+
+    const tokenPattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let lastIsTerm = false;
+    let match;
+    while ((match = tokenPattern.exec(query.raw)) !== null) {
+      const [, minus, rawKey, quoted, bare] = match;
+      const negate = minus === '-';
+      const value = quoted !== undefined ? quoted : bare;
+      const key = rawKey && rawKey.toLowerCase();
+      lastIsTerm = false;
+
+      if (key && this.filterKeys.includes(key)) {
+        const filter = this.parseFilter(key, value, negate);
+        if (filter) {
+          query.filters.push(filter);
+          continue;
+        }
+      }
+      // An operator without a value yet (e.g. "tag:" while typing)
+      if (!key && /^[a-z]+:$/i.test(value) && this.filterKeys.includes(value.slice(0, -1).toLowerCase())) {
+        continue;
+      }
+
+      // Anything else is text; unknown or invalid operators are searched as typed
+      const text = key ? `${rawKey}:${value}` : value;
+      if (this.tokenize(text).length === 0) continue;
+
+      if (quoted !== undefined && !key) {
+        (negate ? query.excludedPhrases : query.phrases).push(text);
+      } else {
+        (negate ? query.excludedTerms : query.terms).push(text);
+        lastIsTerm = !negate;
+      }
+    }
+
+    query.prefixLast = lastIsTerm && !/\s$/.test(query.raw);
+    return query;
+  }
+
+  /**
+   * Parse the value of an operator, or return null if it isn't valid
+   */
+  parseFilter(key, value, negate) {
+    const trimmed = (value || '').trim().toLowerCase();
+    if (!trimmed) return null;
+
+    switch (key) {
+      case 'tag':
+        return { key, value: trimmed.replace(/^#/, ''), negate };
+      case 'is': {
+        const state = this.isAliases[trimmed];
+        return state ? { key, value: state, negate } : null;
+      }
+      case 'has':
+      case 'type': {
+        const types = this.resolveBlockTypes(trimmed);
+        return types ? { key, value: trimmed, types, negate } : null;
+      }
+      case 'created':
+      case 'updated': {
+        const range = this.parseDateRange(trimmed);
+        return range ? { key, value: trimmed, negate, ...range } : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Block types named by a has: or type: value
+   */
+  resolveBlockTypes(value) {
+    if (this.typeAliases[value]) return this.typeAliases[value];
+    const singular = value.replace(/s$/, '');
+    if (BlockTypes[value]) return [value];
+    if (BlockTypes[singular]) return [singular];
+    return null;
+  }
+
+  /**
+   * Parse a date operator value into a { min, max } time range (max exclusive).
+   * Absolute dates: 2026-01-01, 2026-01, today, yesterday with optional >, >=, <, <=.
+   * Relative ages: 12h, 7d, 2w, 3m, 1y where <7d means "less than 7 days ago".
+   */
+  parseDateRange(value) {
+    const [, op = '', target] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+    const day = 24 * 60 * 60 * 1000;
+
+    const relative = target.match(/^(\d+)([hdwmy])$/);
+    if (relative) {
+      const units = { h: day / 24, d: day, w: 7 * day, m: 30 * day, y: 365 * day };
+      const time = Date.now() - Number(relative[1]) * units[relative[2]];
+      return op === '>' || op === '>='
+        ? { min: -Infinity, max: time }
+        : { min: time, max: Infinity };
+    }
+
+    let start;
+    let end;
+    const absolute = target.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/);
+    if (target === 'today' || target === 'yesterday') {
+      start = new Date();
+      start.setHours(0, 0, 0, 0);
+      if (target === 'yesterday') start.setDate(start.getDate() - 1);
+      end = new Date(start);
+      end.setDate(end.getDate() + 1);
+    } else if (absolute) {
+      const [year, month, date] = [Number(absolute[1]), Number(absolute[2]) - 1, Number(absolute[3] || 1)];
+      start = new Date(year, month, date);
+      // Reject dates that roll over, like 2026-02-30
+      if (start.getMonth() !== month || start.getDate() !== date) return null;
+      end = absolute[3] ? new Date(year, month, date + 1) : new Date(year, month + 1, 1);
+    } else {
+      return null;
+    }
+
+    switch (op) {
+      case '>':
+        return { min: end.getTime(), max: Infinity };
+      case '>=':
+        return { min: start.getTime(), max: Infinity };
+      case '<':
+        return { min: -Infinity, max: start.getTime() };
+      case '<=':
+        return { min: -Infinity, max: end.getTime() };
+      default:
+        return { min: start.getTime(), max: end.getTime() };
+    }
+  }
+
+  /**
+   * Whether a query has a filter on a given key (optionally with a given value)
+   */
+  hasFilter(query, key, value = null) {
+    return query.filters.some((filter) => filter.key === key && !filter.negate && (value === null || filter.value === value));
+  }
+
+  /**
+   * Whether a query needs the content index (text, phrases, has: or type:)
+   */
+  hasContentConditions(query) {
+    return query.terms.length > 0 || query.phrases.length > 0
+      || query.excludedTerms.length > 0 || query.excludedPhrases.length > 0
+      || query.filters.some((filter) => !this.noteFilterKeys.includes(filter.key));
+  }
+
+  /**
+   * Whether a note passes the metadata filters of a query (tag:, is:, created:, updated:)
+   */
+  matchesNote(note, query) {
+    return query.filters
+      .filter((filter) => this.noteFilterKeys.includes(filter.key))
+      .every((filter) => this.testNoteFilter(note, filter) !== filter.negate);
+  }
+
+  /**
+   * Whether a note matches a single metadata filter (ignoring negation)
+   */
+  testNoteFilter(note, filter) {
+    switch (filter.key) {
+      case 'tag': {
+        // AI insight tags and tags from imported vaults; tag:work also matches work/project
+        const tags = [...(note.insights?.tags || []), ...(note.tags || [])]
+          .map((tag) => String(tag).toLowerCase().replace(/^#/, ''));
+        return tags.some((tag) => tag === filter.value || tag.startsWith(`${filter.value}/`));
+      }
+      case 'is':
+        if (filter.value === 'trash') return !!note.trashed;
+        if (filter.value === 'archived') return !!note.archived && !note.trashed;
+        return !note.archived && !note.trashed;
+      case 'created':
+      case 'updated': {
+        const time = filter.key === 'created' ? note.createdAt : note.updatedAt;
+        return time >= filter.min && time < filter.max;
+      }
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Find notes matching a query among the given notes (all of a query's conditions apply).
+   * Results are ranked when the query has text, otherwise they keep the notes' order.
+   * @returns {Promise<Array<{note, score, blockId, snippet}>>}
+   */
+  async findNotes(input, notes) {
+    const query = typeof input === 'string' ? this.parseSearchQuery(input) : input;
+    const filtered = notes.filter((note) => this.matchesNote(note, query));
+    if (!this.hasContentConditions(query)) {
+      return filtered.map((note) => ({ note, score: 0, blockId: null, snippet: null }));
+    }
+
+    const noteIds = new Set(filtered.map((note) => note.id));
+    const results = new Map((await this.search(query, noteIds)).map((result) => [result.noteId, result]));
+    return filtered
+      .filter((note) => results.has(note.id))
+      .map((note) => ({ note, ...results.get(note.id) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Index lookup terms of a query; the last term matches as a prefix while it's being typed
+   */
+  getQueryTerms(query) {
+    const words = [...query.terms, ...query.phrases].flatMap((text) => this.tokenize(text));
+    const terms = [...new Set(words)];
+    const prefixTerm = query.prefixLast ? this.tokenize(query.terms[query.terms.length - 1]).pop() : null;
+    return terms.map((term) => ({ term, prefix: term === prefixTerm && terms.lastIndexOf(term) === terms.length - 1 }));
+  }
+
+  /**
+   * Whether a normalized word matches a query term
+   */
+  matchesTerm(word, { term, prefix }) {
+    return prefix ? word.startsWith(term) : word === term;
+  }
+
+  /**
+   * Whether a text contains a phrase (the phrase's words in sequence)
+   */
+  containsPhrase(text, phrase) {
+    const words = this.tokenize(text);
+    const phraseWords = this.tokenize(phrase);
+    for (let i = 0; i + phraseWords.length <= words.length; i++) {
+      if (phraseWords.every((word, offset) => words[i + offset] === word)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Occurrences of a query term in an entry (summed over completions for prefix terms)
+   */
+  termFrequency(entry, queryTerm) {
+    if (!queryTerm.prefix) {
+      return Object.hasOwn(entry.termCounts, queryTerm.term) ? entry.termCounts[queryTerm.term] : 0;
+    }
+    return entry.terms
+      .filter((term) => term.startsWith(queryTerm.term))
+      .reduce((sum, term) => sum + entry.termCounts[term], 0);
+  }
+
+  /**
+   * Check the conditions the inverted index can't answer on its own:
+   * has:/type: filters, phrases, exclusions, and text restricted to certain block types
+   */
+  matchesEntry(entry, query, queryTerms) {
+    const typeFilters = query.filters.filter((filter) => filter.key === 'type');
+    const hasFilters = query.filters.filter((filter) => filter.key === 'has');
+
+    const hasType = (types) => types.some((type) => (entry.blockTypes || []).includes(type));
+    if (!hasFilters.every((filter) => hasType(filter.types) !== filter.negate)) return false;
+
+    // type: restricts which blocks the text has to match in (and the title no longer counts)
+    const blockAllowed = (block) => typeFilters.every((filter) => filter.types.includes(block.type) !== filter.negate);
+    const blocks = typeFilters.length > 0 ? entry.blocks.filter(blockAllowed) : entry.blocks;
+    const texts = blocks.map((block) => block.text);
+    if (typeFilters.length > 0) {
+      if (blocks.length === 0 && !typeFilters.every((filter) => filter.negate)) return false;
+      const blockText = texts.join(' ');
+      const inBlocks = queryTerms.every((queryTerm) => this.findMatches(blockText, [queryTerm]).length > 0);
+      if (!inBlocks) return false;
+    } else {
+      texts.push(entry.name || '');
+    }
+
+    if (!query.phrases.every((phrase) => texts.some((text) => this.containsPhrase(text, phrase)))) return false;
+
+    // Exclusions apply to the whole note
+    const allTexts = [entry.name || '', ...entry.blocks.map((block) => block.text)];
+    const excluded = [...query.excludedTerms, ...query.excludedPhrases]
+      .some((text) => allTexts.some((noteText) => this.containsPhrase(noteText, text)));
+    return !excluded;
+  }
+
+  /**
+   * Search note content. Every query term must match; results are ranked with BM25.
+   * Note metadata filters (tag:, is:, dates) are left to matchesNote/findNotes, which pass
+   * the notes that passed them as noteIds. Every match is returned; callers cap what they show.
+   * @param {string|Object} input - Search string or a query from parseSearchQuery
+   * @param {Set<string>} [noteIds] - Only search these notes
+   * @returns {Promise<Array<{noteId, score, blockId, snippet}>>} - snippet is HTML with <mark> highlights
+   */
+  async search(input, noteIds = null) {
+    const query = typeof input === 'string' ? this.parseSearchQuery(input) : input;
+    if (!this.hasContentConditions(query)) return [];
+    const queryTerms = this.getQueryTerms(query);
+
+    const total = await Storage.countSearchEntries();
+    const matches = [];
+    for (const queryTerm of queryTerms) {
+      matches.push(await Storage.getSearchEntriesByTerm(queryTerm.term, queryTerm.prefix));
+    }
+
+    // Notes matching every term (or every note when the query only has operators and exclusions)
+    let candidates = matches.length > 0 ? matches[0] : await Storage.getAllSearchEntries();
+    matches.slice(1).forEach((entries) => {
+      const ids = new Set(entries.map((entry) => entry.noteId));
+      candidates = candidates.filter((entry) => ids.has(entry.noteId));
+    });
+    candidates = candidates.filter((entry) => (!noteIds || noteIds.has(entry.noteId)) && this.matchesEntry(entry, query, queryTerms));
+    if (candidates.length === 0) return [];
+
+    // BM25 with the average length taken over the candidates
+    const k1 = 1.2;
+    const b = 0.75;
+    const avgLength = candidates.reduce((sum, entry) => sum + entry.length, 0) / candidates.length || 1;
+    const idf = matches.map((entries) => Math.log(1 + (total - entries.length + 0.5) / (entries.length + 0.5)));
+
+    const typeFilters = query.filters.filter((filter) => filter.key === 'type');
+    return candidates
+      .map((entry) => {
+        const score = queryTerms.reduce((sum, queryTerm, index) => {
+          const tf = this.termFrequency(entry, queryTerm);
+          return sum + idf[index] * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * entry.length / avgLength));
+        }, 0);
+        const blocks = entry.blocks.filter((block) => typeFilters.every((filter) => filter.types.includes(block.type) !== filter.negate));
+        return { noteId: entry.noteId, score, ...this.findSnippet(blocks, queryTerms) };
+      })
+      .sort((first, second) => second.score - first.score);
+  }
+
+  /**
+   * Word matches of the query terms in a text
+   */
+  findMatches(text, queryTerms) {
+    const matches = [];
+    const wordPattern = /[\p{L}\p{N}]+/gu;
+    let match;
+    while ((match = wordPattern.exec(text)) !== null) {
+      const word = this.normalize(match[0]);
+      const termIndex = queryTerms.findIndex((queryTerm) => this.matchesTerm(word, queryTerm));
+      if (termIndex !== -1) {
+        matches.push({ start: match.index, end: match.index + match[0].length, termIndex });
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Pick the block matching the most query terms and cut a highlighted snippet from it
+   */
+  findSnippet(blocks, queryTerms) {
+    let best = null;
+    blocks.forEach((block) => {
+      const matches = this.findMatches(block.text, queryTerms);
+      if (matches.length === 0) return;
+      const distinct = new Set(matches.map((match) => match.termIndex)).size;
+      if (!best || distinct > best.distinct || (distinct === best.distinct && matches.length > best.matches.length)) {
+        best = { block, matches, distinct };
+      }
+    });
+
+    // Matched on the title only
+    if (!best) return { blockId: null, snippet: null };
+
+    const { text } = best.block;
+    let start = Math.max(0, best.matches[0].start - 40);
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space !== -1 && space < best.matches[0].start ? space + 1 : start;
+    }
+    const end = Math.min(text.length, start + this.snippetLength);
+
+    let snippet = start > 0 ? '…' : '';
+    let cursor = start;
+    best.matches
+      .filter((match) => match.start >= start && match.end <= end)
+      .forEach((match) => {
+        snippet += Utils.escapeHtml(text.slice(cursor, match.start));
+        snippet += `<mark>${Utils.escapeHtml(text.slice(match.start, match.end))}</mark>`;
+        cursor = match.end;
+      });
+    snippet += Utils.escapeHtml(text.slice(cursor, end));
+    if (end < text.length) snippet += '…';
+
+    return { blockId: best.block.id, snippet };
+  }
+}
+
+// Global search index instance
+const Search = new SearchIndex();
+window.Search = Search;
@@ -0,0 +1,213 @@
+/**
+ * Snapshot Manager - per-note version history (periodic and on-demand snapshots)
+ */
+
+class SnapshotManager {
+  constructor() {
+    this.autoInterval = 10 * 60 * 1000; // At most one automatic snapshot per note every 10 minutes
+    this.maxAge = 30 * 24 * 60 * 60 * 1000; // Automatic snapshots are pruned after 30 days
+    this.maxPerNote = 50;
+    this.maxBytesPerNote = 10 * 1024 * 1024;
+    // Last snapshot time per note, so saves don't hit the database each time
+    this.lastSnapshotAt = new Map();
+  }
+
+  /**
+   * Serialize blocks in note order for a snapshot
+   */
+  captureBlocks(blocks) {
+    return blocks.map((block, index) => ({ ...block.serialize(), order: index }));
+  }
+
+  /**
+   * Comparable key for a block's content (ignores timestamps and tree bookkeeping)
+   */
+  blockKey(data) {
+    const { createdAt, updatedAt, order, parentId, canvasId, ...rest } = data;
+    return JSON.stringify(rest);
+  }
+
+  /**
+   * Take a snapshot of a note
+   */
+  async createSnapshot(noteId, name, blocks, reason = 'manual') {
+    const blockData = this.captureBlocks(blocks);
+    const snapshot = {
+      id: Utils.generateId(),
+      noteId,
+      name: name || '',
+      reason, // 'auto', 'manual' or 'restore' (taken before restoring an older version)
+      createdAt: Date.now(),
+      blocks: blockData,
+      blockCount: blockData.length,
+      size: JSON.stringify(blockData).length,
+    };
+
+    await Storage.saveSnapshot(snapshot);
+    this.lastSnapshotAt.set(noteId, snapshot.createdAt);
+    await this.prune(noteId);
+    return snapshot;
+  }
+
+  /**
+   * Take an automatic snapshot if enough time has passed and the note changed
+   */
+  async maybeAutoSnapshot(noteId, name, blocks) {
+    const now = Date.now();
+    if (now - (this.lastSnapshotAt.get(noteId) || 0) < this.autoInterval) return null;
+
+    const [latest] = await Storage.getSnapshotsByNote(noteId);
+    if (latest && now - latest.createdAt < this.autoInterval) {
+      this.lastSnapshotAt.set(noteId, latest.createdAt);
+      return null;
+    }
+
+    const blockData = this.captureBlocks(blocks);
+    const unchanged = latest
+      && latest.name === (name || '')
+      && latest.blocks.length === blockData.length
+      && latest.blocks.every((data, index) => this.blockKey(data) === this.blockKey(blockData[index]));
+    const empty = blockData.every((data) => data.type === 'text' && !this.stripHtml(data.content).trim());
+
+    if (unchanged || (!latest && empty)) {
+      this.lastSnapshotAt.set(noteId, now);
+      return null;
+    }
+
+    return this.createSnapshot(noteId, name, blocks, 'auto');
+  }
+
+  /**
+   * Drop expired automatic snapshots, then keep the newest within the count and size caps
+   */
+  async prune(noteId) {
+    const snapshots = await Storage.getSnapshotsByNote(noteId);
+    const now = Date.now();
+    const removeIds = [];
+    let count = 0;
+    let bytes = 0;
+
+    snapshots.forEach((snapshot) => {
+      const expired = snapshot.reason !== 'manual' && now - snapshot.createdAt > this.maxAge;
+      const overCap = count >= this.maxPerNote || bytes + (snapshot.size || 0) > this.maxBytesPerNote;
+      if (expired || overCap) {
+        removeIds.push(snapshot.id);
+      } else {
+        count++;
+        bytes += snapshot.size || 0;
+      }
+    });
+
+    if (removeIds.length > 0) {
+      await Storage.deleteSnapshots(removeIds);
+    }
+    return removeIds.length;
+  }
+
+  /**
+   * Prune snapshots of every note (run at startup so untouched notes age out too)
+   */
+  async pruneAll() {
+    const snapshots = await Storage.getAllSnapshots();
+    const noteIds = [...new Set(snapshots.map((snapshot) => snapshot.noteId))];
+    let removed = 0;
+    for (const noteId of noteIds) {
+      const note = await Storage.getNote(noteId);
+      if (!note) {
+        // History of notes that no longer exist
+        await Storage.deleteSnapshotsByNote(noteId);
+        continue;
+      }
+      removed += await this.prune(noteId);
+    }
+    return removed;
+  }
+
+  /**
+   * Block-level diff between snapshot blocks and current blocks.
+   * Returns entries in current order with removed blocks placed where they used to be.
+   */
+  diffBlocks(before, after) {
+    const beforeMap = new Map(before.map((data) => [data.id, data]));
+    const afterIds = new Set(after.map((data) => data.id));
+
+    // Group removed blocks under the nearest earlier block that still exists
+    const removedAfter = new Map();
+    let anchorId = null;
+    before.forEach((data) => {
+      if (afterIds.has(data.id)) {
+        anchorId = data.id;
+        return;
+      }
+      if (!removedAfter.has(anchorId)) {
+        removedAfter.set(anchorId, []);
+      }
+      removedAfter.get(anchorId).push(data);
+    });
+
+    const entries = [];
+    const pushRemoved = (id) => {
+      (removedAfter.get(id) || []).forEach((data) => {
+        entries.push({ status: 'removed', before: data, after: null });
+      });
+    };
+
+    pushRemoved(null);
+    after.forEach((data) => {
+      const previous = beforeMap.get(data.id);
+      if (!previous) {
+        entries.push({ status: 'added', before: null, after: data });
+      } else {
+        const status = this.blockKey(previous) === this.blockKey(data) ? 'unchanged' : 'changed';
+        entries.push({ status, before: previous, after: data });
+      }
+      pushRemoved(data.id);
+    });
+
+    return entries;
+  }
+
+  /**
+   * Plain-text summary of a block for the diff view
+   */
+  blockText(data) {
+    switch (data.type) {
+      case 'divider':
+        return '———';
+      case 'image':
+        return `[Image] ${data.caption || data.alt || ''}`.trim();
+      case 'video':
+        return `[Video] ${data.videoUrl || ''}`.trim();
+      case 'file':
+        return `[File] ${data.fileName || ''}`.trim();
+      case 'bookmark':
+        return `[Bookmark] ${data.title || data.url || ''}`.trim();
+      case 'equation':
+        return data.equation || '';
+      case 'diagram':
+        return data.diagram || '';
+      case 'table':
+        return (data.tableData || []).map((row) => row.join(' | ')).join('\n');
+      case 'toggle': {
+        const children = this.stripHtml(data.children || '');
+        return this.stripHtml(data.content || '') + (children ? `\n${children}` : '');
+      }
+      default:
+        return this.stripHtml(data.content || '');
+    }
+  }
+
+  /**
+   * Strip HTML tags from a string
+   */
+  stripHtml(html) {
+    if (!html) return '';
+    const div = document.createElement('div');
+    div.innerHTML = html;
+    return Utils.expandInlineMath(div).textContent || '';
+  }
+}
+
+// Global snapshot manager instance
+const Snapshots = new SnapshotManager();
+window.Snapshots = Snapshots;
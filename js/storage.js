@@ -7,11 +7,24 @@
 
 class StorageManager {
   constructor() {
-    this.dbName = 'CanvasTabDB';
-    this.dbVersion = 2; // Bumped version to force upgrade
+    // Name, version and stores are shared with the popup (schema.js)
+    this.dbName = DatabaseSchema.name;
+    this.dbVersion = DatabaseSchema.version;
     this.db = null;
     // Store names kept as 'canvases' for backward compatibility with existing databases
-    this.requiredStores = ['canvases', 'elements', 'settings', 'media'];
+    this.requiredStores = ['canvases', 'elements', 'settings', 'media', 'snapshots', 'searchIndex'];
+    // Backup format version written by exportAll (v1 files can still be imported)
+    this.backupVersion = 2;
+    // Settings left out of backups unless API keys are explicitly included
+    this.secretSettings = ['llmApiKey'];
+    // Settings that hold AI chat history, exported separately as chatHistory
+    this.chatSettings = ['aiChatHistory', 'noteChatMessages', 'globalChatHistory', 'globalChatMessages'];
+    // Per-install state that is never written to backups
+    this.installSettings = ['storageInitialized', 'inlineMediaMigrated', 'mediaHashesMigrated', 'lastMediaCleanup'];
+    // Object URLs for media blobs, shared by every block that shows the same media
+    this.mediaUrls = new Map();
+    // Unreferenced media younger than this is kept by automatic cleanup (its block may not be saved yet)
+    this.mediaGracePeriod = 24 * 60 * 60 * 1000;
   }
 
   /**
@@ -52,33 +65,8 @@ class StorageManager {
       };
 
       request.onupgradeneeded = (event) => {
-        const db = event.target.result;
         console.log('Upgrading database from version', event.oldVersion, 'to', event.newVersion);
-
-        // Canvases store
-        if (!db.objectStoreNames.contains('canvases')) {
-          const canvasStore = db.createObjectStore('canvases', { keyPath: 'id' });
-          canvasStore.createIndex('name', 'name', { unique: false });
-          canvasStore.createIndex('updatedAt', 'updatedAt', { unique: false });
-        }
-
-        // Elements store
-        if (!db.objectStoreNames.contains('elements')) {
-          const elementStore = db.createObjectStore('elements', { keyPath: 'id' });
-          elementStore.createIndex('canvasId', 'canvasId', { unique: false });
-          elementStore.createIndex('type', 'type', { unique: false });
-        }
-
-        // Settings store
-        if (!db.objectStoreNames.contains('settings')) {
-          db.createObjectStore('settings', { keyPath: 'key' });
-        }
-
-        // Media blobs store (for images/videos)
-        if (!db.objectStoreNames.contains('media')) {
-          const mediaStore = db.createObjectStore('media', { keyPath: 'id' });
-          mediaStore.createIndex('canvasId', 'canvasId', { unique: false });
-        }
+        DatabaseSchema.upgrade(event);
       };
 
       request.onblocked = () => {
@@ -143,22 +131,7 @@ class StorageManager {
           resolve();
         };
 
-        request.onupgradeneeded = (event) => {
-          const db = event.target.result;
-
-          const canvasStore = db.createObjectStore('canvases', { keyPath: 'id' });
-          canvasStore.createIndex('name', 'name', { unique: false });
-          canvasStore.createIndex('updatedAt', 'updatedAt', { unique: false });
-
-          const elementStore = db.createObjectStore('elements', { keyPath: 'id' });
-          elementStore.createIndex('canvasId', 'canvasId', { unique: false });
-          elementStore.createIndex('type', 'type', { unique: false });
-
-          db.createObjectStore('settings', { keyPath: 'key' });
-
-          const mediaStore = db.createObjectStore('media', { keyPath: 'id' });
-          mediaStore.createIndex('canvasId', 'canvasId', { unique: false });
-        };
+        request.onupgradeneeded = (event) => DatabaseSchema.upgrade(event);
       };
 
       deleteRequest.onerror = () => {
@@ -297,13 +270,13 @@ class StorageManager {
       if (el.content) {
         // Strip HTML tags and check for actual text
         const textContent = el.content.replace(/<[^>]*>/g, '').trim();
-        if (textContent.length > 0) {
+        if (textContent.length > 0 || el.content.includes('inline-math')) {
           return false;
         }
       }
       
       // Check for media content
-      if (el.imageUrl || el.fileData || el.videoUrl) {
+      if (el.imageUrl || el.mediaId || el.fileData || el.videoUrl) {
         return false;
       }
       
@@ -334,6 +307,11 @@ class StorageManager {
       if (el.equation && el.equation.trim()) {
         return false;
       }
+
+      // Check for diagram source
+      if (el.diagram && el.diagram.trim()) {
+        return false;
+      }
     }
     
     return true;
@@ -409,8 +387,12 @@ class StorageManager {
   async permanentlyDeleteNote(id) {
     // Delete all elements for this note
     await this.deleteElementsByNote(id);
-    // Delete all media for this note
-    await this.deleteMediaByNote(id);
+    // Delete version history for this note
+    await this.deleteSnapshotsByNote(id);
+    // Delete the media this note stored that no other note uses
+    await this.releaseNoteMedia(id);
+    // Remove the note from the search index
+    await this.deleteSearchEntry(id);
 
     return new Promise((resolve, reject) => {
       const store = this.getStore('canvases', 'readwrite');
@@ -498,14 +480,15 @@ class StorageManager {
   }
 
   /**
-   * Save multiple elements
+   * Save multiple elements (and delete deleteIds) in one transaction
    */
-  async saveElements(elements) {
+  async saveElements(elements, deleteIds = []) {
     return new Promise((resolve, reject) => {
       const tx = this.transaction('elements', 'readwrite');
       const store = tx.objectStore('elements');
 
       elements.forEach((el) => store.put(el));
+      deleteIds.forEach((id) => store.delete(id));
 
       tx.oncomplete = () => resolve(elements);
       tx.onerror = () => reject(tx.error);
@@ -527,6 +510,18 @@ class StorageManager {
     });
   }
 
+  /**
+   * Get elements of one block type across all notes (e.g. every to-do)
+   */
+  async getElementsByType(type) {
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('elements');
+      const request = store.index('type').getAll(type);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
   /**
    * Delete element
    */
@@ -570,12 +565,14 @@ class StorageManager {
   /**
    * Save media blob
    */
-  async saveMedia(id, canvasId, blob, type) {
+  async saveMedia(id, canvasId, blob, type, hash = null) {
     const media = {
       id,
       canvasId,
       blob,
       type,
+      size: blob.size,
+      hash: hash || await this.hashBlob(blob),
       createdAt: Date.now(),
     };
 
@@ -600,16 +597,267 @@ class StorageManager {
   }
 
   /**
-   * Delete media by note
-   * Note: Index name 'canvasId' kept for backward compatibility
+   * Get all media stored by a note (the note that first stored it; other notes may share it)
    */
-  async deleteMediaByNote(noteId) {
+  async getMediaByNote(noteId) {
     return new Promise((resolve, reject) => {
+      const store = this.getStore('media');
+      // Index name 'canvasId' kept for backward compatibility
+      const request = store.index('canvasId').getAll(noteId);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * SHA-256 of a blob's bytes as a hex string
+   */
+  async hashBlob(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Stored media with the given content, from any note
+   */
+  async findMediaByHash(hash, type) {
+    const matches = await new Promise((resolve, reject) => {
+      const request = this.getStore('media').index('hash').getAll(hash);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    return matches.find((media) => media.type === type) || null;
+  }
+
+  /**
+   * Store an uploaded blob for a note and return its media id.
+   * Identical content already stored by any note is reused, so blocks that show the same
+   * image or file refer to a single blob.
+   */
+  async saveMediaBlob(noteId, blob, type = blob.type) {
+    const hash = await this.hashBlob(blob);
+    const match = await this.findMediaByHash(hash, type);
+    if (match) return match.id;
+
+    const id = Utils.generateId();
+    await this.saveMedia(id, noteId, blob, type, hash);
+    return id;
+  }
+
+  /**
+   * Object URL for a media blob (cached, so re-rendered blocks don't create new URLs)
+   */
+  async getMediaUrl(id) {
+    if (!this.mediaUrls.has(id)) {
+      const url = this.getMedia(id).then((media) => {
+        if (media) return URL.createObjectURL(media.blob);
+        this.mediaUrls.delete(id);
+        return null;
+      });
+      url.catch(() => this.mediaUrls.delete(id));
+      this.mediaUrls.set(id, url);
+    }
+    return this.mediaUrls.get(id);
+  }
+
+  /**
+   * Release the cached object URL of deleted media
+   */
+  revokeMediaUrl(id) {
+    const url = this.mediaUrls.get(id);
+    if (!url) return;
+    this.mediaUrls.delete(id);
+    url.then((value) => value && URL.revokeObjectURL(value)).catch(() => {});
+  }
+
+  /**
+   * Release cached object URLs except those of keepIds, so blobs of notes that are no
+   * longer shown (e.g. every image of an imported vault) don't stay in memory
+   */
+  releaseMediaUrls(keepIds) {
+    const keep = new Set(keepIds);
+    [...this.mediaUrls.keys()].filter((id) => !keep.has(id)).forEach((id) => this.revokeMediaUrl(id));
+  }
+
+  /**
+   * Delete the media a note stored, after its blocks and snapshots are gone.
+   * Media other notes still refer to is kept and handed over to one of them.
+   */
+  async releaseNoteMedia(noteId) {
+    const owned = await this.getMediaByNote(noteId);
+    if (owned.length === 0) return;
+
+    // A note that still uses each media id (blocks first, then version history)
+    const users = new Map();
+    const snapshots = await this.getAllRecords('snapshots');
+    snapshots.forEach((snapshot) => (snapshot.blocks || []).forEach((block) => {
+      if (block.mediaId) users.set(block.mediaId, snapshot.noteId);
+    }));
+    // Field name 'canvasId' kept for backward compatibility
+    (await this.getAllRecords('elements')).forEach((el) => {
+      if (el.mediaId) users.set(el.mediaId, el.canvasId);
+    });
+
+    await new Promise((resolve, reject) => {
       const tx = this.transaction('media', 'readwrite');
       const store = tx.objectStore('media');
-      // Index name 'canvasId' kept for backward compatibility
-      const index = store.index('canvasId');
-      const request = index.getAllKeys(noteId);
+      owned.forEach((media) => {
+        const user = users.get(media.id);
+        if (user && user !== noteId) {
+          store.put({ ...media, canvasId: user });
+        } else if (!user) {
+          store.delete(media.id);
+          this.revokeMediaUrl(media.id);
+        }
+      });
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Whether a block still carries an uploaded image or file inline as a data URL
+   */
+  hasInlineMedia(el) {
+    return Boolean((el.imageUrl && el.imageUrl.startsWith('data:')) || (el.fileData && el.fileData.startsWith('data:')));
+  }
+
+  /**
+   * Move a block's inline data-URL image or file into the media store (updates the block in place)
+   */
+  async moveInlineMedia(el) {
+    if (!this.hasInlineMedia(el)) return el;
+
+    const blob = await (await fetch(el.fileData || el.imageUrl)).blob();
+    el.mediaId = await this.saveMediaBlob(el.canvasId, blob);
+    if (el.fileData) {
+      el.fileSize = el.fileSize || blob.size;
+      el.fileData = null;
+    } else {
+      el.imageUrl = null;
+    }
+    return el;
+  }
+
+  /**
+   * One-time fill-in of content hashes on media stored without one, so uploads of the
+   * same content find it. Returns the number of media records updated.
+   */
+  async migrateMediaHashes() {
+    if (await this.getSetting('mediaHashesMigrated', false)) return 0;
+
+    const missing = (await this.getAllRecords('media')).filter((media) => !media.hash && media.blob instanceof Blob);
+    for (const media of missing) {
+      media.hash = await this.hashBlob(media.blob);
+    }
+
+    if (missing.length > 0) {
+      await new Promise((resolve, reject) => {
+        const tx = this.transaction('media', 'readwrite');
+        const store = tx.objectStore('media');
+        missing.forEach((media) => store.put(media));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+    }
+    await this.setSetting('mediaHashesMigrated', true);
+    return missing.length;
+  }
+
+  /**
+   * One-time move of inline data-URL images and files into the media store.
+   * Returns the number of blocks migrated.
+   */
+  async migrateInlineMedia() {
+    if (await this.getSetting('inlineMediaMigrated', false)) return 0;
+
+    const elements = await this.getAllRecords('elements');
+    const migrated = [];
+    for (const el of elements.filter((item) => this.hasInlineMedia(item))) {
+      migrated.push(await this.moveInlineMedia(el));
+    }
+
+    if (migrated.length > 0) {
+      await this.saveElements(migrated);
+    }
+    await this.setSetting('inlineMediaMigrated', true);
+    return migrated.length;
+  }
+
+  // ============ Snapshot Operations ============
+
+  /**
+   * Save a note snapshot
+   */
+  async saveSnapshot(snapshot) {
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('snapshots', 'readwrite');
+      const request = store.put(snapshot);
+      request.onsuccess = () => resolve(snapshot);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get a snapshot by ID
+   */
+  async getSnapshot(id) {
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('snapshots');
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get all snapshots of a note, newest first
+   */
+  async getSnapshotsByNote(noteId) {
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('snapshots');
+      const index = store.index('noteId');
+      const request = index.getAll(noteId);
+      request.onsuccess = () => resolve(request.result.sort((a, b) => b.createdAt - a.createdAt));
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get all snapshots (any note)
+   */
+  async getAllSnapshots() {
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('snapshots');
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete multiple snapshots
+   */
+  async deleteSnapshots(ids) {
+    return new Promise((resolve, reject) => {
+      const tx = this.transaction('snapshots', 'readwrite');
+      const store = tx.objectStore('snapshots');
+
+      ids.forEach((id) => store.delete(id));
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  /**
+   * Delete all snapshots of a note
+   */
+  async deleteSnapshotsByNote(noteId) {
+    return new Promise((resolve, reject) => {
+      const tx = this.transaction('snapshots', 'readwrite');
+      const store = tx.objectStore('snapshots');
+      const request = store.index('noteId').getAllKeys(noteId);
 
       request.onsuccess = () => {
         request.result.forEach((key) => store.delete(key));
@@ -620,6 +868,245 @@ class StorageManager {
     });
   }
 
+  // ============ Search Index Operations ============
+
+  /**
+   * Save the search index entry of a note
+   */
+  async saveSearchEntry(entry) {
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('searchIndex', 'readwrite');
+      const request = store.put(entry);
+      request.onsuccess = () => resolve(entry);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get all search index entries
+   */
+  async getAllSearchEntries() {
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('searchIndex');
+      const request = store.getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get entries of notes containing a term (or any term starting with it when prefix is set)
+   */
+  async getSearchEntriesByTerm(term, prefix = false) {
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('searchIndex');
+      const range = prefix ? IDBKeyRange.bound(term, `${term}\uffff`) : IDBKeyRange.only(term);
+      const request = store.index('terms').getAll(range);
+      request.onsuccess = () => {
+        // A prefix range can match several terms of the same note
+        const entries = new Map();
+        request.result.forEach((entry) => entries.set(entry.noteId, entry));
+        resolve([...entries.values()]);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Count notes in the search index
+   */
+  async countSearchEntries() {
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('searchIndex');
+      const request = store.count();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Delete the search index entry of a note
+   */
+  async deleteSearchEntry(noteId) {
+    return new Promise((resolve, reject) => {
+      const store = this.getStore('searchIndex', 'readwrite');
+      const request = store.delete(noteId);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // ============ Storage Usage ============
+
+  /**
+   * Read every record of a store
+   */
+  async getAllRecords(storeName) {
+    return new Promise((resolve, reject) => {
+      const request = this.getStore(storeName).getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Approximate size of a stored record in bytes (blobs count by their size, other fields by their JSON length)
+   */
+  measureRecord(record) {
+    let blobBytes = 0;
+    const json = JSON.stringify(record, (key, value) => {
+      if (value instanceof Blob) {
+        blobBytes += value.size;
+        return null;
+      }
+      return value;
+    });
+    return blobBytes + json.length;
+  }
+
+  /**
+   * Collect the media ids used by blocks and by version history snapshots
+   */
+  collectMediaIds(elements, snapshots) {
+    const ids = new Set();
+    const add = (data) => data.mediaId && ids.add(data.mediaId);
+    elements.forEach(add);
+    snapshots.forEach((snapshot) => (snapshot.blocks || []).forEach(add));
+    return ids;
+  }
+
+  /**
+   * Storage usage report: the browser's quota estimate, bytes per store, bytes per note,
+   * every attachment (largest first) and the media no block or snapshot uses any more
+   */
+  async getStorageUsage() {
+    const estimate = navigator.storage && navigator.storage.estimate
+      ? await navigator.storage.estimate()
+      : null;
+    // Settings and chat history live in chrome.storage.local
+    const settingsBytes = await new Promise((resolve) => {
+      if (!chrome.storage.local.getBytesInUse) {
+        resolve(null);
+        return;
+      }
+      chrome.storage.local.getBytesInUse(null, (bytes) => resolve(bytes));
+    });
+
+    // Store name 'canvases' kept for backward compatibility
+    const notes = await this.getAllRecords('canvases');
+    const elements = await this.getAllRecords('elements');
+    const media = await this.getAllRecords('media');
+    const snapshots = await this.getAllRecords('snapshots');
+    const searchEntries = await this.getAllRecords('searchIndex');
+
+    const perNote = new Map(notes.map((note) => [note.id, {
+      noteId: note.id,
+      name: note.name || '',
+      exists: true,
+      blocks: 0,
+      media: 0,
+      history: 0,
+      total: this.measureRecord(note),
+    }]));
+    const noteUsage = (noteId) => {
+      if (!perNote.has(noteId)) {
+        // Leftovers of a note that no longer exists
+        perNote.set(noteId, { noteId, name: '', exists: false, blocks: 0, media: 0, history: 0, total: 0 });
+      }
+      return perNote.get(noteId);
+    };
+
+    const stores = {};
+    const account = (key, records, getNoteId, field) => {
+      stores[key] = { count: records.length, bytes: 0 };
+      records.forEach((record) => {
+        const bytes = this.measureRecord(record);
+        stores[key].bytes += bytes;
+        if (field) {
+          const usage = noteUsage(getNoteId(record));
+          usage[field] += bytes;
+          usage.total += bytes;
+        }
+      });
+    };
+
+    account('notes', notes);
+    // Field name 'canvasId' kept for backward compatibility
+    account('blocks', elements, (el) => el.canvasId, 'blocks');
+    account('media', media, (m) => m.canvasId, 'media');
+    account('history', snapshots, (snapshot) => snapshot.noteId, 'history');
+    account('searchIndex', searchEntries);
+
+    // Name attachments after the block that uses them
+    const usedBy = new Map();
+    elements.forEach((el) => {
+      if (el.mediaId && !usedBy.has(el.mediaId)) usedBy.set(el.mediaId, el);
+    });
+    const referenced = this.collectMediaIds(elements, snapshots);
+
+    const attachments = media.map((m) => {
+      const block = usedBy.get(m.id);
+      return {
+        id: m.id,
+        noteId: m.canvasId,
+        blockId: block ? block.id : null,
+        name: block && block.fileName ? block.fileName : (m.type || '').startsWith('image/') ? 'Image' : 'File',
+        type: m.type,
+        size: m.size ?? (m.blob ? m.blob.size : 0),
+        referenced: referenced.has(m.id),
+      };
+    }).sort((a, b) => b.size - a.size);
+
+    const unused = attachments.filter((attachment) => !attachment.referenced);
+
+    return {
+      estimate: estimate ? { usage: estimate.usage || 0, quota: estimate.quota || 0 } : null,
+      settingsBytes,
+      stores,
+      notes: [...perNote.values()].sort((a, b) => b.total - a.total),
+      attachments,
+      unusedMedia: {
+        count: unused.length,
+        bytes: unused.reduce((sum, attachment) => sum + attachment.size, 0),
+      },
+    };
+  }
+
+  /**
+   * Delete media that no block or version history snapshot references.
+   * Options:
+   *   keepIds - media ids only referenced in memory (e.g. by undo history) that must be kept
+   *   gracePeriod - keep unreferenced media newer than this many ms (default: mediaGracePeriod)
+   */
+  async collectMediaGarbage(options = {}) {
+    const gracePeriod = options.gracePeriod ?? this.mediaGracePeriod;
+    const referenced = this.collectMediaIds(
+      await this.getAllRecords('elements'),
+      await this.getAllRecords('snapshots')
+    );
+    (options.keepIds || []).forEach((id) => referenced.add(id));
+
+    const cutoff = Date.now() - gracePeriod;
+    const unused = (await this.getAllRecords('media'))
+      .filter((m) => !referenced.has(m.id) && (m.createdAt || 0) <= cutoff);
+
+    if (unused.length > 0) {
+      await new Promise((resolve, reject) => {
+        const tx = this.transaction('media', 'readwrite');
+        const store = tx.objectStore('media');
+        unused.forEach((m) => store.delete(m.id));
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+      unused.forEach((m) => this.revokeMediaUrl(m.id));
+    }
+
+    return {
+      count: unused.length,
+      bytes: unused.reduce((sum, m) => sum + (m.size ?? (m.blob ? m.blob.size : 0)), 0),
+    };
+  }
+
   // ============ Settings Operations ============
   // Settings use chrome.storage.local for cross-tab synchronization
 
@@ -761,10 +1248,15 @@ class StorageManager {
   // ============ Export/Import ============
 
   /**
-   * Export all data
+   * Export all data: every note (including archived and trashed), media, settings and chat history
    */
-  async exportAll() {
-    const notes = await this.getAllNotes();
+  async exportAll(options = {}) {
+    // Notes in every state, straight from the store
+    const notes = await new Promise((resolve, reject) => {
+      const request = this.getStore('canvases').getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
     const allElements = [];
     const allMedia = [];
 
@@ -793,13 +1285,31 @@ class StorageManager {
       })
     );
 
+    // Split settings into preferences and chat history, skipping per-install state
+    const allSettings = await this.getAllSettings();
+    const settings = {};
+    const chatHistory = {};
+    for (const [key, value] of Object.entries(allSettings)) {
+      if (this.installSettings.includes(key) || key.startsWith('insightsExtracting_')) continue;
+      if (this.secretSettings.includes(key) && !options.includeApiKeys) continue;
+
+      if (this.chatSettings.includes(key)) {
+        chatHistory[key] = value;
+      } else {
+        settings[key] = value;
+      }
+    }
+
     return {
-      version: 1,
+      version: this.backupVersion,
       exportedAt: Date.now(),
       // Key name 'canvases' kept for backward compatibility with existing exports
       canvases: notes,
       elements: allElements,
       media: mediaWithBase64,
+      settings,
+      chatHistory,
+      includesApiKeys: !!options.includeApiKeys,
     };
   }
 
@@ -810,15 +1320,9 @@ class StorageManager {
     const note = await this.getNote(noteId);
     const elements = await this.getElementsByNote(noteId);
 
-    // Get media for this note
-    const mediaStore = this.getStore('media');
-    // Index name 'canvasId' kept for backward compatibility
-    const index = mediaStore.index('canvasId');
-    const media = await new Promise((resolve, reject) => {
-      const request = index.getAll(noteId);
-      request.onsuccess = () => resolve(request.result);
-      request.onerror = () => reject(request.error);
-    });
+    // Get the media its blocks use (it may have been stored by another note)
+    const mediaIds = [...new Set(elements.map((el) => el.mediaId).filter(Boolean))];
+    const media = (await Promise.all(mediaIds.map((id) => this.getMedia(id)))).filter(Boolean);
 
     // Convert blobs to base64
     const mediaWithBase64 = await Promise.all(
@@ -842,38 +1346,72 @@ class StorageManager {
   }
 
   /**
-   * Import data
-   * Note: Import format uses 'canvases' key for backward compatibility
+   * Compare a backup's notes with local notes (matched by id) before importing
    */
-  async importData(data, merge = false) {
-    if (!merge) {
-      // Clear existing data
-      const existingNotes = await this.getAllNotes();
-      for (const note of existingNotes) {
-        await this.deleteNote(note.id);
+  async getImportPreview(data) {
+    const elements = data.elements || [];
+    return Promise.all(data.canvases.map(async (note) => {
+      const local = await this.getNote(note.id);
+      let status = 'new';
+      if (local) {
+        const localUpdatedAt = local.updatedAt || 0;
+        const backupUpdatedAt = note.updatedAt || 0;
+        if (localUpdatedAt === backupUpdatedAt) {
+          status = 'unchanged';
+        } else {
+          status = backupUpdatedAt > localUpdatedAt ? 'backup-newer' : 'local-newer';
+        }
       }
+
+      return {
+        note,
+        local: local || null,
+        status,
+        blockCount: elements.filter((el) => el.canvasId === note.id).length,
+      };
+    }));
+  }
+
+  /**
+   * Import data (v1 or v2 backups)
+   * Options:
+   *   noteIds - backup note ids to restore (default: all)
+   *   resolutions - per-note choice for notes that already exist: 'local' (skip, default), 'backup' (overwrite) or 'both' (import a copy)
+   *   restoreSettings - also restore settings and chat history from v2 backups
+   * Note: Import format uses 'canvases' key for backward compatibility
+   */
+  async importData(data, options = {}) {
+    if (data.version > this.backupVersion) {
+      throw new Error('Backup was created by a newer version of the extension');
     }
 
+    const allElements = data.elements || [];
+    const allMedia = data.media || [];
+    const selected = options.noteIds ? new Set(options.noteIds) : null;
+    const resolutions = options.resolutions || {};
+    const imported = [];
+
     // Import notes (data uses 'canvases' key for backward compatibility)
-    for (const note of data.canvases) {
-      if (merge) {
-        // Generate new IDs to avoid conflicts
-        const oldId = note.id;
-        note.id = Utils.generateId();
-
-        // Update element references (field name 'canvasId' kept for backward compatibility)
-        data.elements
-          .filter((el) => el.canvasId === oldId)
-          .forEach((el) => {
-            el.canvasId = note.id;
-          });
-
-        // Update media references (field name 'canvasId' kept for backward compatibility)
-        data.media
-          .filter((m) => m.canvasId === oldId)
-          .forEach((m) => {
-            m.canvasId = note.id;
-          });
+    for (const backupNote of data.canvases) {
+      if (selected && !selected.has(backupNote.id)) continue;
+
+      const local = await this.getNote(backupNote.id);
+      const resolution = local ? resolutions[backupNote.id] || 'local' : 'backup';
+      if (resolution === 'local') continue;
+
+      // Field name 'canvasId' kept for backward compatibility
+      let note = backupNote;
+      let elements = allElements.filter((el) => el.canvasId === backupNote.id);
+      // Media the note's blocks use, which another note of the backup may have stored
+      const usedMediaIds = new Set(elements.map((el) => el.mediaId).filter(Boolean));
+      let media = allMedia.filter((m) => usedMediaIds.has(m.id) || m.canvasId === backupNote.id);
+
+      if (resolution === 'both') {
+        ({ note, elements, media } = this.copyImportedNote(backupNote, elements, media));
+      } else if (local) {
+        // Taking the backup version replaces the local note's blocks and media
+        await this.deleteElementsByNote(local.id);
+        await this.releaseNoteMedia(local.id);
       }
 
       await new Promise((resolve, reject) => {
@@ -883,22 +1421,71 @@ class StorageManager {
         request.onsuccess = () => resolve();
         request.onerror = () => reject(request.error);
       });
-    }
 
-    // Import elements
-    await this.saveElements(data.elements);
+      // Import media (convert base64 back to blobs); blocks switch to identical media already stored
+      const mediaIds = new Map();
+      for (const m of media) {
+        let blob = m.blob;
+        if (typeof blob === 'string' && blob.startsWith('data:')) {
+          const response = await fetch(blob);
+          blob = await response.blob();
+        }
+        const hash = m.hash || await this.hashBlob(blob);
+        const match = await this.findMediaByHash(hash, m.type);
+        if (match) {
+          mediaIds.set(m.id, match.id);
+        } else {
+          await this.saveMedia(m.id, note.id, blob, m.type, hash);
+        }
+      }
+      elements = elements.map((el) => (mediaIds.has(el.mediaId) ? { ...el, mediaId: mediaIds.get(el.mediaId) } : el));
+
+      // Import elements
+      await this.saveElements(elements);
 
-    // Import media (convert base64 back to blobs)
-    // Field name 'canvasId' kept for backward compatibility
-    for (const m of data.media) {
-      if (typeof m.blob === 'string' && m.blob.startsWith('data:')) {
-        const response = await fetch(m.blob);
-        m.blob = await response.blob();
+      if (elements.some((el) => this.hasInlineMedia(el))) {
+        // Older backups keep uploads on the blocks; move them into the media store on next start
+        await this.setSetting('inlineMediaMigrated', false);
       }
-      await this.saveMedia(m.id, m.canvasId, m.blob, m.type);
+
+      imported.push(note);
     }
 
-    return data.canvases;
+    // Restore settings and chat history (v2); API keys missing from the backup are left as they are
+    if (options.restoreSettings) {
+      const settings = { ...(data.settings || {}), ...(data.chatHistory || {}) };
+      for (const [key, value] of Object.entries(settings)) {
+        await this.setSetting(key, value);
+      }
+    }
+
+    return imported;
+  }
+
+  /**
+   * Give an imported note, its blocks and media new ids so it can sit next to the local copy
+   */
+  copyImportedNote(backupNote, elements, media) {
+    const note = {
+      ...backupNote,
+      id: Utils.generateId(),
+      name: `${backupNote.name || 'Untitled'} (restored)`,
+    };
+
+    const elementIds = new Map(elements.map((el) => [el.id, Utils.generateId()]));
+    const mediaIds = new Map(media.map((m) => [m.id, Utils.generateId()]));
+
+    return {
+      note,
+      elements: elements.map((el) => ({
+        ...el,
+        id: elementIds.get(el.id),
+        canvasId: note.id,
+        parentId: el.parentId ? elementIds.get(el.parentId) || null : null,
+        mediaId: el.mediaId ? mediaIds.get(el.mediaId) || el.mediaId : el.mediaId,
+      })),
+      media: media.map((m) => ({ ...m, id: mediaIds.get(m.id), canvasId: note.id })),
+    };
   }
 }
 
@@ -0,0 +1,766 @@
+/**
+ * Table Manager - typed columns, sorting, filtering and formulas for table blocks
+ *
+ * Cell values stay strings in tableData, so exports and older notes are unaffected;
+ * a column's type only changes how its cells are edited, compared and filtered.
+ * Sorting and filtering are view settings: they reorder and hide rows on screen
+ * without changing the stored row order.
+ *
+ * Cells starting with = are spreadsheet formulas: arithmetic, comparisons, A1 references
+ * (row 1 is the first stored row, so the header row when there is one), B2:B9 ranges
+ * and SUM, AVG, MIN, MAX, COUNT, ROUND and IF. tableData keeps the formula source.
+ *
+ * Tables read and write CSV / TSV, so a grid copied from a spreadsheet pastes
+ * into cells and a table round-trips through a .csv file.
+ */
+
+class FormulaError extends Error {
+  constructor(code, message) {
+    super(message || code);
+    this.name = 'FormulaError';
+    this.code = code; // Shown in the cell, e.g. #DIV/0!
+  }
+}
+
+class TableManager {
+  constructor() {
+    this.columnTypes = {
+      text: { name: 'Text', icon: 'Aa' },
+      number: { name: 'Number', icon: '#' },
+      date: { name: 'Date', icon: '📅' },
+      checkbox: { name: 'Checkbox', icon: '☑' },
+      select: { name: 'Select', icon: '▾' },
+      url: { name: 'URL', icon: '🔗' },
+    };
+
+    // Filter operators by column type ([value, label, needsValue])
+    const textOperators = [
+      ['contains', 'contains', true],
+      ['not-contains', 'does not contain', true],
+      ['is', 'is', true],
+      ['is-not', 'is not', true],
+      ['empty', 'is empty', false],
+      ['not-empty', 'is not empty', false],
+    ];
+    this.filterOperators = {
+      text: textOperators,
+      url: textOperators,
+      select: [
+        ['is', 'is', true],
+        ['is-not', 'is not', true],
+        ['contains', 'contains', true],
+        ['empty', 'is empty', false],
+        ['not-empty', 'is not empty', false],
+      ],
+      number: [
+        ['=', '=', true],
+        ['!=', '≠', true],
+        ['>', '>', true],
+        ['<', '<', true],
+        ['>=', '≥', true],
+        ['<=', '≤', true],
+        ['empty', 'is empty', false],
+        ['not-empty', 'is not empty', false],
+      ],
+      date: [
+        ['is', 'is', true],
+        ['before', 'is before', true],
+        ['after', 'is after', true],
+        ['empty', 'is empty', false],
+        ['not-empty', 'is not empty', false],
+      ],
+      checkbox: [
+        ['checked', 'is checked', false],
+        ['unchecked', 'is unchecked', false],
+      ],
+    };
+
+    this.minColumnWidth = 60;
+
+    // Formula functions: name -> (args, flatten) where flatten expands ranges to cell values
+    const numbers = (values) => values.filter((value) => typeof value === 'number');
+    this.formulaFunctions = {
+      SUM: (args, flatten) => numbers(flatten(args)).reduce((sum, value) => sum + value, 0),
+      AVG: (args, flatten) => {
+        const values = numbers(flatten(args));
+        if (values.length === 0) throw new FormulaError('#DIV/0!', 'AVG of no numbers');
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+      },
+      MIN: (args, flatten) => {
+        const values = numbers(flatten(args));
+        return values.length > 0 ? Math.min(...values) : 0;
+      },
+      MAX: (args, flatten) => {
+        const values = numbers(flatten(args));
+        return values.length > 0 ? Math.max(...values) : 0;
+      },
+      COUNT: (args, flatten) => numbers(flatten(args)).length,
+      ROUND: (args, flatten, evaluate) => {
+        if (args.length < 1 || args.length > 2) throw new FormulaError('#ERROR!', 'ROUND takes a number and optional digits');
+        const factor = 10 ** (args[1] ? this.toNumber(evaluate(args[1])) : 0);
+        return Math.round(this.toNumber(evaluate(args[0])) * factor) / factor;
+      },
+      IF: (args, flatten, evaluate) => {
+        if (args.length < 2 || args.length > 3) throw new FormulaError('#ERROR!', 'IF takes a condition and one or two values');
+        const condition = evaluate(args[0]);
+        const truthy = typeof condition === 'string' ? condition !== '' : !!condition;
+        if (truthy) return evaluate(args[1]);
+        return args[2] ? evaluate(args[2]) : false;
+      },
+    };
+    this.formulaFunctions.AVERAGE = this.formulaFunctions.AVG;
+  }
+
+  // ============ Columns ============
+
+  /**
+   * Column settings for a table block, one per column ({ type, width })
+   */
+  getColumns(block) {
+    const columns = Array.isArray(block.tableColumns) ? block.tableColumns : [];
+    return Array.from({ length: this.getColumnCount(block) }, (_, index) => ({
+      type: this.columnTypes[columns[index]?.type] ? columns[index].type : 'text',
+      width: columns[index]?.width || null,
+    }));
+  }
+
+  getColumnCount(block) {
+    return Math.max(block.cols || 0, ...(block.tableData || []).map((row) => row.length));
+  }
+
+  /**
+   * Table view settings ({ sort: { col, direction } | null, filters: [{ col, op, value }] })
+   */
+  getView(block) {
+    const view = block.tableView || {};
+    const columnCount = this.getColumnCount(block);
+    return {
+      sort: view.sort && view.sort.col < columnCount ? view.sort : null,
+      filters: (view.filters || []).filter((filter) => filter.col < columnCount),
+    };
+  }
+
+  /**
+   * Display name of a column (its header text, or a letter without a header row)
+   */
+  getColumnName(block, col) {
+    const header = block.tableHeader !== false ? String(block.tableData?.[0]?.[col] ?? '').trim() : '';
+    return header || `Column ${this.getColumnLetter(col)}`;
+  }
+
+  /**
+   * Spreadsheet-style column letter (0 -> A, 26 -> AA)
+   */
+  getColumnLetter(col) {
+    let letter = '';
+    for (let n = col + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+  }
+
+  getOperators(type) {
+    return this.filterOperators[type] || this.filterOperators.text;
+  }
+
+  operatorNeedsValue(type, op) {
+    const operator = this.getOperators(type).find(([value]) => value === op);
+    return operator ? operator[2] : true;
+  }
+
+  // ============ Values ============
+
+  isChecked(value) {
+    return /^(true|yes|y|x|1|✓|✔|\[x\])$/i.test(String(value ?? '').trim());
+  }
+
+  /**
+   * Number from a cell ("1,200", "$5", "12%" are read as numbers); null if it isn't one
+   */
+  parseNumber(value) {
+    const text = String(value ?? '').trim().replace(/[,\s]/g, '').replace(/^[$€£¥]/, '').replace(/%$/, '');
+    if (!text || !/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) return null;
+    return Number(text);
+  }
+
+  /**
+   * Local date from a cell as a timestamp (YYYY-MM-DD, or anything Date can read); null if it isn't one
+   */
+  parseDate(value) {
+    const text = String(value ?? '').trim();
+    if (!text) return null;
+    const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = iso ? new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])) : new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date.getTime();
+  }
+
+  /**
+   * YYYY-MM-DD for a date input (empty if the cell isn't a date)
+   */
+  toDateInputValue(value) {
+    const time = this.parseDate(value);
+    if (time === null) return '';
+    const date = new Date(time);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * URL a cell links to, or null if it isn't a web address
+   */
+  toUrl(value) {
+    const text = String(value ?? '').trim();
+    if (!text || /\s/.test(text)) return null;
+    const url = /^https?:\/\//i.test(text) ? text : /^[\w-]+(\.[\w-]+)+(\/|$)/.test(text) ? `https://${text}` : null;
+    if (!url) return null;
+    try {
+      return new URL(url).href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Whether a non-empty cell doesn't fit its column type
+   */
+  isInvalid(value, type) {
+    if (!String(value ?? '').trim()) return false;
+    if (type === 'number') return this.parseNumber(value) === null;
+    if (type === 'date') return this.parseDate(value) === null;
+    if (type === 'url') return this.toUrl(value) === null;
+    return false;
+  }
+
+  /**
+   * Comparable form of a cell for its column type (null for empty or invalid cells)
+   */
+  sortKey(value, type) {
+    switch (type) {
+      case 'number':
+        return this.parseNumber(value);
+      case 'date':
+        return this.parseDate(value);
+      case 'checkbox':
+        return this.isChecked(value) ? 1 : 0;
+      default: {
+        const text = String(value ?? '').trim();
+        return text ? text : null;
+      }
+    }
+  }
+
+  compareValues(a, b, type) {
+    const keyA = this.sortKey(a, type);
+    const keyB = this.sortKey(b, type);
+    if (typeof keyA === 'string' && typeof keyB === 'string') {
+      return keyA.localeCompare(keyB, undefined, { numeric: true, sensitivity: 'base' });
+    }
+    return keyA - keyB;
+  }
+
+  // ============ Formulas ============
+
+  isFormula(value) {
+    return typeof value === 'string' && value.trim().startsWith('=') && value.trim().length > 1;
+  }
+
+  /**
+   * Evaluate every formula cell of a table block.
+   * Returns a Map of "row,col" -> { value, display, error, message } for formula cells.
+   */
+  evaluate(block) {
+    const rows = block.tableData || [];
+    const results = new Map();
+    const visiting = new Set();
+    const parsed = new Map();
+
+    const cellValue = (row, col) => {
+      if (row < 0 || row >= rows.length || col < 0 || col >= (rows[row] || []).length) {
+        throw new FormulaError('#REF!', `${this.getColumnLetter(col)}${row + 1} is outside the table`);
+      }
+      const source = String(rows[row][col] ?? '');
+      if (!this.isFormula(source)) {
+        const text = source.trim();
+        if (!text) return null;
+        const number = this.parseNumber(text);
+        if (number !== null) return number;
+        if (/^(true|false)$/i.test(text)) return text.toLowerCase() === 'true';
+        return text;
+      }
+      const result = computeCell(row, col);
+      if (result.error) throw new FormulaError(result.error, result.message);
+      return result.value;
+    };
+
+    const computeCell = (row, col) => {
+      const key = `${row},${col}`;
+      if (results.has(key)) return results.get(key);
+      if (visiting.has(key)) {
+        throw new FormulaError('#CYCLE!', `Circular reference through ${this.getColumnLetter(col)}${row + 1}`);
+      }
+
+      visiting.add(key);
+      let result;
+      try {
+        if (!parsed.has(key)) parsed.set(key, this.parseFormula(String(rows[row][col]).trim().slice(1)));
+        const value = this.evaluateNode(parsed.get(key), cellValue);
+        if (Array.isArray(value)) throw new FormulaError('#VALUE!', 'A range can only be used inside a function');
+        result = { value, display: this.formatFormulaValue(value), error: null, message: null };
+      } catch (error) {
+        if (!(error instanceof FormulaError)) throw error;
+        result = { value: null, display: error.code, error: error.code, message: error.message };
+      } finally {
+        visiting.delete(key);
+      }
+      results.set(key, result);
+      return result;
+    };
+
+    rows.forEach((rowData, row) => {
+      rowData.forEach((value, col) => {
+        if (this.isFormula(value)) computeCell(row, col);
+      });
+    });
+    return results;
+  }
+
+  /**
+   * What a cell shows: formula results, other cells as stored
+   */
+  getDisplayValue(block, row, col, results = this.evaluate(block)) {
+    const value = block.tableData?.[row]?.[col] ?? '';
+    return this.isFormula(value) ? results.get(`${row},${col}`)?.display ?? '' : String(value);
+  }
+
+  /**
+   * Table data with formulas replaced by their results (for exports)
+   */
+  getDisplayData(block) {
+    const results = this.evaluate(block);
+    return (block.tableData || []).map((rowData, row) => rowData.map((value, col) => this.getDisplayValue(block, row, col, results)));
+  }
+
+  formatFormulaValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) throw new FormulaError('#NUM!', 'Result is not a finite number');
+      // Round away floating point noise (0.1 + 0.2 shows as 0.3)
+      return String(Number(value.toPrecision(12)));
+    }
+    return String(value);
+  }
+
+  toNumber(value) {
+    if (value === null || value === '') return 0;
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    const number = this.parseNumber(value);
+    if (number === null) throw new FormulaError('#VALUE!', `'${value}' is not a number`);
+    return number;
+  }
+
+  /**
+   * Split a formula into number, string, reference, name and operator tokens
+   */
+  tokenizeFormula(source) {
+    const tokens = [];
+    const pattern = /\s+|(\d+\.?\d*(?:e[-+]?\d+)?|\.\d+(?:e[-+]?\d+)?)|"((?:[^"]|"")*)"|(\$?[A-Za-z]{1,3}\$?\d+)(?![\w(])|([A-Za-z_][\w.]*)|(<=|>=|<>|[-+*\/^%(),;:=<>&])/iy;
+    while (pattern.lastIndex < source.length) {
+      const position = pattern.lastIndex;
+      const match = pattern.exec(source);
+      if (!match) {
+        throw new FormulaError('#ERROR!', `Unexpected '${source[position]}' at position ${position + 2}`);
+      }
+      if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]), position });
+      else if (match[2] !== undefined) tokens.push({ type: 'string', value: match[2].replace(/""/g, '"'), position });
+      else if (match[3] !== undefined) tokens.push({ type: 'ref', value: match[3].replace(/\$/g, '').toUpperCase(), position });
+      else if (match[4] !== undefined) tokens.push({ type: 'name', value: match[4].toUpperCase(), position });
+      else if (match[5] !== undefined) tokens.push({ type: 'op', value: match[5] === ';' ? ',' : match[5], position });
+    }
+    return tokens;
+  }
+
+  /**
+   * Parse formula source (without the leading =) into a syntax tree
+   */
+  parseFormula(source) {
+    const tokens = this.tokenizeFormula(source);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isOp = (...ops) => peek()?.type === 'op' && ops.includes(peek().value);
+    const fail = (message) => {
+      throw new FormulaError('#ERROR!', message);
+    };
+    const expect = (op) => {
+      if (!isOp(op)) fail(peek() ? `Expected '${op}' at position ${peek().position + 2}` : `Missing '${op}'`);
+      index++;
+    };
+
+    const parseComparison = () => {
+      let node = parseConcat();
+      while (isOp('=', '<>', '<', '>', '<=', '>=')) {
+        const op = tokens[index++].value;
+        node = { type: 'binary', op, left: node, right: parseConcat() };
+      }
+      return node;
+    };
+    const parseConcat = () => {
+      let node = parseAdditive();
+      while (isOp('&')) {
+        index++;
+        node = { type: 'binary', op: '&', left: node, right: parseAdditive() };
+      }
+      return node;
+    };
+    const parseAdditive = () => {
+      let node = parseTerm();
+      while (isOp('+', '-')) {
+        const op = tokens[index++].value;
+        node = { type: 'binary', op, left: node, right: parseTerm() };
+      }
+      return node;
+    };
+    const parseTerm = () => {
+      let node = parseUnary();
+      while (isOp('*', '/')) {
+        const op = tokens[index++].value;
+        node = { type: 'binary', op, left: node, right: parseUnary() };
+      }
+      return node;
+    };
+    const parseUnary = () => {
+      if (isOp('-', '+')) {
+        const op = tokens[index++].value;
+        const operand = parseUnary();
+        return op === '-' ? { type: 'negate', operand } : operand;
+      }
+      return parsePower();
+    };
+    const parsePower = () => {
+      let node = parsePostfix();
+      if (isOp('^')) {
+        index++;
+        node = { type: 'binary', op: '^', left: node, right: parseUnary() };
+      }
+      return node;
+    };
+    const parsePostfix = () => {
+      let node = parsePrimary();
+      while (isOp('%')) {
+        index++;
+        node = { type: 'binary', op: '/', left: node, right: { type: 'literal', value: 100 } };
+      }
+      return node;
+    };
+    const parsePrimary = () => {
+      const token = peek();
+      if (!token) fail('Formula ends unexpectedly');
+      index++;
+
+      if (token.type === 'number' || token.type === 'string') return { type: 'literal', value: token.value };
+      if (token.type === 'ref') {
+        const start = this.parseCellRef(token.value);
+        if (isOp(':')) {
+          index++;
+          const end = peek();
+          if (end?.type !== 'ref') fail(`Expected a cell after ':' at position ${token.position + 2}`);
+          index++;
+          return { type: 'range', start, end: this.parseCellRef(end.value) };
+        }
+        return { type: 'ref', ...start };
+      }
+      if (token.type === 'name') {
+        if (token.value === 'TRUE' || token.value === 'FALSE') return { type: 'literal', value: token.value === 'TRUE' };
+        if (!isOp('(')) fail(`Unknown name '${token.value}'`);
+        index++;
+        const args = [];
+        if (!isOp(')')) {
+          args.push(parseComparison());
+          while (isOp(',')) {
+            index++;
+            args.push(parseComparison());
+          }
+        }
+        expect(')');
+        return { type: 'call', name: token.value, args };
+      }
+      if (token.value === '(') {
+        const node = parseComparison();
+        expect(')');
+        return node;
+      }
+      return fail(`Unexpected '${token.value}' at position ${token.position + 2}`);
+    };
+
+    if (tokens.length === 0) fail('Empty formula');
+    const tree = parseComparison();
+    if (index < tokens.length) fail(`Unexpected '${peek().value}' at position ${peek().position + 2}`);
+    return tree;
+  }
+
+  /**
+   * A1 -> { row: 0, col: 0 }
+   */
+  parseCellRef(ref) {
+    const match = ref.match(/^([A-Z]+)(\d+)$/);
+    const col = [...match[1]].reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+    return { row: Number(match[2]) - 1, col };
+  }
+
+  evaluateNode(node, cellValue) {
+    const evaluate = (child) => this.evaluateNode(child, cellValue);
+
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'ref':
+        return cellValue(node.row, node.col);
+      case 'range': {
+        const values = [];
+        for (let row = Math.min(node.start.row, node.end.row); row <= Math.max(node.start.row, node.end.row); row++) {
+          for (let col = Math.min(node.start.col, node.end.col); col <= Math.max(node.start.col, node.end.col); col++) {
+            values.push(cellValue(row, col));
+          }
+        }
+        return values;
+      }
+      case 'negate':
+        return -this.toNumber(evaluate(node.operand));
+      case 'call': {
+        const fn = this.formulaFunctions[node.name];
+        if (!fn) throw new FormulaError('#NAME?', `Unknown function ${node.name}`);
+        const flatten = (args) => args.flatMap((arg) => {
+          const value = evaluate(arg);
+          if (Array.isArray(value)) return value;
+          // Values typed directly into the function must be numbers
+          return [arg.type === 'ref' || typeof value === 'number' ? value : this.toNumber(value)];
+        });
+        return fn(node.args, flatten, evaluate);
+      }
+      case 'binary': {
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        if (Array.isArray(left) || Array.isArray(right)) {
+          throw new FormulaError('#VALUE!', 'A range can only be used inside a function');
+        }
+        if (node.op === '&') return this.formatFormulaValue(left) + this.formatFormulaValue(right);
+        if (['=', '<>', '<', '>', '<=', '>='].includes(node.op)) return this.compareFormulaValues(left, right, node.op);
+
+        const a = this.toNumber(left);
+        const b = this.toNumber(right);
+        switch (node.op) {
+          case '+': return a + b;
+          case '-': return a - b;
+          case '*': return a * b;
+          case '/':
+            if (b === 0) throw new FormulaError('#DIV/0!', 'Division by zero');
+            return a / b;
+          case '^': return a ** b;
+          default: return null;
+        }
+      }
+      default:
+        return null;
+    }
+  }
+
+  compareFormulaValues(left, right, op) {
+    const bothNumbers = typeof (left ?? 0) === 'number' && typeof (right ?? 0) === 'number';
+    const a = bothNumbers ? left ?? 0 : this.formatFormulaValue(left).toLowerCase();
+    const b = bothNumbers ? right ?? 0 : this.formatFormulaValue(right).toLowerCase();
+    switch (op) {
+      case '=': return a === b;
+      case '<>': return a !== b;
+      case '<': return a < b;
+      case '>': return a > b;
+      case '<=': return a <= b;
+      default: return a >= b;
+    }
+  }
+
+  // ============ View ============
+
+  /**
+   * Whether a cell passes a filter
+   */
+  matchesFilter(value, filter, type) {
+    const text = String(value ?? '').trim();
+    const target = String(filter.value ?? '').trim();
+
+    if (filter.op === 'empty') return type === 'checkbox' ? !this.isChecked(text) : !text;
+    if (filter.op === 'not-empty') return type === 'checkbox' ? this.isChecked(text) : !!text;
+    if (filter.op === 'checked') return this.isChecked(text);
+    if (filter.op === 'unchecked') return !this.isChecked(text);
+    // A filter without a value yet doesn't hide anything
+    if (!target) return true;
+
+    if (type === 'number') {
+      const number = this.parseNumber(text);
+      const limit = this.parseNumber(target);
+      if (limit === null) return true;
+      if (number === null) return filter.op === '!=';
+      switch (filter.op) {
+        case '=': return number === limit;
+        case '!=': return number !== limit;
+        case '>': return number > limit;
+        case '<': return number < limit;
+        case '>=': return number >= limit;
+        case '<=': return number <= limit;
+        default: return true;
+      }
+    }
+
+    if (type === 'date') {
+      const date = this.parseDate(text);
+      const limit = this.parseDate(target);
+      if (limit === null) return true;
+      if (date === null) return false;
+      switch (filter.op) {
+        case 'is': return date === limit;
+        case 'before': return date < limit;
+        case 'after': return date > limit;
+        default: return true;
+      }
+    }
+
+    const haystack = text.toLowerCase();
+    const needle = target.toLowerCase();
+    switch (filter.op) {
+      case 'is': return haystack === needle;
+      case 'is-not': return haystack !== needle;
+      case 'not-contains': return !haystack.includes(needle);
+      default: return haystack.includes(needle);
+    }
+  }
+
+  /**
+   * Indexes of the data rows to show, in display order (the header row is never included)
+   */
+  getVisibleRows(block) {
+    const rows = block.tableData || [];
+    const columns = this.getColumns(block);
+    const view = this.getView(block);
+    const first = block.tableHeader !== false ? 1 : 0;
+
+    // Formula cells sort and filter by their results
+    const results = this.evaluate(block);
+    const value = (row, col) => this.getDisplayValue(block, row, col, results);
+
+    const visible = [];
+    for (let row = first; row < rows.length; row++) {
+      const passes = view.filters.every((filter) => this.matchesFilter(value(row, filter.col), filter, columns[filter.col].type));
+      if (passes) visible.push(row);
+    }
+
+    if (view.sort) {
+      const { col, direction } = view.sort;
+      const type = columns[col].type;
+      const sign = direction === 'desc' ? -1 : 1;
+      visible.sort((a, b) => {
+        const keyA = this.sortKey(value(a, col), type);
+        const keyB = this.sortKey(value(b, col), type);
+        // Empty cells go last in either direction; ties keep the stored order
+        if (keyA === null || keyB === null) {
+          return keyA === keyB ? a - b : keyA === null ? 1 : -1;
+        }
+        return sign * this.compareValues(value(a, col), value(b, col), type) || a - b;
+      });
+    }
+    return visible;
+  }
+
+  /**
+   * Default filter for a column
+   */
+  createFilter(block, col) {
+    const type = this.getColumns(block)[col].type;
+    return { col, op: this.getOperators(type)[0][0], value: '' };
+  }
+
+  /**
+   * Cell text for exports (checkbox columns as [x] / [ ])
+   */
+  formatForExport(value, type) {
+    if (type === 'checkbox') return this.isChecked(value) ? '[x]' : '[ ]';
+    return String(value ?? '');
+  }
+
+  // ============ CSV / TSV ============
+
+  /**
+   * Split CSV or TSV text into rows of cell strings. Quoted fields may hold the
+   * delimiter, doubled quotes and line breaks; the delimiter is guessed when not given
+   */
+  parseDelimited(text, delimiter = this.detectDelimiter(text)) {
+    const source = String(text ?? '').replace(/^\ufeff/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+      if (quoted) {
+        if (char === '"' && source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else if (char === '\r' && source[i + 1] === '\n') {
+          field += '\n';
+          i++;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && source[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    // The last line has no line break after it (a trailing one adds no row)
+    if (field || row.length > 0 || quoted) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  /**
+   * Tab, semicolon or comma, whichever separates the first line
+   */
+  detectDelimiter(text) {
+    const firstLine = String(text ?? '').split(/\r?\n/, 1)[0];
+    const count = (char) => firstLine.split(char).length - 1;
+    if (count('\t') > 0) return '\t';
+    return count(';') > count(',') ? ';' : ',';
+  }
+
+  /**
+   * Rows of cells as CSV (RFC 4180: CRLF line ends, fields with the delimiter,
+   * quotes, line breaks or edge spaces are quoted and their quotes doubled)
+   */
+  toDelimited(rows, delimiter = ',') {
+    const quote = (value) => {
+      const text = String(value ?? '');
+      const needsQuotes = text.includes(delimiter) || /["\r\n]|^\s|\s$/.test(text);
+      return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return rows.map((row) => row.map(quote).join(delimiter)).join('\r\n') + '\r\n';
+  }
+}
+
+// Global table manager instance
+const Tables = new TableManager();
+window.Tables = Tables;
@@ -0,0 +1,417 @@
+/**
+ * Task Manager - to-do blocks gathered from every note, for the task list and board
+ *
+ * A to-do's status lives on its block: checked is Done, status 'doing' is In progress
+ * and anything else is Todo. Tags are #hashtags written in the to-do text, so moving
+ * a card between tag columns rewrites its tag.
+ *
+ * A to-do is due at the date (and optional time) picked for it, stored on the block
+ * as due: { at, allDay }; a date written in the text as YYYY-MM-DD also counts.
+ * Picked due dates get reminders, scheduled with chrome.alarms by the background worker.
+ */
+
+class TaskManager {
+  constructor() {
+    this.statuses = [
+      { id: 'todo', name: 'Todo' },
+      { id: 'doing', name: 'In progress' },
+      { id: 'done', name: 'Done' },
+    ];
+    // Board column for to-dos without a tag
+    this.untagged = '';
+    // Tag filter for to-dos without tags (no tag starts with -)
+    this.noTagFilter = '-';
+    // #tag after a space or at the start; tags start with a letter, so #1 is not one
+    this.tagPattern = /(^|\s)#([\p{L}_][\p{L}\p{N}_/-]*)/gu;
+    this.datePattern = /(?:^|[^\d-])(\d{4})-(\d{2})-(\d{2})(?![\d-])/;
+    this.weekdays = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+    this.months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+    // Hour of the day to remind about to-dos due on a day without a time
+    this.allDayReminderHour = 9;
+    // Reminders last sent to the background worker per note, to skip unchanged ones
+    this.reminderKeys = new Map();
+  }
+
+  /**
+   * To-do blocks of all notes that are not in the trash, newest notes first
+   */
+  async getTasks() {
+    const [elements, notes] = await Promise.all([
+      Storage.getElementsByType('todo'),
+      Storage.getAllNotes(true),
+    ]);
+    const noteOrder = new Map(notes.map((note, index) => [note.id, index]));
+    const notesById = new Map(notes.map((note) => [note.id, note]));
+
+    return elements
+      .filter((element) => notesById.has(element.canvasId))
+      .sort((a, b) => noteOrder.get(a.canvasId) - noteOrder.get(b.canvasId) || (a.order || 0) - (b.order || 0))
+      .map((element) => this.toTask(element, notesById.get(element.canvasId)));
+  }
+
+  /**
+   * List and board data for a stored to-do block
+   */
+  toTask(element, note) {
+    const text = Search.stripHtml(element.content);
+    return {
+      id: element.id,
+      noteId: element.canvasId,
+      noteName: note?.name || 'Untitled',
+      archived: !!note?.archived,
+      text,
+      status: this.getStatus(element),
+      tags: this.getTags(text),
+      due: this.getDue(element, text),
+      element,
+    };
+  }
+
+  getStatus(element) {
+    if (element.checked) return 'done';
+    return element.status === 'doing' ? 'doing' : 'todo';
+  }
+
+  /**
+   * #tags in a to-do's text, lowercased and without duplicates
+   */
+  getTags(text) {
+    const tags = Array.from(String(text || '').matchAll(this.tagPattern), (match) => match[2].toLowerCase());
+    return [...new Set(tags)];
+  }
+
+  /**
+   * When a to-do is due ({ at, allDay }): its picked due date, or a date in its text
+   */
+  getDue(element, text) {
+    if (element.due?.at) return element.due;
+
+    const match = String(text || '').match(this.datePattern);
+    if (!match) return null;
+
+    const date = this.makeDate(...match.slice(1).map(Number));
+    return date ? { at: date.getTime(), allDay: true } : null;
+  }
+
+  /**
+   * Open to-dos past their due day (or due time)
+   */
+  isOverdue(task, now = new Date()) {
+    if (!task.due || task.status === 'done') return false;
+    return task.due.allDay ? task.due.at < this.startOfDay(now) : task.due.at < now.getTime();
+  }
+
+  startOfDay(date, addDays = 0) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + addDays).getTime();
+  }
+
+  /**
+   * Short due label: Today, Tomorrow, Yesterday or a date, plus the time if one is set
+   */
+  formatDue(due, now = new Date()) {
+    const date = new Date(due.at);
+    const days = Math.round((this.startOfDay(date) - this.startOfDay(now)) / 86400000);
+    const names = { '-1': 'Yesterday', 0: 'Today', 1: 'Tomorrow' };
+    let label = names[days] || date.toLocaleDateString(undefined, {
+      month: 'short',
+      day: 'numeric',
+      year: date.getFullYear() === now.getFullYear() ? undefined : 'numeric',
+    });
+    if (!due.allDay) {
+      label += ` ${date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })}`;
+    }
+    return label;
+  }
+
+  /**
+   * Read a due date typed as text: "tomorrow 3pm", "fri", "next week", "in 2 hours",
+   * "nov 14", "14 nov 2027", "2026-11-14 9:30" or a bare time ("5pm" is today, or
+   * tomorrow once 5pm has passed). Returns { at, allDay } or null.
+   */
+  parseDue(input, now = new Date()) {
+    let text = String(input || '').toLowerCase().replace(/,/g, ' ').replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+
+    // The time of day, taken out of the text first
+    let time = null;
+    const setTime = (pattern, toTime) => {
+      const match = text.match(pattern);
+      if (!match || time) return;
+      time = toTime(match);
+      text = text.replace(match[0], ' ').replace(/\s+/g, ' ').trim();
+    };
+    setTime(/\b(?:at )?(1[0-2]|0?[1-9])(?::([0-5]\d))? ?([ap])\.?m?\.?(?=\s|$)/, (m) => ({ hours: (Number(m[1]) % 12) + (m[3] === 'p' ? 12 : 0), minutes: Number(m[2] || 0) }));
+    setTime(/\b(?:at )?([01]?\d|2[0-3]):([0-5]\d)\b/, (m) => ({ hours: Number(m[1]), minutes: Number(m[2]) }));
+    setTime(/\b(?:at )?(noon|midday|midnight)\b/, (m) => ({ hours: m[1] === 'midnight' ? 0 : 12, minutes: 0 }));
+    setTime(/\bat (\d{1,2})\b/, (m) => ({ hours: Number(m[1]), minutes: 0 }));
+    if (time && (time.hours > 23 || time.minutes > 59)) return null;
+    if (/^tonight$/.test(text)) {
+      text = 'today';
+      time = time || { hours: 20, minutes: 0 };
+    }
+
+    const day = (offset) => new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+    let date = null;
+    let match;
+    if (!text) {
+      date = day(0);
+    } else if (/^(today|tod)$/.test(text)) {
+      date = day(0);
+    } else if (/^(tomorrow|tmrw?|tom)$/.test(text)) {
+      date = day(1);
+    } else if (text === 'yesterday') {
+      date = day(-1);
+    } else if ((match = text.match(/^(?:next )?(week|month|year)$/))) {
+      date = day(0);
+      if (match[1] === 'week') date.setDate(date.getDate() + 7);
+      if (match[1] === 'month') date.setMonth(date.getMonth() + 1);
+      if (match[1] === 'year') date.setFullYear(date.getFullYear() + 1);
+    } else if ((match = text.match(/^in (\d+|an?) (min(?:ute)?|hour|hr|day|week|month)s?$/))) {
+      const amount = /^\d/.test(match[1]) ? Number(match[1]) : 1;
+      const unit = match[2];
+      // Minutes and hours from now are an exact time
+      if (unit.startsWith('min') || unit.startsWith('h')) {
+        const at = now.getTime() + amount * (unit.startsWith('min') ? 60000 : 3600000);
+        return time ? null : { at, allDay: false };
+      }
+      date = day(unit === 'day' ? amount : unit === 'week' ? amount * 7 : 0);
+      if (unit === 'month') date.setMonth(date.getMonth() + amount);
+    } else if ((match = text.match(/^(?:next |this )?([a-z]{3})[a-z]*$/)) && this.weekdays.includes(match[1])) {
+      // The coming weekday (a week ahead when it is today)
+      const ahead = (this.weekdays.indexOf(match[1]) - now.getDay() + 7) % 7 || 7;
+      date = day(ahead);
+    } else if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+      date = this.makeDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    } else if ((match = text.match(/^([a-z]{3})[a-z]*\.? (\d{1,2})(?:st|nd|rd|th)?(?: (\d{4}))?$/) || text.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]{3})[a-z]*\.?(?: (\d{4}))?$/))) {
+      const [monthName, dayOfMonth] = /^\d/.test(match[1]) ? [match[2], match[1]] : [match[1], match[2]];
+      const month = this.months.indexOf(monthName) + 1;
+      if (month === 0) return null;
+      date = this.makeDate(Number(match[3]) || now.getFullYear(), month, Number(dayOfMonth));
+      // A date without a year that has passed means next year
+      if (date && !match[3] && date.getTime() < this.startOfDay(now)) {
+        date = this.makeDate(now.getFullYear() + 1, month, Number(dayOfMonth));
+      }
+    }
+    if (!date) return null;
+
+    if (!time) return { at: date.getTime(), allDay: true };
+    date.setHours(time.hours, time.minutes, 0, 0);
+    // A bare time that has already passed today means tomorrow
+    if (!text && date.getTime() <= now.getTime()) date.setDate(date.getDate() + 1);
+    return { at: date.getTime(), allDay: false };
+  }
+
+  /**
+   * Date and time input values for a due date ({ date: 'YYYY-MM-DD', time: 'HH:MM' or '' })
+   */
+  toInputValues(due) {
+    if (!due?.at) return { date: '', time: '' };
+    const date = new Date(due.at);
+    const pad = (number) => String(number).padStart(2, '0');
+    return {
+      date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+      time: due.allDay ? '' : `${pad(date.getHours())}:${pad(date.getMinutes())}`,
+    };
+  }
+
+  /**
+   * Due date from date and time input values (no time means all day)
+   */
+  fromInputValues(dateValue, timeValue) {
+    const match = String(dateValue || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = match && this.makeDate(...match.slice(1).map(Number));
+    if (!date) return null;
+
+    const time = String(timeValue || '').match(/^(\d{2}):(\d{2})/);
+    if (!time) return { at: date.getTime(), allDay: true };
+    date.setHours(Number(time[1]), Number(time[2]), 0, 0);
+    return { at: date.getTime(), allDay: false };
+  }
+
+  /**
+   * Local date, or null for days that don't exist (2026-02-31)
+   */
+  makeDate(year, month, day) {
+    const date = new Date(year, month - 1, day);
+    return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+  }
+
+  /**
+   * To-dos matching the filters ({ status, noteId, tag, due, archived })
+   */
+  filterTasks(tasks, filters = {}, now = new Date()) {
+    const today = this.startOfDay(now);
+    const dueMatches = (task) => {
+      const at = task.due?.at;
+      switch (filters.due) {
+        case 'overdue':
+          return this.isOverdue(task, now);
+        case 'today':
+          return !!task.due && at >= today && at < this.startOfDay(now, 1);
+        case 'week':
+          return !!task.due && at >= today && at < this.startOfDay(now, 7);
+        case 'scheduled':
+          return !!task.due;
+        case 'unscheduled':
+          return !task.due;
+        default:
+          return true;
+      }
+    };
+
+    return tasks.filter((task) => {
+      if (task.archived && !filters.archived) return false;
+      if (filters.status === 'open' && task.status === 'done') return false;
+      if (filters.status === 'done' && task.status !== 'done') return false;
+      if (filters.noteId && task.noteId !== filters.noteId) return false;
+      if (filters.tag === this.noTagFilter ? task.tags.length > 0 : filters.tag && !task.tags.includes(filters.tag)) return false;
+      return dueMatches(task);
+    });
+  }
+
+  /**
+   * To-dos in groups per note ({ noteId, noteName, tasks }), keeping the task order
+   */
+  groupByNote(tasks) {
+    const groups = new Map();
+    tasks.forEach((task) => {
+      if (!groups.has(task.noteId)) {
+        groups.set(task.noteId, { noteId: task.noteId, noteName: task.noteName, tasks: [] });
+      }
+      groups.get(task.noteId).tasks.push(task);
+    });
+    return [...groups.values()];
+  }
+
+  /**
+   * Board columns ({ id, name, tasks }) by status, or by each to-do's first tag
+   */
+  groupTasks(tasks, groupBy = 'status') {
+    if (groupBy !== 'tag') {
+      return this.statuses.map((status) => ({
+        ...status,
+        tasks: tasks.filter((task) => task.status === status.id),
+      }));
+    }
+
+    const tags = [...new Set(tasks.flatMap((task) => task.tags.slice(0, 1)))].sort();
+    return [
+      { id: this.untagged, name: 'No tag', tasks: tasks.filter((task) => task.tags.length === 0) },
+      ...tags.map((tag) => ({ id: tag, name: `#${tag}`, tasks: tasks.filter((task) => task.tags[0] === tag) })),
+    ];
+  }
+
+  /**
+   * Block fields that move a task from one board column to another
+   */
+  getMoveChanges(task, groupBy, fromColumn, toColumn) {
+    if (groupBy === 'tag') {
+      return { content: this.retag(task.element.content, fromColumn, toColumn) };
+    }
+    return { checked: toColumn === 'done', status: toColumn === 'doing' ? 'doing' : null };
+  }
+
+  /**
+   * Replace #from with #to in a to-do's HTML (an empty tag removes or adds one)
+   */
+  retag(content, from, to) {
+    const container = document.createElement('div');
+    container.innerHTML = content || '';
+    const escaped = from ? from.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&') : null;
+    const pattern = escaped ? new RegExp(`(^|\\s)#${escaped}(?![\\p{L}\\p{N}_/-])`, 'iu') : null;
+
+    let replaced = false;
+    if (pattern) {
+      const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+      let node;
+      while (!replaced && (node = walker.nextNode())) {
+        if (!pattern.test(node.data)) continue;
+        node.data = node.data.replace(pattern, (match, space) => (to ? `${space}#${to}` : ''));
+        replaced = true;
+      }
+    }
+    if (!replaced && to) {
+      container.appendChild(document.createTextNode(`${container.textContent.trim() ? ' ' : ''}#${to}`));
+    }
+    return container.innerHTML;
+  }
+
+  // ============ Reminders ============
+
+  /**
+   * When to remind about a due date (all-day to-dos in the morning of the day)
+   */
+  getReminderTime(due) {
+    if (!due.allDay) return due.at;
+    const date = new Date(due.at);
+    date.setHours(this.allDayReminderHour, 0, 0, 0);
+    return date.getTime();
+  }
+
+  /**
+   * Upcoming reminders for a note's open to-dos with a picked due date
+   */
+  getReminders(noteId, noteName, elements, now = Date.now()) {
+    return elements
+      .filter((element) => element.type === 'todo' && !element.checked && element.due?.at)
+      .map((element) => ({
+        id: element.id,
+        noteId,
+        noteName: noteName || 'Untitled',
+        text: Search.stripHtml(element.content).trim(),
+        due: element.due,
+        at: this.getReminderTime(element.due),
+      }))
+      .filter((reminder) => reminder.at > now);
+  }
+
+  /**
+   * Send a note's reminders to the background worker when they changed
+   */
+  async syncReminders(noteId, noteName, elements) {
+    const reminders = this.getReminders(noteId, noteName, elements);
+    const key = JSON.stringify(reminders);
+    if (this.reminderKeys.get(noteId) === key) return;
+
+    await chrome.runtime.sendMessage({ type: 'SYNC_REMINDERS', noteId, reminders });
+    this.reminderKeys.set(noteId, key);
+  }
+
+  /**
+   * Replace every scheduled reminder with those of the notes not in the trash
+   * (after imports, restores and trashing, which change notes outside the editor)
+   */
+  async syncAllReminders() {
+    const [elements, notes] = await Promise.all([
+      Storage.getElementsByType('todo'),
+      Storage.getAllNotes(true),
+    ]);
+    const byNote = notes.map((note) => [note.id, this.getReminders(note.id, note.name, elements.filter((element) => element.canvasId === note.id))]);
+
+    await chrome.runtime.sendMessage({ type: 'SYNC_REMINDERS', noteId: null, reminders: byNote.flatMap(([, reminders]) => reminders) });
+    this.reminderKeys = new Map(byNote.map(([noteId, reminders]) => [noteId, JSON.stringify(reminders)]));
+  }
+
+  /**
+   * Save a change to a to-do of a note that is not open in the editor
+   */
+  async updateTask(task, changes) {
+    const element = { ...task.element, ...changes, updatedAt: Date.now() };
+    await Storage.saveElement(element);
+
+    const note = await Storage.getNote(task.noteId);
+    if (note) {
+      await Storage.updateNote(note);
+      const elements = await Storage.getElementsByNote(task.noteId);
+      Search.indexNote(task.noteId, note.name, elements, note.updatedAt)
+        .catch((error) => console.error('Search indexing failed:', error));
+      this.syncReminders(task.noteId, note.name, elements)
+        .catch((error) => console.error('Reminder sync failed:', error));
+    }
+    return this.toTask(element, note);
+  }
+}
+
+// Global task manager instance
+const Tasks = new TaskManager();
+window.Tasks = Tasks;
@@ -0,0 +1,164 @@
+/**
+ * Undo Manager - transaction-based undo/redo history for the block editor
+ */
+
+class UndoManager {
+  constructor(options = {}) {
+    this.limit = options.limit || 200;
+    this.undoStack = [];
+    this.redoStack = [];
+    // Last committed state of every block (id -> serialized JSON) and their order
+    this.committed = new Map();
+    this.committedOrder = [];
+  }
+
+  /**
+   * Clear history and take a new baseline (e.g. when a note is loaded)
+   */
+  reset(blocks) {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.committed = new Map(blocks.map((block) => [block.id, JSON.stringify(block.serialize())]));
+    this.committedOrder = blocks.map((block) => block.id);
+  }
+
+  /**
+   * Check if there is anything to undo
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check if there is anything to redo
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Record a transaction by diffing blocks against the last committed state.
+   * blockIds limits the diff to known-changed blocks when the order is unchanged.
+   */
+  record(blocks, label, options = {}) {
+    const order = blocks.map((block) => block.id);
+    const orderChanged = !this.isSameOrder(order);
+    const current = new Map(blocks.map((block) => [block.id, block]));
+
+    const ids = options.blockIds && !orderChanged
+      ? options.blockIds
+      : new Set([...this.committed.keys(), ...order]);
+
+    const before = {};
+    const after = {};
+    let changed = false;
+
+    ids.forEach((id) => {
+      const block = current.get(id);
+      const previous = this.committed.has(id) ? this.committed.get(id) : null;
+      const next = block ? JSON.stringify(block.serialize()) : null;
+      if (previous === next) return;
+
+      before[id] = previous;
+      after[id] = next;
+      changed = true;
+
+      if (next === null) {
+        this.committed.delete(id);
+      } else {
+        this.committed.set(id, next);
+      }
+    });
+
+    if (!changed && !orderChanged) {
+      return null;
+    }
+
+    const entry = {
+      label,
+      before,
+      after,
+      orderBefore: orderChanged ? this.committedOrder : null,
+      orderAfter: orderChanged ? order : null,
+      focusBefore: options.focusBefore || null,
+      focusAfter: options.focusAfter || null,
+      timestamp: Date.now(),
+    };
+    this.committedOrder = order;
+
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+
+    return entry;
+  }
+
+  /**
+   * Undo the last transaction, returning the restored blocks
+   */
+  undo(blocks) {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+
+    this.redoStack.push(entry);
+    return this.applyEntry(blocks, entry.before, entry.orderBefore, entry.focusBefore);
+  }
+
+  /**
+   * Redo the last undone transaction, returning the restored blocks
+   */
+  redo(blocks) {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+
+    this.undoStack.push(entry);
+    return this.applyEntry(blocks, entry.after, entry.orderAfter, entry.focusAfter);
+  }
+
+  /**
+   * Apply a set of block states and an optional order to the current blocks
+   */
+  applyEntry(blocks, states, order, focusId) {
+    const blockMap = new Map(blocks.map((block) => [block.id, block]));
+    const changedIds = [];
+    const removedIds = [];
+
+    Object.entries(states).forEach(([id, json]) => {
+      if (json === null) {
+        blockMap.delete(id);
+        this.committed.delete(id);
+        removedIds.push(id);
+      } else {
+        blockMap.set(id, Block.deserialize(JSON.parse(json)));
+        this.committed.set(id, json);
+        changedIds.push(id);
+      }
+    });
+
+    const nextOrder = order || blocks.map((block) => block.id);
+    const nextBlocks = nextOrder
+      .map((id) => blockMap.get(id))
+      .filter(Boolean);
+    this.committedOrder = nextBlocks.map((block) => block.id);
+
+    return {
+      blocks: nextBlocks,
+      changedIds,
+      removedIds,
+      focusId: focusId && blockMap.has(focusId) ? focusId : changedIds[0] || null,
+    };
+  }
+
+  /**
+   * Check if an order matches the committed order
+   */
+  isSameOrder(order) {
+    if (order.length !== this.committedOrder.length) return false;
+    return order.every((id, index) => id === this.committedOrder[index]);
+  }
+}
+
+// Make available globally
+window.UndoManager = UndoManager;
@@ -425,7 +425,10 @@ const Utils = {
     
     const scored = notes.map(note => {
       const name = note.name || 'Untitled';
-      const score = this.fuzzyMatch(query, name);
+      // Imported notes can also be found by folder or tag
+      const folderMatch = [note.folder, ...(note.tags || [])]
+        .some(value => value && value.toLowerCase().includes(query.toLowerCase().trim()));
+      const score = Math.max(this.fuzzyMatch(query, name), folderMatch ? 70 : 0);
       return { note, score };
     });
     
@@ -449,6 +452,188 @@ const Utils = {
     return text.replace(/[&<>"']/g, char => htmlEntities[char]);
   },
 
+  /**
+   * Split a markdown table row into trimmed cell values
+   * @param {string} row - Table row such as "| a | b |"
+   * @returns {string[]} - Cell values with escaped pipes restored
+   */
+  splitTableRow(row) {
+    return row
+      .trim()
+      .replace(/^\|/, '')
+      .replace(/(?<!\\)\|$/, '')
+      .split(/(?<!\\)\|/)
+      .map(cell => cell.trim().replace(/\\\|/g, '|'));
+  },
+
+  /**
+   * Whether a link URL uses an allowed protocol (http, https or mailto). URL parsing
+   * drops the tabs, newlines and control characters that could hide javascript:
+   */
+  isSafeLinkUrl(url) {
+    try {
+      return ['http:', 'https:', 'mailto:'].includes(new URL(String(url).trim()).protocol);
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Apply inline markdown formatting (links, bold, italic, strikethrough)
+   * @param {string} text - Text with inline markdown
+   * @returns {string} - HTML string
+   */
+  applyInlineMarkdown(text) {
+    // Links [text](url) - only web, mail and note links (#note=id from imports) are kept
+    let result = text.replace(/\[([^\]]+)\]\(((?:[^()]|\([^()]*\))+)\)/g, (match, label, url) => {
+      if (!this.isSafeLinkUrl(url) && !/^#note=[\w-]+$/.test(url)) return label;
+      return `<a href="${url.replace(/"/g, '&quot;')}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+    });
+
+    // Bold (**text** or __text__)
+    result = result.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
+    result = result.replace(/__([^_]+)__/g, '<strong>$1</strong>');
+
+    // Italic (*text* or _text_) - be careful not to match inside words
+    result = result.replace(/(?<![*\w])\*([^*]+)\*(?![*\w])/g, '<em>$1</em>');
+    result = result.replace(/(?<![_\w])_([^_]+)_(?![_\w])/g, '<em>$1</em>');
+
+    // Strikethrough (~~text~~)
+    result = result.replace(/~~([^~]+)~~/g, '<s>$1</s>');
+
+    return result;
+  },
+
+  /**
+   * Inline math delimited by single dollars. The content can't start or end with a space and
+   * the closing $ can't be followed by a digit, so prices like "$5 and $10" stay plain text.
+   */
+  inlineMathPattern: /(?<![\\$])\$([^\s$](?:[^$\n]*[^\s$\\])?)\$(?![\d$])/g,
+
+  /**
+   * Editor HTML for an inline math span (typeset by the editor, stored as TeX source)
+   * @param {string} tex - HTML-escaped TeX source
+   * @returns {string} - Span HTML
+   */
+  inlineMathHtml(tex) {
+    return `<span class="inline-math" contenteditable="false" data-tex="${tex}"></span>`;
+  },
+
+  /**
+   * Replace inline math spans inside an element with their TeX source, for plain-text uses
+   * @param {Element} root - Element holding block HTML
+   * @returns {Element} - The same element
+   */
+  expandInlineMath(root) {
+    root.querySelectorAll('.inline-math').forEach((span) => {
+      span.replaceWith(span.dataset.tex || '');
+    });
+    return root;
+  },
+
+  /**
+   * Parse a single line of markdown into safe inline HTML
+   * @param {string} text - Markdown text (no block-level syntax)
+   * @returns {string} - Escaped HTML with inline formatting applied
+   */
+  parseInlineMarkdown(text) {
+    if (!text) return '';
+
+    // Extract inline code so its content isn't formatted
+    const inlineCodes = [];
+    let result = this.escapeHtml(text).replace(/`([^`\n]+)`/g, (match, code) => {
+      inlineCodes.push(`<code>${code}</code>`);
+      return `\x00INLINECODE${inlineCodes.length - 1}\x00`;
+    });
+
+    // Extract inline math ($…$) so TeX like a_1 * b_2 isn't formatted
+    const inlineMath = [];
+    result = result.replace(this.inlineMathPattern, (match, tex) => {
+      inlineMath.push(this.inlineMathHtml(tex));
+      return `\x00INLINEMATH${inlineMath.length - 1}\x00`;
+    });
+
+    // Backslash-escaped characters stay literal
+    const escapes = [];
+    result = result.replace(/\\(&lt;|&gt;|[\\`*_{}[\]()#+\-.!~|$])/g, (match, char) => {
+      escapes.push(char);
+      return `\x00ESCAPE${escapes.length - 1}\x00`;
+    });
+
+    // Inline tags without a markdown equivalent are kept as HTML
+    result = result.replace(/&lt;(\/?)(br|u|mark|sub|sup)\s*\/?&gt;/gi, (match, slash, tag) => `<${slash}${tag.toLowerCase()}>`);
+
+    result = this.applyInlineMarkdown(result);
+
+    inlineCodes.forEach((code, index) => {
+      result = result.replace(`\x00INLINECODE${index}\x00`, code);
+    });
+    inlineMath.forEach((math, index) => {
+      result = result.replace(`\x00INLINEMATH${index}\x00`, math);
+    });
+    escapes.forEach((char, index) => {
+      result = result.replace(`\x00ESCAPE${index}\x00`, char);
+    });
+
+    return result;
+  },
+
+  /**
+   * Convert editor inline HTML back to markdown (inverse of parseInlineMarkdown)
+   * @param {string} html - Inline HTML from a block
+   * @returns {string} - Markdown text with special characters escaped
+   */
+  htmlToInlineMarkdown(html) {
+    if (!html) return '';
+
+    const root = new DOMParser().parseFromString(html, 'text/html').body;
+    const escape = (text) => text.replace(/\n/g, ' ').replace(/([\\`*_[\]<>~$])/g, '\\$1');
+
+    const convert = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) return escape(node.textContent);
+      if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+      const inner = Array.from(node.childNodes).map(convert).join('');
+      switch (node.tagName) {
+        case 'B':
+        case 'STRONG':
+          return inner ? `**${inner}**` : '';
+        case 'I':
+        case 'EM':
+          return inner ? `*${inner}*` : '';
+        case 'S':
+        case 'DEL':
+        case 'STRIKE':
+          return inner ? `~~${inner}~~` : '';
+        case 'CODE':
+          return node.textContent ? `\`${node.textContent}\`` : '';
+        case 'A': {
+          const href = node.getAttribute('href');
+          return href ? `[${inner}](${href})` : inner;
+        }
+        case 'BR':
+          return '<br>';
+        case 'SPAN':
+          return node.classList.contains('inline-math') ? `$${node.dataset.tex || ''}$` : inner;
+        case 'U':
+        case 'MARK':
+        case 'SUB':
+        case 'SUP': {
+          const tag = node.tagName.toLowerCase();
+          return `<${tag}>${inner}</${tag}>`;
+        }
+        case 'DIV':
+        case 'P':
+          // Contenteditable wraps new lines in divs
+          return `<br>${inner}`;
+        default:
+          return inner;
+      }
+    };
+
+    return Array.from(root.childNodes).map(convert).join('').replace(/^<br>/, '');
+  },
+
   /**
    * Parse markdown tables into HTML
    * @param {string} text - Text containing potential tables
@@ -460,23 +645,18 @@ const Utils = {
     
     return text.replace(tableRegex, (match, headerRow, separatorRow, bodyRows) => {
       // Parse alignment from separator row
-      const alignments = separatorRow
-        .split('|')
-        .filter(cell => cell.trim())
+      const alignments = this.splitTableRow(separatorRow)
         .map(cell => {
-          const trimmed = cell.trim();
-          if (trimmed.startsWith(':') && trimmed.endsWith(':')) return 'center';
-          if (trimmed.endsWith(':')) return 'right';
+          if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+          if (cell.endsWith(':')) return 'right';
           return 'left';
         });
 
       // Parse header cells
-      const headerCells = headerRow
-        .split('|')
-        .filter(cell => cell.trim() !== '')
+      const headerCells = this.splitTableRow(headerRow)
         .map((cell, i) => {
           const align = alignments[i] || 'left';
-          return `<th style="text-align: ${align}">${cell.trim()}</th>`;
+          return `<th style="text-align: ${align}">${cell}</th>`;
         })
         .join('');
 
@@ -485,12 +665,10 @@ const Utils = {
         .trim()
         .split('\n')
         .map(row => {
-          const cells = row
-            .split('|')
-            .filter(cell => cell.trim() !== '')
+          const cells = this.splitTableRow(row)
             .map((cell, i) => {
               const align = alignments[i] || 'left';
-              return `<td style="text-align: ${align}">${cell.trim()}</td>`;
+              return `<td style="text-align: ${align}">${cell}</td>`;
             })
             .join('');
           return `<tr>${cells}</tr>`;
@@ -567,16 +745,8 @@ const Utils = {
     result = result.replace(/<\/ul>\n<ul>/g, '\n');
     result = result.replace(/<\/ol>\n<ol>/g, '\n');
 
-    // Links [text](url)
-    result = result.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
-
-    // Bold (**text** or __text__)
-    result = result.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-    result = result.replace(/__([^_]+)__/g, '<strong>$1</strong>');
-
-    // Italic (*text* or _text_) - be careful not to match inside words
-    result = result.replace(/(?<![*\w])\*([^*]+)\*(?![*\w])/g, '<em>$1</em>');
-    result = result.replace(/(?<![_\w])_([^_]+)_(?![_\w])/g, '<em>$1</em>');
+    // Links, bold and italic
+    result = this.applyInlineMarkdown(result);
 
     // Paragraphs - wrap text blocks separated by double newlines
     // Split by double newlines, wrap non-block elements in <p>
@@ -608,6 +778,435 @@ const Utils = {
 
     return result;
   },
+
+  /**
+   * Check if plain text uses markdown block syntax
+   * @param {string} text - Text to check
+   * @returns {boolean}
+   */
+  looksLikeMarkdown(text) {
+    return /^\s*(#{1,6} |[-*+] |\d+[.)] |> |```|\|.+\||(-{3,}|\*{3,})\s*$)/m.test(text || '');
+  },
+
+  /**
+   * Parse markdown into block data for the editor
+   * Supports: headings, lists, to-dos, fenced code, tables, quotes, callouts, dividers,
+   * images, bookmarks, <details> toggles, $$ equations, mermaid diagrams and paragraphs.
+   * Indentation becomes block depth.
+   * @param {string} text - Markdown text to parse
+   * @returns {Object[]} - Block data objects ({ type, content, depth, ... })
+   */
+  markdownToBlocks(text) {
+    if (!text) return [];
+
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+
+    // Indentation widths of the open nesting levels
+    const levels = [0];
+    const getDepth = (width) => {
+      while (levels.length > 1 && width < levels[levels.length - 1]) {
+        levels.pop();
+      }
+      if (width > levels[levels.length - 1]) {
+        levels.push(width);
+      }
+      return levels.length - 1;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+      if (!lines[i].trim()) continue;
+
+      const indent = lines[i].match(/^[ \t]*/)[0];
+      const line = lines[i].slice(indent.length).trimEnd();
+      const depth = getDepth(indent.replace(/\t/g, '    ').length);
+      let match;
+
+      // Fenced code block (a longer fence can hold ``` lines; info after the language is ignored)
+      if ((match = line.match(/^(`{3,})\s*([\w+#.-]*)[^`]*$/))) {
+        const closing = new RegExp(`^\\s*${match[1]}\`*\\s*$`);
+        const codeLines = [];
+        i++;
+        while (i < lines.length && !closing.test(lines[i])) {
+          codeLines.push(lines[i].startsWith(indent) ? lines[i].slice(indent.length) : lines[i].trimStart());
+          i++;
+        }
+        if (match[2].toLowerCase() === 'mermaid') {
+          blocks.push({ type: 'diagram', diagram: codeLines.join('\n'), depth });
+          continue;
+        }
+        blocks.push({
+          type: 'code',
+          content: this.escapeHtml(codeLines.join('\n')),
+          language: match[2].toLowerCase(),
+          depth,
+        });
+        continue;
+      }
+
+      // Equations ($$...$$ on one line or spanning several)
+      if ((match = line.match(/^\$\$(.*)\$\$$/))) {
+        blocks.push({ type: 'equation', equation: match[1].trim(), depth });
+        continue;
+      }
+      if (line === '$$') {
+        const equationLines = [];
+        i++;
+        while (i < lines.length && !/^\s*\$\$\s*$/.test(lines[i])) {
+          equationLines.push(lines[i].trim());
+          i++;
+        }
+        blocks.push({ type: 'equation', equation: equationLines.filter(Boolean).join('\n'), depth });
+        continue;
+      }
+
+      // Toggles (<details> with a <summary> and child lines)
+      if ((match = line.match(/^<details( open)?>$/i))) {
+        const toggle = { type: 'toggle', content: '', children: '', collapsed: !match[1], depth };
+        const childLines = [];
+        i++;
+        while (i < lines.length && !/^\s*<\/details>\s*$/i.test(lines[i])) {
+          const childLine = lines[i].startsWith(indent) ? lines[i].slice(indent.length) : lines[i].trimStart();
+          const summary = childLine.match(/^<summary>(.*)<\/summary>$/i);
+          if (summary && !toggle.content && !childLines.length) {
+            toggle.content = this.parseInlineMarkdown(summary[1]);
+          } else {
+            childLines.push(childLine.trim());
+          }
+          i++;
+        }
+        while (childLines.length && !childLines[0]) childLines.shift();
+        while (childLines.length && !childLines[childLines.length - 1]) childLines.pop();
+        toggle.children = childLines.map(childLine => this.parseInlineMarkdown(childLine)).join('<br>');
+        blocks.push(toggle);
+        continue;
+      }
+
+      // Images (![alt](src))
+      if ((match = line.match(/^!\[((?:[^\]\\]|\\.)*)\]\((\S+?)(?: "((?:[^"\\]|\\.)*)")?\)$/))) {
+        const unescape = (value) => (value || '').replace(/\\(.)/g, '$1');
+        const alt = unescape(match[1]);
+        blocks.push({
+          type: 'image',
+          imageUrl: match[2],
+          alt: alt === 'Image' ? '' : alt,
+          caption: unescape(match[3]),
+          depth,
+        });
+        continue;
+      }
+
+      // Bookmarks - a link alone on its line with a quoted description
+      if ((match = line.match(/^\[((?:[^\]\\]|\\.)+)\]\((https?:\/\/\S+?) "((?:[^"\\]|\\.)*)"\)$/))) {
+        const unescape = (value) => value.replace(/\\(.)/g, '$1');
+        let favicon = '';
+        try {
+          favicon = `https://www.google.com/s2/favicons?domain=${new URL(match[2]).hostname}&sz=32`;
+        } catch (error) {
+          // Leave the favicon empty for URLs that don't parse
+        }
+        blocks.push({
+          type: 'bookmark',
+          url: match[2],
+          title: unescape(match[1]),
+          description: unescape(match[3]),
+          favicon,
+          depth,
+        });
+        continue;
+      }
+
+      // Table (header row followed by a separator row)
+      if (/^\|.+\|$/.test(line) && /^\s*\|[-:\s|]+\|\s*$/.test(lines[i + 1] || '')) {
+        const tableData = [this.splitTableRow(line)];
+        i += 2;
+        while (i < lines.length && /^\s*\|.+\|\s*$/.test(lines[i])) {
+          tableData.push(this.splitTableRow(lines[i]));
+          i++;
+        }
+        i--;
+
+        const cols = Math.max(...tableData.map(row => row.length));
+        tableData.forEach(row => {
+          while (row.length < cols) row.push('');
+        });
+        blocks.push({ type: 'table', tableData, rows: tableData.length, cols, depth });
+        continue;
+      }
+
+      // Headings (# ## ###), deeper levels collapse to h3
+      if ((match = line.match(/^(#{1,6}) (.+)$/))) {
+        const level = Math.min(match[1].length, 3);
+        blocks.push({ type: `h${level}`, content: this.parseInlineMarkdown(match[2]), depth });
+        continue;
+      }
+
+      // Horizontal rules (--- or ***)
+      if (/^(-{3,}|\*{3,}|_{3,})$/.test(line)) {
+        blocks.push({ type: 'divider', content: '', depth });
+        continue;
+      }
+
+      // To-dos (- [ ] item or - [x] item)
+      if ((match = line.match(/^[-*+] \[([ xX])\](?: (.*))?$/))) {
+        blocks.push({
+          type: 'todo',
+          content: this.parseInlineMarkdown(match[2] || ''),
+          checked: match[1].toLowerCase() === 'x',
+          depth,
+        });
+        continue;
+      }
+
+      // Unordered lists (- item or * item)
+      if ((match = line.match(/^[-*+] (.*)$/))) {
+        blocks.push({ type: 'bullet', content: this.parseInlineMarkdown(match[1]), depth });
+        continue;
+      }
+
+      // Ordered lists (1. item, 2. item, etc.)
+      if ((match = line.match(/^\d+[.)] (.*)$/))) {
+        blocks.push({ type: 'numbered', content: this.parseInlineMarkdown(match[1]), depth });
+        continue;
+      }
+
+      // Blockquotes - consecutive lines merge into one quote
+      if ((match = line.match(/^> ?(.*)$/))) {
+        const quoteLines = [match[1]];
+        while (i + 1 < lines.length && (match = lines[i + 1].match(/^\s*> ?(.*)$/))) {
+          quoteLines.push(match[1]);
+          i++;
+        }
+
+        // A leading emoji turns the quote into a callout
+        const callout = quoteLines[0].match(/^(\p{Extended_Pictographic}(?:\uFE0F|\u200D\p{Extended_Pictographic})*) (.*)$/u);
+        if (callout) {
+          quoteLines[0] = callout[2];
+        }
+        const quote = {
+          type: callout ? 'callout' : 'quote',
+          content: quoteLines.map(quoteLine => this.parseInlineMarkdown(quoteLine)).join('<br>'),
+          depth,
+        };
+        if (callout) {
+          quote.calloutIcon = callout[1];
+        }
+        blocks.push(quote);
+        continue;
+      }
+
+      // Paragraph line
+      blocks.push({ type: 'text', content: this.parseInlineMarkdown(line), depth });
+    }
+
+    return blocks;
+  },
+
+  /**
+   * Sanitize HTML down to inline formatting the editor supports
+   * @param {string|Node} input - HTML string or DOM node whose children are sanitized
+   * @returns {string} - Safe inline HTML
+   */
+  sanitizeInlineHtml(input) {
+    const root = typeof input === 'string'
+      ? new DOMParser().parseFromString(input, 'text/html').body
+      : input;
+
+    const allowedTags = {
+      B: 'strong', STRONG: 'strong', I: 'em', EM: 'em', U: 'u', S: 's', STRIKE: 's',
+      DEL: 's', CODE: 'code', MARK: 'mark', SUB: 'sub', SUP: 'sup',
+    };
+
+    const serialize = (node) => {
+      if (node.nodeType === Node.TEXT_NODE) {
+        return this.escapeHtml(node.textContent.replace(/\s+/g, ' '));
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) return '';
+      if (['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT'].includes(node.tagName)) return '';
+      if (node.tagName === 'BR') return '<br>';
+
+      // Inline math from the editor, or MathML (e.g. from KaTeX or MathJax) carrying its TeX source
+      if (node.classList.contains('inline-math') && node.dataset.tex) {
+        return this.inlineMathHtml(this.escapeHtml(node.dataset.tex));
+      }
+      if (node.localName === 'math' || node.classList.contains('katex')) {
+        const annotation = node.querySelector('annotation[encoding="application/x-tex"]');
+        if (annotation) return this.inlineMathHtml(this.escapeHtml(annotation.textContent.trim()));
+        if (node.classList.contains('katex')) return '';
+      }
+
+      let inner = Array.from(node.childNodes).map(serialize).join('');
+
+      if (node.tagName === 'A') {
+        const href = node.getAttribute('href') || '';
+        if (this.isSafeLinkUrl(href)) {
+          return `<a href="${this.escapeHtml(href)}" target="_blank" rel="noopener noreferrer">${inner}</a>`;
+        }
+        return inner;
+      }
+
+      // Apps like Google Docs express formatting through inline styles
+      if (node.tagName === 'SPAN' && node.style) {
+        if (node.style.fontStyle === 'italic') inner = `<em>${inner}</em>`;
+        if (node.style.fontWeight === 'bold' || parseInt(node.style.fontWeight) >= 600) {
+          inner = `<strong>${inner}</strong>`;
+        }
+      }
+
+      const tag = allowedTags[node.tagName];
+      return tag && inner ? `<${tag}>${inner}</${tag}>` : inner;
+    };
+
+    return Array.from(root.childNodes).map(serialize).join('')
+      .replace(/^(\s|<br>)+|(\s|<br>)+$/g, '');
+  },
+
+  /**
+   * Language of copied code from the class names sites use (language-js, lang-js, highlight-source-js)
+   * @param {Element} pre - <pre> element
+   * @returns {string} - Lowercase language name, or '' if unknown
+   */
+  getCodeLanguage(pre) {
+    const candidates = [pre, pre.querySelector('code'), pre.parentElement].filter(Boolean);
+    for (const el of candidates) {
+      const attribute = el.getAttribute('data-lang') || el.getAttribute('data-language');
+      if (attribute) return attribute.toLowerCase();
+      const match = (el.getAttribute('class') || '').match(/(?:^|\s)(?:language|lang|highlight-source)-([\w+#.-]+)/);
+      if (match) return match[1].toLowerCase();
+    }
+    return '';
+  },
+
+  /**
+   * Parse HTML copied from other apps into block data for the editor
+   * @param {string} html - Clipboard HTML
+   * @returns {Object[]} - Block data objects ({ type, content, depth, ... })
+   */
+  htmlToBlocks(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const blockSelector = 'address, article, aside, blockquote, details, div, dl, figure, footer, h1, h2, h3, h4, h5, h6, header, hr, img, li, main, nav, ol, p, pre, section, table, ul';
+    const blocks = [];
+    let inlineNodes = [];
+
+    // Turn pending inline nodes into a paragraph
+    const flush = (depth) => {
+      if (inlineNodes.length === 0) return;
+      const wrapper = doc.createElement('div');
+      inlineNodes.forEach(node => wrapper.appendChild(node.cloneNode(true)));
+      inlineNodes = [];
+      const content = this.sanitizeInlineHtml(wrapper);
+      if (content.replace(/<[^>]+>/g, '').trim()) {
+        blocks.push({ type: 'text', content, depth });
+      }
+    };
+
+    const walkList = (list, depth) => {
+      const ordered = list.tagName === 'OL';
+      Array.from(list.children).forEach(item => {
+        if (item.tagName === 'UL' || item.tagName === 'OL') {
+          walkList(item, depth + 1);
+          return;
+        }
+
+        // Item text without its nested lists or checkbox
+        const clone = item.cloneNode(true);
+        clone.querySelectorAll('ul, ol, input').forEach(node => node.remove());
+        const checkbox = item.querySelector('input[type="checkbox"]');
+        let content = this.sanitizeInlineHtml(clone);
+        let type = ordered ? 'numbered' : 'bullet';
+        let checked = false;
+
+        const taskMatch = content.match(/^\[([ xX])\]\s*/);
+        if (checkbox && checkbox.closest('li') === item) {
+          type = 'todo';
+          checked = checkbox.checked || checkbox.hasAttribute('checked');
+        } else if (taskMatch) {
+          type = 'todo';
+          checked = taskMatch[1].toLowerCase() === 'x';
+          content = content.slice(taskMatch[0].length);
+        }
+
+        blocks.push({ type, content, checked, depth });
+        item.querySelectorAll(':scope > ul, :scope > ol, :scope > div > ul, :scope > div > ol')
+          .forEach(nested => walkList(nested, depth + 1));
+      });
+    };
+
+    const walk = (parent, depth) => {
+      Array.from(parent.childNodes).forEach(node => {
+        if (node.nodeType !== Node.ELEMENT_NODE) {
+          if (node.nodeType === Node.TEXT_NODE) inlineNodes.push(node);
+          return;
+        }
+
+        const tag = node.tagName;
+        if (['SCRIPT', 'STYLE', 'META', 'LINK', 'TITLE', 'TEMPLATE', 'NOSCRIPT'].includes(tag)) return;
+
+        if (/^H[1-6]$/.test(tag)) {
+          flush(depth);
+          const level = Math.min(parseInt(tag[1]), 3);
+          blocks.push({ type: `h${level}`, content: this.sanitizeInlineHtml(node), depth });
+        } else if (tag === 'UL' || tag === 'OL') {
+          flush(depth);
+          walkList(node, depth);
+        } else if (tag === 'LI') {
+          flush(depth);
+          blocks.push({ type: 'bullet', content: this.sanitizeInlineHtml(node), depth });
+        } else if (tag === 'PRE' && this.getCodeLanguage(node) === 'mermaid') {
+          flush(depth);
+          blocks.push({ type: 'diagram', diagram: node.textContent.replace(/\n$/, ''), depth });
+        } else if (tag === 'PRE') {
+          flush(depth);
+          blocks.push({
+            type: 'code',
+            content: this.escapeHtml(node.textContent.replace(/\n$/, '')),
+            language: this.getCodeLanguage(node),
+            depth,
+          });
+        } else if (tag === 'BLOCKQUOTE') {
+          flush(depth);
+          const parts = node.querySelector(blockSelector)
+            ? Array.from(node.children).map(child => this.sanitizeInlineHtml(child))
+            : [this.sanitizeInlineHtml(node)];
+          blocks.push({ type: 'quote', content: parts.filter(Boolean).join('<br>'), depth });
+        } else if (tag === 'HR') {
+          flush(depth);
+          blocks.push({ type: 'divider', content: '', depth });
+        } else if (tag === 'TABLE') {
+          flush(depth);
+          const tableData = Array.from(node.rows).map(row =>
+            Array.from(row.cells).map(cell => cell.textContent.replace(/\s+/g, ' ').trim())
+          );
+          const cols = Math.max(0, ...tableData.map(row => row.length));
+          if (cols > 0) {
+            tableData.forEach(row => {
+              while (row.length < cols) row.push('');
+            });
+            blocks.push({ type: 'table', tableData, rows: tableData.length, cols, depth });
+          }
+        } else if (tag === 'IMG') {
+          const src = node.getAttribute('src') || '';
+          if (/^(https?:|data:image\/)/i.test(src)) {
+            flush(depth);
+            blocks.push({ type: 'image', content: '', imageUrl: src, alt: node.getAttribute('alt') || '', depth });
+          }
+        } else if (tag === 'BR') {
+          inlineNodes.push(node);
+        } else if (node.matches(blockSelector) || node.querySelector(blockSelector)) {
+          // Block containers (and inline wrappers around blocks) are walked through
+          flush(depth);
+          walk(node, depth);
+          flush(depth);
+        } else {
+          inlineNodes.push(node);
+        }
+      });
+    };
+
+    walk(doc.body, 0);
+    flush(0);
+    return blocks;
+  },
 };
 
 // Make Utils globally available
@@ -19,9 +19,19 @@ const isDev = process.argv.includes('--dev');
 // Files to process
 const JS_FILES = [
   'js/utils.js',
+  'js/math.js',
+  'js/highlight.js',
+  'js/diagram.js',
+  'js/table.js',
+  'js/schema.js',
   'js/storage.js',
   'js/blocks.js',
+  'js/undo.js',
+  'js/snapshots.js',
+  'js/search.js',
+  'js/tasks.js',
   'js/editor.js',
+  'js/importer.js',
   'js/llm.js',
   'js/app.js',
   'js/popup.js',